@@ -0,0 +1,31 @@
+// Currency configuration: the reporting currency and exchange rates used to
+// total amounts in different currencies
+import 'dotenv/config';
+
+// EXCHANGE_RATES is a JSON object giving the value of one unit of each
+// currency in the reporting currency, e.g. {"CAD": 0.73, "EUR": 1.08}
+const parseRates = (value) => {
+  if (!value) return {};
+  try {
+    const parsed = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(parsed)
+        .filter(([, rate]) => typeof rate === 'number' && rate > 0)
+        .map(([currency, rate]) => [currency.toUpperCase(), rate])
+    );
+  } catch (error) {
+    console.error('Invalid EXCHANGE_RATES, ignoring:', error.message);
+    return {};
+  }
+};
+
+// Read on each call so tests and deployments can change the environment
+export const getCurrencyConfig = () => ({
+  // Currency that statistics and earnings totals are reported in
+  reportingCurrency: (process.env.REPORTING_CURRENCY || 'USD').toUpperCase(),
+  exchangeRates: parseRates(process.env.EXCHANGE_RATES)
+});
+
+export default {
+  getCurrencyConfig
+};
@@ -85,6 +85,7 @@ testBucketAccess();
 export const adminAuth = admin.auth();
 export const adminDb = admin.firestore();
 export const adminStorage = admin.storage();
+export const adminMessaging = admin.messaging();
 export { gcsBucket };
 
 export default admin;
@@ -0,0 +1,61 @@
+// Notification configuration: which transport sends each channel and the
+// credentials the transports need
+import 'dotenv/config';
+
+const parsePort = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Read on each call so tests and deployments can change the environment
+export const getNotificationConfig = () => ({
+  // 'console', 'file', 'smtp' or 'sendgrid'
+  emailTransport: process.env.EMAIL_TRANSPORT || 'console',
+  // 'console', 'file' or 'twilio'
+  smsTransport: process.env.SMS_TRANSPORT || 'console',
+  emailFrom: process.env.EMAIL_FROM || 'Panic List <no-reply@paniclist.com>',
+  // Links in messages point here
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+  // File transport: one JSON line per message in <dir>/email.jsonl and sms.jsonl
+  outboxDir: process.env.NOTIFICATION_OUTBOX_DIR || 'logs/outbox',
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parsePort(process.env.SMTP_PORT, 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null
+  },
+  sendgridApiKey: process.env.SENDGRID_API_KEY || null,
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID || null,
+    authToken: process.env.TWILIO_AUTH_TOKEN || null,
+    fromNumber: process.env.TWILIO_FROM_NUMBER || null
+  },
+  // Web Push VAPID keys (generate with `npx web-push generate-vapid-keys`).
+  // FCM uses the Firebase service account.
+  webPush: {
+    publicKey: process.env.VAPID_PUBLIC_KEY || null,
+    privateKey: process.env.VAPID_PRIVATE_KEY || null,
+    subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@paniclist.com'
+  }
+});
+
+// Transports that only log or save messages, for development and tests
+export const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// Throw at startup if production would log email or SMS instead of sending it
+export const assertNotificationConfig = (config = getNotificationConfig(), env = process.env.NODE_ENV) => {
+  if (env !== 'production') return;
+
+  const unconfigured = [['EMAIL_TRANSPORT', config.emailTransport], ['SMS_TRANSPORT', config.smsTransport]]
+    .filter(([, transport]) => DEVELOPMENT_TRANSPORTS.includes(transport))
+    .map(([variable, transport]) => `${variable} is '${transport}'`);
+  if (unconfigured.length) {
+    throw new Error(`Notifications are not configured for production: ${unconfigured.join(', ')}. Set a transport that delivers messages.`);
+  }
+};
+
+export default {
+  getNotificationConfig,
+  assertNotificationConfig
+};
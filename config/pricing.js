@@ -0,0 +1,25 @@
+// Server-side pricing configuration for orders
+import 'dotenv/config';
+
+const parseNumber = (value, fallback, min = 0, max = Infinity) => {
+  const parsed = parseFloat(value);
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    return fallback;
+  }
+  return parsed;
+};
+
+// Read on each call so tests and deployments can change the environment
+export const getOrderPricingConfig = () => ({
+  // Platform service fee charged to the customer on top of the service price
+  serviceFeePercent: parseNumber(process.env.ORDER_SERVICE_FEE_PERCENT, 0, 0, 100),
+  serviceFeeFixed: parseNumber(process.env.ORDER_SERVICE_FEE_FIXED, 0),
+  // Site-wide discount applied to the service price
+  discountPercent: parseNumber(process.env.ORDER_DISCOUNT_PERCENT, 0, 0, 100),
+  // Largest difference between a client-submitted total and the server quote
+  priceTolerance: 0.01
+});
+
+export default {
+  getOrderPricingConfig
+};
@@ -0,0 +1,45 @@
+// Tax configuration: provider selection and the static per-region rate table
+import 'dotenv/config';
+
+const parseNumber = (value, fallback, min = 0, max = Infinity) => {
+  const parsed = parseFloat(value);
+  if (isNaN(parsed) || parsed < min || parsed > max) {
+    return fallback;
+  }
+  return parsed;
+};
+
+// Sales tax by region, keyed by ISO country code or `COUNTRY-STATE`. A
+// region may charge several taxes, which are listed separately on the order
+// and at checkout. State rates only; local surcharges are not included.
+export const TAX_RATES = {
+  'US-CA': [{ name: 'California sales tax', rate: 7.25 }],
+  'US-FL': [{ name: 'Florida sales tax', rate: 6 }],
+  'US-IL': [{ name: 'Illinois sales tax', rate: 6.25 }],
+  'US-MA': [{ name: 'Massachusetts sales tax', rate: 6.25 }],
+  'US-NJ': [{ name: 'New Jersey sales tax', rate: 6.625 }],
+  'US-NY': [{ name: 'New York sales tax', rate: 4 }],
+  'US-PA': [{ name: 'Pennsylvania sales tax', rate: 6 }],
+  'US-TX': [{ name: 'Texas sales tax', rate: 6.25 }],
+  'US-WA': [{ name: 'Washington sales tax', rate: 6.5 }],
+  'CA-AB': [{ name: 'GST', rate: 5 }],
+  'CA-BC': [{ name: 'GST', rate: 5 }, { name: 'PST', rate: 7 }],
+  'CA-ON': [{ name: 'HST', rate: 13 }],
+  'CA-QC': [{ name: 'GST', rate: 5 }, { name: 'QST', rate: 9.975 }],
+  CA: [{ name: 'GST', rate: 5 }]
+};
+
+// Read on each call so tests and deployments can change the environment
+export const getTaxConfig = () => ({
+  // 'static' uses TAX_RATES; 'stripe' uses Stripe Tax
+  provider: process.env.TAX_PROVIDER || 'static',
+  // Rate for addresses outside TAX_RATES (static provider only)
+  defaultRatePercent: parseNumber(process.env.ORDER_TAX_RATE_PERCENT, 0, 0, 100),
+  // Stripe Tax product tax code for services (Stripe provider only)
+  stripeTaxCode: process.env.STRIPE_TAX_CODE || null
+});
+
+export default {
+  TAX_RATES,
+  getTaxConfig
+};
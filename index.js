@@ -23,10 +23,23 @@ import listingRoutes from './routes/listings.js';
 import orderRoutes from './routes/orders.js';
 import feedbackRoutes from './routes/feedback.js';
 import webhookRoutes from './routes/webhooks.js';
+import payoutRoutes from './routes/payouts.js';
+import jobRoutes from './routes/jobs.js';
+import promoCodeRoutes from './routes/promoCodes.js';
+import notificationRoutes from './routes/notifications.js';
+
+// Background jobs
+import jobScheduler from './services/jobScheduler.js';
+import { registerScheduledJobs } from './services/scheduledJobs.js';
 
 // Import middleware
 import { errorHandler, notFound } from './middleware/auth.js';
 
+import { assertNotificationConfig } from './config/notifications.js';
+
+// Refuse to start in production with email or SMS going to the console
+assertNotificationConfig();
+
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -73,7 +86,13 @@ if (process.env.NODE_ENV === 'development') {
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body as well: Stripe webhook signatures are computed over it
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -93,6 +112,10 @@ app.use('/api/stripe', stripeRoutes);
 app.use('/api/listings', listingRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Webhook routes (no prefix for Stripe webhooks)
 app.use('/webhooks', webhookRoutes);
@@ -109,12 +132,16 @@ app.get('/', (req, res) => {
       listings: '/api/listings',
       orders: '/api/orders',
       stripe: '/api/stripe',
+      payouts: '/api/payouts',
+      jobs: '/api/jobs',
       health: '/health'
     },
     documentation: 'https://github.com/your-repo/panic-list-api'
   });
 });
 
+registerScheduledJobs(jobScheduler);
+
 // 404 handler
 app.use(notFound);
 
@@ -128,16 +155,23 @@ app.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`📚 API Base URL: http://localhost:${PORT}/api`);
   console.log(`🌐 Allowed CORS Origins: ${allowedOrigins.join(', ')}`);
+
+  // Set JOBS_ENABLED=false on instances that should only serve requests
+  if (process.env.JOBS_ENABLED !== 'false') {
+    jobScheduler.start({ tickMs: parseInt(process.env.JOB_TICK_MS) || undefined });
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  jobScheduler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  jobScheduler.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,74 @@
+// Plan entitlement middleware for provider routes
+import entitlementService from '../services/entitlementService.js';
+
+// Answer with the entitlement error and its upgrade hint, or hand anything
+// else to the error handler
+const handleEntitlementError = (error, res, next) => {
+  if (!error.upgrade) return next(error);
+
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+    upgrade: error.upgrade
+  });
+};
+
+// Only providers are bound by plans; clients and admins pass straight through
+const isProvider = (req) => req.user?.userType === 'provider';
+
+// Provider must have room for another listing, and for any images it is
+// created with
+export const requireListingQuota = async (req, res, next) => {
+  if (!isProvider(req)) return next();
+
+  try {
+    await entitlementService.assertCanCreateListing(req.user.uid);
+    if (req.body?.images?.length) {
+      await entitlementService.assertCanAddImages(req.user.uid, req.body.images.length);
+    }
+    next();
+  } catch (error) {
+    handleEntitlementError(error, res, next);
+  }
+};
+
+// Provider must have room for another active listing when a request
+// publishes one
+export const requireActiveListingQuota = async (req, res, next) => {
+  if (!isProvider(req) || req.body?.status !== 'active') return next();
+
+  try {
+    await entitlementService.assertCanActivateListing(req.user.uid, req.params.id);
+    next();
+  } catch (error) {
+    handleEntitlementError(error, res, next);
+  }
+};
+
+// Provider must have room for the uploaded images. Runs after multer so the
+// number of files is known.
+export const requireImageQuota = async (req, res, next) => {
+  if (!isProvider(req) || !req.files?.length) return next();
+
+  try {
+    await entitlementService.assertCanAddImages(req.user.uid, req.files.length);
+    next();
+  } catch (error) {
+    handleEntitlementError(error, res, next);
+  }
+};
+
+// Provider's plan must include a feature, e.g. requireFeature('analytics')
+export const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    if (!isProvider(req)) return next();
+
+    try {
+      await entitlementService.assertFeature(req.user.uid, feature);
+      next();
+    } catch (error) {
+      handleEntitlementError(error, res, next);
+    }
+  };
+};
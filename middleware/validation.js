@@ -257,6 +257,7 @@ export const validatePagination = validateQuery(
   Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
+    cursor: Joi.string().optional(),
     sortBy: Joi.string().optional(),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc')
   })
@@ -1,5 +1,7 @@
 // Listing data models and validation schemas
 import Joi from 'joi';
+import { SUPPORTED_CURRENCIES } from './Money.js';
+import { paymentScheduleSchema } from './PaymentSchedule.js';
 
 // Listing status
 export const LISTING_STATUS = {
@@ -33,6 +35,9 @@ export const PRICING_TYPES = {
   CUSTOM: 'custom'
 };
 
+// Largest service radius a listing can declare, in miles
+export const MAX_SERVICE_RADIUS = 1000;
+
 // Base listing schema
 export const listingSchema = Joi.object({
   id: Joi.string().allow(null), // Will be auto-generated by Firestore
@@ -49,9 +54,15 @@ export const listingSchema = Joi.object({
   pricing: Joi.object({
     type: Joi.string().valid(...Object.values(PRICING_TYPES)).required(),
     amount: Joi.number().min(0).required(),
-    currency: Joi.string().valid('USD', 'CAD', 'EUR').default('USD'),
-    description: Joi.string().max(200).allow('')
+    currency: Joi.string().valid(...SUPPORTED_CURRENCIES).default('USD'),
+    description: Joi.string().max(200).allow(''),
+    // Charged from the card hold when an emergency booking is cancelled by
+    // the customer after the provider has accepted it
+    callOutFee: Joi.number().min(0).allow(null)
   }).required(),
+  // Deposit and milestone payments for larger jobs; null means paid in full
+  // when booked
+  paymentSchedule: paymentScheduleSchema.allow(null),
   availability: Joi.object({
     schedule: Joi.string().max(200).allow(''),
     timeSlots: Joi.array().items(Joi.object({
@@ -64,8 +75,14 @@ export const listingSchema = Joi.object({
   }).default({}),
   location: Joi.object({
     coverage: Joi.string().max(200).required(),
-    serviceRadius: Joi.number().min(0).max(1000).default(50), // in miles/km
-    specificAreas: Joi.array().items(Joi.string()).default([])
+    serviceRadius: Joi.number().min(0).max(MAX_SERVICE_RADIUS).default(50), // in miles
+    specificAreas: Joi.array().items(Joi.string()).default([]),
+    // Set by the server from the geocoded coverage unless given explicitly
+    coordinates: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    }).allow(null),
+    geohash: Joi.string().max(12).allow(null)
   }).required(),
   contactInfo: Joi.object({
     email: Joi.string().email().allow(''),
@@ -73,6 +90,9 @@ export const listingSchema = Joi.object({
     preferredContact: Joi.string().valid('email', 'phone', 'both').default('both')
   }).default({}),
   status: Joi.string().valid(...Object.values(LISTING_STATUS)).default(LISTING_STATUS.DRAFT),
+  // Set when the system switches a listing off, e.g. 'plan_limit' after a downgrade
+  deactivatedReason: Joi.string().allow(null),
+  deactivatedAt: Joi.date().allow(null),
   featured: Joi.boolean().default(false),
   tags: Joi.array().items(Joi.string().max(30)).max(10).default([]),
   requirements: Joi.object({
@@ -159,6 +179,7 @@ export const updateListingDocument = (existingData, updateData) => {
   mergedData.updatedAt = toJsDate(mergedData.updatedAt);
   mergedData.publishedAt = toJsDate(mergedData.publishedAt);
   mergedData.expiresAt = toJsDate(mergedData.expiresAt);
+  mergedData.deactivatedAt = toJsDate(mergedData.deactivatedAt);
 
   if (Array.isArray(mergedData.images)) {
     mergedData.images = mergedData.images.map((img) => ({
@@ -209,11 +230,30 @@ export const listingFiltersSchema = Joi.object({
   minPrice: Joi.number().min(0),
   maxPrice: Joi.number().min(0),
   location: Joi.string(),
+  // Geo search: only listings whose service radius covers this point
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radius: Joi.number().positive().max(MAX_SERVICE_RADIUS), // in miles
   tags: Joi.array().items(Joi.string()),
   sortBy: Joi.string().valid('createdAt', 'updatedAt', 'title', 'pricing.amount', 'statistics.rating', 'statistics.views'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
-  limit: Joi.number().min(1).max(100).default(20),
-  offset: Joi.number().min(0).default(0)
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  // nextCursor from the previous page; offset is kept for older clients
+  cursor: Joi.string(),
+  offset: Joi.number().integer().min(0).default(0)
+}).and('lat', 'lng').with('radius', ['lat', 'lng']);
+
+// Full-text search filters. Search is public, so only active listings are
+// returned unless another status is requested.
+export const listingSearchFiltersSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(LISTING_STATUS)).default(LISTING_STATUS.ACTIVE),
+  category: Joi.string().valid(...Object.values(SERVICE_CATEGORIES)),
+  providerId: Joi.string(),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  minRating: Joi.number().min(0).max(5),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
 });
 
 export const validateListingFilters = (filters) => {
@@ -225,3 +265,13 @@ export const validateListingFilters = (filters) => {
   
   return validation.value;
 };
+
+export const validateListingSearchFilters = (filters) => {
+  const validation = listingSearchFiltersSchema.validate(filters, { abortEarly: false });
+
+  if (validation.error) {
+    throw new Error(`Filter validation error: ${validation.error.details.map(d => d.message).join(', ')}`);
+  }
+
+  return validation.value;
+};
@@ -0,0 +1,54 @@
+// Money: currencies and conversion between major units (e.g. 12.5 dollars),
+// which are stored in Firestore, and Stripe's integer minor units
+
+// Currencies listings and plans can be priced in
+export const SUPPORTED_CURRENCIES = ['USD', 'CAD', 'EUR'];
+
+// Currencies Stripe charges in whole units, and the ones with three decimals
+// (https://docs.stripe.com/currencies#zero-decimal)
+export const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+export const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+export const normalizeCurrency = (currency) => String(currency || 'USD').trim().toUpperCase();
+
+// Number of decimals an amount in the currency has
+export const getCurrencyDecimals = (currency) => {
+  const code = normalizeCurrency(currency);
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+};
+
+const getMinorUnitFactor = (currency) => 10 ** getCurrencyDecimals(currency);
+
+// Round an amount to the currency's smallest unit
+export const roundMoney = (amount, currency = 'USD') => {
+  const factor = getMinorUnitFactor(currency);
+  return Math.round((amount || 0) * factor) / factor;
+};
+
+// Major units -> Stripe integer amount (12.5 USD -> 1250, 1200 JPY -> 1200)
+export const toMinorUnits = (amount, currency = 'USD') => {
+  const minor = Math.round((amount || 0) * getMinorUnitFactor(currency));
+  // Stripe only accepts three-decimal amounts rounded to a multiple of 10
+  return getCurrencyDecimals(currency) === 3 ? Math.round(minor / 10) * 10 : minor;
+};
+
+// Stripe integer amount -> major units
+export const fromMinorUnits = (amount, currency = 'USD') => {
+  return (amount || 0) / getMinorUnitFactor(currency);
+};
+
+export default {
+  SUPPORTED_CURRENCIES,
+  ZERO_DECIMAL_CURRENCIES,
+  THREE_DECIMAL_CURRENCIES,
+  normalizeCurrency,
+  getCurrencyDecimals,
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits
+};
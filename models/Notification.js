@@ -0,0 +1,117 @@
+// Notification types, delivery channels, the in-app inbox and push devices
+import Joi from 'joi';
+
+export const NOTIFICATION_TYPES = {
+  SIGNUP_VERIFICATION: 'signup_verification',
+  PASSWORD_RESET: 'password_reset',
+  ORDER_CREATED: 'order_created',
+  ORDER_CONFIRMED: 'order_confirmed',
+  ORDER_CANCELLED: 'order_cancelled',
+  ORDER_STATUS_CHANGED: 'order_status_changed',
+  PAYMENT_RECEIVED: 'payment_received',
+  PAYMENT_AUTHORIZATION_FAILED: 'payment_authorization_failed',
+  NEW_MESSAGE: 'new_message',
+  SUPPORT_ESCALATION: 'support_escalation',
+  NEW_REVIEW: 'new_review',
+  PLAN_RENEWAL_REMINDER: 'plan_renewal_reminder',
+  PLAN_EXPIRED: 'plan_expired',
+  PROVIDER_VERIFICATION: 'provider_verification',
+  DISPUTE_UPDATE: 'dispute_update'
+};
+
+export const NOTIFICATION_CHANNELS = {
+  IN_APP: 'in_app',
+  EMAIL: 'email',
+  SMS: 'sms',
+  PUSH: 'push'
+};
+
+// Types worth interrupting someone for: bookings and messages
+export const PUSH_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.ORDER_CREATED,
+  NOTIFICATION_TYPES.ORDER_CONFIRMED,
+  NOTIFICATION_TYPES.ORDER_STATUS_CHANGED,
+  NOTIFICATION_TYPES.ORDER_CANCELLED,
+  NOTIFICATION_TYPES.NEW_MESSAGE
+];
+
+// How a device receives push: an FCM registration token (mobile apps) or a
+// Web Push subscription (browsers)
+export const PUSH_DEVICE_TYPES = {
+  FCM: 'fcm',
+  WEB: 'web'
+};
+
+export const pushDeviceSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(PUSH_DEVICE_TYPES)).required(),
+  token: Joi.string().max(4096).when('type', {
+    is: PUSH_DEVICE_TYPES.FCM,
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  subscription: Joi.object({
+    endpoint: Joi.string().uri({ scheme: 'https' }).required(),
+    expirationTime: Joi.number().allow(null).optional(),
+    keys: Joi.object({
+      p256dh: Joi.string().required(),
+      auth: Joi.string().required()
+    }).required()
+  }).when('type', {
+    is: PUSH_DEVICE_TYPES.WEB,
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  platform: Joi.string().valid('ios', 'android', 'web').optional(),
+  name: Joi.string().max(100).optional()
+});
+
+// Data fields copied into an in-app notification so the app can link to
+// what it is about
+export const NOTIFICATION_REFERENCE_FIELDS = ['orderId', 'feedbackId', 'planId'];
+
+// Account messages the user asked for; sent by email whatever their
+// notification preferences say, and kept out of the in-app inbox
+export const ESSENTIAL_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.SIGNUP_VERIFICATION,
+  NOTIFICATION_TYPES.PASSWORD_RESET
+];
+
+// Channels a user receives a notification type on. Everything but essential
+// messages goes to the in-app inbox. Clients choose the rest with
+// preferences.notifications (off stops email, SMS and push but essential
+// messages), emailUpdates, smsUpdates and pushUpdates; users without
+// preferences get email, and push for PUSH_NOTIFICATION_TYPES. SMS needs a
+// phone number and push a registered device.
+export const getNotificationChannels = (user, type) => {
+  if (ESSENTIAL_NOTIFICATION_TYPES.includes(type)) {
+    return user?.email ? [NOTIFICATION_CHANNELS.EMAIL] : [];
+  }
+
+  const channels = [NOTIFICATION_CHANNELS.IN_APP];
+  const preferences = user?.preferences || {};
+  if (preferences.notifications === false) {
+    return channels;
+  }
+
+  if (user?.email && preferences.emailUpdates !== false) {
+    channels.push(NOTIFICATION_CHANNELS.EMAIL);
+  }
+  if (user?.phoneNumber && preferences.smsUpdates === true) {
+    channels.push(NOTIFICATION_CHANNELS.SMS);
+  }
+  if (PUSH_NOTIFICATION_TYPES.includes(type) && preferences.pushUpdates !== false) {
+    channels.push(NOTIFICATION_CHANNELS.PUSH);
+  }
+  return channels;
+};
+
+export default {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_REFERENCE_FIELDS,
+  PUSH_NOTIFICATION_TYPES,
+  PUSH_DEVICE_TYPES,
+  pushDeviceSchema,
+  ESSENTIAL_NOTIFICATION_TYPES,
+  getNotificationChannels
+};
@@ -1,5 +1,8 @@
 // Order model for Panic List
 import Joi from 'joi';
+import { PRICING_TYPES } from './Listing.js';
+import { roundMoney } from './Money.js';
+import { MILESTONE_STATUS, MILESTONE_TRIGGERS } from './PaymentSchedule.js';
 
 // Order status constants
 export const ORDER_STATUS = {
@@ -14,12 +17,103 @@ export const ORDER_STATUS = {
 // Payment status constants
 export const PAYMENT_STATUS = {
   PENDING: 'pending',
+  AUTHORIZED: 'authorized',         // card hold placed, captured when the job is done
+  PARTIALLY_PAID: 'partially_paid', // some payment milestones are still to be paid
   PAID: 'paid',
   FAILED: 'failed',
   REFUNDED: 'refunded',
-  PARTIALLY_REFUNDED: 'partially_refunded'
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  DISPUTED: 'disputed'              // the customer disputed a charge with their bank
 };
 
+// Roles that can act on an order. Clients are stored with userType 'client'
+// but orders have always referred to them as 'customer'.
+export const ORDER_ACTOR_ROLES = {
+  CUSTOMER: 'customer',
+  PROVIDER: 'provider',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// Support escalation of an order's conversation
+export const ESCALATION_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+};
+
+// Allowed status transitions: from -> { to: [roles allowed to make the move] }
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PENDING]: {
+    [ORDER_STATUS.CONFIRMED]: ['provider', 'admin', 'system'],
+    [ORDER_STATUS.CANCELLED]: ['customer', 'provider', 'admin', 'system']
+  },
+  [ORDER_STATUS.CONFIRMED]: {
+    [ORDER_STATUS.IN_PROGRESS]: ['provider', 'admin'],
+    [ORDER_STATUS.CANCELLED]: ['customer', 'provider', 'admin', 'system']
+  },
+  [ORDER_STATUS.IN_PROGRESS]: {
+    [ORDER_STATUS.COMPLETED]: ['provider', 'admin'],
+    [ORDER_STATUS.CANCELLED]: ['provider', 'admin']
+  },
+  [ORDER_STATUS.COMPLETED]: {
+    [ORDER_STATUS.REFUNDED]: ['admin', 'system']
+  },
+  [ORDER_STATUS.CANCELLED]: {
+    [ORDER_STATUS.REFUNDED]: ['admin', 'system']
+  },
+  [ORDER_STATUS.REFUNDED]: {}
+};
+
+// Provider payout status for an order
+export const PAYOUT_STATUS = {
+  PENDING: 'pending',       // paid, service not yet completed
+  AVAILABLE: 'available',   // completed, waiting for the provider to finish Stripe onboarding
+  PROCESSING: 'processing', // transfer to the provider under way
+  PAID: 'paid',             // transferred to the provider's connected account
+  VOID: 'void'              // order cancelled before completion
+};
+
+// Card hold on an emergency booking
+export const AUTHORIZATION_STATUS = {
+  REQUIRES_CONFIRMATION: 'requires_confirmation', // waiting for the customer to confirm their card
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired' // lapsed before it could be renewed; the customer must authorize again
+};
+
+// Stripe dispute statuses. Inquiries (warning_*) can turn into full disputes.
+export const DISPUTE_STATUS = {
+  WARNING_NEEDS_RESPONSE: 'warning_needs_response',
+  WARNING_UNDER_REVIEW: 'warning_under_review',
+  WARNING_CLOSED: 'warning_closed',
+  NEEDS_RESPONSE: 'needs_response',
+  UNDER_REVIEW: 'under_review',
+  WON: 'won',
+  LOST: 'lost'
+};
+
+// Dispute outcomes that leave the payment with us
+export const RESOLVED_DISPUTE_STATUSES = [DISPUTE_STATUS.WON, DISPUTE_STATUS.WARNING_CLOSED];
+
+// Card networks release an uncaptured hold after about a week
+export const AUTHORIZATION_VALID_DAYS = 7;
+
+// Stripe refund statuses that still count towards the refunded total
+export const ACTIVE_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+// Share of the paid amount a customer gets back when cancelling, by how many
+// hours remain before the scheduled service. First matching tier wins.
+export const CANCELLATION_REFUND_POLICY = [
+  { minHoursBeforeService: 48, refundPercent: 100 },
+  { minHoursBeforeService: 24, refundPercent: 50 },
+  { minHoursBeforeService: 0, refundPercent: 0 }
+];
+
+// Booking details an order's customer or provider may edit directly. The
+// rest of the order is set when it is booked or by the service layer.
+export const EDITABLE_BOOKING_FIELDS = ['notes', 'specialInstructions'];
+
 // Order validation schema
 export const orderSchema = Joi.object({
   // Required fields
@@ -50,7 +144,7 @@ export const orderSchema = Joi.object({
     }),
     description: Joi.string().allow('').optional(),
     pricing: Joi.object({
-      type: Joi.string().valid('hourly', 'fixed', 'per_sqft').required(),
+      type: Joi.string().valid(...Object.values(PRICING_TYPES), 'per_sqft').required(),
       amount: Joi.number().positive().required(),
       currency: Joi.string().default('USD'),
       description: Joi.string().allow('').optional()
@@ -67,7 +161,11 @@ export const orderSchema = Joi.object({
       'string.pattern.base': 'Scheduled time must be in HH:MM format',
       'any.required': 'Scheduled time is required'
     }),
+    // Emergency bookings put a hold on the card when booked and are charged
+    // when the job is completed
+    emergency: Joi.boolean().default(false),
     duration: Joi.number().positive().optional(), // in hours
+    quantity: Joi.number().positive().optional(), // in square feet, for per square foot pricing
     address: Joi.string().required().messages({
       'string.empty': 'Service address is required',
       'any.required': 'Service address is required'
@@ -86,23 +184,153 @@ export const orderSchema = Joi.object({
     currency: Joi.string().default('USD')
   }).required(),
 
+  // How pricing.taxes was calculated, with one line per tax
+  tax: Joi.object({
+    provider: Joi.string().required(),
+    region: Joi.string().allow(null),
+    rate: Joi.number().min(0).required(),
+    amount: Joi.number().min(0).required(),
+    breakdown: Joi.array().items(Joi.object({
+      name: Joi.string().required(),
+      rate: Joi.number().min(0).required(),
+      amount: Joi.number().min(0).required(),
+      jurisdiction: Joi.string().allow(null)
+    })).default([]),
+    address: Joi.object({
+      line1: Joi.string().allow(null),
+      city: Joi.string().allow(null),
+      state: Joi.string().allow(null),
+      postalCode: Joi.string().allow(null),
+      country: Joi.string().allow(null)
+    }).allow(null),
+    calculationId: Joi.string().optional()
+  }).optional(),
+
+  // Promo code whose discount is included in pricing.discounts
+  promoCode: Joi.string().optional(),
+
   // Status fields
   status: Joi.string().valid(...Object.values(ORDER_STATUS)).default(ORDER_STATUS.PENDING),
   paymentStatus: Joi.string().valid(...Object.values(PAYMENT_STATUS)).default(PAYMENT_STATUS.PENDING),
 
+  // Deposit and milestone payments, in the order they fall due. Orders
+  // without milestones are paid in full in one payment.
+  paymentMilestones: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    name: Joi.string().required(),
+    percent: Joi.number().min(0).max(100).required(),
+    amount: Joi.number().min(0).required(),
+    dueOn: Joi.string().valid(...Object.values(MILESTONE_TRIGGERS)).required(),
+    status: Joi.string().valid(...Object.values(MILESTONE_STATUS)).required(),
+    stripeCheckoutSessionId: Joi.string().optional(),
+    stripePaymentIntentId: Joi.string().optional(),
+    paidAt: Joi.date().iso().optional()
+  })).optional(),
+
+  // Card hold for an emergency booking
+  authorization: Joi.object({
+    status: Joi.string().valid(...Object.values(AUTHORIZATION_STATUS)).required(),
+    stripePaymentIntentId: Joi.string().required(),
+    amount: Joi.number().min(0).required(),
+    callOutFee: Joi.number().min(0).default(0),
+    authorizedAt: Joi.date().iso().optional(),
+    expiresAt: Joi.date().iso().optional(),
+    reauthorizedAt: Joi.date().iso().optional(),
+    reauthorizationError: Joi.string().optional(),
+    capturedAmount: Joi.number().min(0).optional(),
+    capturedAt: Joi.date().iso().optional(),
+    cancelledAt: Joi.date().iso().optional()
+  }).optional(),
+
+  // Payment references and refunds. stripePaymentIntentIds lists every
+  // payment made for the order, stripeCheckoutSessionIds every checkout
+  // opened for it.
+  stripePaymentIntentId: Joi.string().optional(),
+  stripePaymentIntentIds: Joi.array().items(Joi.string()).optional(),
+  stripeCheckoutSessionId: Joi.string().optional(),
+  stripeCheckoutSessionIds: Joi.array().items(Joi.string()).optional(),
+  paidAt: Joi.date().iso().optional(),
+  paidAmount: Joi.number().min(0).default(0),
+  refundedAmount: Joi.number().min(0).default(0),
+  refunds: Joi.array().items(Joi.object({
+    stripeRefundId: Joi.string().required(),
+    stripePaymentIntentId: Joi.string().optional(),
+    amount: Joi.number().min(0).required(),
+    currency: Joi.string().optional(),
+    status: Joi.string().required(),
+    reason: Joi.string().allow('').optional(),
+    requestedBy: Joi.string().optional(),
+    role: Joi.string().valid(...Object.values(ORDER_ACTOR_ROLES)).optional(),
+    createdAt: Joi.date().iso().default(() => new Date())
+  })).default([]),
+
+  // Latest chargeback or inquiry on one of the order's payments
+  dispute: Joi.object({
+    stripeDisputeId: Joi.string().required(),
+    stripeChargeId: Joi.string().optional(),
+    stripePaymentIntentId: Joi.string().optional(),
+    status: Joi.string().valid(...Object.values(DISPUTE_STATUS)).required(),
+    reason: Joi.string().optional(),
+    amount: Joi.number().min(0).required(),
+    currency: Joi.string().optional(),
+    evidenceDueBy: Joi.date().iso().allow(null).optional(),
+    evidenceFileIds: Joi.array().items(Joi.string()).optional(),
+    evidenceUpdatedAt: Joi.date().iso().optional(),
+    evidenceSubmittedAt: Joi.date().iso().optional(),
+    openedAt: Joi.date().iso().optional(),
+    closedAt: Joi.date().iso().optional()
+  }).optional(),
+
+  // Provider share of the payment
+  payout: Joi.object({
+    status: Joi.string().valid(...Object.values(PAYOUT_STATUS)).required(),
+    commissionPercent: Joi.number().min(0).max(100).required(),
+    platformFee: Joi.number().min(0).required(),
+    providerAmount: Joi.number().min(0).required(),
+    stripeTransferId: Joi.string().optional(),
+    paidAt: Joi.date().iso().optional(),
+    reversedAmount: Joi.number().min(0).optional(),
+    reversals: Joi.array().items(Joi.object({
+      stripeReversalId: Joi.string().allow(null).optional(),
+      amount: Joi.number().min(0).required(),
+      reason: Joi.string().optional(),
+      createdAt: Joi.date().iso().required()
+    })).optional()
+  }).optional(),
+
   // Optional fields
   orderNumber: Joi.string().optional(),
   estimatedCompletion: Joi.date().iso().optional(),
   actualStartTime: Joi.date().iso().optional(),
   actualEndTime: Joi.date().iso().optional(),
   
-  // Communication
-  messages: Joi.array().items(Joi.object({
-    senderId: Joi.string().required(),
-    senderType: Joi.string().valid('customer', 'provider', 'admin').required(),
-    message: Joi.string().required(),
-    timestamp: Joi.date().iso().default(() => new Date()),
-    isRead: Joi.boolean().default(false)
+  // Summary of the conversation in the order's `messages` subcollection.
+  // `unread` and `lastReadAt` are keyed by participant: the customer's and
+  // provider's user IDs, and 'admin' for support.
+  messaging: Joi.object({
+    messageCount: Joi.number().integer().min(0).required(),
+    lastMessageAt: Joi.date().iso().allow(null).optional(),
+    unread: Joi.object().pattern(Joi.string(), Joi.number().integer().min(0)).optional(),
+    lastReadAt: Joi.object().pattern(Joi.string(), Joi.date().iso()).optional(),
+    escalation: Joi.object({
+      status: Joi.string().valid(...Object.values(ESCALATION_STATUS)).required(),
+      reason: Joi.string().required(),
+      escalatedBy: Joi.string().required(),
+      role: Joi.string().valid(...Object.values(ORDER_ACTOR_ROLES)).required(),
+      escalatedAt: Joi.date().iso().required(),
+      resolvedBy: Joi.string().optional(),
+      resolvedAt: Joi.date().iso().optional()
+    }).optional()
+  }).optional(),
+
+  // Audit trail of status transitions
+  statusHistory: Joi.array().items(Joi.object({
+    from: Joi.string().valid(...Object.values(ORDER_STATUS)).allow(null).required(),
+    to: Joi.string().valid(...Object.values(ORDER_STATUS)).required(),
+    actorId: Joi.string().required(),
+    role: Joi.string().valid(...Object.values(ORDER_ACTOR_ROLES)).required(),
+    reason: Joi.string().allow('').optional(),
+    timestamp: Joi.date().iso().default(() => new Date())
   })).default([]),
 
   // Reviews and ratings
@@ -115,9 +343,11 @@ export const orderSchema = Joi.object({
   // Cancellation details
   cancellation: Joi.object({
     reason: Joi.string().allow('').optional(),
-    cancelledBy: Joi.string().valid('customer', 'provider', 'admin').optional(),
+    cancelledBy: Joi.string().valid(...Object.values(ORDER_ACTOR_ROLES)).optional(),
     cancelledAt: Joi.date().iso().optional(),
-    refundAmount: Joi.number().min(0).optional()
+    refundAmount: Joi.number().min(0).optional(),
+    refundPercent: Joi.number().min(0).max(100).optional(),
+    callOutFee: Joi.number().min(0).optional()
   }).optional(),
 
   // Metadata
@@ -159,9 +389,12 @@ export const updateOrderDocument = (existingOrder, updateData) => {
   // Create a partial schema for updates
   const updateSchema = orderSchema.fork(Object.keys(orderSchema.describe().keys), (schema) => schema.optional());
   
+  // Defaults are for new orders only; applying them here would reset fields
+  // the update does not mention, such as paymentStatus and refunds
   const { error, value } = updateSchema.validate(updateData, { 
     abortEarly: false,
-    stripUnknown: true 
+    stripUnknown: true,
+    noDefaults: true
   });
 
   if (error) {
@@ -175,7 +408,199 @@ export const updateOrderDocument = (existingOrder, updateData) => {
   return { ...existingOrder, ...value };
 };
 
-// Order filters validation
+// Map a user type (or webhook/system caller) onto an order actor role
+export const normalizeOrderActorRole = (userType) => {
+  if (userType === 'client' || userType === 'customer') {
+    return ORDER_ACTOR_ROLES.CUSTOMER;
+  }
+  return Object.values(ORDER_ACTOR_ROLES).includes(userType) ? userType : null;
+};
+
+// Statuses the given role may move an order to from its current status
+export const getAllowedStatusTransitions = (fromStatus, role) => {
+  const transitions = ORDER_STATUS_TRANSITIONS[fromStatus] || {};
+  return Object.keys(transitions).filter(toStatus => transitions[toStatus].includes(role));
+};
+
+// Throw if the role may not move an order from one status to another
+export const assertStatusTransition = (fromStatus, toStatus, role) => {
+  const validStatuses = Object.values(ORDER_STATUS);
+  if (!validStatuses.includes(toStatus)) {
+    throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+  }
+
+  if (fromStatus === toStatus) {
+    throw new Error(`Invalid status transition: order is already ${toStatus}`);
+  }
+
+  const allowedRoles = ORDER_STATUS_TRANSITIONS[fromStatus]?.[toStatus];
+  if (!allowedRoles) {
+    throw new Error(`Invalid status transition: cannot move order from ${fromStatus} to ${toStatus}`);
+  }
+
+  if (!allowedRoles.includes(role)) {
+    throw new Error(`Unauthorized: ${role || 'unknown role'} cannot move order from ${fromStatus} to ${toStatus}`);
+  }
+};
+
+// Pick the booking details a party may edit out of an order update. Any
+// other field throws, except a status equal to the current one.
+export const getOrderEdits = (existingOrder, updateData = {}) => {
+  Object.keys(updateData).forEach(field => {
+    if (field === 'bookingDetails' || (field === 'status' && updateData.status === existingOrder.status)) return;
+    throw new Error(`Validation error: ${field} cannot be changed`);
+  });
+
+  const bookingDetails = updateData.bookingDetails || {};
+  Object.keys(bookingDetails).forEach(field => {
+    if (!EDITABLE_BOOKING_FIELDS.includes(field)) {
+      throw new Error(`Validation error: bookingDetails.${field} cannot be changed`);
+    }
+  });
+
+  const editSchema = Joi.object(Object.fromEntries(
+    EDITABLE_BOOKING_FIELDS.map(field => [field, orderSchema.extract(`bookingDetails.${field}`)])
+  ));
+  const { error, value } = editSchema.validate(bookingDetails, { abortEarly: false });
+  if (error) {
+    throw new Error(`Validation error: ${error.details.map(detail => detail.message).join(', ')}`);
+  }
+  return value;
+};
+
+// Amount the customer has paid so far. Orders paid before paidAmount was
+// recorded were always paid in full.
+export const getPaidAmount = (order) => {
+  if (order.paymentMilestones?.length || order.paidAmount > 0) {
+    return order.paidAmount || 0;
+  }
+  const paidStatuses = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED, PAYMENT_STATUS.REFUNDED, PAYMENT_STATUS.DISPUTED];
+  return paidStatuses.includes(order.paymentStatus) ? order.pricing?.totalAmount || 0 : 0;
+};
+
+// Payment status implied by what has been paid and refunded
+export const getPaymentStatus = (order) => {
+  // A charge stays disputed while the dispute is open, and for good if it is lost
+  if (order.dispute && !RESOLVED_DISPUTE_STATUSES.includes(order.dispute.status)) {
+    return PAYMENT_STATUS.DISPUTED;
+  }
+
+  const paidAmount = getPaidAmount(order);
+  const refundedAmount = order.refundedAmount || 0;
+
+  if (refundedAmount > 0) {
+    return refundedAmount >= paidAmount ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+  }
+  if (paidAmount <= 0) {
+    return order.paymentStatus === PAYMENT_STATUS.FAILED ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.PENDING;
+  }
+  // A captured card hold owes what was captured, which may be just the
+  // call-out fee
+  const amountDue = order.authorization?.status === AUTHORIZATION_STATUS.CAPTURED
+    ? order.authorization.capturedAmount
+    : order.pricing?.totalAmount || 0;
+  return paidAmount >= amountDue ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PARTIALLY_PAID;
+};
+
+// Amount that has been paid and not yet refunded
+export const getRefundableAmount = (order) => {
+  const refundableStatuses = [PAYMENT_STATUS.PAID, PAYMENT_STATUS.PARTIALLY_PAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+  if (!refundableStatuses.includes(order.paymentStatus)) {
+    return 0;
+  }
+  return Math.max(0, roundMoney(getPaidAmount(order) - (order.refundedAmount || 0), order.pricing?.currency));
+};
+
+// Payments a refund can be taken from, newest first, with what is left to
+// refund on each
+export const getRefundablePayments = (order) => {
+  const currency = order.pricing?.currency;
+  if (!order.paymentMilestones?.length) {
+    return order.stripePaymentIntentId
+      ? [{ stripePaymentIntentId: order.stripePaymentIntentId, refundable: getRefundableAmount(order) }]
+      : [];
+  }
+
+  return order.paymentMilestones
+    .filter(milestone => milestone.status === MILESTONE_STATUS.PAID && milestone.stripePaymentIntentId)
+    .map(milestone => {
+      const refunded = sumActiveRefunds((order.refunds || [])
+        .filter(refund => refund.stripePaymentIntentId === milestone.stripePaymentIntentId), currency);
+      return {
+        stripePaymentIntentId: milestone.stripePaymentIntentId,
+        refundable: Math.max(0, roundMoney(milestone.amount - refunded, currency))
+      };
+    })
+    .filter(payment => payment.refundable > 0)
+    .reverse();
+};
+
+// Total of refunds that have not failed or been cancelled
+export const sumActiveRefunds = (refunds = [], currency = 'USD') => {
+  return roundMoney(refunds
+    .filter(refund => ACTIVE_REFUND_STATUSES.includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0), currency);
+};
+
+// Combine bookingDetails.scheduledDate and scheduledTime into a single Date
+export const getScheduledStart = (order) => {
+  const scheduledDate = order.bookingDetails?.scheduledDate;
+  if (!scheduledDate) return null;
+
+  const start = typeof scheduledDate.toDate === 'function' ? scheduledDate.toDate() : new Date(scheduledDate);
+  if (isNaN(start.getTime())) return null;
+
+  const [hours, minutes] = (order.bookingDetails.scheduledTime || '00:00').split(':').map(Number);
+  start.setHours(hours || 0, minutes || 0, 0, 0);
+  return start;
+};
+
+// Refund owed when an order is cancelled. Customers are refunded according to
+// CANCELLATION_REFUND_POLICY; cancellations by the provider, an admin or the
+// system refund everything that was paid.
+export const calculateCancellationRefund = (order, role, now = new Date()) => {
+  const refundable = getRefundableAmount(order);
+
+  let refundPercent = 100;
+  if (role === ORDER_ACTOR_ROLES.CUSTOMER) {
+    const scheduledStart = getScheduledStart(order);
+    const hoursBeforeService = scheduledStart ? (scheduledStart - now) / (1000 * 60 * 60) : Infinity;
+    const tier = CANCELLATION_REFUND_POLICY.find(policy => hoursBeforeService >= policy.minHoursBeforeService);
+    refundPercent = tier ? tier.refundPercent : 0;
+  }
+
+  return {
+    refundPercent,
+    refundAmount: roundMoney(refundable * refundPercent / 100, order.pricing?.currency)
+  };
+};
+
+// Call-out fee charged from the card hold when an emergency booking is
+// cancelled: only when the customer cancels after the provider accepted
+export const calculateCallOutFee = (order, role) => {
+  const authorization = order.authorization;
+  if (authorization?.status !== AUTHORIZATION_STATUS.AUTHORIZED || role !== ORDER_ACTOR_ROLES.CUSTOMER) {
+    return 0;
+  }
+  if (![ORDER_STATUS.CONFIRMED, ORDER_STATUS.IN_PROGRESS].includes(order.status)) {
+    return 0;
+  }
+  return roundMoney(Math.min(authorization.callOutFee || 0, authorization.amount), order.pricing?.currency);
+};
+
+// When a hold placed now lapses
+export const getAuthorizationExpiry = (authorizedAt = new Date()) => {
+  return new Date(authorizedAt.getTime() + AUTHORIZATION_VALID_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Sortable fields and the document paths they map to
+export const ORDER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  scheduledDate: 'bookingDetails.scheduledDate',
+  totalAmount: 'pricing.totalAmount',
+  status: 'status'
+};
+
 export const orderFiltersSchema = Joi.object({
   status: Joi.string().valid(...Object.values(ORDER_STATUS)).optional(),
   paymentStatus: Joi.string().valid(...Object.values(PAYMENT_STATUS)).optional(),
@@ -184,17 +609,44 @@ export const orderFiltersSchema = Joi.object({
   listingId: Joi.string().optional(),
   dateFrom: Joi.date().iso().optional(),
   dateTo: Joi.date().iso().optional(),
-  sortBy: Joi.string().valid('createdAt', 'scheduledDate', 'totalAmount', 'status').default('createdAt'),
+  sortBy: Joi.string().valid(...Object.keys(ORDER_SORT_FIELDS)).default('createdAt'),
   sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
   limit: Joi.number().integer().min(1).max(100).default(20),
+  // nextCursor from the previous page; offset is kept for older clients
+  cursor: Joi.string().optional(),
   offset: Joi.number().integer().min(0).default(0)
 });
 
 export default {
   ORDER_STATUS,
   PAYMENT_STATUS,
+  ORDER_ACTOR_ROLES,
+  ORDER_STATUS_TRANSITIONS,
+  PAYOUT_STATUS,
+  AUTHORIZATION_STATUS,
+  AUTHORIZATION_VALID_DAYS,
+  DISPUTE_STATUS,
+  ESCALATION_STATUS,
+  RESOLVED_DISPUTE_STATUSES,
+  ACTIVE_REFUND_STATUSES,
+  CANCELLATION_REFUND_POLICY,
+  EDITABLE_BOOKING_FIELDS,
   orderSchema,
   createOrderDocument,
   updateOrderDocument,
+  normalizeOrderActorRole,
+  getAllowedStatusTransitions,
+  assertStatusTransition,
+  getOrderEdits,
+  getPaidAmount,
+  getPaymentStatus,
+  getRefundableAmount,
+  getRefundablePayments,
+  sumActiveRefunds,
+  getScheduledStart,
+  calculateCancellationRefund,
+  calculateCallOutFee,
+  getAuthorizationExpiry,
+  ORDER_SORT_FIELDS,
   orderFiltersSchema
 };
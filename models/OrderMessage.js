@@ -0,0 +1,64 @@
+// Order messages: the conversation between an order's customer and provider,
+// stored in the order's `messages` subcollection. Admins join it when either
+// party escalates to support.
+import Joi from 'joi';
+import { ORDER_ACTOR_ROLES, ESCALATION_STATUS } from './Order.js';
+
+// Admins share one place in the conversation: unread counts and read
+// receipts for support are kept under this key instead of a user ID
+export const SUPPORT_PARTICIPANT_KEY = 'admin';
+
+// Attachments are stored in Firebase Storage, private to the order
+export const MESSAGE_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/webp',
+  'image/heic',
+  'application/pdf'
+];
+export const MAX_MESSAGE_ATTACHMENTS = 4;
+export const MAX_MESSAGE_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+// A new message. `threadId` makes it a reply to that top-level message.
+// A message needs text, attachments or both; attachments are checked by
+// the service.
+export const orderMessageSchema = Joi.object({
+  message: Joi.string().trim().max(MAX_MESSAGE_LENGTH).allow('').default(''),
+  threadId: Joi.string().optional()
+});
+
+export const escalationSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(500).required()
+});
+
+// Where a user sits in an order's conversation: their user ID for the
+// customer and provider, SUPPORT_PARTICIPANT_KEY for admins, or null if they
+// are not part of it
+export const getParticipantKey = (order, userId, role) => {
+  if (role === ORDER_ACTOR_ROLES.ADMIN) return SUPPORT_PARTICIPANT_KEY;
+  if (role === ORDER_ACTOR_ROLES.CUSTOMER && order.customerId === userId) return userId;
+  if (role === ORDER_ACTOR_ROLES.PROVIDER && order.providerId === userId) return userId;
+  return null;
+};
+
+// Everyone who should hear about a new message, by participant key. Support
+// is included while an escalation is open.
+export const getParticipantKeys = (order) => [
+  order.customerId,
+  order.providerId,
+  ...(order.messaging?.escalation?.status === ESCALATION_STATUS.OPEN ? [SUPPORT_PARTICIPANT_KEY] : [])
+];
+
+export default {
+  SUPPORT_PARTICIPANT_KEY,
+  MESSAGE_ATTACHMENT_TYPES,
+  MAX_MESSAGE_ATTACHMENTS,
+  MAX_MESSAGE_ATTACHMENT_SIZE,
+  MAX_MESSAGE_LENGTH,
+  orderMessageSchema,
+  escalationSchema,
+  getParticipantKey,
+  getParticipantKeys
+};
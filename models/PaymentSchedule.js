@@ -0,0 +1,135 @@
+// Payment schedules: jobs paid in parts, with a deposit when the order is
+// booked and further payments as the job moves through its statuses
+import Joi from 'joi';
+import { roundMoney } from './Money.js';
+
+// When a payment becomes due
+export const MILESTONE_TRIGGERS = {
+  BOOKING: 'booking',         // as soon as the order is placed
+  IN_PROGRESS: 'in_progress', // when the provider starts the job
+  COMPLETED: 'completed'      // when the job is done
+};
+
+export const MILESTONE_STATUS = {
+  SCHEDULED: 'scheduled', // waiting for its trigger
+  DUE: 'due',             // can be paid
+  PAID: 'paid',
+  VOID: 'void'            // order cancelled before it was paid
+};
+
+export const DEPOSIT_MILESTONE_ID = 'deposit';
+export const FINAL_MILESTONE_ID = 'final';
+
+const TRIGGER_ORDER = Object.values(MILESTONE_TRIGGERS);
+
+const roundPercent = (percent) => Math.round(percent * 1000) / 1000;
+
+// Schedule set on a listing. Whatever the deposit and milestones leave is
+// the final payment, due on completion.
+export const paymentScheduleSchema = Joi.object({
+  depositPercent: Joi.number().min(0).max(100).default(0),
+  milestones: Joi.array().items(Joi.object({
+    name: Joi.string().trim().max(60).required(),
+    percent: Joi.number().greater(0).max(100).required(),
+    dueOn: Joi.string().valid(MILESTONE_TRIGGERS.IN_PROGRESS, MILESTONE_TRIGGERS.COMPLETED).required()
+  })).max(5).default([])
+}).custom((schedule, helpers) => {
+  const scheduled = schedule.depositPercent + schedule.milestones.reduce((sum, milestone) => sum + milestone.percent, 0);
+  if (roundPercent(scheduled) > 100) {
+    return helpers.message('Deposit and milestone percentages cannot add up to more than 100');
+  }
+  return schedule;
+});
+
+// An order's payments for a schedule, or null when the order is paid in one
+// go. Each amount is rounded in the order currency; the last payment takes
+// the rounding difference so the payments add up to the total.
+export const buildPaymentMilestones = (schedule, totalAmount, currency) => {
+  if (!schedule) return null;
+
+  const parts = [];
+  if (schedule.depositPercent > 0) {
+    parts.push({
+      id: DEPOSIT_MILESTONE_ID,
+      name: 'Deposit',
+      percent: schedule.depositPercent,
+      dueOn: MILESTONE_TRIGGERS.BOOKING
+    });
+  }
+  (schedule.milestones || []).forEach((milestone, index) => {
+    parts.push({ id: `milestone_${index + 1}`, ...milestone });
+  });
+
+  const remainingPercent = roundPercent(100 - parts.reduce((sum, part) => sum + part.percent, 0));
+  if (remainingPercent > 0) {
+    parts.push({
+      id: FINAL_MILESTONE_ID,
+      name: 'Final payment',
+      percent: remainingPercent,
+      dueOn: MILESTONE_TRIGGERS.COMPLETED
+    });
+  }
+
+  if (parts.length <= 1) return null;
+
+  parts.sort((a, b) => TRIGGER_ORDER.indexOf(a.dueOn) - TRIGGER_ORDER.indexOf(b.dueOn));
+
+  let allocated = 0;
+  return parts.map((part, index) => {
+    const amount = index === parts.length - 1
+      ? roundMoney(totalAmount - allocated, currency)
+      : roundMoney(totalAmount * part.percent / 100, currency);
+    allocated += amount;
+
+    return {
+      ...part,
+      amount,
+      status: part.dueOn === MILESTONE_TRIGGERS.BOOKING ? MILESTONE_STATUS.DUE : MILESTONE_STATUS.SCHEDULED
+    };
+  });
+};
+
+// Milestones after the order moves to a new status: payments tied to the
+// status become due, and unpaid payments are voided when the order is
+// cancelled
+export const updateMilestonesForStatus = (milestones, orderStatus) => {
+  if (!milestones) return milestones;
+
+  if (orderStatus === 'cancelled') {
+    return milestones.map(milestone => (
+      milestone.status === MILESTONE_STATUS.PAID ? milestone : { ...milestone, status: MILESTONE_STATUS.VOID }
+    ));
+  }
+
+  const triggerIndex = TRIGGER_ORDER.indexOf(orderStatus);
+  if (triggerIndex < 0) return milestones;
+
+  return milestones.map(milestone => (
+    milestone.status === MILESTONE_STATUS.SCHEDULED && TRIGGER_ORDER.indexOf(milestone.dueOn) <= triggerIndex
+      ? { ...milestone, status: MILESTONE_STATUS.DUE }
+      : milestone
+  ));
+};
+
+// First milestone that can be paid now, or null
+export const getNextDueMilestone = (milestones = []) => {
+  return milestones.find(milestone => milestone.status === MILESTONE_STATUS.DUE) || null;
+};
+
+export const sumPaidMilestones = (milestones = [], currency = 'USD') => {
+  return roundMoney(milestones
+    .filter(milestone => milestone.status === MILESTONE_STATUS.PAID)
+    .reduce((sum, milestone) => sum + milestone.amount, 0), currency);
+};
+
+export default {
+  MILESTONE_TRIGGERS,
+  MILESTONE_STATUS,
+  DEPOSIT_MILESTONE_ID,
+  FINAL_MILESTONE_ID,
+  paymentScheduleSchema,
+  buildPaymentMilestones,
+  updateMilestonesForStatus,
+  getNextDueMilestone,
+  sumPaidMilestones
+};
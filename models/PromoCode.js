@@ -0,0 +1,107 @@
+// Promo codes: admin-managed discounts for provider plans and orders
+import Joi from 'joi';
+import { roundMoney, SUPPORTED_CURRENCIES } from './Money.js';
+
+export const PROMO_DISCOUNT_TYPES = {
+  PERCENT: 'percent', // percentOff of the price
+  AMOUNT: 'amount'    // amountOff in the code's currency
+};
+
+// What a code can be redeemed against
+export const PROMO_SCOPES = {
+  PLANS: 'plans',
+  ORDERS: 'orders'
+};
+
+// How long a plan discount lasts (mirrors Stripe coupon durations)
+export const PROMO_DURATIONS = {
+  ONCE: 'once',
+  REPEATING: 'repeating',
+  FOREVER: 'forever'
+};
+
+// Codes are matched case-insensitively and stored upper case
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+export const promoCodeSchema = Joi.object({
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/).required().messages({
+    'string.pattern.base': 'Code must be 3-32 letters, digits, dashes or underscores',
+    'any.required': 'Code is required'
+  }),
+  description: Joi.string().max(200).allow('').default(''),
+  discountType: Joi.string().valid(...Object.values(PROMO_DISCOUNT_TYPES)).required(),
+  percentOff: Joi.number().greater(0).max(100).when('discountType', {
+    is: PROMO_DISCOUNT_TYPES.PERCENT,
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  amountOff: Joi.number().positive().precision(2).when('discountType', {
+    is: PROMO_DISCOUNT_TYPES.AMOUNT,
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  currency: Joi.string().lowercase().valid(...SUPPORTED_CURRENCIES.map(code => code.toLowerCase())).default('usd'),
+  scopes: Joi.array().items(Joi.string().valid(...Object.values(PROMO_SCOPES))).min(1).unique()
+    .default([PROMO_SCOPES.PLANS, PROMO_SCOPES.ORDERS]),
+  // Plans the code is limited to; empty means every paid plan
+  plans: Joi.array().items(Joi.string().valid('basic', 'premium', 'enterprise')).unique().default([]),
+  duration: Joi.string().valid(...Object.values(PROMO_DURATIONS)).default(PROMO_DURATIONS.ONCE),
+  durationInMonths: Joi.number().integer().min(1).max(36).when('duration', {
+    is: PROMO_DURATIONS.REPEATING,
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).default(null),
+  expiresAt: Joi.date().iso().greater('now').allow(null).default(null),
+  active: Joi.boolean().default(true)
+});
+
+// Limits and wording can change after creation; the discount itself cannot,
+// since plan discounts are mirrored to a Stripe coupon
+export const promoCodeUpdateSchema = Joi.object({
+  description: Joi.string().max(200).allow('').optional(),
+  plans: Joi.array().items(Joi.string().valid('basic', 'premium', 'enterprise')).unique().optional(),
+  maxRedemptions: Joi.number().integer().min(1).allow(null).optional(),
+  expiresAt: Joi.date().iso().allow(null).optional(),
+  active: Joi.boolean().optional()
+}).min(1);
+
+// Validate and build a promo code document
+export const createPromoCodeDocument = (promoData, createdBy) => {
+  const { error, value } = promoCodeSchema.validate(promoData, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+  }
+
+  const now = new Date();
+  return {
+    ...value,
+    timesRedeemed: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Discount a code gives on an amount, never more than the amount itself
+export const calculatePromoDiscount = (promo, amount, currency = promo.currency) => {
+  const discount = promo.discountType === PROMO_DISCOUNT_TYPES.PERCENT
+    ? amount * promo.percentOff / 100
+    : promo.amountOff;
+  return roundMoney(Math.min(amount, discount), currency);
+};
+
+export default {
+  PROMO_DISCOUNT_TYPES,
+  PROMO_SCOPES,
+  PROMO_DURATIONS,
+  normalizePromoCode,
+  promoCodeSchema,
+  promoCodeUpdateSchema,
+  createPromoCodeDocument,
+  calculatePromoDiscount
+};
@@ -1,11 +1,12 @@
 import Joi from 'joi';
+import { normalizeCurrency } from './Money.js';
 
 // Provider Plan Schema
 export const providerPlanSchema = Joi.object({
   providerId: Joi.string().required(),
   planName: Joi.string().valid('free', 'basic', 'premium', 'enterprise').required(),
   planType: Joi.string().valid('monthly', 'yearly').required(),
-  status: Joi.string().valid('active', 'expired', 'cancelled', 'pending').default('pending'),
+  status: Joi.string().valid('active', 'past_due', 'expired', 'cancelled', 'pending').default('pending'),
   startDate: Joi.date().default(Date.now),
   endDate: Joi.date().required(),
   daysRemaining: Joi.number().integer().min(0).default(0),
@@ -14,9 +15,17 @@ export const providerPlanSchema = Joi.object({
   stripeSubscriptionId: Joi.string().allow(null, ''),
   stripeCustomerId: Joi.string().allow(null, ''),
   stripePaymentIntentId: Joi.string().allow(null, ''),
+  stripePriceId: Joi.string().allow(null, ''),
+  // Set while a renewal payment is failing; the plan stays usable until then
+  gracePeriodEndsAt: Joi.date().allow(null),
+  // Free trial: when the current trial ends, and when the provider first
+  // started one (each provider gets one trial)
+  trialEndsAt: Joi.date().allow(null),
+  trialUsedAt: Joi.date().allow(null),
+  promoCode: Joi.string().allow(null),
   features: Joi.object({
-    maxListings: Joi.number().integer().min(0).default(5),
-    maxImages: Joi.number().integer().min(0).default(10),
+    maxListings: Joi.number().integer().min(-1).default(5), // -1 = unlimited
+    maxImages: Joi.number().integer().min(-1).default(10), // -1 = unlimited
     prioritySupport: Joi.boolean().default(false),
     analytics: Joi.boolean().default(false),
     customDomain: Joi.boolean().default(false),
@@ -24,16 +33,24 @@ export const providerPlanSchema = Joi.object({
     whiteLabel: Joi.boolean().default(false)
   }).default(),
   autoRenew: Joi.boolean().default(true),
+  upgradePrice: Joi.number().min(0),
+  previousPlan: Joi.string().allow(null),
+  renewedAt: Joi.date().allow(null),
   createdAt: Joi.date().default(Date.now),
   updatedAt: Joi.date().default(Date.now)
 });
 
+// Currency plan prices are set in. `localPrices` are fixed prices in other
+// currencies, so they stay round instead of following exchange rates.
+export const PLAN_CURRENCY = 'USD';
+
 // Plan Configuration
 export const PLAN_CONFIG = {
   free: {
     name: 'Free',
     monthly: { price: 0, days: 30 },
     yearly: { price: 0, days: 365 },
+    trialDays: 0,
     features: {
       maxListings: 5,
       maxImages: 10,
@@ -46,8 +63,9 @@ export const PLAN_CONFIG = {
   },
   basic: {
     name: 'Basic',
-    monthly: { price: 29.99, days: 30 },
-    yearly: { price: 299.99, days: 365 },
+    monthly: { price: 29.99, days: 30, localPrices: { CAD: 39.99, EUR: 27.99 } },
+    yearly: { price: 299.99, days: 365, localPrices: { CAD: 399.99, EUR: 279.99 } },
+    trialDays: 14,
     features: {
       maxListings: 25,
       maxImages: 50,
@@ -60,8 +78,9 @@ export const PLAN_CONFIG = {
   },
   premium: {
     name: 'Premium',
-    monthly: { price: 59.99, days: 30 },
-    yearly: { price: 599.99, days: 365 },
+    monthly: { price: 59.99, days: 30, localPrices: { CAD: 79.99, EUR: 54.99 } },
+    yearly: { price: 599.99, days: 365, localPrices: { CAD: 799.99, EUR: 549.99 } },
+    trialDays: 14,
     features: {
       maxListings: 100,
       maxImages: 200,
@@ -74,8 +93,9 @@ export const PLAN_CONFIG = {
   },
   enterprise: {
     name: 'Enterprise',
-    monthly: { price: 99.99, days: 30 },
-    yearly: { price: 999.99, days: 365 },
+    monthly: { price: 99.99, days: 30, localPrices: { CAD: 134.99, EUR: 92.99 } },
+    yearly: { price: 999.99, days: 365, localPrices: { CAD: 1349.99, EUR: 929.99 } },
+    trialDays: 14,
     features: {
       maxListings: -1, // unlimited
       maxImages: -1, // unlimited
@@ -88,55 +108,91 @@ export const PLAN_CONFIG = {
   }
 };
 
+// Days a plan keeps working after a renewal payment fails
+export const PLAN_GRACE_PERIOD_DAYS = parseInt(process.env.PLAN_GRACE_PERIOD_DAYS) || 7;
+
+// Plans from lowest to highest tier
+export const PLAN_HIERARCHY = ['free', 'basic', 'premium', 'enterprise'];
+
 // Helper functions
 export const calculateEndDate = (planType, startDate = new Date()) => {
   const endDate = new Date(startDate);
-  const days = PLAN_CONFIG[planType]?.monthly?.days || 30;
+  // Billing periods are the same length for every plan
+  const days = PLAN_CONFIG.free[planType]?.days || 30;
   endDate.setDate(endDate.getDate() + days);
   return endDate;
 };
 
 export const calculateDaysRemaining = (endDate) => {
   const now = new Date();
-  const end = new Date(endDate);
+  // Plans read back from Firestore hold a Timestamp rather than a Date
+  const end = typeof endDate?.toDate === 'function' ? endDate.toDate() : new Date(endDate);
   const diffTime = end - now;
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   return Math.max(0, diffDays);
 };
 
-export const getPlanPrice = (planName, planType) => {
-  return PLAN_CONFIG[planName]?.[planType]?.price || 0;
+// Price of a plan in a currency; 0 when the plan is free or not sold in it
+export const getPlanPrice = (planName, planType, currency = PLAN_CURRENCY) => {
+  const config = PLAN_CONFIG[planName]?.[planType];
+  const code = normalizeCurrency(currency);
+  if (code === PLAN_CURRENCY) {
+    return config?.price || 0;
+  }
+  return config?.localPrices?.[code] || 0;
+};
+
+// Currencies a plan can be paid in for a billing interval
+export const getPlanCurrencies = (planName, planType) => {
+  const config = PLAN_CONFIG[planName]?.[planType];
+  if (!(config?.price > 0)) return [];
+  return [PLAN_CURRENCY, ...Object.keys(config.localPrices || {})];
+};
+
+// Free-trial days a plan starts with on its first checkout
+export const getPlanTrialDays = (planName) => {
+  return PLAN_CONFIG[planName]?.trialDays || 0;
 };
 
 export const getPlanFeatures = (planName) => {
   return PLAN_CONFIG[planName]?.features || PLAN_CONFIG.free.features;
 };
 
+const toDate = (value) => (typeof value?.toDate === 'function' ? value.toDate() : new Date(value));
+
 export const isPlanActive = (plan) => {
   if (!plan) return false;
+  // A plan whose renewal failed keeps working until its grace period ends
+  if (plan.status === 'past_due') {
+    return Boolean(plan.gracePeriodEndsAt) && toDate(plan.gracePeriodEndsAt) > new Date();
+  }
   if (plan.status !== 'active') return false;
   return plan.daysRemaining > 0;
 };
 
 export const canUpgrade = (currentPlan, newPlan) => {
-  const planHierarchy = ['free', 'basic', 'premium', 'enterprise'];
-  const currentIndex = planHierarchy.indexOf(currentPlan);
-  const newIndex = planHierarchy.indexOf(newPlan);
+  const currentIndex = PLAN_HIERARCHY.indexOf(currentPlan);
+  const newIndex = PLAN_HIERARCHY.indexOf(newPlan);
   return newIndex > currentIndex;
 };
 
-export const getUpgradePrice = (currentPlan, newPlan, planType) => {
-  const currentPrice = getPlanPrice(currentPlan, planType);
-  const newPrice = getPlanPrice(newPlan, planType);
+export const getUpgradePrice = (currentPlan, newPlan, planType, currency = PLAN_CURRENCY) => {
+  const currentPrice = getPlanPrice(currentPlan, planType, currency);
+  const newPrice = getPlanPrice(newPlan, planType, currency);
   return Math.max(0, newPrice - currentPrice);
 };
 
 export default {
   providerPlanSchema,
+  PLAN_CURRENCY,
   PLAN_CONFIG,
+  PLAN_HIERARCHY,
+  PLAN_GRACE_PERIOD_DAYS,
   calculateEndDate,
   calculateDaysRemaining,
   getPlanPrice,
+  getPlanCurrencies,
+  getPlanTrialDays,
   getPlanFeatures,
   isPlanActive,
   canUpgrade,
@@ -0,0 +1,99 @@
+// Provider schedule exceptions: blackout dates, vacations and extra hours
+import Joi from 'joi';
+
+// Exception types
+export const SCHEDULE_EXCEPTION_TYPES = {
+  BLACKOUT: 'blackout',       // a holiday or blocked hours on specific dates
+  VACATION: 'vacation',       // a range of days off
+  EXTRA_HOURS: 'extra_hours'  // additional working hours on specific dates
+};
+
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// 'H:MM' or 'HH:MM' -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Schedule exception schema. Dates are calendar days (YYYY-MM-DD) so that a
+// holiday blocks the same day regardless of server timezone.
+export const scheduleExceptionSchema = Joi.object({
+  type: Joi.string().valid(...Object.values(SCHEDULE_EXCEPTION_TYPES)).required().messages({
+    'any.only': `Type must be one of: ${Object.values(SCHEDULE_EXCEPTION_TYPES).join(', ')}`,
+    'any.required': 'Type is required'
+  }),
+  startDate: Joi.string().pattern(datePattern).required().messages({
+    'string.pattern.base': 'Start date must be in YYYY-MM-DD format',
+    'any.required': 'Start date is required'
+  }),
+  endDate: Joi.string().pattern(datePattern).optional().messages({
+    'string.pattern.base': 'End date must be in YYYY-MM-DD format'
+  }),
+  // Blackouts without times block the whole day; extra hours always need times
+  startTime: Joi.string().pattern(timePattern).when('type', {
+    is: SCHEDULE_EXCEPTION_TYPES.EXTRA_HOURS,
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }).messages({
+    'string.pattern.base': 'Start time must be in HH:MM format',
+    'any.required': 'Start time is required for extra hours'
+  }),
+  endTime: Joi.string().pattern(timePattern).when('startTime', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'End time must be in HH:MM format',
+    'any.required': 'End time is required when start time is set',
+    'any.unknown': 'End time requires a start time'
+  }),
+  reason: Joi.string().max(200).allow('').optional()
+}).custom((value, helpers) => {
+  if (!value.endDate) {
+    value.endDate = value.startDate;
+  }
+  if (value.endDate < value.startDate) {
+    return helpers.message('End date must not be before start date');
+  }
+  if (value.type === SCHEDULE_EXCEPTION_TYPES.VACATION && value.startTime) {
+    return helpers.message('Vacations block whole days and cannot have times');
+  }
+  if (value.startTime && toMinutes(value.endTime) <= toMinutes(value.startTime)) {
+    return helpers.message('End time must be after start time');
+  }
+  return value;
+});
+
+// Validate and build a schedule exception document
+export const createScheduleExceptionDocument = (exceptionData, providerId) => {
+  const { error, value } = scheduleExceptionSchema.validate(exceptionData, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+  }
+
+  const now = new Date();
+  return {
+    ...value,
+    providerId,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Whether an exception applies to a calendar day (YYYY-MM-DD)
+export const exceptionCoversDate = (exception, date) => {
+  return exception.startDate <= date && date <= (exception.endDate || exception.startDate);
+};
+
+export default {
+  SCHEDULE_EXCEPTION_TYPES,
+  scheduleExceptionSchema,
+  createScheduleExceptionDocument,
+  exceptionCoversDate
+};
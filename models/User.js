@@ -51,7 +51,8 @@ export const clientSchema = baseUserSchema.keys({
   preferences: Joi.object({
     notifications: Joi.boolean().default(true),
     emailUpdates: Joi.boolean().default(true),
-    smsUpdates: Joi.boolean().default(false)
+    smsUpdates: Joi.boolean().default(false),
+    pushUpdates: Joi.boolean().default(true)
   }).default({}),
   subscription: Joi.object({
     plan: Joi.string().valid('basic', 'professional', 'advanced').default('basic'),
@@ -116,9 +116,9 @@ router.get('/:id', verifyToken, async (req, res, next) => {
 router.get('/provider/:providerId', validatePagination, async (req, res, next) => {
   try {
     const { providerId } = req.params;
-    const { page, limit } = req.query;
+    const { page, limit, cursor } = req.query;
     
-    const result = await getProviderFeedbacks(providerId, page, limit);
+    const result = await getProviderFeedbacks(providerId, page, limit, cursor);
     
     if (result.success) {
       res.json(result);
@@ -136,9 +136,9 @@ router.get('/provider/:providerId', validatePagination, async (req, res, next) =
 router.get('/client/my', verifyToken, validatePagination, async (req, res, next) => {
   try {
     const clientId = req.user.uid;
-    const { page, limit } = req.query;
+    const { page, limit, cursor } = req.query;
     
-    const result = await getClientFeedbacks(clientId, page, limit);
+    const result = await getClientFeedbacks(clientId, page, limit, cursor);
     
     if (result.success) {
       res.json(result);
@@ -0,0 +1,60 @@
+// Admin routes for background jobs
+import express from 'express';
+import Joi from 'joi';
+import { verifyToken, requireAdmin } from '../middleware/auth.js';
+import { validateQuery } from '../middleware/validation.js';
+import jobScheduler, { JOB_RUN_STATUS, JOB_TRIGGERS } from '../services/jobScheduler.js';
+
+const router = express.Router();
+
+const runsQuerySchema = Joi.object({
+  job: Joi.string().optional(),
+  status: Joi.string().valid(...Object.values(JOB_RUN_STATUS)).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+// List registered jobs with their last and next run
+router.get('/', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const jobs = await jobScheduler.getJobs();
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    res.status(500).json({ success: false, error: 'Failed to get jobs' });
+  }
+});
+
+// List job runs, newest first
+router.get('/runs', verifyToken, requireAdmin, validateQuery(runsQuerySchema), async (req, res) => {
+  try {
+    const result = await jobScheduler.getRuns(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error getting job runs:', error);
+    const status = error.message.includes('Invalid cursor') ? 400 : 500;
+    res.status(status).json({ success: false, error: status === 400 ? error.message : 'Failed to get job runs' });
+  }
+});
+
+// Run a job now, whether or not it is due
+router.post('/:name/run', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const run = await jobScheduler.runJob(req.params.name, {
+      trigger: JOB_TRIGGERS.MANUAL,
+      triggeredBy: req.user.uid
+    });
+
+    if (!run) {
+      return res.status(409).json({ success: false, error: 'Job is already running' });
+    }
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Error running job:', error);
+    const status = error.message.includes('Job not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: status === 404 ? error.message : 'Failed to run job' });
+  }
+});
+
+export default router;
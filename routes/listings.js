@@ -2,7 +2,9 @@
 import express from 'express';
 import multer from 'multer';
 import listingService from '../services/listingService.js';
+import availabilityService from '../services/availabilityService.js';
 import { verifyToken, requireProvider } from '../middleware/auth.js';
+import { requireListingQuota, requireActiveListingQuota, requireImageQuota } from '../middleware/entitlements.js';
 
 const router = express.Router();
 
@@ -35,7 +37,7 @@ const handleMulterError = (error, req, res, next) => {
 // -----------------------------
 const sendError = (res, error, defaultMsg, codes = {}) => {
   console.error(defaultMsg, error);
-  const status = Object.entries(codes).find(([key]) => error.message?.includes(key))?.[1] || 500;
+  const status = error.status || Object.entries(codes).find(([key]) => error.message?.includes(key))?.[1] || 500;
   res.status(status).json({ success: false, message: error.message || defaultMsg });
 };
 
@@ -57,7 +59,7 @@ router.get('/', async (req, res) => {
     const result = await listingService.getListings(req.query);
     res.json({ success: true, data: result, message: 'Listings retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve listings');
+    sendError(res, error, 'Failed to retrieve listings', { 'Filter validation error': 400, 'Invalid cursor': 400 });
   }
 });
 
@@ -70,7 +72,7 @@ router.get('/search', async (req, res) => {
     const result = await listingService.searchListings(searchTerm, filters);
     res.json({ success: true, data: result, message: 'Search completed successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to search listings');
+    sendError(res, error, 'Failed to search listings', { 'Filter validation error': 400 });
   }
 });
 
@@ -84,18 +86,28 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/listings/:id/availability?from=&to=&duration=
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const availability = await availabilityService.getListingAvailability(req.params.id, req.query);
+    res.json({ success: true, data: availability, message: 'Availability retrieved successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve availability', { 'not found': 404, 'Invalid date range': 400, 'Invalid duration': 400 });
+  }
+});
+
 // GET /api/listings/provider/:providerId
 router.get('/provider/:providerId', async (req, res) => {
   try {
     const result = await listingService.getListingsByProvider(req.params.providerId, req.query);
     res.json({ success: true, data: result, message: 'Provider listings retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve provider listings');
+    sendError(res, error, 'Failed to retrieve provider listings', { 'Filter validation error': 400, 'Invalid cursor': 400 });
   }
 });
 
 // POST /api/listings
-router.post('/', verifyToken, requireProvider, async (req, res) => {
+router.post('/', verifyToken, requireProvider, requireListingQuota, async (req, res) => {
   try {
     const listing = await listingService.createListing(req.body, req.user.uid);
     res.status(201).json({ success: true, data: listing, message: 'Listing created successfully' });
@@ -105,7 +117,7 @@ router.post('/', verifyToken, requireProvider, async (req, res) => {
 });
 
 // POST /api/listings/:id/images
-router.post('/:id/images', verifyToken, requireProvider, upload.array('images', 10), handleMulterError, async (req, res) => {
+router.post('/:id/images', verifyToken, requireProvider, upload.array('images', 10), handleMulterError, requireImageQuota, async (req, res) => {
   try {
     if (!req.files?.length) return res.status(400).json({ success: false, message: 'No images provided' });
 
@@ -132,7 +144,7 @@ router.post('/:id/images', verifyToken, requireProvider, upload.array('images',
 });
 
 // PUT /api/listings/:id
-router.put('/:id', verifyToken, requireProvider, async (req, res) => {
+router.put('/:id', verifyToken, requireProvider, requireActiveListingQuota, async (req, res) => {
   try {
     const updatedListing = await listingService.updateListing(req.params.id, req.body, req.user.uid);
     res.json({ success: true, data: updatedListing, message: 'Listing updated successfully' });
@@ -142,7 +154,7 @@ router.put('/:id', verifyToken, requireProvider, async (req, res) => {
 });
 
 // PATCH /api/listings/:id/status
-router.patch('/:id/status', verifyToken, requireProvider, async (req, res) => {
+router.patch('/:id/status', verifyToken, requireProvider, requireActiveListingQuota, async (req, res) => {
   try {
     if (!req.body.status) return res.status(400).json({ success: false, message: 'Status is required' });
 
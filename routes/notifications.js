@@ -0,0 +1,120 @@
+// Notification routes: the signed-in user's in-app inbox and the devices
+// they receive push notifications on
+import express from 'express';
+import Joi from 'joi';
+import { verifyToken } from '../middleware/auth.js';
+import { validateQuery } from '../middleware/validation.js';
+import notificationService from '../services/notificationService.js';
+import pushService from '../services/pushService.js';
+import { getNotificationConfig } from '../config/notifications.js';
+
+const router = express.Router();
+
+const listQuerySchema = Joi.object({
+  unread: Joi.boolean().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const sendError = (res, error, defaultMsg, codes = {}) => {
+  console.error(defaultMsg, error);
+  const status = Object.entries(codes).find(([key]) => error.message?.includes(key))?.[1] || 500;
+  res.status(status).json({ success: false, message: status === 500 ? defaultMsg : error.message });
+};
+
+// List notifications, newest first. `unread=true` lists only unread ones.
+router.get('/', verifyToken, validateQuery(listQuerySchema), async (req, res) => {
+  try {
+    const result = await notificationService.getNotifications(req.user.uid, req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to get notifications', { 'Invalid cursor': 400 });
+  }
+});
+
+// Number of unread notifications, for the bell badge
+router.get('/unread-count', verifyToken, async (req, res) => {
+  try {
+    const count = await notificationService.getUnreadCount(req.user.uid);
+    res.json({ success: true, data: { count } });
+  } catch (error) {
+    sendError(res, error, 'Failed to count unread notifications');
+  }
+});
+
+// VAPID public key browsers need to create a Web Push subscription
+router.get('/devices/web-push-key', (req, res) => {
+  const { publicKey } = getNotificationConfig().webPush;
+  if (!publicKey) {
+    return res.status(503).json({ success: false, message: 'Web push is not configured' });
+  }
+  res.json({ success: true, data: { publicKey } });
+});
+
+// List your push devices
+router.get('/devices', verifyToken, async (req, res) => {
+  try {
+    const devices = await pushService.getDevices(req.user.uid);
+    res.json({ success: true, data: devices });
+  } catch (error) {
+    sendError(res, error, 'Failed to get push devices');
+  }
+});
+
+// Register a device: { type: 'fcm', token } from the mobile apps or
+// { type: 'web', subscription } from a browser's PushManager
+router.post('/devices', verifyToken, async (req, res) => {
+  try {
+    const device = await pushService.registerDevice(req.user.uid, req.body);
+    res.status(201).json({ success: true, data: device, message: 'Device registered' });
+  } catch (error) {
+    sendError(res, error, 'Failed to register push device', { 'Validation error': 400 });
+  }
+});
+
+router.delete('/devices/:deviceId', verifyToken, async (req, res) => {
+  try {
+    await pushService.removeDevice(req.params.deviceId, req.user.uid);
+    res.json({ success: true, message: 'Device removed' });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove push device', { 'Device not found': 404 });
+  }
+});
+
+router.put('/read-all', verifyToken, async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.uid);
+    res.json({ success: true, data: { updated }, message: 'Notifications marked as read' });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark notifications read');
+  }
+});
+
+router.put('/:id/read', verifyToken, async (req, res) => {
+  try {
+    const notification = await notificationService.setRead(req.params.id, req.user.uid, true);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    sendError(res, error, 'Failed to update notification', { 'Notification not found': 404 });
+  }
+});
+
+router.put('/:id/unread', verifyToken, async (req, res) => {
+  try {
+    const notification = await notificationService.setRead(req.params.id, req.user.uid, false);
+    res.json({ success: true, data: notification });
+  } catch (error) {
+    sendError(res, error, 'Failed to update notification', { 'Notification not found': 404 });
+  }
+});
+
+router.delete('/:id', verifyToken, async (req, res) => {
+  try {
+    await notificationService.deleteNotification(req.params.id, req.user.uid);
+    res.json({ success: true, message: 'Notification deleted' });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete notification', { 'Notification not found': 404 });
+  }
+});
+
+export default router;
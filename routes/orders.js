@@ -1,7 +1,15 @@
 // routes/orders.js
 import express from 'express';
+import multer from 'multer';
+import Joi from 'joi';
 import orderService from '../services/orderService.js';
+import calendarService from '../services/calendarService.js';
+import disputeService from '../services/disputeService.js';
+import orderMessageService from '../services/orderMessageService.js';
+import { MESSAGE_ATTACHMENT_TYPES, MAX_MESSAGE_ATTACHMENTS, MAX_MESSAGE_ATTACHMENT_SIZE } from '../models/OrderMessage.js';
+import { validate, validateQuery } from '../middleware/validation.js';
 import { verifyToken, requireClient, requireProvider, requireAdmin } from '../middleware/auth.js';
+import { requireFeature } from '../middleware/entitlements.js';
 
 const router = express.Router();
 
@@ -28,17 +36,94 @@ const ensureOwnership = (order, userId, userType) => {
   }
 };
 
+const ensureCalendarAccess = (providerId, userId, userType) => {
+  if (userType !== 'admin' && !(userType === 'provider' && userId === providerId)) {
+    const err = new Error('Unauthorized: You can only manage your own calendar feed');
+    err.status = 403;
+    throw err;
+  }
+};
+
+// Dispute evidence files, sent on to Stripe (which takes PDF, JPEG and PNG)
+const EVIDENCE_FILE_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+const EVIDENCE_FILE_TYPE_ERROR = 'Only PDF, JPEG and PNG files are allowed';
+const ATTACHMENT_FILE_TYPE_ERROR = 'Only JPEG, PNG, WebP, HEIC and PDF files can be attached';
+
+const EVIDENCE_FILE_SIZE = 4 * 1024 * 1024; // 4MB
+
+const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: EVIDENCE_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    EVIDENCE_FILE_TYPES.includes(file.mimetype)
+      ? cb(null, true)
+      : cb(new Error(EVIDENCE_FILE_TYPE_ERROR), false);
+  }
+});
+
+// Message attachments, kept in Firebase Storage
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MESSAGE_ATTACHMENT_SIZE, files: MAX_MESSAGE_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    MESSAGE_ATTACHMENT_TYPES.includes(file.mimetype)
+      ? cb(null, true)
+      : cb(new Error(ATTACHMENT_FILE_TYPE_ERROR), false);
+  }
+});
+
+// Upload errors as 400s, for an upload whose files can be `maxSize` bytes
+const handleMulterError = (maxSize) => (error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const message = error.code === 'LIMIT_FILE_SIZE' ? `File too large. Max size is ${maxSize / (1024 * 1024)}MB.` : error.message;
+    return res.status(400).json({ success: false, message });
+  }
+  if ([EVIDENCE_FILE_TYPE_ERROR, ATTACHMENT_FILE_TYPE_ERROR].includes(error.message)) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  next(error);
+};
+
+const messageListQuerySchema = Joi.object({
+  threadId: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const disputeEvidenceSchema = Joi.object({
+  notes: Joi.string().trim().max(5000).allow('').default(''),
+  submit: Joi.boolean().default(false)
+});
+
+const buildCalendarFeedUrl = (req, providerId, token) => {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/orders/provider/${encodeURIComponent(providerId)}/calendar.ics?token=${token}`;
+};
+
 // -----------------------------
 // Public Routes (No Auth Required)
 // -----------------------------
 
-// GET /api/orders/statistics - Get public order statistics
-router.get('/statistics', async (req, res) => {
+// GET /api/orders/provider/:providerId/calendar.ics - Provider bookings as an iCalendar feed
+// Calendar apps cannot send auth headers, so the feed is protected by a secret token
+router.get('/provider/:providerId/calendar.ics', async (req, res) => {
   try {
-    const stats = await orderService.getOrderStatistics(req.query);
-    res.json({ success: true, data: stats, message: 'Order statistics retrieved successfully' });
+    const { providerId } = req.params;
+    const isValid = await calendarService.verifyFeedToken(providerId, req.query.token);
+
+    if (!isValid) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const calendar = await calendarService.buildProviderCalendar(providerId);
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="bookings.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(calendar);
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve order statistics');
+    sendError(res, error, 'Failed to build calendar feed');
   }
 });
 
@@ -46,13 +131,23 @@ router.get('/statistics', async (req, res) => {
 // Protected Routes (Auth Required)
 // -----------------------------
 
+// GET /api/orders/statistics - Get order statistics across all orders (admin)
+router.get('/statistics', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const stats = await orderService.getOrderStatistics(req.query);
+    res.json({ success: true, data: stats, message: 'Order statistics retrieved successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve order statistics', { 'Invalid filters': 400 });
+  }
+});
+
 // GET /api/orders - Get orders (with filters)
 router.get('/', verifyToken, async (req, res) => {
   try {
     const result = await orderService.getOrders(req.query);
     res.json({ success: true, data: result, message: 'Orders retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve orders');
+    sendError(res, error, 'Failed to retrieve orders', { 'Invalid filters': 400, 'Invalid cursor': 400 });
   }
 });
 
@@ -74,7 +169,7 @@ router.get('/my', verifyToken, async (req, res) => {
     
     res.json({ success: true, data: result, message: 'User orders retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve user orders');
+    sendError(res, error, 'Failed to retrieve user orders', { 'Invalid filters': 400, 'Invalid cursor': 400 });
   }
 });
 
@@ -96,7 +191,7 @@ router.get('/customer/:customerId', verifyToken, async (req, res) => {
     const result = await orderService.getOrdersByCustomer(customerId, req.query);
     res.json({ success: true, data: result, message: 'Customer orders retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve customer orders');
+    sendError(res, error, 'Failed to retrieve customer orders', { 'Invalid filters': 400, 'Invalid cursor': 400 });
   }
 });
 
@@ -118,7 +213,41 @@ router.get('/provider/:providerId', verifyToken, async (req, res) => {
     const result = await orderService.getOrdersByProvider(providerId, req.query);
     res.json({ success: true, data: result, message: 'Provider orders retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve provider orders');
+    sendError(res, error, 'Failed to retrieve provider orders', { 'Invalid filters': 400, 'Invalid cursor': 400 });
+  }
+});
+
+// GET /api/orders/provider/:providerId/calendar - Get the provider's calendar feed URL
+router.get('/provider/:providerId/calendar', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    ensureCalendarAccess(providerId, req.user.uid, req.user.userType);
+
+    const token = await calendarService.getFeedToken(providerId);
+    res.json({
+      success: true,
+      data: { url: buildCalendarFeedUrl(req, providerId, token) },
+      message: 'Calendar feed retrieved successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve calendar feed', { 'Unauthorized': 403 });
+  }
+});
+
+// POST /api/orders/provider/:providerId/calendar/rotate-token - Replace the calendar feed token
+router.post('/provider/:providerId/calendar/rotate-token', verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    ensureCalendarAccess(providerId, req.user.uid, req.user.userType);
+
+    const token = await calendarService.rotateFeedToken(providerId);
+    res.json({
+      success: true,
+      data: { url: buildCalendarFeedUrl(req, providerId, token) },
+      message: 'Calendar feed token rotated successfully'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to rotate calendar feed token', { 'Unauthorized': 403 });
   }
 });
 
@@ -140,6 +269,16 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
+// POST /api/orders/quote - Get a server-side price quote for a booking
+router.post('/quote', verifyToken, async (req, res) => {
+  try {
+    const quote = await orderService.quoteOrder(req.body);
+    res.json({ success: true, data: quote, message: 'Quote calculated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to calculate quote', { 'Validation error': 400, 'Listing not found': 404 });
+  }
+});
+
 // POST /api/orders - Create new order (customers only)
 router.post('/', verifyToken, requireClient, async (req, res) => {
   try {
@@ -149,7 +288,7 @@ router.post('/', verifyToken, requireClient, async (req, res) => {
     const order = await orderService.createOrder(orderData, customerId);
     res.status(201).json({ success: true, data: order, message: 'Order created successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to create order', { 'Validation error': 400 });
+    sendError(res, error, 'Failed to create order', { 'Validation error': 400, 'Price mismatch': 400, 'Listing not found': 404, 'Slot unavailable': 409 });
   }
 });
 
@@ -164,7 +303,7 @@ router.put('/:id', verifyToken, async (req, res) => {
     const order = await orderService.updateOrder(id, updateData, userId, userType);
     res.json({ success: true, data: order, message: 'Order updated successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to update order', { 'Order not found': 404, 'Unauthorized': 403, 'Validation error': 400 });
+    sendError(res, error, 'Failed to update order', { 'Order not found': 404, 'Unauthorized': 403, 'Validation error': 400, 'Invalid status transition': 400 });
   }
 });
 
@@ -172,19 +311,19 @@ router.put('/:id', verifyToken, async (req, res) => {
 router.put('/:id/status', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const userId = req.user.uid;
     const userType = req.user.userType;
     
-    const order = await orderService.updateOrderStatus(id, status, userId, userType);
+    const order = await orderService.updateOrderStatus(id, status, userId, userType, reason);
     res.json({ success: true, data: order, message: 'Order status updated successfully' });
   } catch (error) {
     sendError(res, error, 'Failed to update order status', { 'Order not found': 404, 'Unauthorized': 403, 'Invalid status': 400 });
   }
 });
 
-// PUT /api/orders/:id/payment-status - Update payment status
-router.put('/:id/payment-status', verifyToken, async (req, res) => {
+// PUT /api/orders/:id/payment-status - Override the payment status (admin)
+router.put('/:id/payment-status', verifyToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
     const { paymentStatus } = req.body;
@@ -194,11 +333,12 @@ router.put('/:id/payment-status', verifyToken, async (req, res) => {
     const order = await orderService.updatePaymentStatus(id, paymentStatus, userId, userType);
     res.json({ success: true, data: order, message: 'Payment status updated successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to update payment status', { 'Order not found': 404, 'Unauthorized': 403, 'Invalid status': 400 });
+    sendError(res, error, 'Failed to update payment status', { 'Order not found': 404, 'Unauthorized': 403, 'Invalid payment status': 400 });
   }
 });
 
-// POST /api/orders/:id/payment - Create payment session for order
+// POST /api/orders/:id/payment - Create payment session for order, or for one
+// of its payment milestones (`milestoneId`, defaults to the next one due)
 router.post('/:id/payment', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -213,10 +353,49 @@ router.post('/:id/payment', verifyToken, async (req, res) => {
       });
     }
     
-    const result = await orderService.createPaymentSession(id, userId);
+    const result = await orderService.createPaymentSession(id, userId, req.body?.milestoneId);
     res.json({ success: true, data: result, message: 'Payment session created successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to create payment session', { 'Order not found': 404, 'Unauthorized': 403, 'Invalid order status': 400 });
+    sendError(res, error, 'Failed to create payment session', {
+      'Order not found': 404,
+      'Payment milestone not found': 404,
+      'Unauthorized': 403,
+      'not in a payable state': 400,
+      'already been paid': 409,
+      'Payment milestone already paid': 409,
+      'Payment milestone not due': 400,
+      'Listing not found': 404,
+      'Slot unavailable': 409
+    });
+  }
+});
+
+// POST /api/orders/:id/authorization - Place a new card hold on an emergency
+// booking, e.g. after the first one failed or lapsed
+router.post('/:id/authorization', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.uid;
+    const userType = req.user.userType;
+    
+    if (userType !== 'client') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only customers can authorize payments'
+      });
+    }
+    
+    const result = await orderService.authorizeOrderPayment(id, userId);
+    res.json({ success: true, data: result, message: 'Payment authorization created successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to authorize payment', {
+      'Order not found': 404,
+      'Unauthorized': 403,
+      'not an emergency booking': 400,
+      'not in a payable state': 400,
+      'already authorized': 409,
+      'already been paid': 409
+    });
   }
 });
 
@@ -231,22 +410,128 @@ router.post('/:id/cancel', verifyToken, async (req, res) => {
     const order = await orderService.cancelOrder(id, cancellationData, userId, userType);
     res.json({ success: true, data: order, message: 'Order cancelled successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to cancel order', { 'Order not found': 404, 'Unauthorized': 403, 'Cannot cancel': 400 });
+    sendError(res, error, 'Failed to cancel order', { 'Order not found': 404, 'Unauthorized': 403, 'Invalid status transition': 400 });
   }
 });
 
-// POST /api/orders/:id/messages - Add message to order
-router.post('/:id/messages', verifyToken, async (req, res) => {
+// POST /api/orders/:id/refund - Refund a paid order, fully or partially (admin/provider only)
+router.post('/:id/refund', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const messageData = req.body;
+    const { amount, reason } = req.body;
     const userId = req.user.uid;
     const userType = req.user.userType;
     
-    const order = await orderService.addMessage(id, messageData, userId, userType);
-    res.json({ success: true, data: order, message: 'Message added successfully' });
+    if (userType !== 'admin' && userType !== 'provider') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins and providers can issue refunds'
+      });
+    }
+    
+    const order = await orderService.refundOrder(id, { amount, reason }, userId, userType);
+    res.json({ success: true, data: order, message: 'Refund issued successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to refund order', { 'Order not found': 404, 'Unauthorized': 403, 'Cannot refund': 400, 'Invalid refund amount': 400 });
+  }
+});
+
+// POST /api/orders/:id/dispute/evidence - Send evidence for a disputed
+// payment to Stripe (admin only). Multipart: `photos` (up to two files),
+// `notes`, and `submit` to send the evidence for review.
+router.post('/:id/dispute/evidence', verifyToken, requireAdmin, evidenceUpload.array('photos', 2), handleMulterError(EVIDENCE_FILE_SIZE), validate(disputeEvidenceSchema), async (req, res) => {
+  try {
+    const order = await disputeService.submitEvidence(req.params.id, req.body, req.files || []);
+    res.json({
+      success: true,
+      data: order,
+      message: req.body.submit ? 'Dispute evidence submitted successfully' : 'Dispute evidence saved successfully'
+    });
   } catch (error) {
-    sendError(res, error, 'Failed to add message', { 'Order not found': 404, 'Unauthorized': 403 });
+    sendError(res, error, 'Failed to submit dispute evidence', {
+      'Order not found': 404,
+      'Order has no dispute': 404,
+      'not awaiting evidence': 409,
+      'Could not upload evidence file': 502
+    });
+  }
+});
+
+// GET /api/orders/:id/messages - Top-level messages, or a thread's replies
+// with `threadId`, newest first
+router.get('/:id/messages', verifyToken, validateQuery(messageListQuerySchema), async (req, res) => {
+  try {
+    const result = await orderMessageService.getMessages(req.params.id, req.user.uid, req.user.userType, req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to retrieve messages', { 'Order not found': 404, 'Unauthorized': 403, 'Invalid cursor': 400 });
+  }
+});
+
+// POST /api/orders/:id/messages - Send a message (`message`, optional
+// `threadId` to reply) with up to four `attachments`
+router.post('/:id/messages', verifyToken, attachmentUpload.array('attachments', MAX_MESSAGE_ATTACHMENTS), handleMulterError(MAX_MESSAGE_ATTACHMENT_SIZE), async (req, res) => {
+  try {
+    const message = await orderMessageService.sendMessage(req.params.id, req.body, req.files || [], req.user.uid, req.user.userType);
+    res.status(201).json({ success: true, data: message, message: 'Message sent successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to send message', {
+      'Order not found': 404,
+      'Thread not found': 404,
+      'Unauthorized': 403,
+      'Validation error': 400
+    });
+  }
+});
+
+// GET /api/orders/:id/messages/unread-count - Messages you have not read yet
+router.get('/:id/messages/unread-count', verifyToken, async (req, res) => {
+  try {
+    const count = await orderMessageService.getUnreadCount(req.params.id, req.user.uid, req.user.userType);
+    res.json({ success: true, data: { count } });
+  } catch (error) {
+    sendError(res, error, 'Failed to get unread message count', { 'Order not found': 404, 'Unauthorized': 403 });
+  }
+});
+
+// POST /api/orders/:id/messages/read - Mark the conversation read
+router.post('/:id/messages/read', verifyToken, async (req, res) => {
+  try {
+    const read = await orderMessageService.markRead(req.params.id, req.user.uid, req.user.userType);
+    res.json({ success: true, data: { read }, message: 'Messages marked as read' });
+  } catch (error) {
+    sendError(res, error, 'Failed to mark messages read', { 'Order not found': 404, 'Unauthorized': 403 });
+  }
+});
+
+// POST /api/orders/:id/messages/escalate - Ask support to join the
+// conversation (customer or provider)
+router.post('/:id/messages/escalate', verifyToken, async (req, res) => {
+  try {
+    const escalation = await orderMessageService.escalate(req.params.id, req.body, req.user.uid, req.user.userType);
+    res.json({ success: true, data: escalation, message: 'Conversation escalated to support' });
+  } catch (error) {
+    sendError(res, error, 'Failed to escalate to support', {
+      'Order not found': 404,
+      'Unauthorized': 403,
+      'Validation error': 400,
+      'already escalated': 409
+    });
+  }
+});
+
+// POST /api/orders/:id/messages/escalation/resolve - Close a support
+// escalation (admin)
+router.post('/:id/messages/escalation/resolve', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const escalation = await orderMessageService.resolveEscalation(req.params.id, req.user.uid, req.user.userType);
+    res.json({ success: true, data: escalation, message: 'Escalation resolved' });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve escalation', {
+      'Order not found': 404,
+      'Unauthorized': 403,
+      'not escalated': 409
+    });
   }
 });
 
@@ -266,23 +551,25 @@ router.post('/:id/review', verifyToken, requireClient, async (req, res) => {
 });
 
 // GET /api/orders/statistics/user - Get user-specific order statistics
-router.get('/statistics/user', verifyToken, async (req, res) => {
+router.get('/statistics/user', verifyToken, requireFeature('analytics'), async (req, res) => {
   try {
     const userId = req.user.uid;
     const userType = req.user.userType;
     
-    let filters = req.query;
-    if (userType === 'customer') {
+    const filters = { ...req.query };
+    if (userType === 'client') {
       filters.customerId = userId;
     } else if (userType === 'provider') {
       filters.providerId = userId;
+    } else if (userType !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Order statistics are for customers, providers and admins' });
     }
     // Admin can see all statistics without filters
     
     const stats = await orderService.getOrderStatistics(filters);
     res.json({ success: true, data: stats, message: 'User order statistics retrieved successfully' });
   } catch (error) {
-    sendError(res, error, 'Failed to retrieve user order statistics');
+    sendError(res, error, 'Failed to retrieve user order statistics', { 'Invalid filters': 400 });
   }
 });
 
@@ -0,0 +1,123 @@
+// Provider payout routes (Stripe Connect onboarding and earnings)
+import express from 'express';
+import Joi from 'joi';
+import { verifyToken, requireProvider, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validation.js';
+import payoutService from '../services/payoutService.js';
+
+const router = express.Router();
+
+// Validation schemas
+const onboardingLinkSchema = Joi.object({
+  refreshUrl: Joi.string().pattern(/^https?:\/\/.+/).required().messages({
+    'string.pattern.base': 'Refresh URL must be a valid HTTP/HTTPS URL'
+  }),
+  returnUrl: Joi.string().pattern(/^https?:\/\/.+/).required().messages({
+    'string.pattern.base': 'Return URL must be a valid HTTP/HTTPS URL'
+  })
+});
+
+// Create a Stripe Connect onboarding link for the current provider
+router.post('/connect/onboarding-link', verifyToken, requireProvider, validate(onboardingLinkSchema), async (req, res) => {
+  try {
+    const { refreshUrl, returnUrl } = req.body;
+    const result = await payoutService.createOnboardingLink(req.user, refreshUrl, returnUrl);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        accountId: result.accountId,
+        url: result.url,
+        expiresAt: result.expiresAt
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error creating onboarding link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create onboarding link'
+    });
+  }
+});
+
+// Get the current provider's connected account status
+router.get('/connect/account', verifyToken, requireProvider, async (req, res) => {
+  try {
+    const result = await payoutService.getConnectAccountStatus(req.user.uid);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        account: result.account
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting connect account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get connect account'
+    });
+  }
+});
+
+// Get the current provider's earnings
+router.get('/earnings', verifyToken, requireProvider, async (req, res) => {
+  try {
+    const result = await payoutService.getProviderEarnings(req.user.uid);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        earnings: result.earnings
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting earnings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get earnings'
+    });
+  }
+});
+
+// Get a provider's earnings (Admin only)
+router.get('/earnings/:providerId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await payoutService.getProviderEarnings(req.params.providerId);
+
+    if (result.success) {
+      res.json({
+        success: true,
+        earnings: result.earnings
+      });
+    } else {
+      res.status(400).json({
+        success: false,
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error getting provider earnings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get provider earnings'
+    });
+  }
+});
+
+export default router;
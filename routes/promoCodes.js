@@ -0,0 +1,99 @@
+// Promo code routes: admin management and checking a code before checkout
+import express from 'express';
+import Joi from 'joi';
+import { verifyToken, requireAdmin } from '../middleware/auth.js';
+import { validate, validateQuery } from '../middleware/validation.js';
+import promoCodeService from '../services/promoCodeService.js';
+import { PROMO_SCOPES } from '../models/PromoCode.js';
+import { PLAN_CURRENCY } from '../models/ProviderPlan.js';
+import { SUPPORTED_CURRENCIES } from '../models/Money.js';
+
+const router = express.Router();
+
+const listQuerySchema = Joi.object({
+  active: Joi.boolean().optional(),
+  scope: Joi.string().valid(...Object.values(PROMO_SCOPES)).optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const validatePlanCodeSchema = Joi.object({
+  code: Joi.string().trim().max(32).required(),
+  planName: Joi.string().valid('basic', 'premium', 'enterprise').required(),
+  planType: Joi.string().valid('monthly', 'yearly').required(),
+  currency: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).default(PLAN_CURRENCY)
+});
+
+const sendError = (res, error, defaultMsg, codes = {}) => {
+  console.error(defaultMsg, error);
+  const status = Object.entries(codes).find(([key]) => error.message?.includes(key))?.[1] || 500;
+  res.status(status).json({ success: false, message: status === 500 ? defaultMsg : error.message });
+};
+
+// Check a promo code for a plan checkout and preview its discount. Order
+// codes are checked by POST /api/orders/quote with `promoCode`.
+router.post('/validate', verifyToken, validate(validatePlanCodeSchema), async (req, res) => {
+  try {
+    const { code, planName, planType, currency } = req.body;
+    const { stripeCouponId, ...promo } = await promoCodeService.validateForPlan(code, planName, planType, currency);
+    res.json({ success: true, data: promo });
+  } catch (error) {
+    sendError(res, error, 'Failed to validate promo code', { 'Validation error': 400 });
+  }
+});
+
+// List promo codes (admin)
+router.get('/', verifyToken, requireAdmin, validateQuery(listQuerySchema), async (req, res) => {
+  try {
+    const result = await promoCodeService.getPromoCodes(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    sendError(res, error, 'Failed to get promo codes', { 'Invalid cursor': 400 });
+  }
+});
+
+// Create a promo code (admin)
+router.post('/', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await promoCodeService.createPromoCode(req.body, req.user.uid);
+    res.status(201).json({ success: true, data: promo, message: 'Promo code created successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to create promo code', {
+      'Validation error': 400,
+      'already exists': 409,
+      'Stripe coupon': 502
+    });
+  }
+});
+
+// Get a promo code (admin)
+router.get('/:code', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await promoCodeService.getPromoCode(req.params.code);
+    res.json({ success: true, data: promo });
+  } catch (error) {
+    sendError(res, error, 'Failed to get promo code', { 'Promo code not found': 404 });
+  }
+});
+
+// Update a promo code's limits, plans or description (admin)
+router.put('/:code', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await promoCodeService.updatePromoCode(req.params.code, req.body);
+    res.json({ success: true, data: promo, message: 'Promo code updated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to update promo code', { 'Promo code not found': 404, 'Validation error': 400 });
+  }
+});
+
+// Deactivate a promo code (admin)
+router.delete('/:code', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const promo = await promoCodeService.deactivatePromoCode(req.params.code);
+    res.json({ success: true, data: promo, message: 'Promo code deactivated successfully' });
+  } catch (error) {
+    sendError(res, error, 'Failed to deactivate promo code', { 'Promo code not found': 404 });
+  }
+});
+
+export default router;
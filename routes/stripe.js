@@ -1,10 +1,18 @@
 import express from 'express';
-import { verifyToken, requireProvider } from '../middleware/auth.js';
-import { validate } from '../middleware/validation.js';
+import { verifyToken, requireProvider, requireAdmin } from '../middleware/auth.js';
+import { validate, validateQuery } from '../middleware/validation.js';
 import Joi from 'joi';
 import stripeService from '../services/stripeService.js';
 import providerPlanService from '../services/providerPlanService.js';
 import firestoreService from '../services/firestoreService.js';
+import entitlementService from '../services/entitlementService.js';
+import planCatalogService from '../services/planCatalogService.js';
+import promoCodeService from '../services/promoCodeService.js';
+import taxService from '../services/taxService.js';
+import { getPlanTrialDays, getPlanCurrencies, PLAN_CURRENCY } from '../models/ProviderPlan.js';
+import { fromMinorUnits, SUPPORTED_CURRENCIES } from '../models/Money.js';
+import stripeEventService, { STRIPE_EVENT_STATUS } from '../services/stripeEventService.js';
+import { handleStripeWebhook } from './webhooks.js';
 
 const router = express.Router();
 
@@ -17,7 +25,10 @@ const createCheckoutSchema = Joi.object({
   }),
   cancelUrl: Joi.string().pattern(/^https?:\/\/.+/).required().messages({
     'string.pattern.base': 'Cancel URL must be a valid HTTP/HTTPS URL'
-  })
+  }),
+  promoCode: Joi.string().trim().max(32).allow('').optional(),
+  // Currency to pay in; defaults to the plan currency
+  currency: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).optional()
 });
 
 const webhookSchema = Joi.object({
@@ -38,6 +49,68 @@ const paymentSuccessSchema = Joi.object({
   return value;
 });
 
+const billingPortalSchema = Joi.object({
+  returnUrl: Joi.string().pattern(/^https?:\/\/.+/).required().messages({
+    'string.pattern.base': 'Return URL must be a valid HTTP/HTTPS URL'
+  })
+});
+
+const invoicesQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  cursor: Joi.string().optional()
+});
+
+const defaultPaymentMethodSchema = Joi.object({
+  paymentMethodId: Joi.string().required()
+});
+
+// The caller's Stripe customer id, creating the customer on first use
+const ensureStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customerResult = await stripeService.createCustomer(
+    user.email,
+    user.fullName,
+    { userId: user.uid, userType: user.userType }
+  );
+  if (!customerResult.success) {
+    throw new Error(customerResult.error);
+  }
+
+  await firestoreService.updateDocument('users', user.uid, { stripeCustomerId: customerResult.customer.id });
+  user.stripeCustomerId = customerResult.customer.id;
+  return customerResult.customer.id;
+};
+
+// A payment method saved on the caller's customer, or null. Payment methods
+// of other customers are treated as missing.
+const getOwnPaymentMethod = async (user, paymentMethodId) => {
+  if (!user.stripeCustomerId) return null;
+
+  const result = await stripeService.retrievePaymentMethod(paymentMethodId);
+  if (!result.success || result.paymentMethod.customer !== user.stripeCustomerId) {
+    return null;
+  }
+  return result.paymentMethod;
+};
+
+const toInvoiceSummary = (invoice) => ({
+  id: invoice.id,
+  number: invoice.number || null,
+  status: invoice.status,
+  description: invoice.description || invoice.lines?.data?.[0]?.description || null,
+  amountDue: fromMinorUnits(invoice.amount_due, invoice.currency),
+  amountPaid: fromMinorUnits(invoice.amount_paid, invoice.currency),
+  currency: invoice.currency,
+  periodStart: invoice.period_start ? new Date(invoice.period_start * 1000) : null,
+  periodEnd: invoice.period_end ? new Date(invoice.period_end * 1000) : null,
+  createdAt: new Date(invoice.created * 1000),
+  hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+  invoicePdf: invoice.invoice_pdf || null
+});
+
 // Create Stripe customer
 router.post('/create-customer', verifyToken, async (req, res) => {
   try {
@@ -77,7 +150,7 @@ router.post('/create-customer', verifyToken, async (req, res) => {
 // Create checkout session
 router.post('/create-checkout', verifyToken, validate(createCheckoutSchema), async (req, res) => {
   try {
-    const { planName, planType, successUrl, cancelUrl } = req.body;
+    const { planName, planType, successUrl, cancelUrl, promoCode, currency = PLAN_CURRENCY } = req.body;
     const userId = req.user.uid;
 
     // Check if user already has a Stripe customer ID
@@ -116,6 +189,7 @@ router.post('/create-checkout', verifyToken, validate(createCheckoutSchema), asy
       );
       
       if (planResult.success) {
+        await entitlementService.syncListingsWithPlan(userId);
         return res.json({
           success: true,
           freePlan: true,
@@ -130,16 +204,50 @@ router.post('/create-checkout', verifyToken, validate(createCheckoutSchema), asy
       }
     }
 
+    if (!getPlanCurrencies(planName, planType).includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${planName} plan is not sold in ${currency}`
+      });
+    }
+
+    // Check the promo code before sending the provider to Stripe
+    let promo = null;
+    if (promoCode) {
+      try {
+        promo = await promoCodeService.validateForPlan(promoCode, planName, planType, currency);
+      } catch (error) {
+        if (!error.message.startsWith('Validation error')) throw error;
+        return res.status(400).json({ success: false, error: error.message });
+      }
+    }
+
+    // First-time subscribers start with the plan's free trial
+    const planTrialDays = getPlanTrialDays(planName);
+    const trialDays = planTrialDays > 0 && await providerPlanService.isTrialEligible(userId) ? planTrialDays : 0;
+
+    // Tax for the provider's address, charged on every invoice
+    const taxOptions = await taxService.getSubscriptionTax(req.user.address);
+
     // Create checkout session for paid plans
+    const priceId = await planCatalogService.getPriceId(planName, planType);
     const sessionResult = await stripeService.createCheckoutSession(
       customerId,
-      planName,
-      planType,
+      priceId,
       successUrl,
       cancelUrl,
       {
         userId,
-        userType: req.user.userType
+        userType: req.user.userType,
+        planName,
+        planType,
+        ...(promo && { promoCode: promo.code })
+      },
+      {
+        trialDays,
+        couponId: promo?.stripeCouponId,
+        currency,
+        ...taxOptions
       }
     );
 
@@ -147,7 +255,10 @@ router.post('/create-checkout', verifyToken, validate(createCheckoutSchema), asy
       res.json({
         success: true,
         sessionId: sessionResult.session.id,
-        sessionUrl: sessionResult.session.url
+        sessionUrl: sessionResult.session.url,
+        currency,
+        trialDays,
+        promo
       });
     } else {
       res.status(400).json({
@@ -185,6 +296,17 @@ router.post('/payment-success', verifyToken, validate(paymentSuccessSchema), asy
           stripeCustomerId: session.session.customer,
           stripeSubscriptionId: session.session.subscription || null
         };
+
+        // Run the plan to the end of the period the subscription has paid for
+        if (session.session.subscription) {
+          const subscriptionResult = await stripeService.retrieveSubscription(session.session.subscription);
+          if (subscriptionResult.success) {
+            paymentData.stripePriceId = subscriptionResult.subscription.items?.data?.[0]?.price?.id || null;
+            paymentData.currency = subscriptionResult.subscription.currency;
+            paymentData.currentPeriodEnd = stripeService.getSubscriptionPeriodEnd(subscriptionResult.subscription);
+            paymentData.trialEndsAt = stripeService.getSubscriptionTrialEnd(subscriptionResult.subscription);
+          }
+        }
       } else {
         console.log('Stripe session retrieval failed:', session.error);
         return res.status(400).json({
@@ -227,6 +349,7 @@ router.post('/payment-success', verifyToken, validate(paymentSuccessSchema), asy
     console.log('Plan activation result:', planResult);
 
     if (planResult.success) {
+      await entitlementService.syncListingsWithPlan(userId);
       res.json({
         success: true,
         message: 'Plan activated successfully',
@@ -287,6 +410,7 @@ router.post('/upgrade-plan', verifyToken, async (req, res) => {
     );
 
     if (upgradeResult.success) {
+      await entitlementService.syncListingsWithPlan(userId);
       res.json({
         success: true,
         message: 'Plan upgraded successfully',
@@ -295,7 +419,8 @@ router.post('/upgrade-plan', verifyToken, async (req, res) => {
     } else {
       res.status(400).json({
         success: false,
-        error: upgradeResult.error
+        error: upgradeResult.error,
+        requiresCheckout: Boolean(upgradeResult.requiresCheckout)
       });
     }
   } catch (error) {
@@ -314,6 +439,7 @@ router.post('/cancel-plan', verifyToken, async (req, res) => {
     const cancelResult = await providerPlanService.cancelProviderPlan(userId);
 
     if (cancelResult.success) {
+      await entitlementService.syncListingsWithPlan(userId);
       res.json({
         success: true,
         message: 'Plan cancelled successfully'
@@ -336,164 +462,240 @@ router.post('/cancel-plan', verifyToken, async (req, res) => {
 // Get saved payment methods for current user (cards)
 router.get('/payment-methods', verifyToken, async (req, res) => {
   try {
-    let customerId = req.user.stripeCustomerId;
-    if (!customerId) {
-      // Create customer if doesn't exist
-      const customerResult = await stripeService.createCustomer(
-        req.user.email,
-        req.user.fullName,
-        { userId: req.user.uid, userType: req.user.userType }
-      );
-      if (!customerResult.success) {
-        return res.status(400).json({ success: false, error: customerResult.error });
-      }
-      customerId = customerResult.customer.id;
-      await firestoreService.updateDocument('users', req.user.uid, { stripeCustomerId: customerId });
+    let customerId;
+    try {
+      customerId = await ensureStripeCustomer(req.user);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
     }
 
-    const pmResult = await stripeService.getCustomerPaymentMethods(customerId);
+    const [pmResult, customerResult] = await Promise.all([
+      stripeService.getCustomerPaymentMethods(customerId),
+      stripeService.retrieveCustomer(customerId)
+    ]);
     if (!pmResult.success) {
       return res.status(400).json({ success: false, error: pmResult.error });
     }
-    res.json({ success: true, paymentMethods: pmResult.paymentMethods?.data || [] });
+    res.json({
+      success: true,
+      paymentMethods: pmResult.paymentMethods?.data || [],
+      defaultPaymentMethodId: customerResult.success
+        ? customerResult.customer.invoice_settings?.default_payment_method || null
+        : null
+    });
   } catch (error) {
     console.error('Error getting payment methods:', error);
     res.status(500).json({ success: false, error: 'Failed to get payment methods' });
   }
 });
 
-// Stripe webhook handler
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// Create a SetupIntent so the client can save a new card
+router.post('/payment-methods/setup-intent', verifyToken, async (req, res) => {
   try {
-    const sig = req.headers['stripe-signature'];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    let customerId;
+    try {
+      customerId = await ensureStripeCustomer(req.user);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
-    const eventResult = stripeService.constructWebhookEvent(req.body, sig, endpointSecret);
-    
-    if (!eventResult.success) {
-      return res.status(400).send(`Webhook signature verification failed: ${eventResult.error}`);
+    const result = await stripeService.createSetupIntent(customerId, { userId: req.user.uid });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
     }
+    res.json({
+      success: true,
+      setupIntentId: result.setupIntent.id,
+      clientSecret: result.setupIntent.client_secret
+    });
+  } catch (error) {
+    console.error('Error creating setup intent:', error);
+    res.status(500).json({ success: false, error: 'Failed to create setup intent' });
+  }
+});
 
-    const event = eventResult.event;
-
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        await handleCheckoutSessionCompleted(session);
-        break;
-        
-      case 'payment_intent.succeeded':
-        const paymentIntent = event.data.object;
-        await handlePaymentIntentSucceeded(paymentIntent);
-        break;
-        
-      case 'invoice.payment_succeeded':
-        const invoice = event.data.object;
-        await handleInvoicePaymentSucceeded(invoice);
-        break;
-        
-      case 'customer.subscription.updated':
-        const subscription = event.data.object;
-        await handleSubscriptionUpdated(subscription);
-        break;
-        
-      case 'customer.subscription.deleted':
-        const deletedSubscription = event.data.object;
-        await handleSubscriptionDeleted(deletedSubscription);
-        break;
-        
-      default:
-        console.log(`Unhandled event type ${event.type}`);
+// Make a saved card the default for invoices and the caller's plan subscription
+router.post('/payment-methods/default', verifyToken, validate(defaultPaymentMethodSchema), async (req, res) => {
+  try {
+    const { paymentMethodId } = req.body;
+    const paymentMethod = await getOwnPaymentMethod(req.user, paymentMethodId);
+    if (!paymentMethod) {
+      return res.status(404).json({ success: false, error: 'Payment method not found' });
     }
 
-    res.json({ received: true });
+    const planResult = await providerPlanService.getProviderPlan(req.user.uid);
+    const subscriptionId = planResult.success && ['active', 'past_due'].includes(planResult.plan.status)
+      ? planResult.plan.stripeSubscriptionId || null
+      : null;
+
+    const result = await stripeService.setDefaultPaymentMethod(req.user.stripeCustomerId, paymentMethodId, subscriptionId);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, defaultPaymentMethodId: paymentMethodId });
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(400).send(`Webhook error: ${error.message}`);
+    console.error('Error setting default payment method:', error);
+    res.status(500).json({ success: false, error: 'Failed to set default payment method' });
   }
 });
 
-// Webhook event handlers
-async function handleCheckoutSessionCompleted(session) {
+// Remove a saved card
+router.delete('/payment-methods/:paymentMethodId', verifyToken, async (req, res) => {
   try {
-    const { userId, planName, planType } = session.metadata;
-    
-    if (userId && planName && planType) {
-      const paymentData = {
-        stripeSessionId: session.id,
-        stripePaymentIntentId: session.payment_intent,
-        stripeCustomerId: session.customer
-      };
-
-      await providerPlanService.activateProviderPlan(userId, planName, planType, paymentData);
+    const paymentMethod = await getOwnPaymentMethod(req.user, req.params.paymentMethodId);
+    if (!paymentMethod) {
+      return res.status(404).json({ success: false, error: 'Payment method not found' });
+    }
+
+    const result = await stripeService.detachPaymentMethod(paymentMethod.id);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
     }
+    res.json({ success: true, message: 'Payment method removed' });
   } catch (error) {
-    console.error('Error handling checkout session completed:', error);
+    console.error('Error detaching payment method:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove payment method' });
   }
-}
+});
 
-async function handlePaymentIntentSucceeded(paymentIntent) {
+// List the caller's invoices, newest first, with links to their PDFs
+router.get('/invoices', verifyToken, validateQuery(invoicesQuerySchema), async (req, res) => {
   try {
-    const { userId, planName, planType } = paymentIntent.metadata;
-    
-    if (userId && planName && planType) {
-      const paymentData = {
-        stripePaymentIntentId: paymentIntent.id,
-        stripeCustomerId: paymentIntent.customer
-      };
+    const customerId = req.user.stripeCustomerId;
+    if (!customerId) {
+      return res.json({ success: true, invoices: [], nextCursor: null, hasMore: false });
+    }
 
-      await providerPlanService.activateProviderPlan(userId, planName, planType, paymentData);
+    const { limit, cursor } = req.query;
+    const result = await stripeService.listInvoices(customerId, { limit, startingAfter: cursor });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
     }
+
+    const invoices = result.invoices.data.map(toInvoiceSummary);
+    res.json({
+      success: true,
+      invoices,
+      nextCursor: result.invoices.has_more ? invoices[invoices.length - 1].id : null,
+      hasMore: result.invoices.has_more
+    });
   } catch (error) {
-    console.error('Error handling payment intent succeeded:', error);
+    console.error('Error listing invoices:', error);
+    res.status(500).json({ success: false, error: 'Failed to get invoices' });
   }
-}
+});
 
-async function handleInvoicePaymentSucceeded(invoice) {
+// Open the Stripe billing portal, where the caller can manage cards,
+// invoices and their subscription
+router.post('/billing-portal', verifyToken, validate(billingPortalSchema), async (req, res) => {
   try {
-    // Handle subscription renewal
-    if (invoice.subscription) {
-      const subscription = await stripeService.retrieveSubscription(invoice.subscription);
-      if (subscription.success) {
-        const { userId, planName, planType } = subscription.subscription.metadata;
-        
-        if (userId && planName && planType) {
-          await providerPlanService.renewPlan(userId, planName, planType);
-        }
-      }
+    let customerId;
+    try {
+      customerId = await ensureStripeCustomer(req.user);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
     }
+
+    const result = await stripeService.createBillingPortalSession(customerId, req.body.returnUrl);
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, url: result.session.url });
   } catch (error) {
-    console.error('Error handling invoice payment succeeded:', error);
+    console.error('Error creating billing portal session:', error);
+    res.status(500).json({ success: false, error: 'Failed to open billing portal' });
   }
-}
+});
 
-async function handleSubscriptionUpdated(subscription) {
+// Get the Stripe products and prices behind each plan (admin)
+router.get('/plans/catalog', verifyToken, requireAdmin, async (req, res) => {
   try {
-    const { userId } = subscription.metadata;
-    
-    if (userId) {
-      // Update subscription status in database
-      await firestoreService.updateDocument('users', userId, {
-        'providerInfo.subscriptionStatus': subscription.status,
-        updatedAt: new Date()
-      });
-    }
+    const catalog = await planCatalogService.getCatalog();
+    res.json({ success: true, catalog });
   } catch (error) {
-    console.error('Error handling subscription updated:', error);
+    console.error('Error getting plan catalog:', error);
+    res.status(500).json({ success: false, error: 'Failed to get plan catalog' });
   }
-}
+});
 
-async function handleSubscriptionDeleted(subscription) {
+// Create or update the Stripe products and prices for every plan (admin)
+router.post('/plans/catalog/sync', verifyToken, requireAdmin, async (req, res) => {
   try {
-    const { userId } = subscription.metadata;
-    
-    if (userId) {
-      await providerPlanService.cancelProviderPlan(userId);
-    }
+    const catalog = await planCatalogService.syncCatalog();
+    res.json({ success: true, catalog });
   } catch (error) {
-    console.error('Error handling subscription deleted:', error);
+    console.error('Error syncing plan catalog:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
-}
+});
+
+// Stripe webhook for plan events; handled by the same pipeline as /webhooks/stripe
+router.post('/webhook', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
+// Validation schemas for admin event routes
+const eventsQuerySchema = Joi.object({
+  status: Joi.string().valid(...Object.values(STRIPE_EVENT_STATUS)).optional(),
+  type: Joi.string().optional(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().optional()
+});
+
+const replayFailedSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// List stored webhook events (admin)
+router.get('/events', verifyToken, requireAdmin, validateQuery(eventsQuerySchema), async (req, res) => {
+  try {
+    const result = await stripeEventService.getEvents(req.query);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error getting Stripe events:', error);
+    const status = error.message.includes('Invalid cursor') ? 400 : 500;
+    res.status(status).json({ success: false, error: status === 400 ? error.message : 'Failed to get Stripe events' });
+  }
+});
+
+// Replay every failed webhook event, oldest first (admin)
+router.post('/events/replay-failed', verifyToken, requireAdmin, validate(replayFailedSchema), async (req, res) => {
+  try {
+    const results = await stripeEventService.replayFailedEvents(req.body);
+    res.json({
+      success: true,
+      replayed: results.length,
+      failed: results.filter(result => result.status === STRIPE_EVENT_STATUS.FAILED).length,
+      results
+    });
+  } catch (error) {
+    console.error('Error replaying Stripe events:', error);
+    res.status(500).json({ success: false, error: 'Failed to replay Stripe events' });
+  }
+});
+
+// Get a stored webhook event with its payload (admin)
+router.get('/events/:eventId', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const event = await stripeEventService.getEvent(req.params.eventId);
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Error getting Stripe event:', error);
+    const status = error.message.includes('not found') ? 404 : 500;
+    res.status(status).json({ success: false, error: status === 404 ? error.message : 'Failed to get Stripe event' });
+  }
+});
+
+// Replay a failed webhook event (admin)
+router.post('/events/:eventId/replay', verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await stripeEventService.replayEvent(req.params.eventId);
+    res.json({ success: result.status !== STRIPE_EVENT_STATUS.FAILED, result });
+  } catch (error) {
+    console.error('Error replaying Stripe event:', error);
+    let status = 500;
+    if (error.message.includes('not found')) status = 404;
+    else if (error.message.includes('Only failed events')) status = 409;
+    res.status(status).json({ success: false, error: status === 500 ? 'Failed to replay Stripe event' : error.message });
+  }
+});
 
 export default router;
@@ -1,6 +1,7 @@
 // User management routes
 import express from 'express';
 import firestoreService from '../services/firestoreService.js';
+import scheduleExceptionService from '../services/scheduleExceptionService.js';
 import { 
   verifyToken, 
   requireAdmin, 
@@ -17,6 +18,18 @@ import {
 
 const router = express.Router();
 
+// Known schedule exception errors map to client errors; anything else goes
+// to the error handler
+const handleScheduleExceptionError = (error, res, next) => {
+  if (error.message?.includes('Validation error')) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.message?.includes('Provider not found')) {
+    return res.status(404).json({ success: false, message: 'Provider not found' });
+  }
+  next(error);
+};
+
 // @route   GET /api/users/search
 // @desc    Search users
 // @access  Private (Admin only)
@@ -323,6 +336,69 @@ router.post('/:id/rating', verifyToken, requireClient, async (req, res, next) =>
   }
 });
 
+// @route   GET /api/users/:id/schedule-exceptions
+// @desc    List a provider's blackout dates, vacations and extra hours
+// @access  Private (Owner or Admin)
+router.get('/:id/schedule-exceptions', verifyToken, requireOwnership('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    const result = await scheduleExceptionService.getExceptions(id, { from, to });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/:id/schedule-exceptions
+// @desc    Add a schedule exception
+// @access  Private (Owner or Admin)
+router.post('/:id/schedule-exceptions', verifyToken, requireOwnership('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await scheduleExceptionService.createException(id, req.body);
+    res.status(201).json(result);
+  } catch (error) {
+    handleScheduleExceptionError(error, res, next);
+  }
+});
+
+// @route   PUT /api/users/:id/schedule-exceptions/:exceptionId
+// @desc    Update a schedule exception
+// @access  Private (Owner or Admin)
+router.put('/:id/schedule-exceptions/:exceptionId', verifyToken, requireOwnership('id'), async (req, res, next) => {
+  try {
+    const { id, exceptionId } = req.params;
+    const result = await scheduleExceptionService.updateException(id, exceptionId, req.body);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    handleScheduleExceptionError(error, res, next);
+  }
+});
+
+// @route   DELETE /api/users/:id/schedule-exceptions/:exceptionId
+// @desc    Delete a schedule exception
+// @access  Private (Owner or Admin)
+router.delete('/:id/schedule-exceptions/:exceptionId', verifyToken, requireOwnership('id'), async (req, res, next) => {
+  try {
+    const { id, exceptionId } = req.params;
+    const result = await scheduleExceptionService.deleteException(id, exceptionId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Delete user (Admin only)
 // @access  Private (Admin only)
@@ -1,125 +1,46 @@
 import express from 'express';
-import stripeService from '../services/stripeService.js';
-import orderService from '../services/orderService.js';
+import stripeEventService, { STRIPE_EVENT_STATUS } from '../services/stripeEventService.js';
 
 const router = express.Router();
 
-// Stripe webhook endpoint
-router.post('/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+// Receive a Stripe webhook. Both /webhooks/stripe and /api/stripe/webhook use
+// this handler, so every event goes through the same stored, deduplicated
+// pipeline. Failures are answered with 500 so Stripe retries the delivery.
+export const handleStripeWebhook = async (req, res) => {
+  let event;
   try {
-    const signature = req.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-    
-    if (!webhookSecret) {
-      console.error('STRIPE_WEBHOOK_SECRET not configured');
+    // The app-wide JSON parser keeps the raw body for signature checks
+    event = stripeEventService.constructEvent(req.rawBody || req.body, req.headers['stripe-signature']);
+  } catch (error) {
+    console.error('Webhook verification failed:', error.message);
+    if (error.message.includes('not configured')) {
       return res.status(500).json({ error: 'Webhook secret not configured' });
     }
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
 
-    // Construct the event
-    const result = stripeService.constructWebhookEvent(req.body, signature, webhookSecret);
-    
-    if (!result.success) {
-      console.error('Webhook signature verification failed:', result.error);
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
+  console.log('Received webhook event:', event.type, 'with ID:', event.id);
 
-    const event = result.event;
-    console.log('Received webhook event:', event.type, 'with ID:', event.id);
+  try {
+    const outcome = await stripeEventService.processEvent(event);
 
-    // Handle the event
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutSessionCompleted(event.data.object);
-        break;
-      case 'payment_intent.succeeded':
-        await handlePaymentIntentSucceeded(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentIntentFailed(event.data.object);
-        break;
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+    if (outcome.status === STRIPE_EVENT_STATUS.FAILED) {
+      return res.status(500).json({ received: true, status: outcome.status, error: 'Webhook handler failed' });
     }
 
-    res.json({ received: true });
-  } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(400).json({ error: 'Webhook handler failed' });
-  }
-});
-
-// Handle successful checkout session
-async function handleCheckoutSessionCompleted(session) {
-  try {
-    console.log('Processing checkout.session.completed:', session.id);
-    
-    // Check if this is an order payment
-    if (session.metadata && session.metadata.type === 'order_payment') {
-      const orderId = session.metadata.orderId;
-      const customerId = session.metadata.customerId;
-      
-      console.log('Updating order payment status:', { orderId, customerId });
-      
-      // Update order payment status to paid
-      await orderService.updatePaymentStatus(orderId, 'paid', customerId, 'client');
-      
-      // Also update order status to confirmed when payment is successful
-      await orderService.updateOrderStatus(orderId, 'confirmed', customerId, 'client');
-      
-      console.log('Order payment status and order status updated successfully');
-    } else {
-      console.log('Non-order payment session, skipping order update');
+    // Another delivery of this event is still being processed; ask Stripe to retry
+    if (outcome.previousStatus === STRIPE_EVENT_STATUS.PROCESSING) {
+      return res.status(409).json({ received: true, status: outcome.status });
     }
-  } catch (error) {
-    console.error('Error handling checkout session completed:', error);
-  }
-}
 
-// Handle successful payment intent
-async function handlePaymentIntentSucceeded(paymentIntent) {
-  try {
-    console.log('Processing payment_intent.succeeded:', paymentIntent.id);
-    
-    // Check if this is an order payment
-    if (paymentIntent.metadata && paymentIntent.metadata.type === 'order_payment') {
-      const orderId = paymentIntent.metadata.orderId;
-      const customerId = paymentIntent.metadata.customerId;
-      
-      console.log('Updating order payment status from payment intent:', { orderId, customerId });
-      
-      // Update order payment status to paid
-      await orderService.updatePaymentStatus(orderId, 'paid', customerId, 'client');
-      
-      // Also update order status to confirmed when payment is successful
-      await orderService.updateOrderStatus(orderId, 'confirmed', customerId, 'client');
-      
-      console.log('Order payment status and order status updated successfully from payment intent');
-    }
+    res.json({ received: true, status: outcome.status });
   } catch (error) {
-    console.error('Error handling payment intent succeeded:', error);
+    console.error('Webhook error:', error);
+    res.status(500).json({ error: 'Webhook handler failed' });
   }
-}
+};
 
-// Handle failed payment intent
-async function handlePaymentIntentFailed(paymentIntent) {
-  try {
-    console.log('Processing payment_intent.payment_failed:', paymentIntent.id);
-    
-    // Check if this is an order payment
-    if (paymentIntent.metadata && paymentIntent.metadata.type === 'order_payment') {
-      const orderId = paymentIntent.metadata.orderId;
-      const customerId = paymentIntent.metadata.customerId;
-      
-      console.log('Updating order payment status to failed:', { orderId, customerId });
-      
-      // Update order payment status to failed
-      await orderService.updatePaymentStatus(orderId, 'failed', customerId, 'client');
-      
-      console.log('Order payment status updated to failed');
-    }
-  } catch (error) {
-    console.error('Error handling payment intent failed:', error);
-  }
-}
+// Stripe webhook endpoint
+router.post('/stripe', express.raw({ type: 'application/json' }), handleStripeWebhook);
 
 export default router;
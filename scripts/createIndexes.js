@@ -1,51 +1,128 @@
-// Script to create required Firestore indexes
-// Run this script to create the necessary composite indexes for the application
+// Script to generate firestore.indexes.json
+// Run with `npm run indexes`, then deploy with `firebase deploy --only firestore:indexes`
 
-import { adminDb } from '../config/firebase-admin.js';
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+const OUTPUT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'firestore.indexes.json');
+
+const ASC = 'ASCENDING';
+const DESC = 'DESCENDING';
+
+// Paginated list queries combine any number of equality filters with one sort
+// field. Firestore can merge one (filter, sort) index per equality filter to
+// serve every combination, so each filter field gets an index per sort field
+// and direction.
+const PAGINATED_QUERIES = [
+  {
+    collectionGroup: 'listings',
+    equalityFields: ['status', 'category', 'providerId', 'featured'],
+    sortFields: ['createdAt', 'updatedAt', 'title', 'pricing.amount', 'statistics.rating', 'statistics.views']
+  },
+  {
+    collectionGroup: 'orders',
+    equalityFields: ['status', 'paymentStatus', 'customerId', 'providerId', 'listingId'],
+    sortFields: ['createdAt', 'bookingDetails.scheduledDate', 'pricing.totalAmount', 'status']
+  },
+  {
+    collectionGroup: 'feedback',
+    equalityFields: ['providerId', 'clientId', 'status', 'rating'],
+    sortFields: ['createdAt']
+  },
+  {
+    collectionGroup: 'stripeEvents',
+    equalityFields: ['status', 'type'],
+    sortFields: ['receivedAt']
+  },
+  {
+    collectionGroup: 'jobRuns',
+    equalityFields: ['job', 'status'],
+    sortFields: ['startedAt']
+  },
+  {
+    collectionGroup: 'promoCodes',
+    equalityFields: ['active'],
+    sortFields: ['createdAt']
+  }
+];
+
+// Other queries that need a composite index
+const ADDITIONAL_INDEXES = [
+  // Admin user lists
+  { collectionGroup: 'users', fields: [['userType', ASC], ['createdAt', DESC]] },
+  // Providers by service
+  { collectionGroup: 'users', fields: [['userType', ASC], ['status', ASC], ['services', 'CONTAINS']] },
+  // Approved reviews for a provider, newest first
+  { collectionGroup: 'feedback', fields: [['providerId', ASC], ['status', ASC], ['createdAt', DESC]] },
+  // Expired provider plans
+  { collectionGroup: 'providerPlans', fields: [['status', ASC], ['endDate', ASC]] },
+  // Past-due plans whose grace period is over
+  { collectionGroup: 'providerPlans', fields: [['status', ASC], ['gracePeriodEndsAt', ASC]] },
+  // Unpaid pending orders past the payment timeout
+  { collectionGroup: 'orders', fields: [['status', ASC], ['paymentStatus', ASC], ['createdAt', ASC]] },
+  // Emergency booking card holds about to lapse
+  { collectionGroup: 'orders', fields: [['authorization.status', ASC], ['authorization.expiresAt', ASC]] },
+  // Active listings past their expiry date
+  { collectionGroup: 'listings', fields: [['status', ASC], ['expiresAt', ASC]] },
+  // Promo codes by scope, newest first
+  { collectionGroup: 'promoCodes', fields: [['scopes', 'CONTAINS'], ['createdAt', DESC]] },
+  { collectionGroup: 'promoCodes', fields: [['scopes', 'CONTAINS'], ['createdAt', ASC]] },
+  // A user's notifications, newest first, optionally unread only
+  { collectionGroup: 'notifications', fields: [['userId', ASC], ['createdAt', DESC]] },
+  { collectionGroup: 'notifications', fields: [['userId', ASC], ['read', ASC], ['createdAt', DESC]] },
+  // An order's top-level messages or a thread's replies, newest first
+  { collectionGroup: 'messages', fields: [['threadId', ASC], ['createdAt', DESC]] }
+];
+
+const toIndex = ({ collectionGroup, fields }) => ({
+  collectionGroup,
+  queryScope: 'COLLECTION',
+  fields: fields.map(([fieldPath, mode]) => (
+    mode === 'CONTAINS' ? { fieldPath, arrayConfig: mode } : { fieldPath, order: mode }
+  ))
+});
+
+const buildIndexes = () => {
+  const indexes = [];
+
+  PAGINATED_QUERIES.forEach(({ collectionGroup, equalityFields, sortFields }) => {
+    equalityFields.forEach(equalityField => {
+      sortFields
+        .filter(sortField => sortField !== equalityField)
+        .forEach(sortField => {
+          [ASC, DESC].forEach(direction => {
+            indexes.push(toIndex({ collectionGroup, fields: [[equalityField, ASC], [sortField, direction]] }));
+          });
+        });
+    });
+  });
+
+  ADDITIONAL_INDEXES.forEach(index => indexes.push(toIndex(index)));
+
+  // Drop duplicates so the file is stable however the lists overlap
+  const seen = new Set();
+  return indexes.filter(index => {
+    const key = JSON.stringify(index);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const createIndexes = () => {
+  console.log('🔧 Generating Firestore indexes...');
 
-const createIndexes = async () => {
-  console.log('🔧 Creating Firestore indexes...');
-  
   try {
-    // Note: Firestore composite indexes cannot be created programmatically
-    // They must be created through the Firebase Console or using the Firebase CLI
-    
-    console.log('📋 Required indexes to create:');
-    console.log('');
-    
-    console.log('1. Users Collection Index:');
-    console.log('   Collection: users');
-    console.log('   Fields: userType (Ascending), createdAt (Descending)');
-    console.log('   URL: https://console.firebase.google.com/v1/r/project/paniclist-a3524/firestore/indexes?create_composite=Ck1wcm9qZWN0cy9wYW5pY2xpc3QtYTM1MjQvZGF0YWJhc2VzLyhkZWZhdWx0KS9jb2xsZWN0aW9uR3JvdXBzL3VzZXJzL2luZGV4ZXMvXxABGgwKCHVzZXJUeXBlEAEaDQoJY3JlYXRlZEF0EAIaDAoIX19uYW1lX18QAg');
-    console.log('');
-    
-    console.log('2. Listings Collection Index:');
-    console.log('   Collection: listings');
-    console.log('   Fields: featured (Ascending), status (Ascending), createdAt (Descending)');
-    console.log('   URL: https://console.firebase.google.com/v1/r/project/paniclist-a3524/firestore/indexes?create_composite=ClBwcm9qZWN0cy9wYW5pY2xpc3QtYTM1MjQvZGF0YWJhc2VzLyhkZWZhdWx0KS9jb2xsZWN0aW9uR3JvdXBzL2xpc3RpbmdzL2luZGV4ZXMvXxABGgwKCGZlYXR1cmVkEAEaCgoGc3RhdHVzEAEaDQoJY3JlYXRlZEF0EAIaDAoIX19uYW1lX18QAg');
-    console.log('');
-    
-    console.log('3. Listings Collection Index (Provider):');
-    console.log('   Collection: listings');
-    console.log('   Fields: providerId (Ascending), status (Ascending), createdAt (Descending)');
-    console.log('');
-    
-    console.log('4. Listings Collection Index (Category):');
-    console.log('   Collection: listings');
-    console.log('   Fields: category (Ascending), status (Ascending), createdAt (Descending)');
-    console.log('');
-    
-    console.log('🚀 To create these indexes:');
-    console.log('1. Click on the URLs above to open Firebase Console');
-    console.log('2. Or use Firebase CLI: firebase firestore:indexes');
-    console.log('3. Or create them manually in Firebase Console > Firestore > Indexes');
-    console.log('');
-    
+    const indexes = buildIndexes();
+    writeFileSync(OUTPUT_FILE, `${JSON.stringify({ indexes, fieldOverrides: [] }, null, 2)}\n`);
+
+    console.log(`✅ Wrote ${indexes.length} indexes to firestore.indexes.json`);
+    console.log('🚀 Deploy them with: firebase deploy --only firestore:indexes');
     console.log('⏳ Index creation typically takes 2-10 minutes');
-    console.log('✅ Once created, the application will work properly');
-    
   } catch (error) {
     console.error('❌ Error:', error);
+    process.exitCode = 1;
   }
 };
 
@@ -0,0 +1,79 @@
+// Script to move order messages from the legacy `messages` array on each
+// order into the order's `messages` subcollection
+// Run with `npm run migrate:messages`. Orders already migrated are skipped.
+import admin from '../config/firebase-admin.js';
+import { adminDb } from '../config/firebase-admin.js';
+
+const PAGE_SIZE = 200;
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+// Old messages were never marked read; count them as read rather than
+// greet everyone with a pile of unread messages
+const migrateOrder = async (doc) => {
+  const { messages, customerId, providerId } = doc.data();
+  const now = new Date();
+
+  for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+    const batch = adminDb.batch();
+    messages.slice(i, i + BATCH_SIZE).forEach((message, offset) => {
+      batch.set(doc.ref.collection('messages').doc(`legacy-${i + offset}`), {
+        senderId: message.senderId,
+        senderType: message.senderType === 'client' ? 'customer' : message.senderType,
+        message: message.message || '',
+        attachments: [],
+        threadId: null,
+        replyCount: 0,
+        lastReplyAt: null,
+        readBy: {},
+        createdAt: message.timestamp || now
+      });
+    });
+    await batch.commit();
+  }
+
+  // Dropping the array last means an interrupted run picks the order up again
+  const lastMessageAt = messages.length ? messages[messages.length - 1].timestamp || now : null;
+  await doc.ref.update({
+    messaging: {
+      messageCount: messages.length,
+      lastMessageAt,
+      unread: { [customerId]: 0, [providerId]: 0 },
+      lastReadAt: { [customerId]: now, [providerId]: now }
+    },
+    messages: admin.firestore.FieldValue.delete()
+  });
+};
+
+async function migrateOrderMessages() {
+  console.log('Moving order messages into subcollections...');
+
+  let migrated = 0;
+  let lastDoc = null;
+  for (;;) {
+    let query = adminDb.collection('orders').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      if (Array.isArray(doc.data().messages)) {
+        await migrateOrder(doc);
+        migrated++;
+      }
+    }
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`✅ Migrated messages on ${migrated} orders`);
+}
+
+// Run the script
+migrateOrderMessages().then(() => {
+  console.log('Script completed.');
+  process.exit(0);
+}).catch((error) => {
+  console.error('Script failed:', error);
+  process.exit(1);
+});
@@ -2,6 +2,8 @@
 import admin from '../config/firebase-admin.js';
 import { adminAuth, adminDb } from '../config/firebase-admin.js';
 import { createUserDocument, USER_TYPES } from '../models/User.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+import notificationService from './notificationService.js';
 // Import client SDK for password verification
 import { signInWithEmailAndPassword } from 'firebase/auth';
 import { auth } from '../config/firebase.js';
@@ -51,6 +53,14 @@ class AuthService {
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
+      // Email the verification link; sign-up succeeds even if it cannot be sent
+      try {
+        const link = await adminAuth.generateEmailVerificationLink(userRecord.email);
+        await notificationService.notifyUser(userRecord.uid, NOTIFICATION_TYPES.SIGNUP_VERIFICATION, { link }, userDocData);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+
       // Generate a custom token for the user
       const customToken = await adminAuth.createCustomToken(userRecord.uid);
 
@@ -165,16 +175,21 @@ class AuthService {
   // Send password reset email
   async resetPassword(email) {
     try {
-      // Generate password reset link using Admin SDK
+      // Generate password reset link using Admin SDK and email it
+      const userRecord = await adminAuth.getUserByEmail(email);
       const link = await adminAuth.generatePasswordResetLink(email);
       
-      // Note: You would typically send this link via email using a service like SendGrid, Nodemailer, etc.
-      // For now, we'll just return success
+      const result = await notificationService.notifyUser(userRecord.uid, NOTIFICATION_TYPES.PASSWORD_RESET, { link }, {
+        email: userRecord.email,
+        fullName: userRecord.displayName
+      });
+      if (result.email !== 'sent') {
+        throw new Error('Could not send the password reset email');
+      }
       
       return {
         success: true,
-        message: 'Password reset email sent',
-        resetLink: link // In production, don't return this - send it via email
+        message: 'Password reset email sent'
       };
     } catch (error) {
       if (error.code === 'auth/user-not-found') {
@@ -0,0 +1,302 @@
+// Availability service: bookable slots for listings and booking conflict checks
+import { adminDb } from '../config/firebase-admin.js';
+import { ORDER_STATUS, PAYMENT_STATUS, getScheduledStart } from '../models/Order.js';
+import { SCHEDULE_EXCEPTION_TYPES, exceptionCoversDate } from '../models/ScheduleException.js';
+import scheduleExceptionService from './scheduleExceptionService.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Orders in these statuses occupy the provider's time. Pending orders only
+// do once paid or authorized, or while their hold lasts.
+export const BOOKED_ORDER_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.IN_PROGRESS];
+
+// How long an unpaid pending order keeps its slot after it is booked
+export const PENDING_BOOKING_HOLD_MINUTES = 30;
+
+export const DEFAULT_BOOKING_DURATION_HOURS = 1;
+export const SLOT_INTERVAL_MINUTES = 30;
+export const MAX_AVAILABILITY_RANGE_DAYS = 31;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+// 'HH:MM' -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const atMinutes = (day, minutes) => {
+  const date = new Date(day);
+  date.setHours(0, minutes, 0, 0);
+  return date;
+};
+
+const formatTime = (date) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const formatDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const toDate = (value) => (typeof value?.toDate === 'function' ? value.toDate() : new Date(value));
+
+// Whether an order occupies the provider's time at `now`
+const isBooked = (order, now) => {
+  if (!BOOKED_ORDER_STATUSES.includes(order.status)) return false;
+  if (order.status !== ORDER_STATUS.PENDING) return true;
+  if (![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(order.paymentStatus)) return true;
+  return !!order.createdAt && now - toDate(order.createdAt) < PENDING_BOOKING_HOLD_MINUTES * MS_PER_MINUTE;
+};
+
+// Combine overlapping or touching windows
+const mergeWindows = (windows) => {
+  const sorted = [...windows].sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+    return merged;
+  }, []);
+};
+
+// Remove a blocked range from a set of windows
+const subtractWindow = (windows, blocked) => {
+  return windows.flatMap(window => {
+    if (blocked.end <= window.start || blocked.start >= window.end) {
+      return [window];
+    }
+    const remaining = [];
+    if (blocked.start > window.start) {
+      remaining.push({ start: window.start, end: blocked.start });
+    }
+    if (blocked.end < window.end) {
+      remaining.push({ start: blocked.end, end: window.end });
+    }
+    return remaining;
+  });
+};
+
+class AvailabilityService {
+  // Regular weekly working windows for a date, in minutes since midnight. The
+  // listing's own time slots take precedence; otherwise the provider's weekly
+  // hours apply.
+  getWeeklyWindows(listing, provider, date) {
+    const dayName = DAYS_OF_WEEK[date.getDay()];
+    const timeSlots = listing.availability?.timeSlots || [];
+
+    if (timeSlots.length > 0) {
+      return timeSlots
+        .filter(slot => slot.day === dayName && slot.available !== false)
+        .map(slot => ({ start: toMinutes(slot.startTime), end: toMinutes(slot.endTime) }))
+        .filter(window => window.end > window.start);
+    }
+
+    const providerDay = provider?.availability?.[dayName];
+    if (providerDay?.available && providerDay.start && providerDay.end) {
+      const window = { start: toMinutes(providerDay.start), end: toMinutes(providerDay.end) };
+      return window.end > window.start ? [window] : [];
+    }
+
+    return [];
+  }
+
+  // Working windows for a date after applying the provider's schedule
+  // exceptions: extra hours are added first, then blackouts and vacations
+  // are cut out, so a day off always wins.
+  getWindowsForDate(listing, provider, date, exceptions = []) {
+    const dateKey = formatDate(date);
+    const dayExceptions = exceptions.filter(exception => exceptionCoversDate(exception, dateKey));
+    let windows = this.getWeeklyWindows(listing, provider, date);
+
+    dayExceptions
+      .filter(exception => exception.type === SCHEDULE_EXCEPTION_TYPES.EXTRA_HOURS)
+      .forEach(exception => {
+        windows = mergeWindows([...windows, { start: toMinutes(exception.startTime), end: toMinutes(exception.endTime) }]);
+      });
+
+    dayExceptions
+      .filter(exception => exception.type !== SCHEDULE_EXCEPTION_TYPES.EXTRA_HOURS)
+      .forEach(exception => {
+        const blocked = exception.startTime
+          ? { start: toMinutes(exception.startTime), end: toMinutes(exception.endTime) }
+          : { start: 0, end: 24 * 60 };
+        windows = subtractWindow(windows, blocked);
+      });
+
+    return windows;
+  }
+
+  // Time ranges already taken by the provider's booked orders
+  getBookedIntervals(orders, now = new Date()) {
+    return orders
+      .filter(order => isBooked(order, now))
+      .map(order => {
+        const start = getScheduledStart(order);
+        if (!start) return null;
+        const duration = order.bookingDetails?.duration || DEFAULT_BOOKING_DURATION_HOURS;
+        return { start, end: new Date(start.getTime() + duration * MS_PER_HOUR), orderId: order.id };
+      })
+      .filter(Boolean);
+  }
+
+  // Check whether a booking starting at `start` fits the schedule. Returns
+  // { bookable, reason } so callers can surface why a slot was rejected.
+  checkSlot(listing, provider, bookedIntervals, start, durationHours, now = new Date(), exceptions = []) {
+    const end = new Date(start.getTime() + durationHours * MS_PER_HOUR);
+
+    const advanceBookingHours = listing.requirements?.advanceBooking ?? 24;
+    if (start.getTime() < now.getTime() + advanceBookingHours * MS_PER_HOUR) {
+      return { bookable: false, reason: `Bookings must be made at least ${advanceBookingHours} hours in advance` };
+    }
+
+    const day = startOfDay(start);
+    const startMinutes = (start - day) / MS_PER_MINUTE;
+    const endMinutes = startMinutes + durationHours * 60;
+    const fitsWindow = this.getWindowsForDate(listing, provider, start, exceptions)
+      .some(window => startMinutes >= window.start && endMinutes <= window.end);
+
+    if (!fitsWindow) {
+      return { bookable: false, reason: 'Requested time is outside the provider\'s available hours' };
+    }
+
+    const conflict = bookedIntervals.find(interval => start < interval.end && end > interval.start);
+    if (conflict) {
+      return { bookable: false, reason: 'Requested time conflicts with an existing booking' };
+    }
+
+    return { bookable: true };
+  }
+
+  // Bookable start times per day between two dates (inclusive)
+  computeSlots(listing, provider, orders, from, to, durationHours, now = new Date(), exceptions = []) {
+    const bookedIntervals = this.getBookedIntervals(orders, now);
+    const days = [];
+
+    for (let day = startOfDay(from); day <= to; day.setDate(day.getDate() + 1)) {
+      const slots = [];
+
+      this.getWindowsForDate(listing, provider, day, exceptions).forEach(window => {
+        for (let minutes = window.start; minutes + durationHours * 60 <= window.end; minutes += SLOT_INTERVAL_MINUTES) {
+          const start = atMinutes(day, minutes);
+          if (this.checkSlot(listing, provider, bookedIntervals, start, durationHours, now, exceptions).bookable) {
+            slots.push({
+              startTime: formatTime(start),
+              endTime: formatTime(new Date(start.getTime() + durationHours * MS_PER_HOUR)),
+              start
+            });
+          }
+        }
+      });
+
+      days.push({ date: formatDate(day), slots });
+    }
+
+    return days;
+  }
+
+  // Orders that occupy the provider's time, read inside a transaction if given
+  async getProviderBookedOrders(providerId, transaction = null) {
+    const query = adminDb.collection('orders')
+      .where('providerId', '==', providerId)
+      .where('status', 'in', BOOKED_ORDER_STATUSES);
+
+    const snapshot = transaction ? await transaction.get(query) : await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Load a listing and its provider, inside a transaction if given
+  async getListingAndProvider(listingId, transaction = null) {
+    const read = (ref) => (transaction ? transaction.get(ref) : ref.get());
+
+    const listingDoc = await read(adminDb.collection('listings').doc(listingId));
+    if (!listingDoc.exists) {
+      throw new Error('Listing not found');
+    }
+    const listing = { id: listingDoc.id, ...listingDoc.data() };
+
+    const providerDoc = await read(adminDb.collection('users').doc(listing.providerId));
+    const provider = providerDoc.exists ? providerDoc.data() : null;
+
+    return { listing, provider };
+  }
+
+  // Bookable slots for a listing over a date range
+  async getListingAvailability(listingId, query = {}) {
+    try {
+      const from = query.from ? startOfDay(new Date(query.from)) : startOfDay(new Date());
+      const to = query.to ? startOfDay(new Date(query.to)) : new Date(from.getTime() + 6 * 24 * MS_PER_HOUR);
+      const durationHours = query.duration ? Number(query.duration) : DEFAULT_BOOKING_DURATION_HOURS;
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new Error('Invalid date range: from and to must be valid dates');
+      }
+
+      if (to < from) {
+        throw new Error('Invalid date range: to must not be before from');
+      }
+
+      if ((to - from) / (24 * MS_PER_HOUR) >= MAX_AVAILABILITY_RANGE_DAYS) {
+        throw new Error(`Invalid date range: at most ${MAX_AVAILABILITY_RANGE_DAYS} days can be requested`);
+      }
+
+      if (!(durationHours > 0)) {
+        throw new Error('Invalid duration: must be a positive number of hours');
+      }
+
+      const { listing, provider } = await this.getListingAndProvider(listingId);
+      const orders = await this.getProviderBookedOrders(listing.providerId);
+      const { data: exceptions } = await scheduleExceptionService.getExceptions(listing.providerId, {
+        from: formatDate(from),
+        to: formatDate(to)
+      });
+
+      return {
+        listingId,
+        providerId: listing.providerId,
+        duration: durationHours,
+        days: this.computeSlots(listing, provider, orders, from, to, durationHours, new Date(), exceptions)
+      };
+    } catch (error) {
+      console.error('Error getting listing availability:', error);
+      throw new Error(`Failed to get availability: ${error.message}`);
+    }
+  }
+
+  // Throw unless the booking fits the listing's schedule and does not overlap
+  // the provider's booked orders. Pass the transaction that creates the order
+  // so a concurrent booking of the same slot aborts one of the two. To check
+  // an existing order again, pass its id as `excludeOrderId` so it does not
+  // clash with itself, and its `bookedAt` so the schedule rules are applied
+  // as of when it was booked.
+  async assertSlotAvailable(transaction, listingId, bookingDetails, { excludeOrderId = null, bookedAt = null } = {}) {
+    const { listing, provider } = await this.getListingAndProvider(listingId, transaction);
+    const orders = (await this.getProviderBookedOrders(listing.providerId, transaction))
+      .filter(order => order.id !== excludeOrderId);
+
+    const start = getScheduledStart({ bookingDetails });
+    if (!start) {
+      throw new Error('Validation error: Scheduled date is required');
+    }
+
+    const dateKey = formatDate(start);
+    const exceptions = await scheduleExceptionService.getExceptionsInTransaction(transaction, listing.providerId, dateKey, dateKey);
+
+    const durationHours = bookingDetails.duration || DEFAULT_BOOKING_DURATION_HOURS;
+    const now = new Date();
+    const result = this.checkSlot(listing, provider, this.getBookedIntervals(orders, now), start, durationHours,
+      bookedAt ? toDate(bookedAt) : now, exceptions);
+
+    if (!result.bookable) {
+      throw new Error(`Slot unavailable: ${result.reason}`);
+    }
+  }
+}
+
+export default new AvailabilityService();
@@ -0,0 +1,211 @@
+// Calendar service: per-provider iCalendar (.ics) feeds of booked orders
+import crypto from 'crypto';
+import { adminDb } from '../config/firebase-admin.js';
+import { ORDER_STATUS, getScheduledStart } from '../models/Order.js';
+import { DEFAULT_BOOKING_DURATION_HOURS } from './availabilityService.js';
+import orderService from './orderService.js';
+
+// Feed tokens live outside the users collection because provider profiles
+// are served publicly
+const COLLECTION_NAME = 'calendarFeeds';
+const PRODUCT_ID = '-//PanicList//Provider Bookings//EN';
+const UID_DOMAIN = 'paniclist';
+const PAGE_SIZE = 100;
+const MAX_LINE_OCTETS = 75;
+
+// Orders in these statuses appear on the calendar. Cancelled and refunded
+// orders stay in the feed as STATUS:CANCELLED so subscribed calendars drop them.
+const EVENT_STATUS_BY_ORDER_STATUS = {
+  [ORDER_STATUS.CONFIRMED]: 'CONFIRMED',
+  [ORDER_STATUS.IN_PROGRESS]: 'CONFIRMED',
+  [ORDER_STATUS.COMPLETED]: 'CONFIRMED',
+  [ORDER_STATUS.CANCELLED]: 'CANCELLED',
+  [ORDER_STATUS.REFUNDED]: 'CANCELLED'
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Date -> 20240131T093000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// Orders cancelled while still pending never reached the calendar
+const wasEverBooked = (order) => {
+  if (!order.statusHistory?.length) return true;
+  return order.statusHistory.some(entry => entry.to === ORDER_STATUS.CONFIRMED);
+};
+
+class CalendarService {
+  // Current feed token for a provider, created on first use
+  async getFeedToken(providerId) {
+    try {
+      const docRef = adminDb.collection(COLLECTION_NAME).doc(providerId);
+      const docSnap = await docRef.get();
+
+      if (docSnap.exists && docSnap.data().token) {
+        return docSnap.data().token;
+      }
+
+      const token = generateToken();
+      await docRef.set({ providerId, token, createdAt: new Date(), rotatedAt: null });
+      return token;
+    } catch (error) {
+      console.error('Error getting calendar feed token:', error);
+      throw new Error(`Failed to get calendar feed token: ${error.message}`);
+    }
+  }
+
+  // Replace the provider's feed token; the old feed URL stops working
+  async rotateFeedToken(providerId) {
+    try {
+      const token = generateToken();
+      await adminDb.collection(COLLECTION_NAME).doc(providerId).set({
+        providerId,
+        token,
+        rotatedAt: new Date()
+      }, { merge: true });
+      return token;
+    } catch (error) {
+      console.error('Error rotating calendar feed token:', error);
+      throw new Error(`Failed to rotate calendar feed token: ${error.message}`);
+    }
+  }
+
+  // Constant-time check of a feed token
+  async verifyFeedToken(providerId, token) {
+    if (!token || typeof token !== 'string') {
+      return false;
+    }
+
+    const docSnap = await adminDb.collection(COLLECTION_NAME).doc(providerId).get();
+    const expected = docSnap.exists ? docSnap.data().token : null;
+    if (!expected || expected.length !== token.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token));
+  }
+
+  // All of a provider's orders, paging through getOrdersByProvider
+  async getAllProviderOrders(providerId) {
+    const orders = [];
+    let cursor;
+
+    do {
+      const page = await orderService.getOrdersByProvider(providerId, {
+        sortBy: 'createdAt',
+        sortOrder: 'asc',
+        limit: PAGE_SIZE,
+        ...(cursor && { cursor })
+      });
+      orders.push(...page.orders);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return orders;
+  }
+
+  // VEVENT lines for an order, or null if it does not belong on the calendar
+  buildEvent(order, now = new Date()) {
+    const status = EVENT_STATUS_BY_ORDER_STATUS[order.status];
+    const start = getScheduledStart(order);
+    if (!status || !start) {
+      return null;
+    }
+
+    if (status === 'CANCELLED' && !wasEverBooked(order)) {
+      return null;
+    }
+
+    const duration = order.bookingDetails?.duration || DEFAULT_BOOKING_DURATION_HOURS;
+    const end = new Date(start.getTime() + duration * 60 * 60 * 1000);
+    const lastModified = toDate(order.updatedAt) || toDate(order.createdAt) || now;
+
+    const description = [
+      order.orderNumber && `Order ${order.orderNumber}`,
+      order.bookingDetails?.notes && `Notes: ${order.bookingDetails.notes}`,
+      order.bookingDetails?.specialInstructions && `Instructions: ${order.bookingDetails.specialInstructions}`
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${order.id}@${UID_DOMAIN}`,
+      // Each status change appends to statusHistory, so its length gives
+      // calendar clients an increasing revision number
+      `SEQUENCE:${Math.max((order.statusHistory?.length || 1) - 1, 0)}`,
+      `DTSTAMP:${formatDateTime(now)}`,
+      `LAST-MODIFIED:${formatDateTime(lastModified)}`,
+      `DTSTART:${formatDateTime(start)}`,
+      `DTEND:${formatDateTime(end)}`,
+      `SUMMARY:${escapeText(order.serviceDetails?.title || 'Booking')}`,
+      `LOCATION:${escapeText(order.bookingDetails?.address)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      `STATUS:${status}`,
+      'END:VEVENT'
+    ];
+  }
+
+  // Full VCALENDAR document for a provider's bookings
+  async buildProviderCalendar(providerId, now = new Date()) {
+    try {
+      const orders = await this.getAllProviderOrders(providerId);
+      const events = orders
+        .map(order => this.buildEvent(order, now))
+        .filter(Boolean)
+        .flat();
+
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:PanicList bookings',
+        ...events,
+        'END:VCALENDAR'
+      ];
+
+      return lines.map(foldLine).join('\r\n') + '\r\n';
+    } catch (error) {
+      console.error('Error building provider calendar:', error);
+      throw new Error(`Failed to build calendar: ${error.message}`);
+    }
+  }
+}
+
+export default new CalendarService();
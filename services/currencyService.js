@@ -0,0 +1,55 @@
+// Currency service: converts and totals amounts in different currencies
+// into the reporting currency using the configured exchange rates
+import { getCurrencyConfig } from '../config/currency.js';
+import { normalizeCurrency, roundMoney } from '../models/Money.js';
+
+// Convert an amount into another currency (the reporting currency by
+// default). Returns null when a rate is missing.
+export const convertAmount = (amount, fromCurrency, toCurrency = getCurrencyConfig().reportingCurrency) => {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+  if (from === to) return roundMoney(amount, to);
+
+  const { reportingCurrency, exchangeRates } = getCurrencyConfig();
+  const rateFrom = from === reportingCurrency ? 1 : exchangeRates[from];
+  const rateTo = to === reportingCurrency ? 1 : exchangeRates[to];
+  if (!rateFrom || !rateTo) return null;
+
+  return roundMoney(amount * rateFrom / rateTo, to);
+};
+
+// Total { amount, currency } entries. Returns the total per currency and the
+// grand total in the reporting currency; currencies without a rate are left
+// out of the grand total and listed in unconvertedCurrencies.
+export const summarizeAmounts = (entries) => {
+  const { reportingCurrency } = getCurrencyConfig();
+  const byCurrency = {};
+
+  entries.forEach(({ amount, currency }) => {
+    const code = normalizeCurrency(currency);
+    byCurrency[code] = roundMoney((byCurrency[code] || 0) + (amount || 0), code);
+  });
+
+  let total = 0;
+  const unconvertedCurrencies = [];
+  Object.entries(byCurrency).forEach(([code, amount]) => {
+    const converted = convertAmount(amount, code, reportingCurrency);
+    if (converted === null) {
+      unconvertedCurrencies.push(code);
+    } else {
+      total += converted;
+    }
+  });
+
+  return {
+    byCurrency,
+    total: roundMoney(total, reportingCurrency),
+    reportingCurrency,
+    unconvertedCurrencies
+  };
+};
+
+export default {
+  convertAmount,
+  summarizeAmounts
+};
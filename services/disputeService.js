@@ -0,0 +1,235 @@
+// Dispute service: chargebacks and inquiries on order payments. Stripe
+// reports them through the charge.dispute.* webhooks; the latest one is kept
+// on the order as `dispute`, and admins answer it with evidence from the
+// order's history.
+import { adminDb } from '../config/firebase-admin.js';
+import {
+  getPaymentStatus,
+  DISPUTE_STATUS,
+  ORDER_STATUS,
+  PAYOUT_STATUS
+} from '../models/Order.js';
+import { fromMinorUnits } from '../models/Money.js';
+import stripeService from './stripeService.js';
+import payoutService from './payoutService.js';
+import orderMessageService from './orderMessageService.js';
+import notificationService from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+
+const COLLECTION_NAME = 'orders';
+
+// Stripe's limit on free-text evidence
+const MAX_EVIDENCE_TEXT_LENGTH = 20000;
+
+// Statuses in which Stripe accepts new evidence
+const AWAITING_EVIDENCE_STATUSES = [DISPUTE_STATUS.NEEDS_RESPONSE, DISPUTE_STATUS.WARNING_NEEDS_RESPONSE];
+
+// Outcomes that cannot change any more
+const FINAL_DISPUTE_STATUSES = [DISPUTE_STATUS.WON, DISPUTE_STATUS.LOST];
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+const isClosed = (status) => FINAL_DISPUTE_STATUSES.includes(status) || status === DISPUTE_STATUS.WARNING_CLOSED;
+
+// Dispute record stored on the order, keeping what we added to an earlier
+// record of the same dispute
+const toDisputeRecord = (dispute, existing = null) => {
+  const previous = existing?.stripeDisputeId === dispute.id ? existing : {};
+  const chargeId = typeof dispute.charge === 'string' ? dispute.charge : dispute.charge?.id;
+  const paymentIntentId = typeof dispute.payment_intent === 'string' ? dispute.payment_intent : dispute.payment_intent?.id;
+  const dueBy = dispute.evidence_details?.due_by;
+
+  return {
+    ...previous,
+    stripeDisputeId: dispute.id,
+    ...(chargeId && { stripeChargeId: chargeId }),
+    ...(paymentIntentId && { stripePaymentIntentId: paymentIntentId }),
+    status: dispute.status,
+    reason: dispute.reason || 'general',
+    amount: fromMinorUnits(dispute.amount, dispute.currency),
+    currency: dispute.currency.toUpperCase(),
+    evidenceDueBy: dueBy ? new Date(dueBy * 1000) : null,
+    openedAt: previous.openedAt || (dispute.created ? new Date(dispute.created * 1000) : new Date()),
+    ...(isClosed(dispute.status) && { closedAt: previous.closedAt || new Date() })
+  };
+};
+
+const formatTime = (value) => toDate(value)?.toISOString() || 'unknown';
+
+// The order's history in plain text for the evidence's free-text field:
+// booking, status changes with the completion times, and the messages
+// between customer and provider (oldest first)
+export const buildEvidenceText = (order, notes = '', messages = []) => {
+  const lines = [
+    `Order ${order.orderNumber || ''} for "${order.serviceDetails?.title || 'service'}"`,
+    `Booked for ${toDate(order.bookingDetails?.scheduledDate)?.toISOString().slice(0, 10) || 'unknown date'} ${order.bookingDetails?.scheduledTime || ''}`.trim(),
+    ...(order.bookingDetails?.address ? [`Service address: ${order.bookingDetails.address}`] : []),
+    '',
+    'Status history:',
+    ...(order.statusHistory || []).map(entry => (
+      `- ${formatTime(entry.timestamp)}: ${entry.from || 'new'} -> ${entry.to} (${entry.role})${entry.reason ? `: ${entry.reason}` : ''}`
+    )),
+    ...(order.actualStartTime ? [`Work started: ${formatTime(order.actualStartTime)}`] : []),
+    ...(order.actualEndTime ? [`Work completed: ${formatTime(order.actualEndTime)}`] : [])
+  ];
+
+  if (messages.length) {
+    lines.push('', 'Messages:');
+    messages.forEach(message => {
+      const attachmentCount = message.attachments?.length || 0;
+      const attached = attachmentCount ? ` [${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'}]` : '';
+      lines.push(`- ${formatTime(message.createdAt)} ${message.senderType}: ${message.message}${attached}`);
+    });
+  }
+
+  if (notes) {
+    lines.push('', 'Notes:', notes);
+  }
+
+  const text = lines.join('\n');
+  return text.length > MAX_EVIDENCE_TEXT_LENGTH ? `${text.slice(0, MAX_EVIDENCE_TEXT_LENGTH - 3)}...` : text;
+};
+
+class DisputeService {
+  // Record a dispute from a charge.dispute.* webhook on the order it was for.
+  // The payment stays disputed while the dispute is open. A won dispute
+  // restores the payment and releases the provider's payout; a lost one
+  // voids the payout, or reverses it if the provider was already paid.
+  async recordDispute(orderId, dispute) {
+    try {
+      const orderRef = adminDb.collection(COLLECTION_NAME).doc(orderId);
+      const { order, record, previousStatus } = await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(orderRef);
+        if (!doc.exists) {
+          throw new Error('Order not found');
+        }
+        const existingOrder = doc.data();
+        const existing = existingOrder.dispute;
+        const sameDispute = existing?.stripeDisputeId === dispute.id;
+
+        // Events can arrive out of order; a decided dispute stays decided
+        if (sameDispute && FINAL_DISPUTE_STATUSES.includes(existing.status)) {
+          return { order: existingOrder, record: existing, previousStatus: existing.status };
+        }
+
+        const disputeRecord = toDisputeRecord(dispute, existing);
+        const update = {
+          dispute: disputeRecord,
+          paymentStatus: getPaymentStatus({ ...existingOrder, dispute: disputeRecord }),
+          updatedAt: new Date()
+        };
+        if (disputeRecord.status === DISPUTE_STATUS.LOST && existingOrder.payout &&
+            ![PAYOUT_STATUS.PROCESSING, PAYOUT_STATUS.PAID].includes(existingOrder.payout.status)) {
+          update.payout = { ...existingOrder.payout, status: PAYOUT_STATUS.VOID };
+        }
+
+        transaction.update(orderRef, update);
+        return {
+          order: { ...existingOrder, ...update },
+          record: disputeRecord,
+          previousStatus: sameDispute ? existing.status : null
+        };
+      });
+
+      if (record.status !== previousStatus && (previousStatus === null || isClosed(record.status))) {
+        await this.notifyDispute(orderId, order, record);
+      }
+
+      // The provider gives back their share of a lost dispute they were paid for
+      if (record.status === DISPUTE_STATUS.LOST && previousStatus !== DISPUTE_STATUS.LOST) {
+        const reversalResult = await payoutService.reversePaidPayout(orderId, 'Lost dispute');
+        if (!reversalResult.success) {
+          console.error('Error reversing payout after lost dispute:', reversalResult.error);
+        }
+      }
+
+      if (record.status === DISPUTE_STATUS.WON && previousStatus !== DISPUTE_STATUS.WON &&
+          order.status === ORDER_STATUS.COMPLETED) {
+        const payoutResult = await payoutService.releaseOrderPayout(orderId);
+        if (!payoutResult.success) {
+          console.error('Error releasing payout after won dispute:', payoutResult.error);
+        }
+      }
+
+      return record;
+    } catch (error) {
+      console.error('Error recording dispute:', error);
+      throw new Error(`Failed to record dispute: ${error.message}`);
+    }
+  }
+
+  // Tell the provider and the admins that a dispute was opened or closed
+  async notifyDispute(orderId, order, record) {
+    const data = { order, orderId, dispute: record };
+    await notificationService.notifyUser(order.providerId, NOTIFICATION_TYPES.DISPUTE_UPDATE, data);
+    await notificationService.notifyAdmins(NOTIFICATION_TYPES.DISPUTE_UPDATE, data);
+  }
+
+  // Send evidence for an order's open dispute to Stripe (admin). The order's
+  // history goes in as text; `files` (photos or documents, at most two) are
+  // uploaded and attached. With `submit` the evidence is final.
+  async submitEvidence(orderId, { notes = '', submit = false } = {}, files = []) {
+    try {
+      const doc = await adminDb.collection(COLLECTION_NAME).doc(orderId).get();
+      if (!doc.exists) {
+        throw new Error('Order not found');
+      }
+      const order = doc.data();
+
+      if (!order.dispute) {
+        throw new Error('Order has no dispute');
+      }
+      if (!AWAITING_EVIDENCE_STATUSES.includes(order.dispute.status)) {
+        throw new Error(`Dispute is not awaiting evidence (${order.dispute.status})`);
+      }
+
+      const fileIds = [];
+      for (const file of files) {
+        const uploadResult = await stripeService.uploadFile(file.buffer, file.originalname, file.mimetype);
+        if (!uploadResult.success) {
+          throw new Error(`Could not upload evidence file: ${uploadResult.error}`);
+        }
+        fileIds.push(uploadResult.file.id);
+      }
+
+      const customerDoc = await adminDb.collection('users').doc(order.customerId).get();
+      const customer = customerDoc.exists ? customerDoc.data() : {};
+      const serviceDate = toDate(order.actualEndTime || order.bookingDetails?.scheduledDate);
+      const messages = await orderMessageService.getConversation(orderId);
+
+      const evidence = {
+        product_description: [order.serviceDetails?.title, order.serviceDetails?.description].filter(Boolean).join(': '),
+        uncategorized_text: buildEvidenceText(order, notes, messages),
+        ...(serviceDate && { service_date: serviceDate.toISOString().slice(0, 10) }),
+        ...(customer.fullName && { customer_name: customer.fullName }),
+        ...(customer.email && { customer_email_address: customer.email }),
+        ...(fileIds[0] && { service_documentation: fileIds[0] }),
+        ...(fileIds[1] && { uncategorized_file: fileIds[1] })
+      };
+
+      const result = await stripeService.updateDispute(order.dispute.stripeDisputeId, evidence, submit);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const dispute = {
+        ...order.dispute,
+        status: result.dispute.status,
+        evidenceFileIds: [...(order.dispute.evidenceFileIds || []), ...fileIds],
+        evidenceUpdatedAt: new Date(),
+        ...(submit && { evidenceSubmittedAt: new Date() })
+      };
+      await doc.ref.update({ dispute, updatedAt: new Date() });
+
+      return { id: orderId, ...order, dispute };
+    } catch (error) {
+      console.error('Error submitting dispute evidence:', error);
+      throw new Error(`Failed to submit dispute evidence: ${error.message}`);
+    }
+  }
+}
+
+export default new DisputeService();
@@ -0,0 +1,243 @@
+// Entitlement service: provider plan quotas and feature access
+import { adminDb } from '../config/firebase-admin.js';
+import { PLAN_CONFIG, PLAN_HIERARCHY, getPlanFeatures, isPlanActive } from '../models/ProviderPlan.js';
+import { LISTING_STATUS } from '../models/Listing.js';
+import providerPlanService from './providerPlanService.js';
+import searchService from './searchService.js';
+import { countQuery } from './paginationService.js';
+
+const LISTINGS_COLLECTION = 'listings';
+const FREE_PLAN = 'free';
+
+// Reason recorded on listings switched off because the plan no longer covers them
+export const PLAN_LIMIT_DEACTIVATION_REASON = 'plan_limit';
+
+const isUnlimited = (limit) => limit < 0;
+
+const toMillis = (value) => {
+  if (!value) return 0;
+  return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+};
+
+// Lowest plan that satisfies a check on its features
+const findRequiredPlan = (satisfies) => {
+  return PLAN_HIERARCHY.find(planName => satisfies(PLAN_CONFIG[planName].features)) || null;
+};
+
+// Errors carry an HTTP status and an upgrade hint for the client. Quotas use
+// 402 (upgrading fixes it); features missing from the plan use 403.
+const entitlementError = (message, status, code, upgrade) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.upgrade = upgrade;
+  return error;
+};
+
+class EntitlementService {
+  // Features the provider can use right now. Providers without a plan, or
+  // whose plan has expired or been cancelled, get the free plan.
+  async getEntitlements(providerId) {
+    const planResult = await providerPlanService.getProviderPlan(providerId);
+    const plan = planResult.success ? planResult.plan : null;
+    const active = isPlanActive(plan);
+    const effectivePlan = active && PLAN_CONFIG[plan.planName] ? plan.planName : FREE_PLAN;
+
+    return {
+      planName: plan?.planName || null,
+      planStatus: plan ? (active ? plan.status : plan.status === 'active' ? 'expired' : plan.status) : 'none',
+      effectivePlan,
+      features: { ...getPlanFeatures(effectivePlan) }
+    };
+  }
+
+  // Only active listings count towards the plan's listing limit, so drafts
+  // and listings the plan switched off do not use it up
+  async countActiveListings(providerId, excludeListingId = null) {
+    const query = adminDb.collection(LISTINGS_COLLECTION)
+      .where('providerId', '==', providerId)
+      .where('status', '==', LISTING_STATUS.ACTIVE);
+    if (!excludeListingId) {
+      return await countQuery(query);
+    }
+
+    const snapshot = await query.select().get();
+    return snapshot.docs.filter(doc => doc.id !== excludeListingId).length;
+  }
+
+  async countImages(providerId) {
+    const snapshot = await adminDb.collection(LISTINGS_COLLECTION)
+      .where('providerId', '==', providerId)
+      .select('images')
+      .get();
+    return snapshot.docs.reduce((total, doc) => total + (doc.get('images')?.length || 0), 0);
+  }
+
+  // Throw unless the provider's plan allows another listing
+  async assertCanCreateListing(providerId) {
+    const { effectivePlan, features } = await this.getEntitlements(providerId);
+    if (isUnlimited(features.maxListings)) return;
+
+    const used = await this.countActiveListings(providerId);
+    if (used >= features.maxListings) {
+      throw entitlementError(
+        `Plan limit reached: the ${PLAN_CONFIG[effectivePlan].name} plan allows ${features.maxListings} active listings`,
+        402,
+        'PLAN_LIMIT_LISTINGS',
+        {
+          currentPlan: effectivePlan,
+          requiredPlan: findRequiredPlan(planFeatures => isUnlimited(planFeatures.maxListings) || planFeatures.maxListings > used),
+          limit: features.maxListings,
+          used
+        }
+      );
+    }
+  }
+
+  // Throw unless the provider's plan allows one more active listing. Used when
+  // a provider republishes a listing, including one the plan switched off.
+  async assertCanActivateListing(providerId, listingId) {
+    const { effectivePlan, features } = await this.getEntitlements(providerId);
+    if (isUnlimited(features.maxListings)) return;
+
+    const used = await this.countActiveListings(providerId, listingId);
+
+    if (used >= features.maxListings) {
+      throw entitlementError(
+        `Plan limit reached: the ${PLAN_CONFIG[effectivePlan].name} plan allows ${features.maxListings} active listings`,
+        402,
+        'PLAN_LIMIT_LISTINGS',
+        {
+          currentPlan: effectivePlan,
+          requiredPlan: findRequiredPlan(planFeatures => isUnlimited(planFeatures.maxListings) || planFeatures.maxListings > used),
+          limit: features.maxListings,
+          used
+        }
+      );
+    }
+  }
+
+  // Throw unless the provider's plan allows `count` more images
+  async assertCanAddImages(providerId, count) {
+    const { effectivePlan, features } = await this.getEntitlements(providerId);
+    if (isUnlimited(features.maxImages)) return;
+
+    const used = await this.countImages(providerId);
+    if (used + count > features.maxImages) {
+      throw entitlementError(
+        `Plan limit reached: the ${PLAN_CONFIG[effectivePlan].name} plan allows ${features.maxImages} images (${used} used)`,
+        402,
+        'PLAN_LIMIT_IMAGES',
+        {
+          currentPlan: effectivePlan,
+          requiredPlan: findRequiredPlan(planFeatures => isUnlimited(planFeatures.maxImages) || planFeatures.maxImages >= used + count),
+          limit: features.maxImages,
+          used
+        }
+      );
+    }
+  }
+
+  // Throw unless the provider's plan includes a feature such as analytics
+  async assertFeature(providerId, feature) {
+    const { effectivePlan, features } = await this.getEntitlements(providerId);
+    if (features[feature]) return;
+
+    throw entitlementError(
+      `Plan feature unavailable: ${feature} is not included in the ${PLAN_CONFIG[effectivePlan].name} plan`,
+      403,
+      'PLAN_FEATURE_UNAVAILABLE',
+      {
+        currentPlan: effectivePlan,
+        requiredPlan: findRequiredPlan(planFeatures => Boolean(planFeatures[feature])),
+        feature
+      }
+    );
+  }
+
+  // Bring a provider's active listings in line with their plan after it
+  // changes. Listings over the limit are deactivated, keeping the oldest;
+  // listings deactivated that way are restored when the limit allows again.
+  // Errors are logged rather than thrown so plan changes always go through.
+  async syncListingsWithPlan(providerId) {
+    try {
+      const { features } = await this.getEntitlements(providerId);
+      const snapshot = await adminDb.collection(LISTINGS_COLLECTION)
+        .where('providerId', '==', providerId)
+        .get();
+
+      const listings = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => toMillis(a.createdAt) - toMillis(b.createdAt));
+
+      const active = listings.filter(listing => listing.status === LISTING_STATUS.ACTIVE);
+      const restorable = listings.filter(listing =>
+        listing.status === LISTING_STATUS.INACTIVE &&
+        listing.deactivatedReason === PLAN_LIMIT_DEACTIVATION_REASON
+      );
+
+      const limit = isUnlimited(features.maxListings) ? Infinity : features.maxListings;
+      const toDeactivate = active.slice(limit);
+      const toRestore = restorable.slice(0, Math.max(limit - active.length, 0));
+
+      if (toDeactivate.length === 0 && toRestore.length === 0) {
+        return { success: true, deactivated: [], restored: [] };
+      }
+
+      const now = new Date();
+      const batch = adminDb.batch();
+      toDeactivate.forEach(listing => {
+        batch.update(adminDb.collection(LISTINGS_COLLECTION).doc(listing.id), {
+          status: LISTING_STATUS.INACTIVE,
+          deactivatedReason: PLAN_LIMIT_DEACTIVATION_REASON,
+          deactivatedAt: now,
+          updatedAt: now
+        });
+      });
+      toRestore.forEach(listing => {
+        batch.update(adminDb.collection(LISTINGS_COLLECTION).doc(listing.id), {
+          status: LISTING_STATUS.ACTIVE,
+          deactivatedReason: null,
+          deactivatedAt: null,
+          updatedAt: now
+        });
+      });
+      await batch.commit();
+
+      await Promise.all([
+        ...toDeactivate.map(listing => searchService.indexListing({ ...listing, status: LISTING_STATUS.INACTIVE })),
+        ...toRestore.map(listing => searchService.indexListing({ ...listing, status: LISTING_STATUS.ACTIVE }))
+      ]);
+
+      return {
+        success: true,
+        deactivated: toDeactivate.map(listing => listing.id),
+        restored: toRestore.map(listing => listing.id)
+      };
+    } catch (error) {
+      console.error('Error syncing listings with plan:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Mark lapsed plans expired and scale their providers back to the free plan
+  async expireLapsedPlans() {
+    const expiredResult = await providerPlanService.getExpiredPlans();
+    if (!expiredResult.success) {
+      throw new Error(`Failed to expire plans: ${expiredResult.error}`);
+    }
+
+    const expired = [];
+    for (const plan of expiredResult.plans) {
+      const result = await providerPlanService.checkAndUpdatePlanExpiration(plan.id);
+      if (result.expired) {
+        await this.syncListingsWithPlan(plan.id);
+        expired.push(plan.id);
+      }
+    }
+
+    return { success: true, expired };
+  }
+}
+
+export default new EntitlementService();
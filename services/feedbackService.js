@@ -1,6 +1,9 @@
 // src/services/feedbackService.js
 import admin from '../config/firebase-admin.js';
 import { adminDb } from '../config/firebase-admin.js';
+import { paginateQuery, countQuery } from './paginationService.js';
+import notificationService from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
 
 // Create a new feedback/review
 export const createFeedback = async (feedbackData) => {
@@ -70,6 +73,13 @@ export const createFeedback = async (feedbackData) => {
     // Update provider's average rating
     await updateProviderRating(feedbackData.providerId);
     
+    await notificationService.notifyUser(feedbackData.providerId, NOTIFICATION_TYPES.NEW_REVIEW, {
+      order,
+      orderId: feedbackData.orderId,
+      review: feedbackDoc,
+      feedbackId: feedbackRef.id
+    }, provider);
+    
     return {
       success: true,
       data: { id: feedbackRef.id, ...feedbackDoc },
@@ -107,42 +117,41 @@ export const getFeedbackById = async (feedbackId) => {
   }
 };
 
+// One page of feedback for a query, newest first. Pass the previous page's
+// nextCursor, or a page number for older clients.
+const getFeedbackPage = async (feedbackQuery, page, pageLimit, cursor) => {
+  const [result, total] = await Promise.all([
+    paginateQuery(feedbackQuery, {
+      orderBy: [['createdAt', 'desc']],
+      limit: pageLimit,
+      cursor,
+      offset: (page - 1) * pageLimit
+    }),
+    countQuery(feedbackQuery)
+  ]);
+
+  return {
+    success: true,
+    data: result.items,
+    pagination: {
+      page: cursor ? null : page,
+      limit: pageLimit,
+      total,
+      totalPages: Math.ceil(total / pageLimit),
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore
+    }
+  };
+};
+
 // Get feedbacks for a provider
-export const getProviderFeedbacks = async (providerId, page = 1, pageLimit = 10) => {
+export const getProviderFeedbacks = async (providerId, page = 1, pageLimit = 10, cursor = null) => {
   try {
-    // Get all feedbacks and filter client-side to avoid index requirement
-    const feedbackQuery = adminDb.collection('feedback');
-    const feedbackSnap = await feedbackQuery.get();
-    
-    const allFeedbacks = feedbackSnap.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-    
-    // Filter by providerId and status, then sort by createdAt
-    const providerFeedbacks = allFeedbacks
-      .filter(feedback => feedback.providerId === providerId && feedback.status === 'approved')
-      .sort((a, b) => {
-        const aTime = a.createdAt?.toDate ? a.createdAt.toDate() : new Date(a.createdAt);
-        const bTime = b.createdAt?.toDate ? b.createdAt.toDate() : new Date(b.createdAt);
-        return bTime - aTime;
-      });
-    
-    // Simple pagination
-    const startIndex = (page - 1) * pageLimit;
-    const endIndex = startIndex + pageLimit;
-    const paginatedFeedbacks = providerFeedbacks.slice(startIndex, endIndex);
-    
-    return {
-      success: true,
-      data: paginatedFeedbacks,
-      pagination: {
-        page,
-        limit: pageLimit,
-        total: providerFeedbacks.length,
-        totalPages: Math.ceil(providerFeedbacks.length / pageLimit)
-      }
-    };
+    const feedbackQuery = adminDb.collection('feedback')
+      .where('providerId', '==', providerId)
+      .where('status', '==', 'approved');
+
+    return await getFeedbackPage(feedbackQuery, page, pageLimit, cursor);
   } catch (error) {
     console.error('Error getting provider feedbacks:', error);
     return {
@@ -153,48 +162,12 @@ export const getProviderFeedbacks = async (providerId, page = 1, pageLimit = 10)
 };
 
 // Get feedbacks by client
-export const getClientFeedbacks = async (clientId, page = 1, pageLimit = 10) => {
+export const getClientFeedbacks = async (clientId, page = 1, pageLimit = 10, cursor = null) => {
   try {
-    console.log('getClientFeedbacks called with clientId:', clientId);
-    
-    // Get all feedbacks and filter client-side to avoid index requirement
-    const feedbackQuery = adminDb.collection('feedback');
-    const feedbackSnap = await feedbackQuery.get();
-    
-    const allFeedbacks = feedbackSnap.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
-    
-    console.log('All feedbacks found:', allFeedbacks.length);
-    console.log('All feedback clientIds:', allFeedbacks.map(f => f.clientId));
-    
-    // Filter by clientId and sort by createdAt
-    const clientFeedbacks = allFeedbacks
-      .filter(feedback => feedback.clientId === clientId)
-      .sort((a, b) => {
-        const aTime = a.createdAt?.toDate ? a.createdAt.toDate() : new Date(a.createdAt);
-        const bTime = b.createdAt?.toDate ? b.createdAt.toDate() : new Date(b.createdAt);
-        return bTime - aTime;
-      });
-    
-    console.log('Filtered client feedbacks:', clientFeedbacks.length);
-    
-    // Simple pagination
-    const startIndex = (page - 1) * pageLimit;
-    const endIndex = startIndex + pageLimit;
-    const paginatedFeedbacks = clientFeedbacks.slice(startIndex, endIndex);
-    
-    return {
-      success: true,
-      data: paginatedFeedbacks,
-      pagination: {
-        page,
-        limit: pageLimit,
-        total: clientFeedbacks.length,
-        totalPages: Math.ceil(clientFeedbacks.length / pageLimit)
-      }
-    };
+    const feedbackQuery = adminDb.collection('feedback')
+      .where('clientId', '==', clientId);
+
+    return await getFeedbackPage(feedbackQuery, page, pageLimit, cursor);
   } catch (error) {
     console.error('Error getting client feedbacks:', error);
     return {
@@ -1,6 +1,8 @@
 // Firestore service for database operations using Firebase Admin SDK
 import admin from '../config/firebase-admin.js';
 import { adminDb } from '../config/firebase-admin.js';
+import notificationService from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
 
 class FirestoreService {
   // Generic document operations
@@ -159,6 +161,13 @@ class FirestoreService {
         'verification.verifiedBy': verificationData.verifiedBy || null,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
+      
+      // Let the provider know the outcome of a review
+      if (verificationData.status !== 'pending') {
+        await notificationService.notifyUser(providerId, NOTIFICATION_TYPES.PROVIDER_VERIFICATION, {
+          status: verificationData.status
+        });
+      }
       return { success: true };
     } catch (error) {
       throw new Error(`Update provider verification failed: ${error.message}`);
@@ -0,0 +1,102 @@
+// Geo helpers: geohash encoding, distances and geohash range queries
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const MAX_GEOHASH_PRECISION = 10;
+
+// Listings store a precision 10 geohash (about 1m cells)
+export const LISTING_GEOHASH_PRECISION = MAX_GEOHASH_PRECISION;
+
+// Distances (including listing.location.serviceRadius) are in miles
+export const EARTH_RADIUS_MILES = 3958.8;
+export const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Encode a coordinate as a geohash string
+export const encodeGeohash = (lat, lng, precision = LISTING_GEOHASH_PRECISION) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let isLng = true;
+
+  while (hash.length < precision) {
+    const range = isLng ? lngRange : latRange;
+    const value = isLng ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    isLng = !isLng;
+    bitCount += 1;
+    if (bitCount === 5) {
+      hash += GEOHASH_ALPHABET[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Great-circle distance between two { lat, lng } points, in miles
+export const distanceBetween = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Size in degrees of a geohash cell at a given precision
+const cellSize = (precision) => {
+  const totalBits = precision * 5;
+  const lngBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return { lat: 180 / 2 ** latBits, lng: 360 / 2 ** lngBits };
+};
+
+const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// Geohash [start, end] ranges that together cover every point within
+// `radius` miles of the center. Cells are chosen at least as large as the
+// radius, so sampling the center, edges and corners of the bounding box hits
+// every cell the circle can touch.
+export const geohashQueryBounds = (center, radius) => {
+  const latDelta = radius / MILES_PER_DEGREE_LATITUDE;
+  const lngDelta = Math.min(latDelta / Math.max(Math.cos(toRadians(center.lat)), 0.01), 180);
+
+  let precision = MAX_GEOHASH_PRECISION;
+  while (precision > 1) {
+    const size = cellSize(precision);
+    if (size.lat >= latDelta && size.lng >= lngDelta) break;
+    precision -= 1;
+  }
+
+  const hashes = new Set();
+  [-1, 0, 1].forEach(latStep => {
+    [-1, 0, 1].forEach(lngStep => {
+      const lat = Math.max(-90, Math.min(90, center.lat + latStep * latDelta));
+      const lng = wrapLongitude(center.lng + lngStep * lngDelta);
+      hashes.add(encodeGeohash(lat, lng, precision));
+    });
+  });
+
+  return [...hashes].sort().map(hash => [hash, `${hash}~`]);
+};
+
+export default {
+  LISTING_GEOHASH_PRECISION,
+  EARTH_RADIUS_MILES,
+  MILES_PER_DEGREE_LATITUDE,
+  encodeGeohash,
+  distanceBetween,
+  geohashQueryBounds
+};
@@ -0,0 +1,106 @@
+// Geocoding service: resolve free-text locations to coordinates through a
+// pluggable geocoder
+import 'dotenv/config';
+
+const GOOGLE_GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+
+// Offline lookup used in development and tests. Accepts "lat,lng" strings and
+// a handful of well-known places.
+const STUB_LOCATIONS = {
+  'new york, ny': { lat: 40.7128, lng: -74.006 },
+  'brooklyn, ny': { lat: 40.6782, lng: -73.9442 },
+  'newark, nj': { lat: 40.7357, lng: -74.1724 },
+  'philadelphia, pa': { lat: 39.9526, lng: -75.1652 },
+  'boston, ma': { lat: 42.3601, lng: -71.0589 },
+  'chicago, il': { lat: 41.8781, lng: -87.6298 },
+  'austin, tx': { lat: 30.2672, lng: -97.7431 },
+  'los angeles, ca': { lat: 34.0522, lng: -118.2437 },
+  'san francisco, ca': { lat: 37.7749, lng: -122.4194 },
+  'toronto, on': { lat: 43.6532, lng: -79.3832 }
+};
+
+const COORDINATE_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+export const stubGeocoder = {
+  name: 'stub',
+  async geocode(address) {
+    const match = address.match(COORDINATE_PATTERN);
+    if (match) {
+      const lat = parseFloat(match[1]);
+      const lng = parseFloat(match[2]);
+      return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+    }
+    return STUB_LOCATIONS[address.trim().toLowerCase()] || null;
+  }
+};
+
+export const googleGeocoder = {
+  name: 'google',
+  async geocode(address) {
+    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+    if (!apiKey) {
+      throw new Error('GOOGLE_MAPS_API_KEY is not configured');
+    }
+
+    const url = `${GOOGLE_GEOCODE_URL}?address=${encodeURIComponent(address)}&key=${apiKey}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Geocoding request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.status === 'ZERO_RESULTS') {
+      return null;
+    }
+    if (body.status !== 'OK') {
+      throw new Error(`Geocoding failed: ${body.status}`);
+    }
+
+    const { lat, lng } = body.results[0].geometry.location;
+    return { lat, lng };
+  }
+};
+
+const GEOCODERS = {
+  [stubGeocoder.name]: stubGeocoder,
+  [googleGeocoder.name]: googleGeocoder
+};
+
+class GeocodingService {
+  constructor() {
+    this.geocoder = null;
+  }
+
+  // Geocoder selected by GEOCODER (defaults to the offline stub)
+  getGeocoder() {
+    if (!this.geocoder) {
+      const name = process.env.GEOCODER || stubGeocoder.name;
+      if (!GEOCODERS[name]) {
+        throw new Error(`Unknown geocoder: ${name}`);
+      }
+      this.geocoder = GEOCODERS[name];
+    }
+    return this.geocoder;
+  }
+
+  // Swap in another geocoder (any object with an async geocode(address) method)
+  setGeocoder(geocoder) {
+    this.geocoder = geocoder;
+  }
+
+  // Coordinates for an address, or null if it cannot be resolved
+  async geocode(address) {
+    if (!address || !address.trim()) {
+      return null;
+    }
+
+    try {
+      return await this.getGeocoder().geocode(address);
+    } catch (error) {
+      console.error('Error geocoding address:', error);
+      throw new Error(`Failed to geocode address: ${error.message}`);
+    }
+  }
+}
+
+export default new GeocodingService();
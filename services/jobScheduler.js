@@ -0,0 +1,231 @@
+// Job scheduler: recurring background jobs shared by every server instance.
+// Each job has a lease document in `jobLocks`; an instance runs a job only
+// after claiming its lease in a transaction, so a job runs once per interval
+// however many instances are up. Every run is recorded in `jobRuns`.
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { adminDb } from '../config/firebase-admin.js';
+import { paginateQuery } from './paginationService.js';
+
+const LOCKS_COLLECTION = 'jobLocks';
+const RUNS_COLLECTION = 'jobRuns';
+
+const DEFAULT_TICK_MS = 60 * 1000;
+const DEFAULT_LEASE_MS = 10 * 60 * 1000;
+
+export const JOB_RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+export const JOB_TRIGGERS = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+    this.instanceId = `${os.hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+  }
+
+  // Register a recurring job. `interval` is the time between the end of one
+  // run and the start of the next; `leaseMs` is how long a run may take before
+  // another instance assumes it died and takes over.
+  register(name, { description = '', interval, leaseMs = DEFAULT_LEASE_MS, handler }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+    if (!(interval > 0) || typeof handler !== 'function') {
+      throw new Error(`Invalid job definition: ${name}`);
+    }
+
+    this.jobs.set(name, { name, description, interval, leaseMs, handler });
+  }
+
+  // Claim a job's lease. Scheduled runs also wait until the job is due;
+  // manual runs only wait for a run in progress to finish.
+  async acquireLease(job, { force = false } = {}) {
+    const lockRef = adminDb.collection(LOCKS_COLLECTION).doc(job.name);
+
+    return await adminDb.runTransaction(async (transaction) => {
+      const doc = await transaction.get(lockRef);
+      const lock = doc.exists ? doc.data() : {};
+      const now = new Date();
+
+      if (toDate(lock.leaseExpiresAt) > now) return null;
+      if (!force && toDate(lock.nextRunAt) > now) return null;
+
+      const leaseId = randomUUID();
+      transaction.set(lockRef, {
+        job: job.name,
+        leaseId,
+        owner: this.instanceId,
+        lockedAt: now,
+        leaseExpiresAt: new Date(now.getTime() + job.leaseMs)
+      }, { merge: true });
+
+      return leaseId;
+    });
+  }
+
+  // Release a lease and schedule the next run, unless the lease expired and
+  // another instance has since claimed it
+  async releaseLease(job, leaseId, updates) {
+    const lockRef = adminDb.collection(LOCKS_COLLECTION).doc(job.name);
+
+    await adminDb.runTransaction(async (transaction) => {
+      const doc = await transaction.get(lockRef);
+      if (doc.data()?.leaseId !== leaseId) return;
+
+      transaction.update(lockRef, {
+        ...updates,
+        leaseId: null,
+        leaseExpiresAt: null
+      });
+    });
+  }
+
+  // Run a job now if its lease can be claimed. Returns the run record, or null
+  // when the job is not due or another run holds the lease. Handler errors are
+  // recorded on the run rather than thrown.
+  async runJob(name, { trigger = JOB_TRIGGERS.SCHEDULE, triggeredBy = null } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    const leaseId = await this.acquireLease(job, { force: trigger === JOB_TRIGGERS.MANUAL });
+    if (!leaseId) return null;
+
+    const runRef = adminDb.collection(RUNS_COLLECTION).doc();
+    const run = {
+      job: name,
+      trigger,
+      triggeredBy,
+      instanceId: this.instanceId,
+      status: JOB_RUN_STATUS.RUNNING,
+      startedAt: new Date(),
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: null
+    };
+
+    try {
+      await runRef.set(run);
+      run.result = (await job.handler()) ?? null;
+      run.status = JOB_RUN_STATUS.SUCCEEDED;
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      run.status = JOB_RUN_STATUS.FAILED;
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+      await runRef.set(run);
+    } catch (error) {
+      console.error(`Error recording run of job ${name}:`, error);
+    }
+
+    await this.releaseLease(job, leaseId, {
+      lastRunId: runRef.id,
+      lastRunAt: run.startedAt,
+      lastStatus: run.status,
+      nextRunAt: new Date(run.finishedAt.getTime() + job.interval)
+    });
+
+    return { id: runRef.id, ...run };
+  }
+
+  // Run every job that is due. Ticks never overlap within an instance.
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      for (const name of this.jobs.keys()) {
+        try {
+          await this.runJob(name);
+        } catch (error) {
+          console.error(`Error scheduling job ${name}:`, error);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  start({ tickMs = DEFAULT_TICK_MS } = {}) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), tickMs);
+    // Background jobs alone should not keep the process alive
+    this.timer.unref();
+    setImmediate(() => this.tick());
+    console.log(`⏱️  Job scheduler started (${this.jobs.size} jobs, instance ${this.instanceId})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Registered jobs with their lease state
+  async getJobs() {
+    const jobs = [...this.jobs.values()];
+    if (jobs.length === 0) return [];
+
+    const lockDocs = await adminDb.getAll(
+      ...jobs.map(job => adminDb.collection(LOCKS_COLLECTION).doc(job.name))
+    );
+
+    return jobs.map((job, index) => {
+      const lock = lockDocs[index].exists ? lockDocs[index].data() : {};
+      return {
+        name: job.name,
+        description: job.description,
+        interval: job.interval,
+        running: toDate(lock.leaseExpiresAt) > new Date(),
+        lastRunId: lock.lastRunId || null,
+        lastRunAt: lock.lastRunAt || null,
+        lastStatus: lock.lastStatus || null,
+        nextRunAt: lock.nextRunAt || null
+      };
+    });
+  }
+
+  // Recorded runs, newest first
+  async getRuns({ job, status, limit = 20, cursor } = {}) {
+    let query = adminDb.collection(RUNS_COLLECTION);
+    if (job) query = query.where('job', '==', job);
+    if (status) query = query.where('status', '==', status);
+
+    const result = await paginateQuery(query, {
+      orderBy: [['startedAt', 'desc']],
+      limit,
+      cursor
+    });
+
+    return {
+      runs: result.items,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore
+    };
+  }
+}
+
+export default new JobScheduler();
@@ -4,9 +4,15 @@ import {
   createListingDocument, 
   updateListingDocument, 
   validateListingFilters,
-  LISTING_STATUS 
+  validateListingSearchFilters,
+  LISTING_STATUS,
+  MAX_SERVICE_RADIUS
 } from '../models/Listing.js';
 import { v4 as uuidv4 } from 'uuid';
+import geocodingService from './geocodingService.js';
+import searchService from './searchService.js';
+import { encodeGeohash, distanceBetween, geohashQueryBounds } from './geoService.js';
+import { paginateQuery, countQuery } from './paginationService.js';
 
 const COLLECTION_NAME = 'listings';
 
@@ -28,12 +34,44 @@ function getNormalizedBucketName(defaultProjectId) {
 }
 
 class ListingService {
+  // Attach coordinates and a geohash to a listing location. Explicit
+  // coordinates win; otherwise the coverage text is geocoded when it is new or
+  // has changed. A location that cannot be resolved is saved without
+  // coordinates and is left out of geo searches.
+  async resolveLocation(location, previousLocation = null) {
+    if (!location || typeof location !== 'object') {
+      return location;
+    }
+
+    let coordinates = location.coordinates;
+    if (!coordinates) {
+      const coverageChanged = location.coverage !== previousLocation?.coverage;
+      coordinates = coverageChanged ? null : previousLocation?.coordinates || null;
+
+      if (coverageChanged || !coordinates) {
+        try {
+          coordinates = await geocodingService.geocode(location.coverage);
+        } catch (error) {
+          console.warn('Listing location could not be geocoded:', error.message);
+          coordinates = null;
+        }
+      }
+    }
+
+    return {
+      ...location,
+      coordinates: coordinates || null,
+      geohash: coordinates ? encodeGeohash(coordinates.lat, coordinates.lng) : null
+    };
+  }
+
   // Create a new listing
   async createListing(listingData, providerId) {
     try {
       // Add provider ID to the listing data
       const dataWithProvider = {
         ...listingData,
+        location: await this.resolveLocation(listingData.location),
         providerId
       };
 
@@ -45,11 +83,13 @@ class ListingService {
       
       // Get the created document
       const createdListing = await docRef.get();
-      
-      return {
+      const listing = {
         id: docRef.id,
         ...createdListing.data()
       };
+
+      await searchService.indexListing(listing);
+      return listing;
     } catch (error) {
       console.error('Error creating listing:', error);
       throw new Error(`Failed to create listing: ${error.message}`);
@@ -80,86 +120,96 @@ class ListingService {
     try {
       // Validate filters
       const validatedFilters = validateListingFilters(filters);
-      
-      let query = adminDb.collection(COLLECTION_NAME);
-      
-      // Apply filters - use simple queries to avoid index requirements
-      if (validatedFilters.status) {
-        query = query.where('status', '==', validatedFilters.status);
-      }
-      
-      if (validatedFilters.category) {
-        query = query.where('category', '==', validatedFilters.category);
-      }
-      
-      if (validatedFilters.providerId) {
-        query = query.where('providerId', '==', validatedFilters.providerId);
-      }
-      
-      if (validatedFilters.featured !== undefined) {
-        query = query.where('featured', '==', validatedFilters.featured);
+
+      if (validatedFilters.lat !== undefined) {
+        return await this.getListingsNear(validatedFilters);
       }
       
-      // Note: Removed orderBy to avoid composite index requirement
-      // We'll sort in memory instead
-      
-      // Note: Simplified pagination to avoid index requirements
-      // We'll handle pagination in memory after sorting
-      
-      const snapshot = await query.get();
-      const listings = [];
-      
-      snapshot.forEach(doc => {
-        listings.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-      
-      // Sort in memory to avoid index requirement
-      const sortField = validatedFilters.sortBy || 'createdAt';
-      const sortOrder = validatedFilters.sortOrder || 'desc';
-      
-      listings.sort((a, b) => {
-        let aValue = a[sortField];
-        let bValue = b[sortField];
-        
-        // Handle nested fields like pricing.amount
-        if (sortField.includes('.')) {
-          const fields = sortField.split('.');
-          aValue = fields.reduce((obj, field) => obj?.[field], a);
-          bValue = fields.reduce((obj, field) => obj?.[field], b);
-        }
-        
-        // Handle dates
-        if (aValue && typeof aValue.toDate === 'function') {
-          aValue = aValue.toDate();
-        }
-        if (bValue && typeof bValue.toDate === 'function') {
-          bValue = bValue.toDate();
-        }
-        
-        if (sortOrder === 'desc') {
-          return bValue > aValue ? 1 : -1;
-        } else {
-          return aValue > bValue ? 1 : -1;
+      let query = adminDb.collection(COLLECTION_NAME);
+
+      ['status', 'category', 'providerId', 'featured'].forEach(field => {
+        if (validatedFilters[field] !== undefined) {
+          query = query.where(field, '==', validatedFilters[field]);
         }
       });
+
+      // Sorting and pagination run in Firestore; see firestore.indexes.json
+      // for the indexes they rely on
+      const orderBy = [[validatedFilters.sortBy || 'createdAt', validatedFilters.sortOrder || 'desc']];
+
+      const [page, total] = await Promise.all([
+        paginateQuery(query, {
+          orderBy,
+          limit: validatedFilters.limit,
+          cursor: validatedFilters.cursor,
+          offset: validatedFilters.offset
+        }),
+        countQuery(query)
+      ]);
       
+      return {
+        listings: page.items,
+        total,
+        limit: validatedFilters.limit,
+        offset: validatedFilters.cursor ? null : validatedFilters.offset,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
+      };
+    } catch (error) {
+      console.error('Error getting listings:', error);
+      throw new Error(`Failed to get listings: ${error.message}`);
+    }
+  }
+
+  // Listings whose service radius covers a point, nearest first. Candidates
+  // come from geohash range queries around the point; exact distances and the
+  // remaining filters are applied in memory to avoid composite indexes.
+  async getListingsNear(validatedFilters) {
+    try {
+      const center = { lat: validatedFilters.lat, lng: validatedFilters.lng };
+      const radius = validatedFilters.radius || MAX_SERVICE_RADIUS;
+
+      const snapshots = await Promise.all(geohashQueryBounds(center, radius).map(([start, end]) =>
+        adminDb.collection(COLLECTION_NAME)
+          .orderBy('location.geohash')
+          .startAt(start)
+          .endAt(end)
+          .get()
+      ));
+
+      const candidates = new Map();
+      snapshots.forEach(snapshot => {
+        snapshot.forEach(doc => {
+          candidates.set(doc.id, { id: doc.id, ...doc.data() });
+        });
+      });
+
+      const listings = [...candidates.values()]
+        .filter(listing => !validatedFilters.status || listing.status === validatedFilters.status)
+        .filter(listing => !validatedFilters.category || listing.category === validatedFilters.category)
+        .filter(listing => !validatedFilters.providerId || listing.providerId === validatedFilters.providerId)
+        .filter(listing => validatedFilters.featured === undefined || listing.featured === validatedFilters.featured)
+        .filter(listing => listing.location?.coordinates)
+        .map(listing => ({
+          ...listing,
+          distance: Math.round(distanceBetween(center, listing.location.coordinates) * 100) / 100
+        }))
+        .filter(listing => listing.distance <= Math.min(listing.location.serviceRadius ?? 0, radius))
+        .sort((a, b) => a.distance - b.distance);
+
       // Apply pagination in memory
       const startIndex = validatedFilters.offset;
       const endIndex = startIndex + validatedFilters.limit;
-      const paginatedListings = listings.slice(startIndex, endIndex);
-      
+
       return {
-        listings: paginatedListings,
+        listings: listings.slice(startIndex, endIndex),
         total: listings.length,
         limit: validatedFilters.limit,
         offset: validatedFilters.offset
       };
     } catch (error) {
-      console.error('Error getting listings:', error);
-      throw new Error(`Failed to get listings: ${error.message}`);
+      console.error('Error getting nearby listings:', error);
+      throw new Error(`Failed to get nearby listings: ${error.message}`);
     }
   }
 
@@ -174,6 +224,18 @@ class ListingService {
         throw new Error('Unauthorized: You can only update your own listings');
       }
       
+      // Republishing clears any reason the system switched the listing off
+      if (updateData.status === LISTING_STATUS.ACTIVE) {
+        updateData = { ...updateData, deactivatedReason: null, deactivatedAt: null };
+      }
+
+      if (updateData.location) {
+        updateData = {
+          ...updateData,
+          location: await this.resolveLocation(updateData.location, existingListing.location)
+        };
+      }
+
       // Validate and update listing document
       const updatedListing = updateListingDocument(existingListing, updateData);
       
@@ -181,7 +243,9 @@ class ListingService {
       await adminDb.collection(COLLECTION_NAME).doc(listingId).update(updatedListing);
       
       // Return updated listing
-      return await this.getListingById(listingId);
+      const listing = await this.getListingById(listingId);
+      await searchService.indexListing(listing);
+      return listing;
     } catch (error) {
       console.error('Error updating listing:', error);
       throw new Error(`Failed to update listing: ${error.message}`);
@@ -206,6 +270,7 @@ class ListingService {
       
       // Delete from Firestore
       await adminDb.collection(COLLECTION_NAME).doc(listingId).delete();
+      await searchService.removeListing(listingId);
       
       return { success: true, message: 'Listing deleted successfully' };
     } catch (error) {
@@ -309,9 +374,11 @@ class ListingService {
         updatedAt: new Date()
       };
       
-      // If publishing, set publishedAt
+      // If publishing, set publishedAt and clear any deactivation reason
       if (status === LISTING_STATUS.ACTIVE) {
         updateData.publishedAt = new Date();
+        updateData.deactivatedReason = null;
+        updateData.deactivatedAt = null;
       }
       
       // If admin is updating, add admin info
@@ -321,13 +388,48 @@ class ListingService {
       
       await adminDb.collection(COLLECTION_NAME).doc(listingId).update(updateData);
       
-      return await this.getListingById(listingId);
+      const listing = await this.getListingById(listingId);
+      await searchService.indexListing(listing);
+      return listing;
     } catch (error) {
       console.error('Error updating listing status:', error);
       throw new Error(`Failed to update listing status: ${error.message}`);
     }
   }
 
+  // Deactivate active listings whose expiresAt has passed
+  async deactivateExpiredListings(now = new Date()) {
+    try {
+      const snapshot = await adminDb.collection(COLLECTION_NAME)
+        .where('status', '==', LISTING_STATUS.ACTIVE)
+        .where('expiresAt', '<=', now)
+        .get();
+
+      // Firestore batches are limited to 500 writes
+      for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = adminDb.batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => {
+          batch.update(doc.ref, {
+            status: LISTING_STATUS.INACTIVE,
+            deactivatedReason: 'expired',
+            deactivatedAt: now,
+            updatedAt: now
+          });
+        });
+        await batch.commit();
+      }
+
+      await Promise.all(snapshot.docs.map(doc =>
+        searchService.indexListing({ id: doc.id, ...doc.data(), status: LISTING_STATUS.INACTIVE })
+      ));
+
+      return snapshot.docs.map(doc => doc.id);
+    } catch (error) {
+      console.error('Error deactivating expired listings:', error);
+      throw new Error(`Failed to deactivate expired listings: ${error.message}`);
+    }
+  }
+
   // Get listings by provider
   async getListingsByProvider(providerId, filters = {}) {
     try {
@@ -343,25 +445,14 @@ class ListingService {
     }
   }
 
-  // Search listings
+  // Search listings by relevance with facets
   async searchListings(searchTerm, filters = {}) {
     try {
-      // For now, we'll do a simple text search on title and description
-      // In a production app, you might want to use Algolia or Elasticsearch
-      const allListings = await this.getListings({ ...filters, limit: 1000 });
-      
-      const searchResults = allListings.listings.filter(listing => {
-        const searchLower = searchTerm.toLowerCase();
-        return (
-          listing.title.toLowerCase().includes(searchLower) ||
-          listing.description.toLowerCase().includes(searchLower) ||
-          listing.tags.some(tag => tag.toLowerCase().includes(searchLower))
-        );
-      });
-      
+      const { limit, offset, ...searchFilters } = validateListingSearchFilters(filters);
+      const result = await searchService.searchListings(searchTerm, { filters: searchFilters, limit, offset });
+
       return {
-        listings: searchResults,
-        total: searchResults.length,
+        ...result,
         searchTerm
       };
     } catch (error) {
@@ -0,0 +1,259 @@
+// Notification service: the in-app inbox plus transactional email, SMS and
+// push. Messages are rendered from the templates in notificationTemplates.js,
+// stored in the `notifications` collection, sent through the transports
+// selected by EMAIL_TRANSPORT and SMS_TRANSPORT and pushed to the user's
+// devices by pushService, on the channels each user's preferences allow. A
+// failed notification is logged and never fails the action that triggered it.
+import { adminDb } from '../config/firebase-admin.js';
+import { getNotificationConfig } from '../config/notifications.js';
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_REFERENCE_FIELDS,
+  getNotificationChannels
+} from '../models/Notification.js';
+import { EMAIL_TRANSPORTS, SMS_TRANSPORTS } from './notificationTransports.js';
+import { renderNotification } from './notificationTemplates.js';
+import { paginateQuery, countQuery } from './paginationService.js';
+import pushService from './pushService.js';
+
+const COLLECTION_NAME = 'notifications';
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+// The ids in notification data that say what it is about
+const getReferences = (data) => Object.fromEntries(
+  NOTIFICATION_REFERENCE_FIELDS
+    .filter(field => typeof data[field] === 'string')
+    .map(field => [field, data[field]])
+);
+
+class NotificationService {
+  constructor() {
+    this.transports = {};
+  }
+
+  // Transport for a channel, selected by EMAIL_TRANSPORT or SMS_TRANSPORT
+  getTransport(channel) {
+    if (!this.transports[channel]) {
+      const config = getNotificationConfig();
+      const [available, name] = channel === NOTIFICATION_CHANNELS.SMS
+        ? [SMS_TRANSPORTS, config.smsTransport]
+        : [EMAIL_TRANSPORTS, config.emailTransport];
+      if (!available[name]) {
+        throw new Error(`Unknown ${channel} transport: ${name}`);
+      }
+      this.transports[channel] = available[name];
+    }
+    return this.transports[channel];
+  }
+
+  // Swap in another transport for a channel (any object with an async
+  // send(message) method)
+  setTransport(channel, transport) {
+    this.transports[channel] = transport;
+  }
+
+  // Send a notification to a user on the channels their preferences allow.
+  // `user` may be passed when the caller already has the user document.
+  // Returns the outcome per channel: 'sent', 'failed' or 'skipped'.
+  async notifyUser(userId, type, data = {}, user = null) {
+    try {
+      let recipient = user;
+      if (!recipient) {
+        const userDoc = await adminDb.collection('users').doc(userId).get();
+        if (!userDoc.exists) {
+          throw new Error('User not found');
+        }
+        recipient = userDoc.data();
+      }
+
+      const results = { inApp: 'skipped', email: 'skipped', sms: 'skipped', push: 'skipped' };
+      const channels = getNotificationChannels(recipient, type);
+      if (channels.length === 0) {
+        return results;
+      }
+
+      const content = renderNotification(type, data, {
+        recipient,
+        recipientId: userId,
+        appUrl: getNotificationConfig().appUrl
+      });
+
+      if (channels.includes(NOTIFICATION_CHANNELS.IN_APP)) {
+        results.inApp = await this.store(userId, type, content.inApp, data);
+      }
+      if (channels.includes(NOTIFICATION_CHANNELS.EMAIL)) {
+        results.email = await this.deliver(NOTIFICATION_CHANNELS.EMAIL, { to: recipient.email, ...content.email }, type);
+      }
+      if (channels.includes(NOTIFICATION_CHANNELS.SMS) && content.sms) {
+        results.sms = await this.deliver(NOTIFICATION_CHANNELS.SMS, { to: recipient.phoneNumber, body: content.sms }, type);
+      }
+      if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
+        results.push = await this.push(userId, type, content.inApp, data);
+      }
+      return results;
+    } catch (error) {
+      console.error(`Error sending ${type} notification to ${userId}:`, error);
+      return { inApp: 'failed', email: 'failed', sms: 'failed', push: 'failed', error: error.message };
+    }
+  }
+
+  // Notify several users, e.g. both parties to an order
+  async notifyUsers(userIds, type, data = {}) {
+    const results = {};
+    for (const userId of [...new Set(userIds.filter(Boolean))]) {
+      results[userId] = await this.notifyUser(userId, type, data);
+    }
+    return results;
+  }
+
+  // Notify every admin
+  async notifyAdmins(type, data = {}) {
+    try {
+      const snapshot = await adminDb.collection('users').where('userType', '==', 'admin').get();
+      const results = {};
+      for (const doc of snapshot.docs) {
+        results[doc.id] = await this.notifyUser(doc.id, type, data, doc.data());
+      }
+      return results;
+    } catch (error) {
+      console.error(`Error sending ${type} notification to admins:`, error);
+      return {};
+    }
+  }
+
+  async deliver(channel, message, type) {
+    try {
+      await this.getTransport(channel).send(message);
+      return 'sent';
+    } catch (error) {
+      console.error(`Error sending ${type} ${channel} to ${message.to}:`, error);
+      return 'failed';
+    }
+  }
+
+  // Add a notification to the user's in-app inbox
+  async store(userId, type, { title, body }, data) {
+    try {
+      await adminDb.collection(COLLECTION_NAME).add({
+        userId,
+        type,
+        title,
+        body,
+        data: getReferences(data),
+        read: false,
+        readAt: null,
+        createdAt: new Date()
+      });
+      return 'sent';
+    } catch (error) {
+      console.error(`Error storing ${type} notification for ${userId}:`, error);
+      return 'failed';
+    }
+  }
+
+  // Push a notification to the user's devices; 'skipped' when they have none
+  async push(userId, type, { title, body }, data) {
+    const result = await pushService.sendToUser(userId, {
+      title,
+      body,
+      data: { type, ...getReferences(data) }
+    });
+    if (result.sent > 0) return 'sent';
+    return result.failed > 0 ? 'failed' : 'skipped';
+  }
+
+  // A user's in-app notifications, newest first
+  async getNotifications(userId, { unread, limit = 20, cursor } = {}) {
+    try {
+      let query = adminDb.collection(COLLECTION_NAME).where('userId', '==', userId);
+      if (unread !== undefined) query = query.where('read', '==', !unread);
+
+      const result = await paginateQuery(query, {
+        orderBy: [['createdAt', 'desc']],
+        limit,
+        cursor
+      });
+
+      return {
+        notifications: result.items,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+      };
+    } catch (error) {
+      console.error('Error getting notifications:', error);
+      throw new Error(`Failed to get notifications: ${error.message}`);
+    }
+  }
+
+  async getUnreadCount(userId) {
+    try {
+      return await countQuery(adminDb.collection(COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .where('read', '==', false));
+    } catch (error) {
+      console.error('Error counting unread notifications:', error);
+      throw new Error(`Failed to count unread notifications: ${error.message}`);
+    }
+  }
+
+  // A user's notification. Other users' notifications are reported as not
+  // found.
+  async getUserNotification(notificationId, userId) {
+    const ref = adminDb.collection(COLLECTION_NAME).doc(notificationId);
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().userId !== userId) {
+      throw new Error('Notification not found');
+    }
+    return { ref, notification: { id: doc.id, ...doc.data() } };
+  }
+
+  // Mark a notification read or unread
+  async setRead(notificationId, userId, read = true) {
+    try {
+      const { ref, notification } = await this.getUserNotification(notificationId, userId);
+      const updates = { read, readAt: read ? new Date() : null };
+      await ref.update(updates);
+      return { ...notification, ...updates };
+    } catch (error) {
+      console.error('Error updating notification:', error);
+      throw new Error(`Failed to update notification: ${error.message}`);
+    }
+  }
+
+  // Mark all of a user's unread notifications read. Returns how many changed.
+  async markAllRead(userId) {
+    try {
+      const snapshot = await adminDb.collection(COLLECTION_NAME)
+        .where('userId', '==', userId)
+        .where('read', '==', false)
+        .get();
+
+      const readAt = new Date();
+      for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+        const batch = adminDb.batch();
+        snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+          batch.update(doc.ref, { read: true, readAt });
+        });
+        await batch.commit();
+      }
+      return snapshot.size;
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      throw new Error(`Failed to mark notifications read: ${error.message}`);
+    }
+  }
+
+  async deleteNotification(notificationId, userId) {
+    try {
+      const { ref } = await this.getUserNotification(notificationId, userId);
+      await ref.delete();
+    } catch (error) {
+      console.error('Error deleting notification:', error);
+      throw new Error(`Failed to delete notification: ${error.message}`);
+    }
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,248 @@
+// Message templates for each notification type. A template receives the
+// notification data, the recipient and the app URL, and returns the email
+// subject and paragraphs plus, for types worth a text message, the SMS body.
+// The in-app notification uses the subject as its title and the paragraph
+// after the greeting as its body, unless the template gives a `summary`.
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { getCurrencyDecimals, normalizeCurrency } from '../models/Money.js';
+
+const formatMoney = (amount, currency = 'USD') => {
+  const code = normalizeCurrency(currency);
+  return `${Number(amount || 0).toFixed(getCurrencyDecimals(code))} ${code}`;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+const formatDay = (value) => toDate(value)?.toISOString().slice(0, 10) || null;
+
+const greeting = (recipient) => (recipient?.fullName ? `Hi ${recipient.fullName},` : 'Hi,');
+
+const orderLabel = (order) => `${order.serviceDetails?.title || 'your service'} (order ${order.orderNumber})`;
+
+const orderLink = (appUrl, orderId) => `${appUrl}/client-dashboard/service-tracking/${orderId}`;
+
+const scheduledFor = (order) => (
+  [formatDay(order.bookingDetails?.scheduledDate), order.bookingDetails?.scheduledTime].filter(Boolean).join(' at ')
+);
+
+const isCustomer = (order, recipientId) => order.customerId === recipientId;
+
+const humanize = (value) => String(value).replace(/_/g, ' ');
+
+const senderLabel = (message) => (message.senderType === 'admin' ? 'support team' : message.senderType);
+
+const messageText = (message) => {
+  if (message.message) return message.message;
+  const count = message.attachments?.length || 0;
+  return `(${count} attachment${count === 1 ? '' : 's'})`;
+};
+
+export const NOTIFICATION_TEMPLATES = {
+  [NOTIFICATION_TYPES.SIGNUP_VERIFICATION]: ({ link }, { recipient }) => ({
+    subject: 'Verify your Panic List email address',
+    paragraphs: [
+      greeting(recipient),
+      'Thanks for signing up. Please confirm your email address with the link below.',
+      link
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.PASSWORD_RESET]: ({ link }, { recipient }) => ({
+    subject: 'Reset your Panic List password',
+    paragraphs: [
+      greeting(recipient),
+      'We received a request to reset your password. Use the link below to choose a new one.',
+      link,
+      'If you did not ask for this, you can ignore this email.'
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.ORDER_CREATED]: ({ order, orderId }, { recipient, recipientId, appUrl }) => (
+    isCustomer(order, recipientId)
+      ? {
+        subject: `Booking received: ${order.serviceDetails?.title}`,
+        paragraphs: [
+          greeting(recipient),
+          `We have your booking for ${orderLabel(order)}, scheduled for ${scheduledFor(order)}.`,
+          `Total: ${formatMoney(order.pricing?.totalAmount, order.pricing?.currency)}`,
+          `Track it here: ${orderLink(appUrl, orderId)}`
+        ]
+      }
+      : {
+        subject: `New booking: ${order.serviceDetails?.title}`,
+        paragraphs: [
+          greeting(recipient),
+          `You have a new ${order.bookingDetails?.emergency ? 'emergency ' : ''}booking for ${orderLabel(order)}, scheduled for ${scheduledFor(order)}.`
+        ],
+        sms: `Panic List: new ${order.bookingDetails?.emergency ? 'EMERGENCY ' : ''}booking ${order.orderNumber} for ${scheduledFor(order)}.`
+      }
+  ),
+
+  [NOTIFICATION_TYPES.ORDER_CONFIRMED]: ({ order, orderId }, { recipient, appUrl }) => ({
+    subject: `Booking confirmed: ${order.serviceDetails?.title}`,
+    paragraphs: [
+      greeting(recipient),
+      `Your booking for ${orderLabel(order)} is confirmed for ${scheduledFor(order)}.`,
+      `Track it here: ${orderLink(appUrl, orderId)}`
+    ],
+    sms: `Panic List: booking ${order.orderNumber} is confirmed for ${scheduledFor(order)}.`
+  }),
+
+  [NOTIFICATION_TYPES.ORDER_CANCELLED]: ({ order }, { recipient, recipientId }) => {
+    const refundAmount = order.cancellation?.refundAmount || 0;
+    return {
+      subject: `Booking cancelled: ${order.serviceDetails?.title}`,
+      paragraphs: [
+        greeting(recipient),
+        `The booking for ${orderLabel(order)} has been cancelled${order.cancellation?.reason ? `: ${order.cancellation.reason}` : '.'}`,
+        ...(isCustomer(order, recipientId) && refundAmount > 0
+          ? [`A refund of ${formatMoney(refundAmount, order.pricing?.currency)} is on its way to your card.`]
+          : []),
+        ...(isCustomer(order, recipientId) && order.cancellation?.callOutFee > 0
+          ? [`A call-out fee of ${formatMoney(order.cancellation.callOutFee, order.pricing?.currency)} was charged.`]
+          : [])
+      ],
+      sms: `Panic List: booking ${order.orderNumber} has been cancelled.`
+    };
+  },
+
+  [NOTIFICATION_TYPES.ORDER_STATUS_CHANGED]: ({ order, orderId }, { recipient, recipientId, appUrl }) => ({
+    subject: `Order ${order.orderNumber} is now ${humanize(order.status)}`,
+    paragraphs: [
+      greeting(recipient),
+      `The booking for ${orderLabel(order)} is now ${humanize(order.status)}.`,
+      ...(isCustomer(order, recipientId) ? [`Track it here: ${orderLink(appUrl, orderId)}`] : [])
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.PAYMENT_RECEIVED]: ({ order, orderId, amount }, { recipient, appUrl }) => ({
+    subject: `Payment received for order ${order.orderNumber}`,
+    paragraphs: [
+      greeting(recipient),
+      `We received your payment of ${formatMoney(amount, order.pricing?.currency)} for ${orderLabel(order)}.`,
+      `Order details: ${orderLink(appUrl, orderId)}`
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.PAYMENT_AUTHORIZATION_FAILED]: ({ order, orderId }, { recipient, appUrl }) => ({
+    subject: `Action needed: payment for order ${order.orderNumber}`,
+    paragraphs: [
+      greeting(recipient),
+      `We could not renew the hold on your card for ${orderLabel(order)}. Please authorize the payment again so your booking stays in place.`,
+      orderLink(appUrl, orderId)
+    ],
+    sms: `Panic List: we could not renew the card hold for booking ${order.orderNumber}. Please authorize the payment again in the app.`
+  }),
+
+  [NOTIFICATION_TYPES.NEW_MESSAGE]: ({ order, message }, { recipient }) => ({
+    subject: `New message about order ${order.orderNumber}`,
+    paragraphs: [
+      greeting(recipient),
+      `You have a new message from the ${senderLabel(message)} about ${orderLabel(order)}:`,
+      messageText(message)
+    ],
+    summary: `From the ${senderLabel(message)}: ${messageText(message)}`,
+    sms: `Panic List: new message about booking ${order.orderNumber}.`
+  }),
+
+  [NOTIFICATION_TYPES.SUPPORT_ESCALATION]: ({ order, escalation }, { recipient }) => ({
+    subject: `Support requested on order ${order.orderNumber}`,
+    paragraphs: [
+      greeting(recipient),
+      `The ${escalation.role} on ${orderLabel(order)} asked support to help with their conversation: ${escalation.reason}`
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.NEW_REVIEW]: ({ order, review }, { recipient }) => ({
+    subject: `New review for ${order.serviceDetails?.title}`,
+    paragraphs: [
+      greeting(recipient),
+      `Your customer left a ${review.rating ? `${review.rating}-star ` : ''}review for ${orderLabel(order)}.`,
+      ...(review.comment ? [`"${review.comment}"`] : [])
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.PLAN_RENEWAL_REMINDER]: ({ plan, daysRemaining }, { recipient }) => ({
+    subject: `Your ${plan.planName} plan ends in ${daysRemaining} days`,
+    paragraphs: [
+      greeting(recipient),
+      plan.autoRenew
+        ? `Your ${plan.planName} plan renews automatically in ${daysRemaining} days.`
+        : `Your ${plan.planName} plan ends in ${daysRemaining} days. Renew it to keep your listings and features.`
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.PLAN_EXPIRED]: ({ plan }, { recipient }) => ({
+    subject: `Your ${plan.planName} plan has expired`,
+    paragraphs: [
+      greeting(recipient),
+      `Your ${plan.planName} plan has expired and your account is back on the free plan limits. Renew it to restore your listings and features.`
+    ]
+  }),
+
+  [NOTIFICATION_TYPES.PROVIDER_VERIFICATION]: ({ status }, { recipient }) => (
+    status === 'verified'
+      ? {
+        subject: 'Your provider account is verified',
+        paragraphs: [
+          greeting(recipient),
+          'Your provider account has been verified. Customers now see you as a verified provider.'
+        ]
+      }
+      : {
+        subject: 'We could not verify your provider account',
+        paragraphs: [
+          greeting(recipient),
+          'Your provider verification was not approved. Please check your profile details and documents, or contact support.'
+        ]
+      }
+  ),
+
+  [NOTIFICATION_TYPES.DISPUTE_UPDATE]: ({ order, dispute }, { recipient }) => ({
+    subject: `Payment dispute on order ${order.orderNumber}: ${dispute.status.replace(/_/g, ' ')}`,
+    paragraphs: [
+      greeting(recipient),
+      `The customer's bank dispute of ${formatMoney(dispute.amount, dispute.currency)} on ${orderLabel(order)} (reason: ${dispute.reason.replace(/_/g, ' ')}) is now ${dispute.status.replace(/_/g, ' ')}.`,
+      ...(dispute.evidenceDueBy && !dispute.closedAt
+        ? [`Evidence is due by ${formatDay(dispute.evidenceDueBy)}.`]
+        : [])
+    ]
+  })
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// In-app, email and SMS content for a notification. Throws for unknown
+// types.
+export const renderNotification = (type, data, context) => {
+  const template = NOTIFICATION_TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const { subject, paragraphs, sms, summary } = template(data, context);
+  return {
+    inApp: {
+      title: subject,
+      body: summary || paragraphs[1] || ''
+    },
+    email: {
+      subject,
+      text: paragraphs.join('\n\n'),
+      html: paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')
+    },
+    sms: sms || null
+  };
+};
+
+export default {
+  NOTIFICATION_TEMPLATES,
+  renderNotification
+};
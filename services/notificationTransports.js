@@ -0,0 +1,137 @@
+// Notification transports. Each one sends a single channel's messages through
+// `async send(message)`: email messages are { to, subject, text, html } and
+// SMS messages are { to, body }. The console and file transports are for
+// development and tests; the others deliver for real.
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { getNotificationConfig } from '../config/notifications.js';
+
+// Logs each message instead of sending it, with the email text so links
+// such as password resets can be followed in development
+export const createConsoleTransport = (channel) => ({
+  name: 'console',
+  async send(message) {
+    const content = channel === 'email' ? `${message.subject}\n${message.text}` : message.body;
+    console.log(`[${channel}] to ${message.to}: ${content}`);
+    return { id: null };
+  }
+});
+
+// Appends each message as a JSON line to <outboxDir>/<channel>.jsonl
+export const createFileTransport = (channel) => ({
+  name: 'file',
+  async send(message) {
+    const { outboxDir } = getNotificationConfig();
+    await mkdir(outboxDir, { recursive: true });
+    await appendFile(
+      path.join(outboxDir, `${channel}.jsonl`),
+      `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`
+    );
+    return { id: null };
+  }
+});
+
+export const smtpTransport = {
+  name: 'smtp',
+  // nodemailer transporter, created on first use
+  transporter: null,
+
+  async send(message) {
+    const { smtp, emailFrom } = getNotificationConfig();
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: smtp.host,
+        port: smtp.port,
+        secure: smtp.secure,
+        ...(smtp.user && { auth: { user: smtp.user, pass: smtp.password } })
+      });
+    }
+
+    const info = await this.transporter.sendMail({ from: emailFrom, ...message });
+    return { id: info.messageId };
+  }
+};
+
+// Parses "Name <address>" into SendGrid's { email, name }
+const toSendgridAddress = (value) => {
+  const match = value.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return match ? { email: match[2], ...(match[1] && { name: match[1] }) } : { email: value.trim() };
+};
+
+export const sendgridTransport = {
+  name: 'sendgrid',
+
+  async send(message) {
+    const { sendgridApiKey, emailFrom } = getNotificationConfig();
+    if (!sendgridApiKey) {
+      throw new Error('SendGrid is not configured. Please set SENDGRID_API_KEY environment variable.');
+    }
+
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${sendgridApiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [toSendgridAddress(message.to)] }],
+        from: toSendgridAddress(emailFrom),
+        subject: message.subject,
+        content: [
+          { type: 'text/plain', value: message.text },
+          ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+        ]
+      })
+    });
+    if (!response.ok) {
+      throw new Error(`SendGrid returned ${response.status}: ${await response.text()}`);
+    }
+    return { id: response.headers.get('x-message-id') };
+  }
+};
+
+export const twilioTransport = {
+  name: 'twilio',
+
+  async send(message) {
+    const { twilio } = getNotificationConfig();
+    if (!twilio.accountSid || !twilio.authToken || !twilio.fromNumber) {
+      throw new Error('Twilio is not configured. Please set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER environment variables.');
+    }
+
+    const credentials = Buffer.from(`${twilio.accountSid}:${twilio.authToken}`).toString('base64');
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${twilio.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: message.to, From: twilio.fromNumber, Body: message.body })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(`Twilio returned ${response.status}: ${result.message || 'unknown error'}`);
+    }
+    return { id: result.sid };
+  }
+};
+
+// Transports selectable by EMAIL_TRANSPORT and SMS_TRANSPORT
+export const EMAIL_TRANSPORTS = {
+  console: createConsoleTransport('email'),
+  file: createFileTransport('email'),
+  [smtpTransport.name]: smtpTransport,
+  [sendgridTransport.name]: sendgridTransport
+};
+
+export const SMS_TRANSPORTS = {
+  console: createConsoleTransport('sms'),
+  file: createFileTransport('sms'),
+  [twilioTransport.name]: twilioTransport
+};
+
+export default {
+  EMAIL_TRANSPORTS,
+  SMS_TRANSPORTS
+};
@@ -0,0 +1,409 @@
+// Order messaging: the conversation between an order's customer and provider
+// in the order's `messages` subcollection. Replies to a message form a
+// thread under it. The order keeps a `messaging` summary with unread counts
+// per participant; reading the conversation stamps read receipts on the
+// messages. Attachments are private files in Firebase Storage, handed out as
+// short-lived signed URLs. Either party can escalate the conversation to
+// support, which brings the admins in until they resolve it.
+import admin from '../config/firebase-admin.js';
+import { adminDb, adminStorage } from '../config/firebase-admin.js';
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeOrderActorRole, ORDER_ACTOR_ROLES, ESCALATION_STATUS } from '../models/Order.js';
+import {
+  orderMessageSchema,
+  escalationSchema,
+  getParticipantKey,
+  getParticipantKeys,
+  SUPPORT_PARTICIPANT_KEY,
+  MAX_MESSAGE_ATTACHMENTS
+} from '../models/OrderMessage.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+import notificationService from './notificationService.js';
+import { paginateQuery } from './paginationService.js';
+
+const ORDERS_COLLECTION = 'orders';
+const MESSAGES_COLLECTION = 'messages';
+
+// How long an attachment download link works
+const ATTACHMENT_URL_TTL_MS = 15 * 60 * 1000;
+
+// Firestore batches take at most 500 writes
+const BATCH_SIZE = 500;
+
+// The conversation sent as dispute evidence is capped well below this
+const MAX_CONVERSATION_MESSAGES = 500;
+
+const messagesRef = (orderId) => adminDb.collection(ORDERS_COLLECTION).doc(orderId).collection(MESSAGES_COLLECTION);
+
+const getSenderKey = (message) => (
+  message.senderType === ORDER_ACTOR_ROLES.ADMIN ? SUPPORT_PARTICIPANT_KEY : message.senderId
+);
+
+// Load an order and check the user takes part in its conversation
+const getConversationOrder = async (orderId, userId, userType) => {
+  const doc = await adminDb.collection(ORDERS_COLLECTION).doc(orderId).get();
+  if (!doc.exists) {
+    throw new Error('Order not found');
+  }
+  const order = doc.data();
+  const role = normalizeOrderActorRole(userType);
+  const participantKey = getParticipantKey(order, userId, role);
+
+  if (!participantKey) {
+    throw new Error(role === ORDER_ACTOR_ROLES.PROVIDER
+      ? 'Unauthorized: You can only message about orders for your services'
+      : 'Unauthorized: You can only message about your own orders');
+  }
+  return { order, role, participantKey };
+};
+
+// Order summary updates for a new message: one more unread message for
+// everyone but the sender, who has now read the conversation
+const buildMessagingUpdate = (order, senderKey, now) => {
+  const update = {
+    'messaging.messageCount': admin.firestore.FieldValue.increment(1),
+    'messaging.lastMessageAt': now
+  };
+  getParticipantKeys(order)
+    .filter(key => key && key !== senderKey)
+    .forEach(key => {
+      update[`messaging.unread.${key}`] = admin.firestore.FieldValue.increment(1);
+    });
+  if (senderKey) {
+    update[`messaging.unread.${senderKey}`] = 0;
+    update[`messaging.lastReadAt.${senderKey}`] = now;
+  }
+  return update;
+};
+
+const uploadAttachment = async (orderId, messageId, file) => {
+  const id = uuidv4();
+  const extension = file.originalname.includes('.') ? `.${file.originalname.split('.').pop()}` : '';
+  const path = `orders/${orderId}/messages/${messageId}/${id}${extension}`;
+
+  await adminStorage.bucket().file(path).save(file.buffer, {
+    resumable: false,
+    metadata: {
+      contentType: file.mimetype,
+      metadata: { orderId, messageId, originalName: file.originalname }
+    }
+  });
+
+  return {
+    id,
+    name: file.originalname,
+    contentType: file.mimetype,
+    size: file.size,
+    path
+  };
+};
+
+const deleteAttachments = async (attachments) => {
+  const bucket = adminStorage.bucket();
+  await Promise.all(attachments.map(async (attachment) => {
+    try {
+      await bucket.file(attachment.path).delete();
+    } catch (error) {
+      console.error(`Error deleting message attachment ${attachment.path}:`, error);
+    }
+  }));
+};
+
+// A message as returned to the app, with download links for its attachments
+const toMessageResponse = async (id, message) => {
+  const bucket = adminStorage.bucket();
+  const attachments = await Promise.all((message.attachments || []).map(async ({ path, ...attachment }) => {
+    try {
+      const [url] = await bucket.file(path).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: Date.now() + ATTACHMENT_URL_TTL_MS
+      });
+      return { ...attachment, url };
+    } catch (error) {
+      console.error(`Error signing message attachment ${path}:`, error);
+      return { ...attachment, url: null };
+    }
+  }));
+  return { id, ...message, attachments };
+};
+
+class OrderMessageService {
+  // Post a message, or a reply when `threadId` is given. `files` are multer
+  // files to attach.
+  async sendMessage(orderId, messageData, files = [], userId, userType) {
+    const attachments = [];
+    try {
+      const { error, value } = orderMessageSchema.validate(messageData, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+      }
+      if (!value.message && files.length === 0) {
+        throw new Error('Validation error: A message needs text or an attachment');
+      }
+      if (files.length > MAX_MESSAGE_ATTACHMENTS) {
+        throw new Error(`Validation error: A message can have at most ${MAX_MESSAGE_ATTACHMENTS} attachments`);
+      }
+
+      const { role } = await getConversationOrder(orderId, userId, userType);
+
+      const messageRef = messagesRef(orderId).doc();
+      for (const file of files) {
+        attachments.push(await uploadAttachment(orderId, messageRef.id, file));
+      }
+
+      const { order, message } = await adminDb.runTransaction(async (transaction) => {
+        const orderRef = adminDb.collection(ORDERS_COLLECTION).doc(orderId);
+        const orderDoc = await transaction.get(orderRef);
+        if (!orderDoc.exists) {
+          throw new Error('Order not found');
+        }
+
+        // Replies always hang off the top-level message
+        let threadRef = null;
+        if (value.threadId) {
+          const threadDoc = await transaction.get(messagesRef(orderId).doc(value.threadId));
+          if (!threadDoc.exists) {
+            throw new Error('Thread not found');
+          }
+          threadRef = threadDoc.data().threadId
+            ? messagesRef(orderId).doc(threadDoc.data().threadId)
+            : threadDoc.ref;
+        }
+
+        const now = new Date();
+        const newMessage = {
+          senderId: userId,
+          senderType: role,
+          message: value.message,
+          attachments,
+          threadId: threadRef?.id || null,
+          replyCount: 0,
+          lastReplyAt: null,
+          readBy: {},
+          createdAt: now
+        };
+
+        transaction.set(messageRef, newMessage);
+        transaction.update(orderRef, buildMessagingUpdate(orderDoc.data(), getSenderKey(newMessage), now));
+        if (threadRef) {
+          transaction.update(threadRef, {
+            replyCount: admin.firestore.FieldValue.increment(1),
+            lastReplyAt: now
+          });
+        }
+        return { order: orderDoc.data(), message: newMessage };
+      });
+
+      await notificationService.notifyUsers(
+        [order.customerId, order.providerId].filter(id => id !== userId),
+        NOTIFICATION_TYPES.NEW_MESSAGE,
+        { order, orderId, message }
+      );
+
+      return await toMessageResponse(messageRef.id, message);
+    } catch (error) {
+      if (attachments.length > 0) {
+        await deleteAttachments(attachments);
+      }
+      console.error('Error sending message:', error);
+      throw new Error(`Failed to send message: ${error.message}`);
+    }
+  }
+
+  // A page of top-level messages, or of the replies in a thread, newest
+  // first, with the user's unread count
+  async getMessages(orderId, userId, userType, { threadId, limit = 20, cursor } = {}) {
+    try {
+      const { order, participantKey } = await getConversationOrder(orderId, userId, userType);
+
+      const result = await paginateQuery(messagesRef(orderId).where('threadId', '==', threadId || null), {
+        orderBy: [['createdAt', 'desc']],
+        limit,
+        cursor
+      });
+
+      return {
+        messages: await Promise.all(result.items.map(({ id, ...message }) => toMessageResponse(id, message))),
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore,
+        unreadCount: order.messaging?.unread?.[participantKey] || 0,
+        escalation: order.messaging?.escalation || null
+      };
+    } catch (error) {
+      console.error('Error getting messages:', error);
+      throw new Error(`Failed to get messages: ${error.message}`);
+    }
+  }
+
+  async getUnreadCount(orderId, userId, userType) {
+    try {
+      const { order, participantKey } = await getConversationOrder(orderId, userId, userType);
+      return order.messaging?.unread?.[participantKey] || 0;
+    } catch (error) {
+      console.error('Error getting unread message count:', error);
+      throw new Error(`Failed to get unread message count: ${error.message}`);
+    }
+  }
+
+  // Mark everything sent since the user last read the conversation as read
+  // by them, one page of messages at a time. Returns how many messages got a
+  // read receipt.
+  async markRead(orderId, userId, userType) {
+    try {
+      const { order, participantKey } = await getConversationOrder(orderId, userId, userType);
+
+      const now = new Date();
+      const lastReadAt = order.messaging?.lastReadAt?.[participantKey];
+      let query = messagesRef(orderId).where('createdAt', '<=', now);
+      if (lastReadAt) query = query.where('createdAt', '>', lastReadAt);
+      query = query.orderBy('createdAt', 'asc').limit(BATCH_SIZE);
+
+      let read = 0;
+      let lastDoc = null;
+      for (;;) {
+        const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+        if (snapshot.empty) break;
+
+        const unreadDocs = snapshot.docs.filter(doc => getSenderKey(doc.data()) !== participantKey);
+        if (unreadDocs.length > 0) {
+          const batch = adminDb.batch();
+          unreadDocs.forEach(doc => {
+            batch.update(doc.ref, { [`readBy.${participantKey}`]: now });
+          });
+          await batch.commit();
+        }
+        read += unreadDocs.length;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+      }
+
+      await adminDb.collection(ORDERS_COLLECTION).doc(orderId).update({
+        [`messaging.unread.${participantKey}`]: 0,
+        [`messaging.lastReadAt.${participantKey}`]: now
+      });
+
+      return read;
+    } catch (error) {
+      console.error('Error marking messages read:', error);
+      throw new Error(`Failed to mark messages read: ${error.message}`);
+    }
+  }
+
+  // Every message on an order, oldest first, e.g. for dispute evidence
+  async getConversation(orderId) {
+    const snapshot = await messagesRef(orderId)
+      .orderBy('createdAt', 'asc')
+      .limit(MAX_CONVERSATION_MESSAGES)
+      .get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  // Bring support into the conversation (customer or provider)
+  async escalate(orderId, escalationData, userId, userType) {
+    try {
+      const { error, value } = escalationSchema.validate(escalationData, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+      }
+
+      const { role } = await getConversationOrder(orderId, userId, userType);
+      if (role === ORDER_ACTOR_ROLES.ADMIN) {
+        throw new Error('Unauthorized: Only the customer or provider can escalate to support');
+      }
+
+      const now = new Date();
+      const escalation = {
+        status: ESCALATION_STATUS.OPEN,
+        reason: value.reason,
+        escalatedBy: userId,
+        role,
+        escalatedAt: now
+      };
+
+      const order = await this.postEvent(orderId, (current) => {
+        if (current.messaging?.escalation?.status === ESCALATION_STATUS.OPEN) {
+          throw new Error('Conversation is already escalated to support');
+        }
+        return {
+          update: { 'messaging.escalation': escalation },
+          text: `The ${role} asked support to help: ${value.reason}`,
+          // Support has everything to catch up on
+          order: { ...current, messaging: { ...current.messaging, escalation } }
+        };
+      }, userId, now);
+
+      await notificationService.notifyAdmins(NOTIFICATION_TYPES.SUPPORT_ESCALATION, { order, orderId, escalation });
+      return escalation;
+    } catch (error) {
+      console.error('Error escalating conversation:', error);
+      throw new Error(`Failed to escalate to support: ${error.message}`);
+    }
+  }
+
+  // Close a support escalation (admin)
+  async resolveEscalation(orderId, userId, userType) {
+    try {
+      if (normalizeOrderActorRole(userType) !== ORDER_ACTOR_ROLES.ADMIN) {
+        throw new Error('Unauthorized: Only admins can resolve escalations');
+      }
+
+      const now = new Date();
+      let escalation;
+      await this.postEvent(orderId, (current) => {
+        if (current.messaging?.escalation?.status !== ESCALATION_STATUS.OPEN) {
+          throw new Error('Conversation is not escalated to support');
+        }
+        escalation = {
+          ...current.messaging.escalation,
+          status: ESCALATION_STATUS.RESOLVED,
+          resolvedBy: userId,
+          resolvedAt: now
+        };
+        return {
+          update: { 'messaging.escalation': escalation },
+          text: 'Support marked this conversation as resolved.',
+          order: { ...current, messaging: { ...current.messaging, escalation } }
+        };
+      }, SUPPORT_PARTICIPANT_KEY, now);
+
+      return escalation;
+    } catch (error) {
+      console.error('Error resolving escalation:', error);
+      throw new Error(`Failed to resolve escalation: ${error.message}`);
+    }
+  }
+
+  // Change the order's messaging summary and post a system message about it
+  // in one transaction. `change(order)` returns the order update, the
+  // message text and the order as the message's recipients should see it;
+  // everyone but `actorKey` gets the message as unread.
+  async postEvent(orderId, change, actorKey, now) {
+    const orderRef = adminDb.collection(ORDERS_COLLECTION).doc(orderId);
+    return await adminDb.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        throw new Error('Order not found');
+      }
+
+      const { update, text, order } = change(orderDoc.data());
+      transaction.set(messagesRef(orderId).doc(), {
+        senderId: ORDER_ACTOR_ROLES.SYSTEM,
+        senderType: ORDER_ACTOR_ROLES.SYSTEM,
+        message: text,
+        attachments: [],
+        threadId: null,
+        replyCount: 0,
+        lastReplyAt: null,
+        readBy: {},
+        createdAt: now
+      });
+      transaction.update(orderRef, {
+        ...buildMessagingUpdate(order, actorKey, now),
+        ...update
+      });
+      return order;
+    });
+  }
+}
+
+export default new OrderMessageService();
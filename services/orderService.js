@@ -1,32 +1,203 @@
 // Order service for business logic and database operations
+import admin from '../config/firebase-admin.js';
 import { adminDb } from '../config/firebase-admin.js';
 import { 
   createOrderDocument, 
   updateOrderDocument, 
   orderFiltersSchema,
+  ORDER_SORT_FIELDS,
+  normalizeOrderActorRole,
+  assertStatusTransition,
+  getOrderEdits,
+  getPaidAmount,
+  getPaymentStatus,
+  getRefundableAmount,
+  getRefundablePayments,
+  sumActiveRefunds,
+  calculateCancellationRefund,
+  calculateCallOutFee,
+  getAuthorizationExpiry,
   ORDER_STATUS,
-  PAYMENT_STATUS 
+  ORDER_ACTOR_ROLES,
+  PAYMENT_STATUS,
+  PAYOUT_STATUS,
+  AUTHORIZATION_STATUS
 } from '../models/Order.js';
 import { v4 as uuidv4 } from 'uuid';
 import stripeService from './stripeService.js';
+import payoutService from './payoutService.js';
+import pricingService from './pricingService.js';
+import promoCodeService from './promoCodeService.js';
+import { summarizeAmounts } from './currencyService.js';
+import { SUPPORTED_CURRENCIES, normalizeCurrency, roundMoney, toMinorUnits, fromMinorUnits } from '../models/Money.js';
+import {
+  MILESTONE_STATUS,
+  updateMilestonesForStatus,
+  getNextDueMilestone,
+  sumPaidMilestones
+} from '../models/PaymentSchedule.js';
+import availabilityService from './availabilityService.js';
+import notificationService from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { paginateQuery, countQuery } from './paginationService.js';
 
 const COLLECTION_NAME = 'orders';
 
+// How long an order checkout stays open (Stripe allows 30 minutes to 24 hours)
+const CHECKOUT_SESSION_MINUTES = 60;
+
+// Cancelled orders, refunded or not, take no more payments
+const isClosedOrder = (order) => [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status);
+
+// Narrow an orders query to validated order filters. Date filters are a
+// range on the scheduled date.
+const applyOrderFilters = (query, filters) => {
+  ['status', 'paymentStatus', 'customerId', 'providerId', 'listingId'].forEach(field => {
+    if (filters[field]) {
+      query = query.where(field, '==', filters[field]);
+    }
+  });
+  if (filters.dateFrom) {
+    query = query.where(ORDER_SORT_FIELDS.scheduledDate, '>=', new Date(filters.dateFrom));
+  }
+  if (filters.dateTo) {
+    query = query.where(ORDER_SORT_FIELDS.scheduledDate, '<=', new Date(filters.dateTo));
+  }
+  return query;
+};
+
+// Checkout line items for an order: the service after discounts, the service
+// fee and one line per tax, adding up to the order total. Orders created
+// before taxes were itemised are charged as a single line, and so is each
+// payment milestone.
+const buildCheckoutLineItems = (order, milestone = null) => {
+  const currency = (order.pricing.currency || 'usd').toLowerCase();
+  const toMinor = (amount) => toMinorUnits(amount, currency);
+  const toLineItem = (name, unitAmount, description) => ({
+    price_data: {
+      currency,
+      product_data: { name, ...(description && { description }) },
+      unit_amount: unitAmount
+    },
+    quantity: 1
+  });
+
+  const totalMinor = toMinor(order.pricing.totalAmount);
+  const serviceName = order.serviceDetails.title;
+  const serviceDescription = order.serviceDetails.description || `Service: ${order.serviceDetails.category}`;
+  if (milestone) {
+    return [toLineItem(`${serviceName}: ${milestone.name}`, toMinor(milestone.amount),
+      `${milestone.percent}% of the order total of ${order.pricing.totalAmount} ${currency.toUpperCase()}`)];
+  }
+  if (!order.tax) {
+    return [toLineItem(serviceName, totalMinor, serviceDescription)];
+  }
+
+  const feeMinor = toMinor(order.pricing.fees || 0);
+  const taxLines = (order.tax.breakdown || [])
+    .filter(tax => tax.amount > 0)
+    .map(tax => toLineItem(`${tax.name} (${tax.rate}%)`, toMinor(tax.amount)));
+  const taxMinor = taxLines.reduce((sum, line) => sum + line.price_data.unit_amount, 0);
+
+  // Rounding differences go to the service line so the lines add up to the total
+  return [
+    toLineItem(serviceName, totalMinor - feeMinor - taxMinor, serviceDescription),
+    ...(feeMinor > 0 ? [toLineItem('Service fee', feeMinor)] : []),
+    ...taxLines
+  ];
+};
+
+// Stripe customer for a user, created on first use. Card holds are placed on
+// the customer so the card can be held again when a hold is about to lapse.
+const getStripeCustomerId = async (userId) => {
+  const userRef = adminDb.collection('users').doc(userId);
+  const userDoc = await userRef.get();
+  if (!userDoc.exists) {
+    throw new Error('User not found');
+  }
+  const user = userDoc.data();
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customerResult = await stripeService.createCustomer(user.email, user.fullName, { userId, userType: user.userType });
+  if (!customerResult.success) {
+    throw new Error(customerResult.error);
+  }
+  await userRef.update({ stripeCustomerId: customerResult.customer.id });
+  return customerResult.customer.id;
+};
+
 class OrderService {
+  // Quote an order without creating it
+  async quoteOrder(orderData) {
+    return await pricingService.quoteOrder(orderData);
+  }
+
   // Create a new order
   async createOrder(orderData, customerId) {
     try {
-      // Add customer ID to order data
+      // Price the order from the listing; client-submitted pricing is only
+      // checked against the quote, never stored
+      const quote = await pricingService.quoteOrder(orderData);
+      pricingService.assertPriceMatches(orderData.pricing, quote.pricing);
+      
+      // Add customer ID and server-derived details to order data
       const dataWithCustomer = {
         ...orderData,
-        customerId
+        customerId,
+        providerId: quote.providerId,
+        serviceDetails: quote.serviceDetails,
+        pricing: quote.pricing,
+        tax: quote.tax,
+        ...(quote.promoCode && { promoCode: quote.promoCode }),
+        // Emergency bookings are held on the card in full, so they have no milestones
+        ...(quote.paymentMilestones && !orderData.bookingDetails?.emergency && { paymentMilestones: quote.paymentMilestones }),
+        statusHistory: [{
+          from: null,
+          to: ORDER_STATUS.PENDING,
+          actorId: customerId,
+          role: ORDER_ACTOR_ROLES.CUSTOMER,
+          reason: 'Order created',
+          timestamp: new Date()
+        }]
       };
 
       // Validate and create order document
       const validatedOrder = createOrderDocument(dataWithCustomer);
       
-      // Add to Firestore
-      const docRef = await adminDb.collection(COLLECTION_NAME).add(validatedOrder);
+      // Add to Firestore, checking the slot and the promo code's redemption
+      // limit in the same transaction so two customers cannot book the same
+      // time or use up the same code
+      const docRef = adminDb.collection(COLLECTION_NAME).doc();
+      await adminDb.runTransaction(async (transaction) => {
+        const promoRef = validatedOrder.promoCode
+          ? await promoCodeService.reserveRedemption(transaction, validatedOrder.promoCode, validatedOrder.pricing.currency)
+          : null;
+        await availabilityService.assertSlotAvailable(transaction, validatedOrder.listingId, validatedOrder.bookingDetails);
+        if (promoRef) {
+          promoCodeService.recordRedemption(transaction, promoRef);
+        }
+        transaction.set(docRef, validatedOrder);
+      });
+      
+      await notificationService.notifyUsers([customerId, validatedOrder.providerId], NOTIFICATION_TYPES.ORDER_CREATED, {
+        order: validatedOrder,
+        orderId: docRef.id
+      });
+      
+      // Emergency bookings place a hold on the card straight away. The order
+      // stands if Stripe fails; the customer can retry the authorization.
+      if (validatedOrder.bookingDetails.emergency) {
+        try {
+          const paymentAuthorization = await this.authorizeOrderPayment(docRef.id, customerId, quote.callOutFee || 0);
+          const authorizedOrder = await docRef.get();
+          return { id: docRef.id, ...authorizedOrder.data(), paymentAuthorization };
+        } catch (authorizationError) {
+          console.error('Error authorizing emergency order:', authorizationError);
+          return { id: docRef.id, ...validatedOrder, authorizationError: authorizationError.message };
+        }
+      }
       
       // Get the created document
       const createdOrder = await docRef.get();
@@ -92,7 +263,8 @@ class OrderService {
     }
   }
 
-  // Get orders with filters and pagination
+  // Get orders with filters and cursor pagination. Filters and sorting run
+  // in Firestore; see firestore.indexes.json for the indexes they rely on.
   async getOrders(filters = {}) {
     try {
       // Validate filters
@@ -101,105 +273,30 @@ class OrderService {
         throw new Error(`Invalid filters: ${error.details.map(d => d.message).join(', ')}`);
       }
       
-      let query = adminDb.collection(COLLECTION_NAME);
-      
-      // Apply filters - use simple queries to avoid index requirements
-      if (validatedFilters.status) {
-        query = query.where('status', '==', validatedFilters.status);
-      }
-      
-      if (validatedFilters.paymentStatus) {
-        query = query.where('paymentStatus', '==', validatedFilters.paymentStatus);
-      }
-      
-      if (validatedFilters.customerId) {
-        query = query.where('customerId', '==', validatedFilters.customerId);
-      }
-      
-      if (validatedFilters.providerId) {
-        query = query.where('providerId', '==', validatedFilters.providerId);
-      }
-      
-      if (validatedFilters.listingId) {
-        query = query.where('listingId', '==', validatedFilters.listingId);
-      }
-      
-      // Note: Removed orderBy to avoid composite index requirement
-      // We'll sort in memory instead
-      
-      // Note: Simplified pagination to avoid index requirements
-      // We'll handle pagination in memory after sorting
-      
-      const snapshot = await query.get();
-      const orders = [];
-      
-      snapshot.forEach(doc => {
-        orders.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
-      
-      // Sort in memory to avoid index requirement
-      const sortField = validatedFilters.sortBy || 'createdAt';
-      const sortOrder = validatedFilters.sortOrder || 'desc';
-      
-      orders.sort((a, b) => {
-        let aValue = a[sortField];
-        let bValue = b[sortField];
-        
-        // Handle nested fields
-        if (sortField.includes('.')) {
-          const fields = sortField.split('.');
-          aValue = fields.reduce((obj, field) => obj?.[field], a);
-          bValue = fields.reduce((obj, field) => obj?.[field], b);
-        }
-        
-        // Handle dates
-        if (aValue && typeof aValue.toDate === 'function') {
-          aValue = aValue.toDate();
-        }
-        if (bValue && typeof bValue.toDate === 'function') {
-          bValue = bValue.toDate();
-        }
-        
-        if (sortOrder === 'desc') {
-          return bValue > aValue ? 1 : -1;
-        } else {
-          return aValue > bValue ? 1 : -1;
-        }
-      });
-      
-      // Apply date filters in memory
-      let filteredOrders = orders;
-      if (validatedFilters.dateFrom || validatedFilters.dateTo) {
-        filteredOrders = orders.filter(order => {
-          const orderDate = order.scheduledDate?.toDate ? order.scheduledDate.toDate() : new Date(order.scheduledDate);
-          
-          if (validatedFilters.dateFrom) {
-            const fromDate = new Date(validatedFilters.dateFrom);
-            if (orderDate < fromDate) return false;
-          }
-          
-          if (validatedFilters.dateTo) {
-            const toDate = new Date(validatedFilters.dateTo);
-            if (orderDate > toDate) return false;
-          }
-          
-          return true;
-        });
-      }
-      
-      // Apply pagination in memory
-      const startIndex = validatedFilters.offset;
-      const endIndex = startIndex + validatedFilters.limit;
-      const paginatedOrders = filteredOrders.slice(startIndex, endIndex);
+      const query = applyOrderFilters(adminDb.collection(COLLECTION_NAME), validatedFilters);
+
+      // Firestore requires the date range's field to be the first sort field
+      const hasDateFilter = validatedFilters.dateFrom || validatedFilters.dateTo;
+      const sortBy = hasDateFilter ? 'scheduledDate' : validatedFilters.sortBy;
+      const orderBy = [[ORDER_SORT_FIELDS[sortBy], validatedFilters.sortOrder]];
+
+      const [page, total] = await Promise.all([
+        paginateQuery(query, {
+          orderBy,
+          limit: validatedFilters.limit,
+          cursor: validatedFilters.cursor,
+          offset: validatedFilters.offset
+        }),
+        countQuery(query)
+      ]);
       
       return {
-        orders: paginatedOrders,
-        total: filteredOrders.length,
+        orders: page.items,
+        total,
         limit: validatedFilters.limit,
-        offset: validatedFilters.offset
+        offset: validatedFilters.cursor ? null : validatedFilters.offset,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
       };
     } catch (error) {
       console.error('Error getting orders:', error);
@@ -256,16 +353,27 @@ class OrderService {
         throw new Error('Unauthorized: You can only update orders for your services');
       }
       
-      // Validate and update order document
-      const updatedOrder = updateOrderDocument(existingOrder, updateData);
+      // Status changes must go through the state machine
+      if (updateData.status && updateData.status !== existingOrder.status) {
+        throw new Error('Invalid status transition: use the order status endpoint to change status');
+      }
+      
+      // Parties may only edit the booking notes; pricing, the schedule and
+      // who the order is between are fixed once it is booked
+      const edits = getOrderEdits(existingOrder, updateData);
+      const updates = { updatedAt: new Date() };
+      Object.entries(edits).forEach(([field, value]) => {
+        updates[`bookingDetails.${field}`] = value;
+      });
       
       // Update in Firestore
-      await adminDb.collection(COLLECTION_NAME).doc(orderId).update(updatedOrder);
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update(updates);
       
       // Return updated order
       return {
-        id: orderId,
-        ...updatedOrder
+        ...existingOrder,
+        bookingDetails: { ...existingOrder.bookingDetails, ...edits },
+        updatedAt: updates.updatedAt
       };
     } catch (error) {
       console.error('Error updating order:', error);
@@ -273,84 +381,245 @@ class OrderService {
     }
   }
 
-  // Cancel order
-  async cancelOrder(orderId, cancellationData, userId, userType) {
-    try {
-      const orderResult = await this.getOrderById(orderId);
-      if (!orderResult.success) {
-        throw new Error(orderResult.message);
+  // Move an order to a new status, enforcing the transition table and
+  // recording the transition in the order's status history
+  async transitionOrderStatus(orderId, toStatus, { actorId, userType, reason = '', updates = {} }) {
+    const role = normalizeOrderActorRole(userType);
+    const orderRef = adminDb.collection(COLLECTION_NAME).doc(orderId);
+    
+    return await adminDb.runTransaction(async (transaction) => {
+      const doc = await transaction.get(orderRef);
+      if (!doc.exists) {
+        throw new Error('Order not found');
       }
-      const existingOrder = orderResult.data;
+      const existingOrder = doc.data();
       
-      // Check if order can be cancelled
-      if (existingOrder.status === ORDER_STATUS.COMPLETED) {
-        throw new Error('Cannot cancel a completed order');
+      // Check permissions
+      if (role === ORDER_ACTOR_ROLES.CUSTOMER && existingOrder.customerId !== actorId) {
+        throw new Error('Unauthorized: You can only update your own orders');
       }
       
-      if (existingOrder.status === ORDER_STATUS.CANCELLED) {
-        throw new Error('Order is already cancelled');
+      if (role === ORDER_ACTOR_ROLES.PROVIDER && existingOrder.providerId !== actorId) {
+        throw new Error('Unauthorized: You can only update orders for your services');
       }
       
-      // Check permissions
-      if (userType === 'customer' && existingOrder.customerId !== userId) {
-        throw new Error('Unauthorized: You can only cancel your own orders');
+      assertStatusTransition(existingOrder.status, toStatus, role);
+      
+      const historyEntry = {
+        from: existingOrder.status,
+        to: toStatus,
+        actorId,
+        role,
+        reason: reason || '',
+        timestamp: new Date()
+      };
+      
+      const { statusHistory, ...allowedUpdates } = updates;
+      const updatedOrder = updateOrderDocument(existingOrder, { ...allowedUpdates, status: toStatus });
+      
+      // Milestones tied to the new status become payable. They hold stored
+      // timestamps, so they are set directly rather than revalidated.
+      if (existingOrder.paymentMilestones?.length) {
+        updatedOrder.paymentMilestones = updateMilestonesForStatus(existingOrder.paymentMilestones, toStatus);
       }
       
-      if (userType === 'provider' && existingOrder.providerId !== userId) {
-        throw new Error('Unauthorized: You can only cancel orders for your services');
+      transaction.update(orderRef, {
+        ...updatedOrder,
+        statusHistory: admin.firestore.FieldValue.arrayUnion(historyEntry)
+      });
+      
+      return {
+        id: orderId,
+        ...updatedOrder,
+        statusHistory: [...(existingOrder.statusHistory || []), historyEntry]
+      };
+    });
+  }
+
+  // Cancel order, refunding the customer according to the cancellation policy
+  async cancelOrder(orderId, cancellationData, userId, userType) {
+    try {
+      const role = normalizeOrderActorRole(userType);
+      
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
       }
+      const { refundAmount, refundPercent } = calculateCancellationRefund(orderResult.data, role);
+      const callOutFee = calculateCallOutFee(orderResult.data, role);
+      
+      const { refundAmount: requestedRefund, refundPercent: requestedPercent, ...details } = cancellationData || {};
       
-      const updateData = {
-        status: ORDER_STATUS.CANCELLED,
+      const updates = {
         cancellation: {
-          ...cancellationData,
-          cancelledBy: userType,
-          cancelledAt: new Date()
+          ...details,
+          cancelledBy: role,
+          cancelledAt: new Date(),
+          refundAmount,
+          refundPercent,
+          ...(callOutFee > 0 && { callOutFee })
         }
       };
       
-      return await this.updateOrder(orderId, updateData, userId, userType);
+      const cancelledOrder = await this.transitionOrderStatus(orderId, ORDER_STATUS.CANCELLED, {
+        actorId: userId,
+        userType,
+        reason: details.reason,
+        updates
+      });
+      
+      await notificationService.notifyUsers(
+        [cancelledOrder.customerId, cancelledOrder.providerId],
+        NOTIFICATION_TYPES.ORDER_CANCELLED,
+        { order: cancelledOrder, orderId }
+      );
+      
+      await payoutService.voidOrderPayout(orderId);
+      await this.expireCheckoutSessions(cancelledOrder);
+      
+      // Emergency bookings: charge the call-out fee from the card hold and
+      // pay it to the provider, or release the hold
+      if (callOutFee > 0) {
+        try {
+          const chargedOrder = await this.captureAuthorizedPayment(orderId, callOutFee);
+          const payoutResult = await payoutService.releaseOrderPayout(orderId);
+          if (!payoutResult.success) {
+            console.error('Error releasing call-out fee payout:', payoutResult.error);
+          }
+          return { ...cancelledOrder, ...chargedOrder };
+        } catch (captureError) {
+          console.error('Error charging call-out fee:', captureError);
+          return { ...cancelledOrder, captureError: captureError.message };
+        }
+      }
+      if (cancelledOrder.authorization) {
+        try {
+          return { ...cancelledOrder, ...(await this.releaseAuthorization(orderId)) };
+        } catch (releaseError) {
+          console.error('Error releasing card hold:', releaseError);
+          return { ...cancelledOrder, releaseError: releaseError.message };
+        }
+      }
+      
+      if (refundAmount <= 0) {
+        return cancelledOrder;
+      }
+      
+      // The cancellation stands even if Stripe rejects the refund; an admin
+      // can retry it through the refund endpoint.
+      try {
+        return await this.refundOrder(orderId, {
+          amount: refundAmount,
+          reason: `Cancellation refund (${refundPercent}%)`
+        }, userId, ORDER_ACTOR_ROLES.SYSTEM);
+      } catch (refundError) {
+        console.error('Error refunding cancelled order:', refundError);
+        return { ...cancelledOrder, refundError: refundError.message };
+      }
     } catch (error) {
       console.error('Error cancelling order:', error);
       throw new Error(`Failed to cancel order: ${error.message}`);
     }
   }
 
+  // Close the order's checkouts so it cannot be paid once cancelled. The one
+  // already paid, if any, is skipped; Stripe refuses to expire it.
+  async expireCheckoutSessions(order) {
+    const sessionIds = (order.stripeCheckoutSessionIds || [])
+      .filter(sessionId => sessionId !== order.stripeCheckoutSessionId);
+    
+    for (const sessionId of sessionIds) {
+      const result = await stripeService.expireCheckoutSession(sessionId);
+      if (!result.success) {
+        console.error(`Error expiring checkout session ${sessionId}:`, result.error);
+      }
+    }
+  }
+
   // Update order status
-  async updateOrderStatus(orderId, status, userId, userType) {
+  async updateOrderStatus(orderId, status, userId, userType, reason = '') {
     try {
-      const validStatuses = Object.values(ORDER_STATUS);
-      if (!validStatuses.includes(status)) {
-        throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
-      }
-      
-      const updateData = { status };
+      const updates = {};
       
       // Add specific fields based on status
       if (status === ORDER_STATUS.IN_PROGRESS) {
-        updateData.actualStartTime = new Date();
+        updates.actualStartTime = new Date();
       } else if (status === ORDER_STATUS.COMPLETED) {
-        updateData.actualEndTime = new Date();
+        updates.actualEndTime = new Date();
       }
       
-      return await this.updateOrder(orderId, updateData, userId, userType);
+      const updatedOrder = await this.transitionOrderStatus(orderId, status, {
+        actorId: userId,
+        userType,
+        reason,
+        updates
+      });
+      
+      if (status === ORDER_STATUS.CONFIRMED) {
+        await notificationService.notifyUser(updatedOrder.customerId, NOTIFICATION_TYPES.ORDER_CONFIRMED, {
+          order: updatedOrder,
+          orderId
+        });
+      } else {
+        // Tell whoever did not make the change
+        const otherParties = [updatedOrder.customerId, updatedOrder.providerId].filter(id => id !== userId);
+        await notificationService.notifyUsers(otherParties, NOTIFICATION_TYPES.ORDER_STATUS_CHANGED, {
+          order: updatedOrder,
+          orderId
+        });
+      }
+      
+      // Pay the provider once the job is done, charging the card hold of an
+      // emergency booking first. If the capture fails the order stays
+      // completed and the capture can be retried.
+      if (status === ORDER_STATUS.COMPLETED) {
+        if (updatedOrder.authorization?.status === AUTHORIZATION_STATUS.AUTHORIZED) {
+          try {
+            Object.assign(updatedOrder, await this.captureAuthorizedPayment(orderId));
+          } catch (captureError) {
+            console.error('Error capturing payment for completed order:', captureError);
+            updatedOrder.captureError = captureError.message;
+          }
+        }
+        
+        const payoutResult = await payoutService.releaseOrderPayout(orderId);
+        if (!payoutResult.success) {
+          console.error('Error releasing payout for completed order:', payoutResult.error);
+        } else if (payoutResult.payout) {
+          updatedOrder.payout = payoutResult.payout;
+        }
+      }
+      
+      return updatedOrder;
     } catch (error) {
       console.error('Error updating order status:', error);
       throw new Error(`Failed to update order status: ${error.message}`);
     }
   }
 
-  // Update payment status
+  // Set the payment status directly (admins and the payment webhooks). It
+  // is normally derived from the order's payments and refunds.
   async updatePaymentStatus(orderId, paymentStatus, userId, userType) {
     try {
+      const role = normalizeOrderActorRole(userType);
+      if (![ORDER_ACTOR_ROLES.ADMIN, ORDER_ACTOR_ROLES.SYSTEM].includes(role)) {
+        throw new Error('Unauthorized: Only admins can set the payment status');
+      }
+      
       const validStatuses = Object.values(PAYMENT_STATUS);
       if (!validStatuses.includes(paymentStatus)) {
         throw new Error(`Invalid payment status. Must be one of: ${validStatuses.join(', ')}`);
       }
       
-      const updateData = { paymentStatus };
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
+      }
+      
+      const updates = { paymentStatus, updatedAt: new Date() };
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update(updates);
       
-      return await this.updateOrder(orderId, updateData, userId, userType);
+      return { ...orderResult.data, ...updates };
     } catch (error) {
       console.error('Error updating payment status:', error);
       throw new Error(`Failed to update payment status: ${error.message}`);
@@ -368,43 +637,734 @@ class OrderService {
     }
   }
 
-  // Add message to order
-  async addMessage(orderId, messageData, userId, userType) {
+  // Cancel orders still pending and unpaid that were created before the
+  // cutoff, releasing their booked slots. One failure does not stop the rest.
+  async cancelStalePendingOrders(createdBefore, reason = 'Payment not received in time') {
+    try {
+      const snapshot = await adminDb.collection(COLLECTION_NAME)
+        .where('status', '==', ORDER_STATUS.PENDING)
+        .where('paymentStatus', '==', PAYMENT_STATUS.PENDING)
+        .where('createdAt', '<', createdBefore)
+        .get();
+
+      const cancelled = [];
+      const failed = [];
+      for (const doc of snapshot.docs) {
+        try {
+          await this.cancelOrder(doc.id, { reason }, 'scheduler', ORDER_ACTOR_ROLES.SYSTEM);
+          cancelled.push(doc.id);
+        } catch (error) {
+          failed.push({ orderId: doc.id, error: error.message });
+        }
+      }
+
+      return { cancelled, failed };
+    } catch (error) {
+      console.error('Error cancelling stale orders:', error);
+      throw new Error(`Failed to cancel stale orders: ${error.message}`);
+    }
+  }
+
+  // Get order by Stripe payment intent, including deposit and milestone
+  // payments. Orders paid before stripePaymentIntentIds was recorded only
+  // have stripePaymentIntentId.
+  async getOrderByPaymentIntentId(paymentIntentId) {
+    try {
+      let snapshot = await adminDb.collection(COLLECTION_NAME)
+        .where('stripePaymentIntentIds', 'array-contains', paymentIntentId)
+        .limit(1)
+        .get();
+      
+      if (snapshot.empty) {
+        snapshot = await adminDb.collection(COLLECTION_NAME)
+          .where('stripePaymentIntentId', '==', paymentIntentId)
+          .limit(1)
+          .get();
+      }
+      
+      if (snapshot.empty) {
+        throw new Error('Order not found');
+      }
+      
+      const doc = snapshot.docs[0];
+      return {
+        id: doc.id,
+        ...doc.data()
+      };
+    } catch (error) {
+      console.error('Error getting order by payment intent:', error);
+      throw new Error(`Failed to get order: ${error.message}`);
+    }
+  }
+
+  // Record a successful payment and confirm the order if it is still pending.
+  // For orders with payment milestones, `paymentData.milestoneId` says which
+  // milestone was paid.
+  async markOrderPaid(orderId, paymentData = {}, reason = '') {
+    try {
+      const paymentUpdate = {
+        paymentStatus: PAYMENT_STATUS.PAID,
+        paidAt: new Date(),
+        updatedAt: new Date()
+      };
+      
+      if (paymentData.stripePaymentIntentId) {
+        paymentUpdate.stripePaymentIntentId = paymentData.stripePaymentIntentId;
+        paymentUpdate.stripePaymentIntentIds = admin.firestore.FieldValue.arrayUnion(paymentData.stripePaymentIntentId);
+      }
+      if (paymentData.stripeCheckoutSessionId) {
+        paymentUpdate.stripeCheckoutSessionId = paymentData.stripeCheckoutSessionId;
+      }
+      
+      const orderRef = adminDb.collection(COLLECTION_NAME).doc(orderId);
+      const { order, fullyPaid, amountReceived, slotUnavailable } = await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(orderRef);
+        if (!doc.exists) {
+          throw new Error('Order not found');
+        }
+        
+        const existingOrder = doc.data();
+        const slotUnavailable = await this.checkSlotOnFirstPayment(transaction, orderId, existingOrder);
+        if (existingOrder.paymentMilestones?.length) {
+          return { ...this.recordMilestonePayment(transaction, orderRef, existingOrder, paymentData), slotUnavailable };
+        }
+        
+        // A refund may already have been recorded for this payment
+        if (existingOrder.paymentStatus === PAYMENT_STATUS.PENDING || existingOrder.paymentStatus === PAYMENT_STATUS.FAILED) {
+          transaction.update(orderRef, {
+            ...paymentUpdate,
+            paidAmount: existingOrder.pricing?.totalAmount || 0,
+            payout: {
+              status: isClosedOrder(existingOrder) ? PAYOUT_STATUS.VOID : PAYOUT_STATUS.PENDING,
+              ...payoutService.calculatePayoutSplit(existingOrder.pricing?.totalAmount, 0, existingOrder.pricing?.currency)
+            }
+          });
+          return { order: existingOrder, fullyPaid: true, amountReceived: existingOrder.pricing?.totalAmount || 0, slotUnavailable };
+        }
+        
+        const { paymentStatus, paidAt, ...references } = paymentUpdate;
+        transaction.update(orderRef, references);
+        return { order: existingOrder, fullyPaid: false, amountReceived: 0 };
+      });
+      
+      // A checkout that stayed open after the order was cancelled
+      if (isClosedOrder(order) && amountReceived > 0) {
+        return await this.refundLatePayment(orderId, amountReceived);
+      }
+      
+      // The payment is kept on the order so that it can be refunded in full
+      if (slotUnavailable) {
+        return await this.cancelOrder(orderId, {
+          reason: `Payment arrived after the booking's slot was taken (${slotUnavailable})`
+        }, 'stripe-webhook', ORDER_ACTOR_ROLES.SYSTEM);
+      }
+      
+      if (amountReceived > 0) {
+        await notificationService.notifyUser(order.customerId, NOTIFICATION_TYPES.PAYMENT_RECEIVED, {
+          order,
+          orderId,
+          amount: amountReceived
+        });
+      }
+      
+      if (order.status === ORDER_STATUS.PENDING) {
+        return await this.updateOrderStatus(orderId, ORDER_STATUS.CONFIRMED, 'stripe-webhook', ORDER_ACTOR_ROLES.SYSTEM, reason);
+      }
+      
+      // The final milestone of a finished job releases the provider's payout
+      if (order.status === ORDER_STATUS.COMPLETED && fullyPaid) {
+        const payoutResult = await payoutService.releaseOrderPayout(orderId);
+        if (!payoutResult.success) {
+          console.error('Error releasing payout for paid order:', payoutResult.error);
+        }
+      }
+      
+      const orderResult = await this.getOrderById(orderId);
+      return orderResult.data;
+    } catch (error) {
+      console.error('Error marking order paid:', error);
+      throw new Error(`Failed to mark order paid: ${error.message}`);
+    }
+  }
+
+  // Refund a payment that arrived for a cancelled order. If Stripe refuses,
+  // the order keeps the payment and `refundError` for an admin to retry.
+  async refundLatePayment(orderId, amount) {
+    try {
+      return await this.refundOrder(orderId, {
+        amount,
+        reason: 'Payment received after the order was cancelled'
+      }, 'stripe-webhook', ORDER_ACTOR_ROLES.SYSTEM);
+    } catch (refundError) {
+      console.error('Error refunding payment for cancelled order:', refundError);
+      const orderResult = await this.getOrderById(orderId);
+      return { ...orderResult.data, refundError: refundError.message };
+    }
+  }
+
+  // Check that the first payment for a pending order still has its slot:
+  // once the booking's hold lapses another customer can book the same time.
+  // Returns why the slot was lost, if it was.
+  async checkSlotOnFirstPayment(transaction, orderId, order) {
+    if (order.status !== ORDER_STATUS.PENDING ||
+        ![PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED].includes(order.paymentStatus)) {
+      return null;
+    }
+    
+    try {
+      await availabilityService.assertSlotAvailable(transaction, order.listingId, order.bookingDetails, {
+        excludeOrderId: orderId,
+        bookedAt: order.createdAt
+      });
+      return null;
+    } catch (error) {
+      if (!['Slot unavailable', 'Listing not found'].some(reason => error.message.startsWith(reason))) {
+        throw error;
+      }
+      return error.message;
+    }
+  }
+
+  // Mark one payment milestone paid, inside markOrderPaid's transaction.
+  // Stripe reports the same payment through the checkout session and the
+  // payment intent, so a milestone that is already paid only gains the
+  // references it was missing.
+  recordMilestonePayment(transaction, orderRef, existingOrder, paymentData) {
+    const currency = existingOrder.pricing?.currency;
+    const milestone = existingOrder.paymentMilestones.find(item => item.id === paymentData.milestoneId);
+    if (!milestone) {
+      throw new Error(`Payment milestone not found: ${paymentData.milestoneId}`);
+    }
+    
+    const alreadyPaid = milestone.status === MILESTONE_STATUS.PAID;
+    const paymentMilestones = existingOrder.paymentMilestones.map(item => (item.id !== milestone.id ? item : {
+      ...item,
+      status: MILESTONE_STATUS.PAID,
+      paidAt: item.paidAt || new Date(),
+      ...(paymentData.stripePaymentIntentId && { stripePaymentIntentId: paymentData.stripePaymentIntentId }),
+      ...(paymentData.stripeCheckoutSessionId && { stripeCheckoutSessionId: paymentData.stripeCheckoutSessionId })
+    }));
+    const paidAmount = sumPaidMilestones(paymentMilestones, currency);
+    const fullyPaid = !alreadyPaid && paidAmount >= (existingOrder.pricing?.totalAmount || 0);
+    
+    const update = {
+      paymentMilestones,
+      paidAmount,
+      paymentStatus: getPaymentStatus({ ...existingOrder, paidAmount }),
+      updatedAt: new Date()
+    };
+    if (paymentData.stripePaymentIntentId) {
+      update.stripePaymentIntentIds = admin.firestore.FieldValue.arrayUnion(paymentData.stripePaymentIntentId);
+    }
+    if (fullyPaid) {
+      update.paidAt = new Date();
+    }
+    // The provider's share grows with each payment until it is released
+    if (!existingOrder.payout || existingOrder.payout.status === PAYOUT_STATUS.PENDING) {
+      update.payout = {
+        status: isClosedOrder(existingOrder) ? PAYOUT_STATUS.VOID : PAYOUT_STATUS.PENDING,
+        ...payoutService.calculatePayoutSplit(paidAmount, existingOrder.refundedAmount, currency)
+      };
+    }
+    
+    transaction.update(orderRef, update);
+    return { order: existingOrder, fullyPaid, amountReceived: alreadyPaid ? 0 : milestone.amount };
+  }
+
+  // Record a failed payment. An order that has already received part of its
+  // payment keeps its payment status, and the milestone stays due so the
+  // customer can try again. So does an order whose card hold is still in
+  // place when renewing the hold fails.
+  async markPaymentFailed(orderId) {
     try {
       const orderResult = await this.getOrderById(orderId);
       if (!orderResult.success) {
         throw new Error(orderResult.message);
       }
-      const existingOrder = orderResult.data;
       
-      // Check permissions
-      if (userType === 'customer' && existingOrder.customerId !== userId) {
-        throw new Error('Unauthorized: You can only message about your own orders');
+      if (getPaidAmount(orderResult.data) > 0 ||
+          orderResult.data.authorization?.status === AUTHORIZATION_STATUS.AUTHORIZED) {
+        return orderResult.data;
       }
       
-      if (userType === 'provider' && existingOrder.providerId !== userId) {
-        throw new Error('Unauthorized: You can only message about orders for your services');
+      return await this.updatePaymentStatus(orderId, PAYMENT_STATUS.FAILED, 'stripe-webhook', ORDER_ACTOR_ROLES.SYSTEM);
+    } catch (error) {
+      console.error('Error marking payment failed:', error);
+      throw new Error(`Failed to mark payment failed: ${error.message}`);
+    }
+  }
+
+  // Place a hold for the order total on the customer's card. Used when an
+  // emergency booking is created and when the customer authorizes again after
+  // a hold lapsed. The customer confirms the returned client secret; the hold
+  // is recorded when Stripe reports it through the webhook.
+  async authorizeOrderPayment(orderId, customerId, callOutFee = null) {
+    try {
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
+      }
+      const order = orderResult.data;
+      
+      if (order.customerId !== customerId) {
+        throw new Error('Unauthorized: You can only pay for your own orders');
+      }
+      if (!order.bookingDetails?.emergency) {
+        throw new Error('Order is not an emergency booking');
+      }
+      if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.COMPLETED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+        throw new Error('Order is not in a payable state');
+      }
+      if (order.authorization?.status === AUTHORIZATION_STATUS.AUTHORIZED) {
+        throw new Error('Order payment is already authorized');
       }
+      if (order.paymentStatus === PAYMENT_STATUS.PAID) {
+        throw new Error('Order has already been paid');
+      }
+      
+      const currency = normalizeCurrency(order.pricing.currency);
+      const result = await stripeService.createPaymentIntent(
+        order.pricing.totalAmount,
+        currency.toLowerCase(),
+        await getStripeCustomerId(customerId),
+        { orderId, customerId, type: 'order_payment' },
+        // The card is saved so the hold can be renewed before it lapses
+        { captureMethod: 'manual', setupFutureUsage: 'off_session' }
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      
+      // Drop an earlier hold the customer never confirmed
+      const previous = order.authorization;
+      if (previous?.status === AUTHORIZATION_STATUS.REQUIRES_CONFIRMATION) {
+        await stripeService.cancelPaymentIntent(previous.stripePaymentIntentId, 'abandoned');
+      }
+      
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update({
+        authorization: {
+          status: AUTHORIZATION_STATUS.REQUIRES_CONFIRMATION,
+          stripePaymentIntentId: result.paymentIntent.id,
+          amount: order.pricing.totalAmount,
+          callOutFee: callOutFee ?? previous?.callOutFee ?? 0
+        },
+        updatedAt: new Date()
+      });
       
-      const newMessage = {
-        senderId: userId,
-        senderType: userType,
-        message: messageData.message,
-        timestamp: new Date(),
-        isRead: false
+      return {
+        paymentIntentId: result.paymentIntent.id,
+        clientSecret: result.paymentIntent.client_secret,
+        amount: order.pricing.totalAmount,
+        currency
       };
+    } catch (error) {
+      console.error('Error authorizing order payment:', error);
+      throw new Error(`Failed to authorize order payment: ${error.message}`);
+    }
+  }
+
+  // Record a hold the customer confirmed (payment_intent.amount_capturable_updated).
+  // Holds that have since been replaced are ignored.
+  async recordAuthorization(orderId, paymentIntent) {
+    try {
+      const orderRef = adminDb.collection(COLLECTION_NAME).doc(orderId);
+      return await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(orderRef);
+        if (!doc.exists) {
+          throw new Error('Order not found');
+        }
+        const order = doc.data();
+        
+        if (order.authorization?.stripePaymentIntentId !== paymentIntent.id ||
+            order.authorization.status !== AUTHORIZATION_STATUS.REQUIRES_CONFIRMATION) {
+          return { id: orderId, ...order };
+        }
+        
+        const authorizedAt = new Date();
+        const authorization = {
+          ...order.authorization,
+          status: AUTHORIZATION_STATUS.AUTHORIZED,
+          authorizedAt,
+          expiresAt: getAuthorizationExpiry(authorizedAt)
+        };
+        transaction.update(orderRef, {
+          authorization,
+          paymentStatus: PAYMENT_STATUS.AUTHORIZED,
+          stripePaymentIntentIds: admin.firestore.FieldValue.arrayUnion(paymentIntent.id),
+          updatedAt: new Date()
+        });
+        return { id: orderId, ...order, authorization, paymentStatus: PAYMENT_STATUS.AUTHORIZED };
+      });
+    } catch (error) {
+      console.error('Error recording payment authorization:', error);
+      throw new Error(`Failed to record payment authorization: ${error.message}`);
+    }
+  }
+
+  // Capture an emergency booking's hold: in full when the job is done, or
+  // `amount` (the call-out fee) when it is cancelled, releasing the rest
+  async captureAuthorizedPayment(orderId, amount = null) {
+    try {
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
+      }
+      const { authorization, pricing } = orderResult.data;
+      
+      if (authorization?.status !== AUTHORIZATION_STATUS.AUTHORIZED) {
+        throw new Error('Order has no authorized payment to capture');
+      }
+      
+      const result = await stripeService.capturePaymentIntent(
+        authorization.stripePaymentIntentId,
+        amount,
+        normalizeCurrency(pricing.currency).toLowerCase()
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      
+      return await this.recordCapture(orderId, result.paymentIntent);
+    } catch (error) {
+      console.error('Error capturing authorized payment:', error);
+      throw new Error(`Failed to capture payment: ${error.message}`);
+    }
+  }
+
+  // Record a captured hold as the order's payment. Called after a capture and
+  // again by the payment_intent.succeeded webhook, so it is idempotent.
+  async recordCapture(orderId, paymentIntent) {
+    try {
+      const orderRef = adminDb.collection(COLLECTION_NAME).doc(orderId);
+      const capture = await adminDb.runTransaction(async (transaction) => {
+        const doc = await transaction.get(orderRef);
+        if (!doc.exists) {
+          throw new Error('Order not found');
+        }
+        const order = doc.data();
+        
+        if (order.authorization?.stripePaymentIntentId !== paymentIntent.id ||
+            order.authorization.status === AUTHORIZATION_STATUS.CAPTURED) {
+          return null;
+        }
+        
+        const currency = order.pricing?.currency;
+        const capturedAmount = fromMinorUnits(paymentIntent.amount_received, currency);
+        const capturedAt = new Date();
+        const authorization = {
+          ...order.authorization,
+          status: AUTHORIZATION_STATUS.CAPTURED,
+          capturedAmount,
+          capturedAt
+        };
+        transaction.update(orderRef, {
+          authorization,
+          paidAmount: capturedAmount,
+          paymentStatus: getPaymentStatus({ ...order, authorization, paidAmount: capturedAmount }),
+          paidAt: capturedAt,
+          stripePaymentIntentId: paymentIntent.id,
+          stripePaymentIntentIds: admin.firestore.FieldValue.arrayUnion(paymentIntent.id),
+          payout: {
+            status: PAYOUT_STATUS.PENDING,
+            ...payoutService.calculatePayoutSplit(capturedAmount, order.refundedAmount, currency)
+          },
+          updatedAt: new Date()
+        });
+        return { order, capturedAmount };
+      });
       
-      const updateData = {
-        messages: [...(existingOrder.messages || []), newMessage]
+      if (capture) {
+        await notificationService.notifyUser(capture.order.customerId, NOTIFICATION_TYPES.PAYMENT_RECEIVED, {
+          order: capture.order,
+          orderId,
+          amount: capture.capturedAmount
+        });
+      }
+      
+      const orderResult = await this.getOrderById(orderId);
+      return orderResult.data;
+    } catch (error) {
+      console.error('Error recording captured payment:', error);
+      throw new Error(`Failed to record captured payment: ${error.message}`);
+    }
+  }
+
+  // Release an emergency booking's hold without charging the customer
+  async releaseAuthorization(orderId) {
+    try {
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
+      }
+      const { authorization, paymentStatus } = orderResult.data;
+      
+      const releasable = [AUTHORIZATION_STATUS.AUTHORIZED, AUTHORIZATION_STATUS.REQUIRES_CONFIRMATION];
+      if (!releasable.includes(authorization?.status)) {
+        return orderResult.data;
+      }
+      
+      const result = await stripeService.cancelPaymentIntent(authorization.stripePaymentIntentId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      
+      const update = {
+        authorization: { ...authorization, status: AUTHORIZATION_STATUS.CANCELLED, cancelledAt: new Date() },
+        paymentStatus: paymentStatus === PAYMENT_STATUS.AUTHORIZED ? PAYMENT_STATUS.PENDING : paymentStatus,
+        updatedAt: new Date()
       };
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update(update);
+      return { ...orderResult.data, ...update };
+    } catch (error) {
+      console.error('Error releasing payment authorization:', error);
+      throw new Error(`Failed to release payment authorization: ${error.message}`);
+    }
+  }
+
+  // Record a hold Stripe cancelled on its own (payment_intent.canceled),
+  // which happens when it lapses before it was renewed. Holds this service
+  // cancelled or replaced are already recorded and ignored here.
+  async recordAuthorizationCancelled(orderId, paymentIntent) {
+    try {
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
+      }
+      const { authorization } = orderResult.data;
+      
+      if (authorization?.stripePaymentIntentId !== paymentIntent.id ||
+          authorization.status !== AUTHORIZATION_STATUS.AUTHORIZED) {
+        return orderResult.data;
+      }
       
-      return await this.updateOrder(orderId, updateData, userId, userType);
+      const update = {
+        authorization: { ...authorization, status: AUTHORIZATION_STATUS.EXPIRED },
+        paymentStatus: PAYMENT_STATUS.PENDING,
+        updatedAt: new Date()
+      };
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update(update);
+      return { ...orderResult.data, ...update };
     } catch (error) {
-      console.error('Error adding message:', error);
-      throw new Error(`Failed to add message: ${error.message}`);
+      console.error('Error recording cancelled authorization:', error);
+      throw new Error(`Failed to record cancelled authorization: ${error.message}`);
     }
   }
 
+  // Renew holds that lapse before the cutoff by placing a new hold on the
+  // saved card and then releasing the old one. A hold that cannot be renewed
+  // is left in place with the error recorded, so the customer can authorize
+  // again before it lapses. One failure does not stop the rest.
+  async renewExpiringAuthorizations(expiresBefore) {
+    try {
+      const snapshot = await adminDb.collection(COLLECTION_NAME)
+        .where('authorization.status', '==', AUTHORIZATION_STATUS.AUTHORIZED)
+        .where('authorization.expiresAt', '<=', expiresBefore)
+        .get();
+      
+      const renewed = [];
+      const failed = [];
+      for (const doc of snapshot.docs) {
+        const order = doc.data();
+        const { authorization } = order;
+        try {
+          const previous = await stripeService.retrievePaymentIntent(authorization.stripePaymentIntentId);
+          if (!previous.success) {
+            throw new Error(previous.error);
+          }
+          
+          const currency = normalizeCurrency(order.pricing.currency).toLowerCase();
+          const result = await stripeService.createPaymentIntent(
+            authorization.amount,
+            currency,
+            previous.paymentIntent.customer,
+            { orderId: doc.id, customerId: order.customerId, type: 'order_payment' },
+            { captureMethod: 'manual', paymentMethodId: previous.paymentIntent.payment_method, offSession: true }
+          );
+          if (!result.success) {
+            throw new Error(result.error);
+          }
+          if (result.paymentIntent.status !== 'requires_capture') {
+            await stripeService.cancelPaymentIntent(result.paymentIntent.id, 'abandoned');
+            throw new Error(`Card could not be authorized (${result.paymentIntent.status})`);
+          }
+          
+          const renewedAt = new Date();
+          await doc.ref.update({
+            authorization: {
+              status: AUTHORIZATION_STATUS.AUTHORIZED,
+              stripePaymentIntentId: result.paymentIntent.id,
+              amount: authorization.amount,
+              callOutFee: authorization.callOutFee || 0,
+              authorizedAt: renewedAt,
+              expiresAt: getAuthorizationExpiry(renewedAt),
+              reauthorizedAt: renewedAt
+            },
+            stripePaymentIntentIds: admin.firestore.FieldValue.arrayUnion(result.paymentIntent.id),
+            updatedAt: renewedAt
+          });
+          
+          // Release the old hold only once the new one is recorded
+          const cancelResult = await stripeService.cancelPaymentIntent(authorization.stripePaymentIntentId, 'duplicate');
+          if (!cancelResult.success) {
+            console.error('Error releasing replaced authorization:', cancelResult.error);
+          }
+          renewed.push(doc.id);
+        } catch (error) {
+          await doc.ref.update({ 'authorization.reauthorizationError': error.message, updatedAt: new Date() });
+          failed.push({ orderId: doc.id, error: error.message });
+          
+          // Ask the customer to authorize again, once per hold
+          if (!authorization.reauthorizationError) {
+            await notificationService.notifyUser(order.customerId, NOTIFICATION_TYPES.PAYMENT_AUTHORIZATION_FAILED, {
+              order,
+              orderId: doc.id
+            });
+          }
+        }
+      }
+      
+      return { renewed, failed };
+    } catch (error) {
+      console.error('Error renewing payment authorizations:', error);
+      throw new Error(`Failed to renew payment authorizations: ${error.message}`);
+    }
+  }
+
+  // Refund a paid order through Stripe, fully or partially
+  async refundOrder(orderId, refundData, userId, userType) {
+    try {
+      const role = normalizeOrderActorRole(userType);
+      
+      if (![ORDER_ACTOR_ROLES.ADMIN, ORDER_ACTOR_ROLES.PROVIDER, ORDER_ACTOR_ROLES.SYSTEM].includes(role)) {
+        throw new Error('Unauthorized: Only admins and providers can issue refunds');
+      }
+      
+      const orderResult = await this.getOrderById(orderId);
+      if (!orderResult.success) {
+        throw new Error(orderResult.message);
+      }
+      const order = orderResult.data;
+      
+      if (role === ORDER_ACTOR_ROLES.PROVIDER && order.providerId !== userId) {
+        throw new Error('Unauthorized: You can only refund orders for your services');
+      }
+      
+      const payments = getRefundablePayments(order);
+      if (payments.length === 0) {
+        throw new Error('Cannot refund: order has no recorded Stripe payment');
+      }
+      
+      const refundable = getRefundableAmount(order);
+      if (refundable <= 0) {
+        throw new Error('Cannot refund: order has no refundable balance');
+      }
+      
+      const amount = refundData?.amount !== undefined && refundData?.amount !== null
+        ? Number(refundData.amount)
+        : refundable;
+      
+      if (!(amount > 0)) {
+        throw new Error('Invalid refund amount: must be greater than zero');
+      }
+      
+      if (amount > refundable) {
+        throw new Error(`Invalid refund amount: at most ${refundable} can be refunded`);
+      }
+      
+      // Orders paid in milestones are refunded from the latest payments first
+      const reason = refundData?.reason || '';
+      const currency = order.pricing?.currency || 'usd';
+      let remaining = amount;
+      let refundedOrder;
+      for (const payment of payments) {
+        if (remaining <= 0) break;
+        const paymentAmount = roundMoney(Math.min(remaining, payment.refundable), currency);
+        
+        const result = await stripeService.createRefund(payment.stripePaymentIntentId, paymentAmount, {
+          orderId,
+          requestedBy: userId,
+          reason
+        }, currency);
+        
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        
+        refundedOrder = await this.applyRefund(orderId, {
+          stripeRefundId: result.refund.id,
+          stripePaymentIntentId: payment.stripePaymentIntentId,
+          amount: paymentAmount,
+          currency: result.refund.currency,
+          status: result.refund.status,
+          reason,
+          requestedBy: userId,
+          role,
+          createdAt: new Date()
+        });
+        remaining = roundMoney(remaining - paymentAmount, currency);
+      }
+      
+      return refundedOrder;
+    } catch (error) {
+      console.error('Error refunding order:', error);
+      throw new Error(`Failed to refund order: ${error.message}`);
+    }
+  }
+
+  // Insert or update a refund record and recompute the refunded total and
+  // payment status. Used both when we issue a refund and when Stripe reports
+  // one through a webhook, so records are keyed by the Stripe refund id.
+  async applyRefund(orderId, refundRecord) {
+    const orderRef = adminDb.collection(COLLECTION_NAME).doc(orderId);
+    
+    const updatedOrder = await adminDb.runTransaction(async (transaction) => {
+      const doc = await transaction.get(orderRef);
+      if (!doc.exists) {
+        throw new Error('Order not found');
+      }
+      const existingOrder = doc.data();
+      
+      const refunds = [...(existingOrder.refunds || [])];
+      const existingIndex = refunds.findIndex(refund => refund.stripeRefundId === refundRecord.stripeRefundId);
+      if (existingIndex >= 0) {
+        refunds[existingIndex] = { ...refunds[existingIndex], status: refundRecord.status, amount: refundRecord.amount };
+      } else {
+        refunds.push(refundRecord);
+      }
+      
+      const refundedAmount = sumActiveRefunds(refunds, existingOrder.pricing?.currency);
+      const paymentStatus = getPaymentStatus({ ...existingOrder, refundedAmount });
+      
+      const update = {
+        refunds,
+        refundedAmount,
+        paymentStatus,
+        updatedAt: new Date()
+      };
+      transaction.update(orderRef, update);
+      
+      return { ...existingOrder, ...update };
+    });
+    
+    // Take the provider's share of the refund back if they were already paid
+    const reversalResult = await payoutService.reversePaidPayout(orderId, 'Refund');
+    if (!reversalResult.success) {
+      console.error('Error reversing payout after refund:', reversalResult.error);
+    }
+    
+    // A fully refunded order that has finished or been cancelled is closed out
+    if (updatedOrder.paymentStatus === PAYMENT_STATUS.REFUNDED &&
+        [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED].includes(updatedOrder.status)) {
+      return await this.transitionOrderStatus(orderId, ORDER_STATUS.REFUNDED, {
+        actorId: refundRecord.requestedBy || 'stripe-webhook',
+        userType: ORDER_ACTOR_ROLES.SYSTEM,
+        reason: 'Payment fully refunded'
+      });
+    }
+    
+    return { id: orderId, ...updatedOrder };
+  }
+
   // Add review to order
   async addReview(orderId, reviewData, userId, userType) {
     try {
@@ -435,17 +1395,27 @@ class OrderService {
         submittedAt: new Date()
       };
       
-      const updateData = { review };
+      // Validate the review against the order schema
+      const { updatedAt } = updateOrderDocument(existingOrder, { review });
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update({ review, updatedAt });
+      const updatedOrder = { ...existingOrder, review, updatedAt };
+      
+      await notificationService.notifyUser(existingOrder.providerId, NOTIFICATION_TYPES.NEW_REVIEW, {
+        order: existingOrder,
+        orderId,
+        review
+      });
       
-      return await this.updateOrder(orderId, updateData, userId, userType);
+      return updatedOrder;
     } catch (error) {
       console.error('Error adding review:', error);
       throw new Error(`Failed to add review: ${error.message}`);
     }
   }
 
-  // Create payment session for order
-  async createPaymentSession(orderId, customerId) {
+  // Create payment session for order. Orders with payment milestones are
+  // paid one milestone at a time: the given one, or the next one due.
+  async createPaymentSession(orderId, customerId, milestoneId = null) {
     try {
       // Get the order
       const orderResult = await this.getOrderById(orderId);
@@ -459,8 +1429,16 @@ class OrderService {
         throw new Error('Unauthorized: You can only pay for your own orders');
       }
       
+      if (order.bookingDetails?.emergency) {
+        throw new Error('Order is not in a payable state: emergency bookings are charged through their card hold');
+      }
+      
+      const milestone = order.paymentMilestones?.length
+        ? this.getPayableMilestone(order, milestoneId)
+        : null;
+      
       // Check if order is in a payable state
-      if (order.status !== 'pending' && order.status !== 'confirmed') {
+      if (!milestone && order.status !== 'pending' && order.status !== 'confirmed') {
         throw new Error('Order is not in a payable state');
       }
       
@@ -468,30 +1446,36 @@ class OrderService {
         throw new Error('Order has already been paid');
       }
       
+      const slotUnavailable = await adminDb.runTransaction(transaction => (
+        this.checkSlotOnFirstPayment(transaction, orderId, order)
+      ));
+      if (slotUnavailable) {
+        throw new Error(slotUnavailable);
+      }
+      
+      const paymentMetadata = {
+        orderId: orderId,
+        customerId: customerId,
+        type: 'order_payment',
+        ...(milestone && { milestoneId: milestone.id })
+      };
+      
       // Create Stripe checkout session
       const sessionData = {
-        line_items: [{
-          price_data: {
-            currency: order.pricing.currency || 'usd',
-            product_data: {
-              name: order.serviceDetails.title,
-              description: order.serviceDetails.description || `Service: ${order.serviceDetails.category}`,
-            },
-            unit_amount: Math.round(order.pricing.totalAmount * 100), // Convert to cents
-          },
-          quantity: 1,
-        }],
+        line_items: buildCheckoutLineItems(order, milestone),
         mode: 'payment',
         payment_method_types: ['card'], // Only allow card payments to avoid link payment method issues
         success_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/client-dashboard/service-tracking/${orderId}?payment=success&session_id={CHECKOUT_SESSION_ID}`,
         cancel_url: `${process.env.FRONTEND_URL || 'http://localhost:5173'}/client-dashboard/service-tracking/${orderId}`,
-        metadata: {
-          orderId: orderId,
-          customerId: customerId,
-          type: 'order_payment'
+        metadata: paymentMetadata,
+        payment_intent_data: {
+          transfer_group: orderId,
+          metadata: paymentMetadata
         },
         customer_email: order.customerEmail || undefined,
-        allow_promotion_codes: false, // Disable promotion codes to avoid additional complexity
+        // Promo codes are applied to the order total when the order is created
+        allow_promotion_codes: false,
+        expires_at: Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_MINUTES * 60
       };
       
       const result = await stripeService.createOrderCheckoutSession(sessionData);
@@ -502,12 +1486,19 @@ class OrderService {
       
       const session = result.session;
       
+      // Kept so the checkout can be closed if the order is cancelled
+      await adminDb.collection(COLLECTION_NAME).doc(orderId).update({
+        stripeCheckoutSessionIds: admin.firestore.FieldValue.arrayUnion(session.id),
+        updatedAt: new Date()
+      });
+      
       return {
         sessionId: session.id,
         url: session.url,
         orderId: orderId,
-        amount: order.pricing.totalAmount,
-        currency: order.pricing.currency || 'usd'
+        amount: milestone ? milestone.amount : order.pricing.totalAmount,
+        currency: order.pricing.currency || 'usd',
+        ...(milestone && { milestoneId: milestone.id })
       };
     } catch (error) {
       console.error('Error creating payment session:', error);
@@ -515,42 +1506,108 @@ class OrderService {
     }
   }
 
+  // Milestone a customer can pay now: the requested one, or the next one due
+  getPayableMilestone(order, milestoneId = null) {
+    if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+      throw new Error('Order is not in a payable state');
+    }
+    
+    const milestone = milestoneId
+      ? order.paymentMilestones.find(item => item.id === milestoneId)
+      : getNextDueMilestone(order.paymentMilestones);
+    
+    if (!milestone) {
+      throw new Error(milestoneId ? 'Payment milestone not found' : 'Payment milestone not due: no payment is due on this order');
+    }
+    if (milestone.status === MILESTONE_STATUS.PAID) {
+      throw new Error(`Payment milestone already paid: ${milestone.name}`);
+    }
+    if (milestone.status !== MILESTONE_STATUS.DUE) {
+      throw new Error(`Payment milestone not due: ${milestone.name} is due when the order is ${milestone.dueOn.replace('_', ' ')}`);
+    }
+    return milestone;
+  }
+
   // Get order statistics
   async getOrderStatistics(filters = {}) {
     try {
-      const result = await this.getOrders({ ...filters, limit: 100 });
-      const orders = result.orders;
+      const { error, value: validatedFilters } = orderFiltersSchema.validate(filters);
+      if (error) {
+        throw new Error(`Invalid filters: ${error.details.map(d => d.message).join(', ')}`);
+      }
+      
+      // Counted and summed by Firestore aggregation queries, so the cost does
+      // not grow with the number of orders
+      const query = applyOrderFilters(adminDb.collection(COLLECTION_NAME), validatedFilters);
+      const { AggregateField } = admin.firestore;
+      
+      // A filtered status leaves every other status at zero
+      const countBy = async (field, values) => Object.fromEntries(await Promise.all(values.map(async value => [
+        value,
+        !validatedFilters[field] || validatedFilters[field] === value
+          ? await countQuery(query.where(field, '==', value))
+          : 0
+      ])));
+      
+      // Revenue per currency. A fully paid order has paid its total; a
+      // partially paid one what is recorded in paidAmount.
+      const revenueQueries = [
+        { paymentStatus: PAYMENT_STATUS.PAID, field: 'pricing.totalAmount' },
+        { paymentStatus: PAYMENT_STATUS.PARTIALLY_PAID, field: 'paidAmount' }
+      ].filter(({ paymentStatus }) => !validatedFilters.paymentStatus || validatedFilters.paymentStatus === paymentStatus);
+      
+      const sumRevenue = async (currency) => {
+        const totals = await Promise.all(revenueQueries.map(async ({ paymentStatus, field }) => {
+          const snapshot = await query
+            .where('paymentStatus', '==', paymentStatus)
+            .where('pricing.currency', '==', currency)
+            .aggregate({ revenue: AggregateField.sum(field), orders: AggregateField.count() })
+            .get();
+          return snapshot.data();
+        }));
+        return {
+          currency,
+          revenue: roundMoney(totals.reduce((sum, total) => sum + (total.revenue || 0), 0), currency),
+          orders: totals.reduce((sum, total) => sum + total.orders, 0)
+        };
+      };
+      
+      const [total, byStatus, byPaymentStatus, revenueTotals] = await Promise.all([
+        countQuery(query),
+        countBy('status', Object.values(ORDER_STATUS)),
+        countBy('paymentStatus', Object.values(PAYMENT_STATUS)),
+        Promise.all(SUPPORTED_CURRENCIES.map(sumRevenue))
+      ]);
       
       const stats = {
-        total: orders.length,
-        byStatus: {},
-        byPaymentStatus: {},
+        total,
+        byStatus,
+        byPaymentStatus,
         totalRevenue: 0,
-        averageOrderValue: 0
+        averageOrderValue: 0,
+        revenueByCurrency: {}
       };
       
-      // Initialize status counters
-      Object.values(ORDER_STATUS).forEach(status => {
-        stats.byStatus[status] = 0;
-      });
+      // Revenue is totalled per currency, then converted to the reporting
+      // currency where an exchange rate is configured
+      const paidTotals = revenueTotals.filter(({ orders }) => orders > 0);
+      const revenue = summarizeAmounts(paidTotals.map(({ revenue: amount, currency }) => ({ amount, currency })));
       
-      Object.values(PAYMENT_STATUS).forEach(status => {
-        stats.byPaymentStatus[status] = 0;
-      });
-      
-      // Calculate statistics
-      orders.forEach(order => {
-        stats.byStatus[order.status]++;
-        stats.byPaymentStatus[order.paymentStatus]++;
-        
-        if (order.paymentStatus === PAYMENT_STATUS.PAID) {
-          stats.totalRevenue += order.pricing?.totalAmount || 0;
-        }
+      paidTotals.forEach(({ currency, revenue: amount, orders }) => {
+        stats.revenueByCurrency[currency] = {
+          revenue: amount,
+          paidOrders: orders,
+          averageOrderValue: roundMoney(amount / orders, currency)
+        };
       });
       
-      if (orders.length > 0) {
-        stats.averageOrderValue = stats.totalRevenue / orders.filter(o => o.paymentStatus === PAYMENT_STATUS.PAID).length;
-      }
+      const convertedOrders = paidTotals
+        .filter(({ currency }) => !revenue.unconvertedCurrencies.includes(currency))
+        .reduce((sum, { orders }) => sum + orders, 0);
+      stats.reportingCurrency = revenue.reportingCurrency;
+      stats.totalRevenue = revenue.total;
+      stats.averageOrderValue = convertedOrders > 0 ? roundMoney(revenue.total / convertedOrders, revenue.reportingCurrency) : 0;
+      stats.unconvertedCurrencies = revenue.unconvertedCurrencies;
       
       return stats;
     } catch (error) {
@@ -0,0 +1,89 @@
+// Cursor pagination helpers for Firestore queries
+import admin from '../config/firebase-admin.js';
+
+const { FieldPath, Timestamp } = admin.firestore;
+
+// Cursor values must survive a JSON round trip; timestamps are stored as
+// milliseconds and restored as Dates, which Firestore compares as timestamps
+const serializeValue = (value) => {
+  if (value instanceof Timestamp) return { t: value.toMillis() };
+  if (value instanceof Date) return { t: value.getTime() };
+  return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object' && typeof value.t === 'number') {
+    return new Date(value.t);
+  }
+  return value;
+};
+
+// Opaque token pointing just after a document in a given sort order
+export const encodeCursor = (orderBy, doc) => {
+  const payload = {
+    o: orderBy,
+    v: orderBy.map(([field]) => serializeValue(doc.get(field))),
+    id: doc.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// startAfter() values for a cursor. A cursor only makes sense for the sort
+// order it was issued for.
+export const decodeCursor = (cursor, orderBy) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor: could not be decoded');
+  }
+
+  if (!payload || !Array.isArray(payload.v) || typeof payload.id !== 'string' ||
+      JSON.stringify(payload.o) !== JSON.stringify(orderBy)) {
+    throw new Error('Invalid cursor: does not match the requested sort order');
+  }
+
+  return [...payload.v.map(deserializeValue), payload.id];
+};
+
+// Run one page of a query. `orderBy` is a list of [field, direction] pairs;
+// the document ID is appended as a tie-breaker so pages never overlap. Pass
+// `cursor` (a previous nextCursor) or, for older clients, `offset`.
+export const paginateQuery = async (query, { orderBy, limit, cursor = null, offset = 0 }) => {
+  let pageQuery = query;
+  orderBy.forEach(([field, direction]) => {
+    pageQuery = pageQuery.orderBy(field, direction);
+  });
+  pageQuery = pageQuery.orderBy(FieldPath.documentId(), orderBy[orderBy.length - 1]?.[1] || 'asc');
+
+  if (cursor) {
+    pageQuery = pageQuery.startAfter(...decodeCursor(cursor, orderBy));
+  } else if (offset > 0) {
+    pageQuery = pageQuery.offset(offset);
+  }
+
+  // Read one extra document to know whether another page exists
+  const snapshot = await pageQuery.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+  const hasMore = snapshot.docs.length > limit;
+
+  return {
+    items: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+    nextCursor: hasMore ? encodeCursor(orderBy, docs[docs.length - 1]) : null,
+    hasMore
+  };
+};
+
+// Number of documents matching a query, using an aggregation instead of
+// reading the documents
+export const countQuery = async (query) => {
+  const snapshot = await query.count().get();
+  return snapshot.data().count;
+};
+
+export default {
+  encodeCursor,
+  decodeCursor,
+  paginateQuery,
+  countQuery
+};
@@ -0,0 +1,458 @@
+// Provider payouts through Stripe Connect Express accounts
+import { adminDb } from '../config/firebase-admin.js';
+import { ORDER_STATUS, PAYMENT_STATUS, PAYOUT_STATUS, DISPUTE_STATUS, getPaidAmount } from '../models/Order.js';
+import stripeService from './stripeService.js';
+import { summarizeAmounts } from './currencyService.js';
+import { roundMoney, toMinorUnits } from '../models/Money.js';
+
+const DEFAULT_COMMISSION_PERCENT = 10;
+
+// Platform commission taken from each order, configurable per deployment
+export const getPlatformCommissionPercent = () => {
+  const configured = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT);
+  if (isNaN(configured) || configured < 0 || configured > 100) {
+    return DEFAULT_COMMISSION_PERCENT;
+  }
+  return configured;
+};
+
+// Split a paid amount into the platform fee and the provider's share
+export const calculatePayoutSplit = (totalAmount, refundedAmount = 0, currency = 'USD') => {
+  const commissionPercent = getPlatformCommissionPercent();
+  const netAmount = Math.max(0, (totalAmount || 0) - (refundedAmount || 0));
+  const platformFee = roundMoney(netAmount * commissionPercent / 100, currency);
+  const providerAmount = roundMoney(netAmount - platformFee, currency);
+
+  return {
+    commissionPercent,
+    platformFee,
+    providerAmount
+  };
+};
+
+// Summarize a connected account's onboarding state
+const toConnectStatus = (account) => ({
+  chargesEnabled: !!account.charges_enabled,
+  payoutsEnabled: !!account.payouts_enabled,
+  detailsSubmitted: !!account.details_submitted,
+  updatedAt: new Date()
+});
+
+// Create (if needed) the provider's connected account and an onboarding link
+export const createOnboardingLink = async (provider, refreshUrl, returnUrl) => {
+  try {
+    let accountId = provider.stripeAccountId;
+
+    if (!accountId) {
+      const accountResult = await stripeService.createConnectAccount(provider.email, {
+        userId: provider.uid
+      });
+
+      if (!accountResult.success) {
+        return { success: false, error: accountResult.error };
+      }
+
+      accountId = accountResult.account.id;
+
+      await adminDb.collection('users').doc(provider.uid).update({
+        stripeAccountId: accountId,
+        stripeConnectStatus: toConnectStatus(accountResult.account),
+        updatedAt: new Date()
+      });
+    }
+
+    const linkResult = await stripeService.createAccountLink(accountId, refreshUrl, returnUrl);
+    if (!linkResult.success) {
+      return { success: false, error: linkResult.error };
+    }
+
+    return {
+      success: true,
+      accountId,
+      url: linkResult.accountLink.url,
+      expiresAt: new Date(linkResult.accountLink.expires_at * 1000)
+    };
+  } catch (error) {
+    console.error('Error creating onboarding link:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Get the provider's connected account status, refreshed from Stripe
+export const getConnectAccountStatus = async (providerId) => {
+  try {
+    const userDoc = await adminDb.collection('users').doc(providerId).get();
+    if (!userDoc.exists) {
+      return { success: false, error: 'Provider not found' };
+    }
+
+    const { stripeAccountId } = userDoc.data();
+    if (!stripeAccountId) {
+      return { success: true, account: null };
+    }
+
+    const accountResult = await stripeService.retrieveAccount(stripeAccountId);
+    if (!accountResult.success) {
+      return { success: false, error: accountResult.error };
+    }
+
+    const status = toConnectStatus(accountResult.account);
+    await adminDb.collection('users').doc(providerId).update({
+      stripeConnectStatus: status,
+      updatedAt: new Date()
+    });
+
+    return { success: true, account: { stripeAccountId, ...status } };
+  } catch (error) {
+    console.error('Error getting connect account status:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Handle an account.updated webhook for a connected account
+export const syncConnectAccount = async (account) => {
+  try {
+    let providerId = account.metadata?.userId;
+
+    if (!providerId) {
+      const snapshot = await adminDb.collection('users')
+        .where('stripeAccountId', '==', account.id)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) {
+        return { success: false, error: 'Provider not found for connected account' };
+      }
+      providerId = snapshot.docs[0].id;
+    }
+
+    const status = toConnectStatus(account);
+    await adminDb.collection('users').doc(providerId).update({
+      stripeAccountId: account.id,
+      stripeConnectStatus: status,
+      updatedAt: new Date()
+    });
+
+    // Release earnings that were waiting on onboarding
+    if (status.payoutsEnabled) {
+      await releaseAvailablePayouts(providerId);
+    }
+
+    return { success: true, providerId };
+  } catch (error) {
+    console.error('Error syncing connect account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Transfer the provider's share of a completed order. If the provider has not
+// finished onboarding, the payout is parked as available until they do.
+// Completion, the final milestone payment, a won dispute and Connect webhooks
+// can all release the same payout at once, so it is claimed as processing in
+// a transaction before Stripe is called, and the transfer's idempotency key
+// is the order id.
+export const releaseOrderPayout = async (orderId) => {
+  try {
+    const orderRef = adminDb.collection('orders').doc(orderId);
+    const claim = await adminDb.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        return { error: 'Order not found' };
+      }
+      const order = orderDoc.data();
+
+      // A cancelled emergency booking pays out the call-out fee it was charged
+      const chargedCallOutFee = order.status === ORDER_STATUS.CANCELLED && order.cancellation?.callOutFee > 0;
+      if (order.status !== ORDER_STATUS.COMPLETED && !chargedCallOutFee) {
+        return { error: 'Payouts are only released for completed orders' };
+      }
+
+      if (!order.payout || ![PAYOUT_STATUS.PENDING, PAYOUT_STATUS.AVAILABLE].includes(order.payout.status)) {
+        return { payout: order.payout || null };
+      }
+
+      // Orders paid in milestones pay out once the final payment is in, and
+      // disputed payments once the dispute is won
+      if ([PAYMENT_STATUS.PARTIALLY_PAID, PAYMENT_STATUS.DISPUTED].includes(order.paymentStatus)) {
+        return { payout: order.payout };
+      }
+
+      const providerDoc = await transaction.get(adminDb.collection('users').doc(order.providerId));
+      const provider = providerDoc.exists ? providerDoc.data() : {};
+
+      // Recalculate in case part of the payment was refunded
+      const split = calculatePayoutSplit(getPaidAmount(order), order.refundedAmount, order.pricing?.currency);
+      const payout = { ...order.payout, ...split };
+
+      if (!provider.stripeAccountId || !provider.stripeConnectStatus?.payoutsEnabled || payout.providerAmount <= 0) {
+        payout.status = PAYOUT_STATUS.AVAILABLE;
+        transaction.update(orderRef, { payout, updatedAt: new Date() });
+        return { payout };
+      }
+
+      payout.status = PAYOUT_STATUS.PROCESSING;
+      transaction.update(orderRef, { payout, updatedAt: new Date() });
+      return { order, provider, payout, transfer: true };
+    });
+
+    if (claim.error) {
+      return { success: false, error: claim.error };
+    }
+    if (!claim.transfer) {
+      return { success: true, payout: claim.payout };
+    }
+
+    const { order, provider, payout } = claim;
+
+    // Tie the transfer to the original charge so it does not draw on the
+    // platform's available balance before the charge settles. A transfer can
+    // only name one charge, so milestone payouts come from the balance.
+    let sourceTransaction;
+    if (order.stripePaymentIntentId && !order.paymentMilestones?.length) {
+      const paymentIntentResult = await stripeService.retrievePaymentIntent(order.stripePaymentIntentId);
+      if (paymentIntentResult.success) {
+        sourceTransaction = paymentIntentResult.paymentIntent.latest_charge || undefined;
+      }
+    }
+
+    const transferResult = await stripeService.createTransfer(
+      payout.providerAmount,
+      (order.pricing?.currency || 'usd').toLowerCase(),
+      provider.stripeAccountId,
+      { orderId, providerId: order.providerId },
+      { transferGroup: orderId, sourceTransaction, idempotencyKey: `payout-${orderId}` }
+    );
+
+    if (!transferResult.success) {
+      payout.status = PAYOUT_STATUS.AVAILABLE;
+      await orderRef.update({ payout, updatedAt: new Date() });
+      return { success: false, error: transferResult.error };
+    }
+
+    payout.status = PAYOUT_STATUS.PAID;
+    payout.stripeTransferId = transferResult.transfer.id;
+    payout.paidAt = new Date();
+    await orderRef.update({ payout, updatedAt: new Date() });
+
+    // A refund or lost dispute recorded while the transfer was under way
+    const reversalResult = await reversePaidPayout(orderId, 'Refunded while the payout was being transferred');
+    if (!reversalResult.success) {
+      console.error('Error reversing payout after transfer:', reversalResult.error);
+    }
+
+    return { success: true, payout: reversalResult.payout || payout };
+  } catch (error) {
+    console.error('Error releasing order payout:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// What the platform no longer keeps of an order's payment: its refunds, and
+// the disputed amount once a dispute is lost
+const getRecoveredAmount = (order) => {
+  const lostDispute = order.dispute?.status === DISPUTE_STATUS.LOST ? order.dispute.amount || 0 : 0;
+  return (order.refundedAmount || 0) + lostDispute;
+};
+
+// Apply a change to an order's payout in a transaction
+const updatePayout = (orderRef, change) => adminDb.runTransaction(async (transaction) => {
+  const orderDoc = await transaction.get(orderRef);
+  const payout = change(orderDoc.data().payout);
+  transaction.update(orderRef, { payout, updatedAt: new Date() });
+  return payout;
+});
+
+// Take back the provider's share of money refunded or lost in a dispute after
+// their payout was transferred. Like the payout, the reversal is claimed on
+// the order in a transaction before Stripe is called, so a refund and a
+// dispute reported together each take back their share once.
+export const reversePaidPayout = async (orderId, reason = '') => {
+  try {
+    const orderRef = adminDb.collection('orders').doc(orderId);
+    const claim = await adminDb.runTransaction(async (transaction) => {
+      const orderDoc = await transaction.get(orderRef);
+      if (!orderDoc.exists) {
+        return { error: 'Order not found' };
+      }
+      const order = orderDoc.data();
+
+      if (order.payout?.status !== PAYOUT_STATUS.PAID || !order.payout.stripeTransferId) {
+        return { payout: order.payout || null };
+      }
+
+      const currency = order.pricing?.currency;
+      const { providerAmount } = calculatePayoutSplit(getPaidAmount(order), getRecoveredAmount(order), currency);
+      const reversedAmount = order.payout.reversedAmount || 0;
+      const amount = roundMoney(order.payout.providerAmount - reversedAmount - providerAmount, currency);
+      if (amount <= 0) {
+        return { payout: order.payout };
+      }
+
+      const payout = { ...order.payout, reversedAmount: roundMoney(reversedAmount + amount, currency) };
+      transaction.update(orderRef, { payout, updatedAt: new Date() });
+      return { order, payout, amount, reverse: true };
+    });
+
+    if (claim.error) {
+      return { success: false, error: claim.error };
+    }
+    if (!claim.reverse) {
+      return { success: true, payout: claim.payout };
+    }
+
+    const { order, amount } = claim;
+    const currency = order.pricing?.currency || 'USD';
+    const reversalResult = await stripeService.createTransferReversal(
+      claim.payout.stripeTransferId,
+      amount,
+      currency.toLowerCase(),
+      { orderId, providerId: order.providerId, reason },
+      { idempotencyKey: `payout-reversal-${orderId}-${toMinorUnits(claim.payout.reversedAmount, currency)}` }
+    );
+
+    if (!reversalResult.success) {
+      // Release the claim so the next refund or dispute update tries again
+      await updatePayout(orderRef, (payout) => ({
+        ...payout,
+        reversedAmount: roundMoney((payout.reversedAmount || 0) - amount, currency)
+      }));
+      return { success: false, error: reversalResult.error };
+    }
+
+    const payout = await updatePayout(orderRef, (current) => ({
+      ...current,
+      reversals: [...(current.reversals || []), {
+        stripeReversalId: reversalResult.reversal.id,
+        amount,
+        ...(reason && { reason }),
+        createdAt: new Date()
+      }]
+    }));
+
+    return { success: true, payout };
+  } catch (error) {
+    console.error('Error reversing order payout:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Release every payout that was waiting for the provider to finish onboarding
+export const releaseAvailablePayouts = async (providerId) => {
+  try {
+    const snapshot = await adminDb.collection('orders')
+      .where('providerId', '==', providerId)
+      .where('payout.status', '==', PAYOUT_STATUS.AVAILABLE)
+      .get();
+
+    const results = [];
+    for (const doc of snapshot.docs) {
+      results.push({ orderId: doc.id, ...(await releaseOrderPayout(doc.id)) });
+    }
+
+    return { success: true, results };
+  } catch (error) {
+    console.error('Error releasing available payouts:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Cancelled orders never pay out
+export const voidOrderPayout = async (orderId) => {
+  try {
+    const orderRef = adminDb.collection('orders').doc(orderId);
+    const orderDoc = await orderRef.get();
+    const payout = orderDoc.exists ? orderDoc.data().payout : null;
+
+    if (!payout || [PAYOUT_STATUS.PROCESSING, PAYOUT_STATUS.PAID].includes(payout.status)) {
+      return { success: true, payout };
+    }
+
+    const voidedPayout = { ...payout, status: PAYOUT_STATUS.VOID };
+    await orderRef.update({ payout: voidedPayout, updatedAt: new Date() });
+
+    return { success: true, payout: voidedPayout };
+  } catch (error) {
+    console.error('Error voiding order payout:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Provider earnings grouped by payout status, with a per-order breakdown
+export const getProviderEarnings = async (providerId) => {
+  try {
+    const snapshot = await adminDb.collection('orders')
+      .where('providerId', '==', providerId)
+      .get();
+
+    const statuses = [PAYOUT_STATUS.PENDING, PAYOUT_STATUS.AVAILABLE, PAYOUT_STATUS.PROCESSING, PAYOUT_STATUS.PAID];
+    const entriesByStatus = Object.fromEntries(statuses.map(status => [status, []]));
+    const orders = [];
+
+    snapshot.forEach(doc => {
+      const order = doc.data();
+      if (!order.payout || order.payout.status === PAYOUT_STATUS.VOID) {
+        return;
+      }
+
+      entriesByStatus[order.payout.status].push({
+        amount: roundMoney(order.payout.providerAmount - (order.payout.reversedAmount || 0), order.pricing?.currency),
+        currency: order.pricing?.currency
+      });
+      orders.push({
+        orderId: doc.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        currency: order.pricing?.currency || 'USD',
+        totalAmount: order.pricing?.totalAmount || 0,
+        refundedAmount: order.refundedAmount || 0,
+        ...order.payout
+      });
+    });
+
+    // Balances per currency, and in total in the reporting currency
+    const balances = {};
+    const balancesByCurrency = {};
+    const unconvertedCurrencies = new Set();
+    let reportingCurrency;
+
+    statuses.forEach(status => {
+      const summary = summarizeAmounts(entriesByStatus[status]);
+      balances[status] = summary.total;
+      reportingCurrency = summary.reportingCurrency;
+      summary.unconvertedCurrencies.forEach(currency => unconvertedCurrencies.add(currency));
+
+      Object.entries(summary.byCurrency).forEach(([currency, amount]) => {
+        balancesByCurrency[currency] = balancesByCurrency[currency] ||
+          Object.fromEntries(statuses.map(key => [key, 0]));
+        balancesByCurrency[currency][status] = amount;
+      });
+    });
+
+    return {
+      success: true,
+      earnings: {
+        balances,
+        reportingCurrency,
+        balancesByCurrency,
+        unconvertedCurrencies: [...unconvertedCurrencies],
+        orders
+      }
+    };
+  } catch (error) {
+    console.error('Error getting provider earnings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  getPlatformCommissionPercent,
+  calculatePayoutSplit,
+  createOnboardingLink,
+  getConnectAccountStatus,
+  syncConnectAccount,
+  releaseOrderPayout,
+  reversePaidPayout,
+  releaseAvailablePayouts,
+  voidOrderPayout,
+  getProviderEarnings
+};
@@ -0,0 +1,213 @@
+// Plan catalog: keeps a Stripe Product per paid plan and a recurring Price per
+// billing interval in step with PLAN_CONFIG, and stores their ids in the
+// `planCatalog` collection (one document per plan).
+import { adminDb } from '../config/firebase-admin.js';
+import { PLAN_CONFIG, PLAN_CURRENCY, getPlanCurrencies, getPlanPrice } from '../models/ProviderPlan.js';
+import { toMinorUnits } from '../models/Money.js';
+import stripeService from './stripeService.js';
+
+const COLLECTION_NAME = 'planCatalog';
+
+export const PLAN_TYPES = ['monthly', 'yearly'];
+
+const PLAN_INTERVALS = {
+  monthly: 'month',
+  yearly: 'year'
+};
+
+// Stable ids so every environment finds the objects it created before
+const getProductId = (planName) => `paniclist_plan_${planName}`;
+const getLookupKey = (planName, planType) => `paniclist_plan_${planName}_${planType}`;
+
+// Configured price of a plan in each currency it is sold in, e.g.
+// { USD: 29.99, CAD: 39.99 }
+const getConfiguredAmounts = (planName, planType) => {
+  return Object.fromEntries(getPlanCurrencies(planName, planType)
+    .map(currency => [currency, getPlanPrice(planName, planType, currency)]));
+};
+
+const sameAmounts = (a = {}, b = {}) => {
+  const currencies = Object.keys(a);
+  return currencies.length === Object.keys(b).length &&
+    currencies.every(currency => a[currency] === b[currency]);
+};
+
+// Plans that are paid for through Stripe
+export const getPaidPlanNames = () => {
+  return Object.keys(PLAN_CONFIG).filter(planName =>
+    PLAN_TYPES.some(planType => PLAN_CONFIG[planName][planType]?.price > 0)
+  );
+};
+
+class PlanCatalogService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  async ensureProduct(planName) {
+    const productId = getProductId(planName);
+    const existing = await stripeService.retrieveProduct(productId);
+    if (!existing.success) {
+      throw new Error(existing.error);
+    }
+    if (existing.product) {
+      return existing.product;
+    }
+
+    const created = await stripeService.createProduct({
+      id: productId,
+      name: `${PLAN_CONFIG[planName].name} Plan`,
+      metadata: { planName }
+    });
+    if (!created.success) {
+      throw new Error(created.error);
+    }
+    return created.product;
+  }
+
+  // Find the plan's price for a billing interval, creating a new one when the
+  // configured amounts have changed. Existing subscribers keep their old
+  // price. Local prices are the price's currency options, so one price id
+  // covers every currency.
+  async ensurePrice(productId, planName, planType) {
+    const lookupKey = getLookupKey(planName, planType);
+    const currency = PLAN_CURRENCY.toLowerCase();
+    const amounts = getConfiguredAmounts(planName, planType);
+    const unitAmount = toMinorUnits(amounts[PLAN_CURRENCY], PLAN_CURRENCY);
+    const currencyOptions = Object.fromEntries(Object.entries(amounts)
+      .filter(([code]) => code !== PLAN_CURRENCY)
+      .map(([code, amount]) => [code.toLowerCase(), { unit_amount: toMinorUnits(amount, code) }]));
+    const interval = PLAN_INTERVALS[planType];
+
+    const existing = await stripeService.listPricesByLookupKeys([lookupKey]);
+    if (!existing.success) {
+      throw new Error(existing.error);
+    }
+
+    const current = existing.prices.find(price => price.lookup_key === lookupKey);
+    if (current &&
+        current.unit_amount === unitAmount &&
+        current.currency === currency &&
+        Object.entries(currencyOptions).every(([code, option]) =>
+          current.currency_options?.[code]?.unit_amount === option.unit_amount) &&
+        current.recurring?.interval === interval &&
+        current.product === productId) {
+      return current;
+    }
+
+    const created = await stripeService.createPrice({
+      product: productId,
+      currency,
+      unit_amount: unitAmount,
+      ...(Object.keys(currencyOptions).length > 0 && { currency_options: currencyOptions }),
+      recurring: { interval },
+      lookup_key: lookupKey,
+      transfer_lookup_key: true,
+      metadata: { planName, planType }
+    });
+    if (!created.success) {
+      throw new Error(created.error);
+    }
+    return created.price;
+  }
+
+  // Create or look up the Stripe objects for one plan and store their ids
+  async syncPlan(planName) {
+    if (!PLAN_CONFIG[planName]) {
+      throw new Error(`Unknown plan: ${planName}`);
+    }
+
+    const product = await this.ensureProduct(planName);
+    const prices = {};
+    for (const planType of PLAN_TYPES) {
+      if (!(PLAN_CONFIG[planName][planType]?.price > 0)) continue;
+
+      const price = await this.ensurePrice(product.id, planName, planType);
+      prices[planType] = {
+        priceId: price.id,
+        amount: PLAN_CONFIG[planName][planType].price,
+        currency: price.currency,
+        amounts: getConfiguredAmounts(planName, planType),
+        interval: price.recurring.interval
+      };
+    }
+
+    const entry = {
+      planName,
+      productId: product.id,
+      prices,
+      syncedAt: new Date()
+    };
+    await adminDb.collection(COLLECTION_NAME).doc(planName).set(entry);
+    this.cache.set(planName, entry);
+
+    return entry;
+  }
+
+  // Sync every paid plan
+  async syncCatalog() {
+    try {
+      const plans = [];
+      for (const planName of getPaidPlanNames()) {
+        plans.push(await this.syncPlan(planName));
+      }
+      return plans;
+    } catch (error) {
+      console.error('Error syncing plan catalog:', error);
+      throw new Error(`Failed to sync plan catalog: ${error.message}`);
+    }
+  }
+
+  async getCatalog() {
+    const snapshot = await adminDb.collection(COLLECTION_NAME).get();
+    return snapshot.docs.map(doc => doc.data());
+  }
+
+  async getCatalogEntry(planName) {
+    if (this.cache.has(planName)) {
+      return this.cache.get(planName);
+    }
+
+    const doc = await adminDb.collection(COLLECTION_NAME).doc(planName).get();
+    if (!doc.exists) return null;
+
+    this.cache.set(planName, doc.data());
+    return doc.data();
+  }
+
+  // Stripe price id for a plan, syncing the plan first if it has never been
+  // synced or its configured prices have changed since
+  async getPriceId(planName, planType) {
+    try {
+      const configuredAmount = PLAN_CONFIG[planName]?.[planType]?.price;
+      if (!(configuredAmount > 0)) {
+        throw new Error(`No paid price for ${planName} (${planType})`);
+      }
+
+      let entry = await this.getCatalogEntry(planName);
+      if (entry?.prices?.[planType]?.amount !== configuredAmount ||
+          !sameAmounts(entry.prices[planType].amounts, getConfiguredAmounts(planName, planType))) {
+        entry = await this.syncPlan(planName);
+      }
+
+      return entry.prices[planType].priceId;
+    } catch (error) {
+      console.error('Error getting plan price:', error);
+      throw new Error(`Failed to get plan price: ${error.message}`);
+    }
+  }
+
+  // Plan and billing interval sold at a Stripe price id, or null
+  async findPlanByPriceId(priceId) {
+    const catalog = await this.getCatalog();
+    for (const entry of catalog) {
+      const planType = Object.keys(entry.prices || {}).find(type => entry.prices[type].priceId === priceId);
+      if (planType) {
+        return { planName: entry.planName, planType };
+      }
+    }
+    return null;
+  }
+}
+
+export default new PlanCatalogService();
@@ -0,0 +1,178 @@
+// Pricing service: server-side order quotes derived from the listing
+import Joi from 'joi';
+import { getOrderPricingConfig } from '../config/pricing.js';
+import { LISTING_STATUS, PRICING_TYPES } from '../models/Listing.js';
+import { PROMO_SCOPES, calculatePromoDiscount } from '../models/PromoCode.js';
+import { buildPaymentMilestones } from '../models/PaymentSchedule.js';
+import listingService from './listingService.js';
+import promoCodeService from './promoCodeService.js';
+import taxService from './taxService.js';
+import firestoreService from './firestoreService.js';
+import { roundMoney } from '../models/Money.js';
+
+// Quote request validation
+export const quoteRequestSchema = Joi.object({
+  listingId: Joi.string().required().messages({
+    'string.empty': 'Listing ID is required',
+    'any.required': 'Listing ID is required'
+  }),
+  bookingDetails: Joi.object({
+    duration: Joi.number().positive().optional(), // in hours
+    quantity: Joi.number().positive().optional()  // in square feet
+  }).unknown(true).default({}),
+  promoCode: Joi.string().trim().max(32).allow('').optional()
+}).unknown(true);
+
+class PricingService {
+  // Base amount for the booking according to the listing's pricing type
+  calculateBaseAmount(listing, bookingDetails = {}) {
+    const { type, amount } = listing.pricing || {};
+    let baseAmount;
+
+    switch (type) {
+      case PRICING_TYPES.FIXED:
+        baseAmount = amount;
+        break;
+      case PRICING_TYPES.HOURLY:
+        if (!bookingDetails.duration) {
+          throw new Error('Validation error: Booking duration (hours) is required for hourly services');
+        }
+        baseAmount = amount * bookingDetails.duration;
+        break;
+      case PRICING_TYPES.PER_SQUARE_FOOT:
+        if (!bookingDetails.quantity) {
+          throw new Error('Validation error: Booking quantity (square feet) is required for per square foot services');
+        }
+        baseAmount = amount * bookingDetails.quantity;
+        break;
+      default:
+        throw new Error(`Validation error: Listings priced as ${type || 'unknown'} cannot be booked online`);
+    }
+
+    // Listings may set a minimum charge
+    const minimumOrder = listing.requirements?.minimumOrder;
+    if (minimumOrder && baseAmount < minimumOrder) {
+      baseAmount = minimumOrder;
+    }
+
+    return roundMoney(baseAmount, listing.pricing.currency);
+  }
+
+  // Discounts on a base amount. A promo code is applied after the site-wide
+  // discount; both are included.
+  calculateDiscounts(baseAmount, config = getOrderPricingConfig(), promo = null, currency = 'USD') {
+    const siteDiscount = roundMoney(baseAmount * config.discountPercent / 100, currency);
+    const promoDiscount = promo ? calculatePromoDiscount(promo, baseAmount - siteDiscount, currency) : 0;
+    return roundMoney(siteDiscount + promoDiscount, currency);
+  }
+
+  // Price breakdown for a base amount using the server-side pricing config.
+  // Taxes come from the tax service and are charged on the discounted amount.
+  calculatePricing(baseAmount, currency = 'USD', config = getOrderPricingConfig(), { promo = null, taxes = 0 } = {}) {
+    const discounts = this.calculateDiscounts(baseAmount, config, promo, currency);
+    const discountedAmount = baseAmount - discounts;
+    const fees = roundMoney(discountedAmount * config.serviceFeePercent / 100 + config.serviceFeeFixed, currency);
+    const totalAmount = roundMoney(discountedAmount + fees + taxes, currency);
+
+    return {
+      baseAmount,
+      discounts,
+      fees,
+      taxes,
+      totalAmount,
+      currency
+    };
+  }
+
+  // Where the service is taxed: the booking's service address, or the
+  // provider's address when none is given yet
+  async getTaxAddress(listing, bookingDetails = {}) {
+    if (bookingDetails.address) {
+      return bookingDetails.address;
+    }
+
+    const provider = await firestoreService.getDocument('users', listing.providerId);
+    return provider.success ? provider.data.address || null : null;
+  }
+
+  // Quote an order from a listing and booking details. Everything that
+  // affects the price comes from the listing, never from the client.
+  async quoteOrder(quoteData) {
+    try {
+      const { error, value } = quoteRequestSchema.validate(quoteData, { abortEarly: false });
+      if (error) {
+        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+      }
+
+      const listing = await listingService.getListingById(value.listingId);
+
+      if (listing.status !== LISTING_STATUS.ACTIVE) {
+        throw new Error('Validation error: Listing is not available for booking');
+      }
+
+      const currency = listing.pricing.currency || 'USD';
+      const promo = value.promoCode
+        ? await promoCodeService.getRedeemablePromo(value.promoCode, { scope: PROMO_SCOPES.ORDERS, currency })
+        : null;
+
+      const config = getOrderPricingConfig();
+      const baseAmount = this.calculateBaseAmount(listing, value.bookingDetails);
+      const discounts = this.calculateDiscounts(baseAmount, config, promo, currency);
+      const tax = await taxService.calculateTax({
+        amount: roundMoney(baseAmount - discounts, currency),
+        currency,
+        address: await this.getTaxAddress(listing, value.bookingDetails),
+        reference: listing.id
+      });
+
+      const pricing = this.calculatePricing(baseAmount, currency, config, { promo, taxes: tax.amount });
+      if (pricing.totalAmount <= 0) {
+        throw new Error('Validation error: Discounts cannot cover the whole order');
+      }
+
+      // Deposit and milestone payments when the listing splits the price
+      const paymentMilestones = buildPaymentMilestones(listing.paymentSchedule, pricing.totalAmount, currency);
+
+      return {
+        listingId: listing.id,
+        providerId: listing.providerId,
+        serviceDetails: {
+          title: listing.title,
+          category: listing.category,
+          description: listing.description || '',
+          pricing: {
+            type: listing.pricing.type,
+            amount: listing.pricing.amount,
+            currency,
+            description: listing.pricing.description || ''
+          }
+        },
+        pricing,
+        tax,
+        ...(promo && { promoCode: promo.code }),
+        ...(paymentMilestones && { paymentMilestones }),
+        // Charged if an emergency booking is cancelled after the provider accepts
+        ...(listing.pricing.callOutFee > 0 && {
+          callOutFee: roundMoney(Math.min(listing.pricing.callOutFee, pricing.totalAmount), currency)
+        })
+      };
+    } catch (error) {
+      console.error('Error quoting order:', error);
+      throw new Error(`Failed to quote order: ${error.message}`);
+    }
+  }
+
+  // Throw if a client-submitted total does not match the server quote
+  assertPriceMatches(submittedPricing, quotedPricing) {
+    if (submittedPricing?.totalAmount === undefined || submittedPricing?.totalAmount === null) {
+      return;
+    }
+
+    const { priceTolerance } = getOrderPricingConfig();
+    if (Math.abs(Number(submittedPricing.totalAmount) - quotedPricing.totalAmount) > priceTolerance) {
+      throw new Error(`Price mismatch: expected total of ${quotedPricing.totalAmount} ${quotedPricing.currency}, received ${submittedPricing.totalAmount}`);
+    }
+  }
+}
+
+export default new PricingService();
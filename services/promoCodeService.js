@@ -0,0 +1,265 @@
+// Promo code service: admin-managed discount codes for plans and orders.
+// Codes are stored in `promoCodes` keyed by code. Codes that apply to plans
+// are mirrored to a Stripe coupon, which the plan checkout applies; order
+// discounts are applied to the order price before payment.
+import admin from '../config/firebase-admin.js';
+import { adminDb } from '../config/firebase-admin.js';
+import {
+  createPromoCodeDocument,
+  promoCodeUpdateSchema,
+  normalizePromoCode,
+  calculatePromoDiscount,
+  PROMO_DISCOUNT_TYPES,
+  PROMO_SCOPES
+} from '../models/PromoCode.js';
+import { getPlanPrice, PLAN_CURRENCY } from '../models/ProviderPlan.js';
+import { toMinorUnits } from '../models/Money.js';
+import stripeService from './stripeService.js';
+import { paginateQuery } from './paginationService.js';
+
+const COLLECTION_NAME = 'promoCodes';
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+const getCouponId = (code) => `paniclist_promo_${code}`;
+
+// Redemptions a limited code has left
+const getRemainingRedemptions = (promo) => promo.maxRedemptions - (promo.timesRedeemed || 0);
+
+// Stripe coupon carrying a promo code's discount and limits. Stripe enforces
+// the limits itself, so checkouts opened before the code ran out or expired
+// cannot redeem it; the coupon's maximum is what the code has left.
+// `idSuffix` names a replacement coupon.
+const toCouponData = (promo, idSuffix = '') => {
+  const expiresAt = toDate(promo.expiresAt);
+  return {
+    id: `${getCouponId(promo.code)}${idSuffix}`,
+    name: promo.code,
+    ...(promo.discountType === PROMO_DISCOUNT_TYPES.PERCENT
+      ? { percent_off: promo.percentOff }
+      : { amount_off: toMinorUnits(promo.amountOff, promo.currency), currency: promo.currency }),
+    duration: promo.duration,
+    ...(promo.durationInMonths && { duration_in_months: promo.durationInMonths }),
+    ...(promo.maxRedemptions && { max_redemptions: getRemainingRedemptions(promo) }),
+    ...(expiresAt && { redeem_by: Math.floor(expiresAt.getTime() / 1000) }),
+    metadata: { promoCode: promo.code }
+  };
+};
+
+// Whether a code can still be redeemed at all, whatever it is used for
+const isRedeemable = (promo) => promo.active &&
+  !(promo.expiresAt && toDate(promo.expiresAt) <= new Date()) &&
+  !(promo.maxRedemptions && getRemainingRedemptions(promo) <= 0);
+
+class PromoCodeService {
+  // Create a promo code (admin)
+  async createPromoCode(promoData, adminId) {
+    try {
+      const promo = createPromoCodeDocument(promoData, adminId);
+      const docRef = adminDb.collection(COLLECTION_NAME).doc(promo.code);
+
+      const existing = await docRef.get();
+      if (existing.exists) {
+        throw new Error(`Promo code already exists: ${promo.code}`);
+      }
+
+      if (promo.scopes.includes(PROMO_SCOPES.PLANS)) {
+        const couponResult = await stripeService.createCoupon(toCouponData(promo));
+        if (!couponResult.success) {
+          throw new Error(`Could not create Stripe coupon: ${couponResult.error}`);
+        }
+        promo.stripeCouponId = couponResult.coupon.id;
+      }
+
+      await docRef.create(promo);
+      return { id: promo.code, ...promo };
+    } catch (error) {
+      console.error('Error creating promo code:', error);
+      throw new Error(`Failed to create promo code: ${error.message}`);
+    }
+  }
+
+  async getPromoCode(code) {
+    try {
+      const doc = await adminDb.collection(COLLECTION_NAME).doc(normalizePromoCode(code)).get();
+      if (!doc.exists) {
+        throw new Error('Promo code not found');
+      }
+      return { id: doc.id, ...doc.data() };
+    } catch (error) {
+      console.error('Error getting promo code:', error);
+      throw new Error(`Failed to get promo code: ${error.message}`);
+    }
+  }
+
+  // Promo codes, newest first
+  async getPromoCodes({ active, scope, limit = 20, cursor } = {}) {
+    try {
+      let query = adminDb.collection(COLLECTION_NAME);
+      if (active !== undefined) query = query.where('active', '==', active);
+      if (scope) query = query.where('scopes', 'array-contains', scope);
+
+      const result = await paginateQuery(query, {
+        orderBy: [['createdAt', 'desc']],
+        limit,
+        cursor
+      });
+
+      return {
+        promoCodes: result.items,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+      };
+    } catch (error) {
+      console.error('Error getting promo codes:', error);
+      throw new Error(`Failed to get promo codes: ${error.message}`);
+    }
+  }
+
+  // Update a promo code's limits or description (admin)
+  async updatePromoCode(code, updates) {
+    try {
+      const { error, value } = promoCodeUpdateSchema.validate(updates, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+      }
+
+      const docRef = adminDb.collection(COLLECTION_NAME).doc(normalizePromoCode(code));
+      const doc = await docRef.get();
+      if (!doc.exists) {
+        throw new Error('Promo code not found');
+      }
+
+      const promo = doc.data();
+      if (promo.stripeCouponId && ['maxRedemptions', 'expiresAt', 'active'].some(field => field in value)) {
+        value.stripeCouponId = await this.replaceCoupon({ ...promo, ...value });
+      }
+
+      await docRef.update({ ...value, updatedAt: new Date() });
+      const updated = await docRef.get();
+      return { id: updated.id, ...updated.data() };
+    } catch (error) {
+      console.error('Error updating promo code:', error);
+      throw new Error(`Failed to update promo code: ${error.message}`);
+    }
+  }
+
+  // A Stripe coupon's limits cannot be changed, so new limits mean a new
+  // coupon. The old one is deleted so open checkouts cannot redeem it. A code
+  // that can no longer be redeemed is left without a coupon.
+  async replaceCoupon(promo) {
+    let couponId = null;
+    if (isRedeemable(promo)) {
+      const couponResult = await stripeService.createCoupon(toCouponData(promo, `_${Date.now().toString(36)}`));
+      if (!couponResult.success) {
+        throw new Error(`Could not create Stripe coupon: ${couponResult.error}`);
+      }
+      couponId = couponResult.coupon.id;
+    }
+
+    const deleteResult = await stripeService.deleteCoupon(promo.stripeCouponId);
+    if (!deleteResult.success) {
+      throw new Error(`Could not delete Stripe coupon: ${deleteResult.error}`);
+    }
+    return couponId;
+  }
+
+  // Codes are deactivated rather than deleted so orders and plans that used
+  // them keep a valid reference
+  async deactivatePromoCode(code) {
+    return await this.updatePromoCode(code, { active: false });
+  }
+
+  // Throw unless a promo code can be redeemed for the given use. `context`
+  // has the scope and either the plan name or the order currency.
+  assertRedeemable(promo, { scope, planName, currency }) {
+    const code = promo.code;
+
+    if (!promo.active) {
+      throw new Error(`Validation error: Promo code ${code} is not active`);
+    }
+    if (promo.expiresAt && toDate(promo.expiresAt) <= new Date()) {
+      throw new Error(`Validation error: Promo code ${code} has expired`);
+    }
+    if (promo.maxRedemptions && (promo.timesRedeemed || 0) >= promo.maxRedemptions) {
+      throw new Error(`Validation error: Promo code ${code} has been fully redeemed`);
+    }
+    if (!promo.scopes.includes(scope)) {
+      throw new Error(`Validation error: Promo code ${code} cannot be used for ${scope}`);
+    }
+    if (scope === PROMO_SCOPES.PLANS && promo.plans.length > 0 && !promo.plans.includes(planName)) {
+      throw new Error(`Validation error: Promo code ${code} does not apply to the ${planName} plan`);
+    }
+    if (promo.discountType === PROMO_DISCOUNT_TYPES.AMOUNT && currency &&
+        promo.currency !== currency.toLowerCase()) {
+      throw new Error(`Validation error: Promo code ${code} is only valid for ${promo.currency.toUpperCase()} payments`);
+    }
+  }
+
+  // A promo code that can be redeemed for the given use
+  async getRedeemablePromo(code, context) {
+    const doc = await adminDb.collection(COLLECTION_NAME).doc(normalizePromoCode(code)).get();
+    if (!doc.exists) {
+      throw new Error('Validation error: Promo code not found');
+    }
+
+    const promo = doc.data();
+    this.assertRedeemable(promo, context);
+    return promo;
+  }
+
+  // Check a promo code for a plan checkout in a currency. Returns the
+  // discount on the first payment and the Stripe coupon to apply.
+  async validateForPlan(code, planName, planType, currency = PLAN_CURRENCY) {
+    const promo = await this.getRedeemablePromo(code, {
+      scope: PROMO_SCOPES.PLANS,
+      planName,
+      currency
+    });
+    const price = getPlanPrice(planName, planType, currency);
+
+    return {
+      code: promo.code,
+      stripeCouponId: promo.stripeCouponId,
+      discount: calculatePromoDiscount(promo, price, currency),
+      currency: currency.toUpperCase(),
+      duration: promo.duration,
+      durationInMonths: promo.durationInMonths || null
+    };
+  }
+
+  // Check an order's promo code again inside the transaction that creates
+  // the order, so the redemption limit holds when codes are used at the same
+  // time. Reads only; call recordRedemption once all reads are done.
+  async reserveRedemption(transaction, code, currency) {
+    const docRef = adminDb.collection(COLLECTION_NAME).doc(normalizePromoCode(code));
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw new Error('Validation error: Promo code not found');
+    }
+
+    this.assertRedeemable(doc.data(), { scope: PROMO_SCOPES.ORDERS, currency });
+    return docRef;
+  }
+
+  recordRedemption(transaction, docRef) {
+    transaction.update(docRef, {
+      timesRedeemed: admin.firestore.FieldValue.increment(1),
+      lastRedeemedAt: new Date()
+    });
+  }
+
+  // Count a plan checkout that used a promo code. Stripe has already applied
+  // the coupon, so the count is recorded even if the code has since expired.
+  async recordPlanRedemption(code) {
+    await adminDb.collection(COLLECTION_NAME).doc(normalizePromoCode(code)).update({
+      timesRedeemed: admin.firestore.FieldValue.increment(1),
+      lastRedeemedAt: new Date()
+    });
+  }
+}
+
+export default new PromoCodeService();
@@ -7,8 +7,14 @@ import {
   getPlanFeatures,
   isPlanActive,
   canUpgrade,
-  getUpgradePrice
+  getUpgradePrice,
+  PLAN_CURRENCY,
+  PLAN_GRACE_PERIOD_DAYS
 } from '../models/ProviderPlan.js';
+import stripeService from './stripeService.js';
+import planCatalogService from './planCatalogService.js';
+import notificationService from './notificationService.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
 
 // Create or update provider plan
 export const createOrUpdateProviderPlan = async (providerId, planData) => {
@@ -78,9 +84,11 @@ export const getProviderPlan = async (providerId) => {
 // Activate provider plan
 export const activateProviderPlan = async (providerId, planName, planType, paymentData = {}) => {
   try {
-    const endDate = calculateEndDate(planType);
+    // Subscriptions run to the end of the period Stripe has billed for
+    const endDate = paymentData.currentPeriodEnd || calculateEndDate(planType);
     const daysRemaining = calculateDaysRemaining(endDate);
-    const price = getPlanPrice(planName, planType);
+    const currency = (paymentData.currency || PLAN_CURRENCY).toLowerCase();
+    const price = getPlanPrice(planName, planType, currency);
     const features = getPlanFeatures(planName);
 
     const planData = {
@@ -92,13 +100,22 @@ export const activateProviderPlan = async (providerId, planName, planType, payme
       endDate,
       daysRemaining,
       price,
-      currency: 'usd',
+      currency,
       features,
-      autoRenew: planType === 'monthly',
+      autoRenew: paymentData.stripeSubscriptionId ? true : planType === 'monthly',
       stripeSubscriptionId: paymentData.stripeSubscriptionId || null,
       stripeCustomerId: paymentData.stripeCustomerId || null,
-      stripePaymentIntentId: paymentData.stripePaymentIntentId || null
+      stripePaymentIntentId: paymentData.stripePaymentIntentId || null,
+      stripePriceId: paymentData.stripePriceId || null,
+      gracePeriodEndsAt: null,
+      trialEndsAt: paymentData.trialEndsAt || null
     };
+    if (paymentData.trialEndsAt) {
+      planData.trialUsedAt = new Date();
+    }
+    if (paymentData.promoCode) {
+      planData.promoCode = paymentData.promoCode;
+    }
 
     const result = await createOrUpdateProviderPlan(providerId, planData);
     
@@ -110,7 +127,8 @@ export const activateProviderPlan = async (providerId, planName, planType, payme
           type: planType,
           status: 'active',
           endDate,
-          daysRemaining
+          daysRemaining,
+          trialEndsAt: planData.trialEndsAt
         },
         // Also store planType at root level for easy reads on client
         planType: planType,
@@ -126,7 +144,16 @@ export const activateProviderPlan = async (providerId, planName, planType, payme
   }
 };
 
-// Upgrade provider plan
+// Each provider gets one free trial, on their first paid checkout
+export const isTrialEligible = async (providerId) => {
+  const planDoc = await adminDb.collection('providerPlans').doc(providerId).get();
+  return !planDoc.exists || !planDoc.data().trialUsedAt;
+};
+
+// Upgrade provider plan. Plans billed by a Stripe subscription are moved to
+// the new plan's price with proration, and the plan then runs to the end of
+// the subscription's billing period. Moving from the free plan needs a
+// checkout instead.
 export const upgradeProviderPlan = async (providerId, newPlanName, newPlanType) => {
   try {
     const currentPlan = await getProviderPlan(providerId);
@@ -136,17 +163,32 @@ export const upgradeProviderPlan = async (providerId, newPlanName, newPlanType)
     }
 
     const currentPlanData = currentPlan.plan;
+    const switchingInterval = currentPlanData.planName === newPlanName && currentPlanData.planType !== newPlanType;
     
-    if (!canUpgrade(currentPlanData.planName, newPlanName)) {
+    if (!canUpgrade(currentPlanData.planName, newPlanName) && !switchingInterval) {
       return { success: false, error: 'Cannot downgrade plan' };
     }
 
-    const upgradePrice = getUpgradePrice(currentPlanData.planName, newPlanName, newPlanType);
-    
-    // Calculate new end date based on remaining days
-    const remainingDays = currentPlanData.daysRemaining;
-    const newEndDate = new Date();
-    newEndDate.setDate(newEndDate.getDate() + remainingDays + (newPlanType === 'monthly' ? 30 : 365));
+    if (!currentPlanData.stripeSubscriptionId || !isPlanActive(currentPlanData)) {
+      return { success: false, error: 'Checkout required: no active subscription to upgrade', requiresCheckout: true };
+    }
+
+    // A subscription keeps the currency it was started in
+    const currency = currentPlanData.currency || PLAN_CURRENCY.toLowerCase();
+    const upgradePrice = getUpgradePrice(currentPlanData.planName, newPlanName, newPlanType, currency);
+    const priceId = await planCatalogService.getPriceId(newPlanName, newPlanType);
+
+    const subscriptionResult = await stripeService.updateSubscription(
+      currentPlanData.stripeSubscriptionId,
+      priceId,
+      { userId: providerId, planName: newPlanName, planType: newPlanType }
+    );
+    if (!subscriptionResult.success) {
+      return { success: false, error: `Subscription update failed: ${subscriptionResult.error}` };
+    }
+
+    const newEndDate = stripeService.getSubscriptionPeriodEnd(subscriptionResult.subscription) || calculateEndDate(newPlanType);
+    const daysRemaining = calculateDaysRemaining(newEndDate);
 
     const newPlanData = {
       providerId,
@@ -155,11 +197,13 @@ export const upgradeProviderPlan = async (providerId, newPlanName, newPlanType)
       status: 'active',
       startDate: new Date(),
       endDate: newEndDate,
-      daysRemaining: remainingDays + (newPlanType === 'monthly' ? 30 : 365),
-      price: getPlanPrice(newPlanName, newPlanType),
-      currency: 'usd',
+      daysRemaining,
+      price: getPlanPrice(newPlanName, newPlanType, currency),
+      currency,
       features: getPlanFeatures(newPlanName),
-      autoRenew: newPlanType === 'monthly',
+      autoRenew: true,
+      stripePriceId: priceId,
+      gracePeriodEndsAt: null,
       upgradePrice,
       previousPlan: currentPlanData.planName
     };
@@ -174,7 +218,7 @@ export const upgradeProviderPlan = async (providerId, newPlanName, newPlanType)
           type: newPlanType,
           status: 'active',
           endDate: newEndDate,
-          daysRemaining: newPlanData.daysRemaining
+          daysRemaining
         },
         planType: newPlanType,
         planName: newPlanName,
@@ -182,20 +226,34 @@ export const upgradeProviderPlan = async (providerId, newPlanName, newPlanType)
       });
     }
 
-    return result;
+    return { ...result, plan: newPlanData };
   } catch (error) {
     console.error('Error upgrading provider plan:', error);
     return { success: false, error: error.message };
   }
 };
 
-// Cancel provider plan
-export const cancelProviderPlan = async (providerId) => {
+// Cancel provider plan. The Stripe subscription is cancelled too, unless the
+// cancellation came from Stripe.
+export const cancelProviderPlan = async (providerId, { cancelSubscription = true } = {}) => {
   try {
     const planRef = adminDb.collection('providerPlans').doc(providerId);
+
+    if (cancelSubscription) {
+      const planDoc = await planRef.get();
+      const subscriptionId = planDoc.exists ? planDoc.data().stripeSubscriptionId : null;
+      if (subscriptionId) {
+        const subscriptionResult = await stripeService.cancelSubscription(subscriptionId);
+        if (!subscriptionResult.success) {
+          return { success: false, error: `Subscription cancellation failed: ${subscriptionResult.error}` };
+        }
+      }
+    }
+
     await planRef.update({
       status: 'cancelled',
       autoRenew: false,
+      gracePeriodEndsAt: null,
       updatedAt: new Date()
     });
 
@@ -212,6 +270,44 @@ export const cancelProviderPlan = async (providerId) => {
   }
 };
 
+// Put a plan into its grace period after a renewal payment fails. The plan
+// keeps its features until the grace period ends or the payment goes through.
+export const markPlanPastDue = async (providerId) => {
+  try {
+    const planRef = adminDb.collection('providerPlans').doc(providerId);
+    const planDoc = await planRef.get();
+    if (!planDoc.exists) {
+      return { success: false, error: 'Plan not found' };
+    }
+
+    const plan = planDoc.data();
+    // Repeated failures during one grace period do not extend it
+    if (plan.status === 'past_due' && plan.gracePeriodEndsAt) {
+      return { success: true, gracePeriodEndsAt: plan.gracePeriodEndsAt };
+    }
+    if (plan.status !== 'active') {
+      return { success: false, error: `Plan is ${plan.status}` };
+    }
+
+    const gracePeriodEndsAt = new Date(Date.now() + PLAN_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+    await planRef.update({
+      status: 'past_due',
+      gracePeriodEndsAt,
+      updatedAt: new Date()
+    });
+
+    await adminDb.collection('users').doc(providerId).update({
+      'providerInfo.plan.status': 'past_due',
+      updatedAt: new Date()
+    });
+
+    return { success: true, gracePeriodEndsAt };
+  } catch (error) {
+    console.error('Error marking plan past due:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Check plan expiration and update status
 export const checkAndUpdatePlanExpiration = async (providerId) => {
   try {
@@ -222,8 +318,11 @@ export const checkAndUpdatePlanExpiration = async (providerId) => {
     }
 
     const plan = planResult.plan;
+    const lapsed = plan.status === 'active'
+      ? plan.daysRemaining <= 0
+      : plan.status === 'past_due' && !isPlanActive(plan);
     
-    if (plan.daysRemaining <= 0 && plan.status === 'active') {
+    if (lapsed) {
       // Plan has expired
       await adminDb.collection('providerPlans').doc(providerId).update({
         status: 'expired',
@@ -236,6 +335,11 @@ export const checkAndUpdatePlanExpiration = async (providerId) => {
         updatedAt: new Date()
       });
 
+      await notificationService.notifyUser(providerId, NOTIFICATION_TYPES.PLAN_EXPIRED, {
+        plan,
+        planId: providerId
+      });
+
       return { success: true, expired: true };
     }
 
@@ -246,16 +350,25 @@ export const checkAndUpdatePlanExpiration = async (providerId) => {
   }
 };
 
-// Get all expired plans
+// Get all plans that should be expired: active plans whose end date has
+// passed, and past-due plans whose grace period is over. daysRemaining is
+// only refreshed on read, so the dates are authoritative.
 export const getExpiredPlans = async () => {
   try {
-    const expiredPlans = await adminDb.collection('providerPlans')
-      .where('status', '==', 'active')
-      .where('daysRemaining', '<=', 0)
-      .get();
+    const now = new Date();
+    const [endedPlans, pastDuePlans] = await Promise.all([
+      adminDb.collection('providerPlans')
+        .where('status', '==', 'active')
+        .where('endDate', '<=', now)
+        .get(),
+      adminDb.collection('providerPlans')
+        .where('status', '==', 'past_due')
+        .where('gracePeriodEndsAt', '<=', now)
+        .get()
+    ]);
 
     const plans = [];
-    expiredPlans.forEach(doc => {
+    [...endedPlans.docs, ...pastDuePlans.docs].forEach(doc => {
       plans.push({ id: doc.id, ...doc.data() });
     });
 
@@ -266,12 +379,65 @@ export const getExpiredPlans = async () => {
   }
 };
 
+const toMillis = (value) => {
+  if (!value) return null;
+  return typeof value.toMillis === 'function' ? value.toMillis() : new Date(value).getTime();
+};
+
+// Get active plans ending within the next `days` days whose provider has not
+// been reminded about that end date yet
+export const getPlansDueForRenewalReminder = async (days) => {
+  try {
+    const now = new Date();
+    const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const snapshot = await adminDb.collection('providerPlans')
+      .where('status', '==', 'active')
+      .where('endDate', '>', now)
+      .where('endDate', '<=', horizon)
+      .get();
+
+    const plans = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(plan => toMillis(plan.renewalReminderFor) !== toMillis(plan.endDate));
+
+    return { success: true, plans };
+  } catch (error) {
+    console.error('Error getting plans due for renewal reminder:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Remind a provider that their plan is about to end, and remember which end
+// date the reminder was for so it is only sent once per billing period
+export const sendRenewalReminder = async (plan) => {
+  try {
+    const daysRemaining = calculateDaysRemaining(plan.endDate);
+    await notificationService.notifyUser(plan.providerId || plan.id, NOTIFICATION_TYPES.PLAN_RENEWAL_REMINDER, {
+      plan,
+      planId: plan.id,
+      daysRemaining
+    });
+
+    await adminDb.collection('providerPlans').doc(plan.id).update({
+      renewalReminderFor: plan.endDate,
+      renewalReminderSentAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    return { success: true, daysRemaining };
+  } catch (error) {
+    console.error('Error sending renewal reminder:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Renew plan
-export const renewPlan = async (providerId, planName, planType) => {
+export const renewPlan = async (providerId, planName, planType, renewalData = {}) => {
   try {
-    const endDate = calculateEndDate(planType);
+    const endDate = renewalData.currentPeriodEnd || calculateEndDate(planType);
     const daysRemaining = calculateDaysRemaining(endDate);
-    const price = getPlanPrice(planName, planType);
+    const currency = (renewalData.currency || PLAN_CURRENCY).toLowerCase();
+    const price = getPlanPrice(planName, planType, currency);
     const features = getPlanFeatures(planName);
 
     const planData = {
@@ -283,11 +449,17 @@ export const renewPlan = async (providerId, planName, planType) => {
       endDate,
       daysRemaining,
       price,
-      currency: 'usd',
+      currency,
       features,
-      autoRenew: planType === 'monthly',
+      autoRenew: renewalData.stripeSubscriptionId ? true : planType === 'monthly',
+      gracePeriodEndsAt: null,
+      trialEndsAt: null,
       renewedAt: new Date()
     };
+    if (renewalData.stripeSubscriptionId) {
+      planData.stripeSubscriptionId = renewalData.stripeSubscriptionId;
+      planData.stripePriceId = renewalData.stripePriceId || null;
+    }
 
     const result = await createOrUpdateProviderPlan(providerId, planData);
     
@@ -355,10 +527,14 @@ export default {
   createOrUpdateProviderPlan,
   getProviderPlan,
   activateProviderPlan,
+  isTrialEligible,
   upgradeProviderPlan,
   cancelProviderPlan,
+  markPlanPastDue,
   checkAndUpdatePlanExpiration,
   getExpiredPlans,
+  getPlansDueForRenewalReminder,
+  sendRenewalReminder,
   renewPlan,
   getPlanStatistics
 };
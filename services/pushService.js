@@ -0,0 +1,134 @@
+// Push service: users' registered devices and the dispatcher that sends a
+// push message to all of them. Devices live in the `pushDevices` collection,
+// keyed by a hash of the FCM token or Web Push endpoint, so registering the
+// same device again updates it and a device signed in to another account
+// moves to that account. Devices whose token the push service rejects are
+// removed.
+import crypto from 'crypto';
+import { adminDb } from '../config/firebase-admin.js';
+import { PUSH_DEVICE_TYPES, pushDeviceSchema } from '../models/Notification.js';
+import { PUSH_TRANSPORTS } from './pushTransports.js';
+
+const COLLECTION_NAME = 'pushDevices';
+
+const getDeviceId = (device) => crypto
+  .createHash('sha256')
+  .update(device.type === PUSH_DEVICE_TYPES.WEB ? device.subscription.endpoint : device.token)
+  .digest('hex');
+
+// Device details safe to return to the app
+const toDeviceSummary = (id, device) => ({
+  id,
+  type: device.type,
+  platform: device.platform || null,
+  name: device.name || null,
+  createdAt: device.createdAt,
+  lastSeenAt: device.lastSeenAt
+});
+
+class PushService {
+  constructor() {
+    this.transports = { ...PUSH_TRANSPORTS };
+  }
+
+  getTransport(type) {
+    const transport = this.transports[type];
+    if (!transport) {
+      throw new Error(`Unknown push device type: ${type}`);
+    }
+    return transport;
+  }
+
+  // Swap in another transport for a device type (any object with an async
+  // send(device, message) method and, optionally, isInvalidToken(error))
+  setTransport(type, transport) {
+    this.transports[type] = transport;
+  }
+
+  // Register a device for a user, or refresh one already registered
+  async registerDevice(userId, deviceData) {
+    try {
+      const { error, value } = pushDeviceSchema.validate(deviceData, { abortEarly: false, stripUnknown: true });
+      if (error) {
+        throw new Error(`Validation error: ${error.details.map(d => d.message).join(', ')}`);
+      }
+
+      const id = getDeviceId(value);
+      const ref = adminDb.collection(COLLECTION_NAME).doc(id);
+      const existing = await ref.get();
+      const now = new Date();
+      const device = {
+        ...value,
+        userId,
+        platform: value.platform || (value.type === PUSH_DEVICE_TYPES.WEB ? 'web' : null),
+        createdAt: existing.exists && existing.data().userId === userId ? existing.data().createdAt : now,
+        lastSeenAt: now
+      };
+      await ref.set(device);
+
+      return toDeviceSummary(id, device);
+    } catch (error) {
+      console.error('Error registering push device:', error);
+      throw new Error(`Failed to register push device: ${error.message}`);
+    }
+  }
+
+  async getDevices(userId) {
+    try {
+      const snapshot = await adminDb.collection(COLLECTION_NAME).where('userId', '==', userId).get();
+      return snapshot.docs.map(doc => toDeviceSummary(doc.id, doc.data()));
+    } catch (error) {
+      console.error('Error getting push devices:', error);
+      throw new Error(`Failed to get push devices: ${error.message}`);
+    }
+  }
+
+  // Unregister one of a user's devices, e.g. on sign-out
+  async removeDevice(deviceId, userId) {
+    try {
+      const ref = adminDb.collection(COLLECTION_NAME).doc(deviceId);
+      const doc = await ref.get();
+      if (!doc.exists || doc.data().userId !== userId) {
+        throw new Error('Device not found');
+      }
+      await ref.delete();
+    } catch (error) {
+      console.error('Error removing push device:', error);
+      throw new Error(`Failed to remove push device: ${error.message}`);
+    }
+  }
+
+  // Send a message { title, body, data } to every device of a user. Never
+  // throws; returns how many devices got it, failed and were removed.
+  async sendToUser(userId, message) {
+    const result = { devices: 0, sent: 0, failed: 0, pruned: 0 };
+    try {
+      const snapshot = await adminDb.collection(COLLECTION_NAME).where('userId', '==', userId).get();
+      result.devices = snapshot.size;
+
+      for (const doc of snapshot.docs) {
+        const device = doc.data();
+        let transport;
+        try {
+          transport = this.getTransport(device.type);
+          await transport.send(device, message);
+          result.sent++;
+        } catch (error) {
+          if (transport?.isInvalidToken?.(error)) {
+            await doc.ref.delete();
+            result.pruned++;
+          } else {
+            console.error(`Error sending push to device ${doc.id}:`, error);
+            result.failed++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error sending push to ${userId}:`, error);
+      result.failed = Math.max(result.failed, 1);
+    }
+    return result;
+  }
+}
+
+export default new PushService();
@@ -0,0 +1,67 @@
+// Push transports, one per device type. Each one sends a message
+// { title, body, data } to a single device through `async send(device,
+// message)` and tells, with `isInvalidToken(error)`, whether a failure means
+// the device is gone for good and should be forgotten.
+import webpush from 'web-push';
+import { adminMessaging } from '../config/firebase-admin.js';
+import { getNotificationConfig } from '../config/notifications.js';
+import { PUSH_DEVICE_TYPES } from '../models/Notification.js';
+
+// FCM errors for tokens that will never work again
+const INVALID_FCM_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+export const fcmTransport = {
+  name: PUSH_DEVICE_TYPES.FCM,
+
+  async send(device, message) {
+    const id = await adminMessaging.send({
+      token: device.token,
+      notification: { title: message.title, body: message.body },
+      // FCM data values must be strings
+      data: Object.fromEntries(Object.entries(message.data || {}).map(([key, value]) => [key, String(value)]))
+    });
+    return { id };
+  },
+
+  isInvalidToken(error) {
+    return INVALID_FCM_TOKEN_CODES.includes(error.code || error.errorInfo?.code);
+  }
+};
+
+export const webPushTransport = {
+  name: PUSH_DEVICE_TYPES.WEB,
+
+  async send(device, message) {
+    const { webPush } = getNotificationConfig();
+    if (!webPush.publicKey || !webPush.privateKey) {
+      throw new Error('Web push is not configured. Please set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY environment variables.');
+    }
+
+    await webpush.sendNotification(device.subscription, JSON.stringify(message), {
+      vapidDetails: {
+        subject: webPush.subject,
+        publicKey: webPush.publicKey,
+        privateKey: webPush.privateKey
+      },
+      TTL: 24 * 60 * 60
+    });
+    return { id: null };
+  },
+
+  // The push service answers 404 or 410 for expired or removed subscriptions
+  isInvalidToken(error) {
+    return [404, 410].includes(error.statusCode);
+  }
+};
+
+export const PUSH_TRANSPORTS = {
+  [fcmTransport.name]: fcmTransport,
+  [webPushTransport.name]: webPushTransport
+};
+
+export default {
+  PUSH_TRANSPORTS
+};
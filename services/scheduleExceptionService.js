@@ -0,0 +1,103 @@
+// Schedule exception service for provider blackout dates, vacations and extra hours
+import { adminDb } from '../config/firebase-admin.js';
+import { createScheduleExceptionDocument } from '../models/ScheduleException.js';
+
+const SUBCOLLECTION_NAME = 'scheduleExceptions';
+
+const exceptionsRef = (providerId) => adminDb.collection('users').doc(providerId).collection(SUBCOLLECTION_NAME);
+
+class ScheduleExceptionService {
+  // Make sure the target user exists and is a provider
+  async assertProvider(providerId) {
+    const userDoc = await adminDb.collection('users').doc(providerId).get();
+    if (!userDoc.exists || userDoc.data().userType !== 'provider') {
+      throw new Error('Provider not found');
+    }
+  }
+
+  // List exceptions, optionally only those overlapping a date range (YYYY-MM-DD)
+  async getExceptions(providerId, { from, to } = {}) {
+    try {
+      let query = exceptionsRef(providerId);
+      if (from) {
+        query = query.where('endDate', '>=', from);
+      }
+
+      const snapshot = await query.get();
+      const exceptions = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(exception => !to || exception.startDate <= to)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+      return { success: true, data: exceptions };
+    } catch (error) {
+      throw new Error(`Get schedule exceptions failed: ${error.message}`);
+    }
+  }
+
+  // Exceptions overlapping a date range, read inside a transaction
+  async getExceptionsInTransaction(transaction, providerId, from, to) {
+    const snapshot = await transaction.get(exceptionsRef(providerId).where('endDate', '>=', from));
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(exception => exception.startDate <= to);
+  }
+
+  async createException(providerId, exceptionData) {
+    try {
+      await this.assertProvider(providerId);
+
+      const exception = createScheduleExceptionDocument(exceptionData, providerId);
+      const docRef = await exceptionsRef(providerId).add(exception);
+
+      return { success: true, data: { id: docRef.id, ...exception } };
+    } catch (error) {
+      throw new Error(`Create schedule exception failed: ${error.message}`);
+    }
+  }
+
+  async updateException(providerId, exceptionId, updateData) {
+    try {
+      const docRef = exceptionsRef(providerId).doc(exceptionId);
+      const docSnap = await docRef.get();
+
+      if (!docSnap.exists) {
+        return { success: false, message: 'Schedule exception not found' };
+      }
+
+      // Re-validate the merged exception so the combined fields stay consistent
+      const { createdAt, ...existing } = docSnap.data();
+      const merged = { ...existing, ...updateData };
+      if (updateData.startTime === null) {
+        delete merged.startTime;
+        delete merged.endTime;
+      }
+
+      const exception = createScheduleExceptionDocument(merged, providerId);
+      exception.createdAt = createdAt;
+      await docRef.set(exception);
+
+      return { success: true, data: { id: exceptionId, ...exception } };
+    } catch (error) {
+      throw new Error(`Update schedule exception failed: ${error.message}`);
+    }
+  }
+
+  async deleteException(providerId, exceptionId) {
+    try {
+      const docRef = exceptionsRef(providerId).doc(exceptionId);
+      const docSnap = await docRef.get();
+
+      if (!docSnap.exists) {
+        return { success: false, message: 'Schedule exception not found' };
+      }
+
+      await docRef.delete();
+      return { success: true };
+    } catch (error) {
+      throw new Error(`Delete schedule exception failed: ${error.message}`);
+    }
+  }
+}
+
+export default new ScheduleExceptionService();
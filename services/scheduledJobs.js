@@ -0,0 +1,113 @@
+// Recurring maintenance jobs run by the job scheduler
+import jobScheduler from './jobScheduler.js';
+import entitlementService from './entitlementService.js';
+import providerPlanService from './providerPlanService.js';
+import listingService from './listingService.js';
+import orderService from './orderService.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Days before a plan ends that its provider is reminded to renew
+const getRenewalReminderDays = () => envNumber('PLAN_RENEWAL_REMINDER_DAYS', 7);
+
+// Hours an order may stay pending and unpaid before it is cancelled
+const getOrderPaymentTimeoutHours = () => envNumber('ORDER_PAYMENT_TIMEOUT_HOURS', 24);
+
+// Hours before an emergency booking's card hold lapses that it is renewed
+const getReauthorizeHours = () => envNumber('ORDER_REAUTHORIZE_HOURS', 24);
+
+export const expirePlans = async () => {
+  return await entitlementService.expireLapsedPlans();
+};
+
+export const sendPlanRenewalReminders = async () => {
+  const days = getRenewalReminderDays();
+  const dueResult = await providerPlanService.getPlansDueForRenewalReminder(days);
+  if (!dueResult.success) {
+    throw new Error(dueResult.error);
+  }
+
+  const reminded = [];
+  const failed = [];
+  for (const plan of dueResult.plans) {
+    const result = await providerPlanService.sendRenewalReminder(plan);
+    if (result.success) {
+      reminded.push(plan.id);
+    } else {
+      failed.push({ providerId: plan.id, error: result.error });
+    }
+  }
+
+  return { days, reminded, failed };
+};
+
+export const cancelStaleOrders = async () => {
+  const timeoutHours = getOrderPaymentTimeoutHours();
+  const createdBefore = new Date(Date.now() - timeoutHours * HOUR);
+  const result = await orderService.cancelStalePendingOrders(createdBefore);
+  return { timeoutHours, ...result };
+};
+
+export const renewPaymentAuthorizations = async () => {
+  const hours = getReauthorizeHours();
+  const expiresBefore = new Date(Date.now() + hours * HOUR);
+  const result = await orderService.renewExpiringAuthorizations(expiresBefore);
+  return { hours, ...result };
+};
+
+export const expireListings = async () => {
+  const deactivated = await listingService.deactivateExpiredListings();
+  return { deactivated };
+};
+
+// Add the maintenance jobs to a scheduler. Registration is separate from
+// starting so the admin endpoints can run jobs even where the scheduler is
+// switched off.
+export const registerScheduledJobs = (scheduler = jobScheduler) => {
+  scheduler.register('expire-plans', {
+    description: 'Mark lapsed provider plans expired and apply free plan limits',
+    interval: HOUR,
+    handler: expirePlans
+  });
+
+  scheduler.register('plan-renewal-reminders', {
+    description: 'Remind providers whose plan ends soon to renew',
+    interval: 6 * HOUR,
+    handler: sendPlanRenewalReminders
+  });
+
+  scheduler.register('cancel-stale-orders', {
+    description: 'Cancel pending orders that were never paid',
+    interval: 15 * MINUTE,
+    handler: cancelStaleOrders
+  });
+
+  scheduler.register('renew-payment-authorizations', {
+    description: 'Renew card holds on emergency bookings before they lapse',
+    interval: HOUR,
+    handler: renewPaymentAuthorizations
+  });
+
+  scheduler.register('expire-listings', {
+    description: 'Deactivate listings whose expiry date has passed',
+    interval: HOUR,
+    handler: expireListings
+  });
+
+  return scheduler;
+};
+
+export default {
+  registerScheduledJobs,
+  expirePlans,
+  sendPlanRenewalReminders,
+  cancelStaleOrders,
+  renewPaymentAuthorizations,
+  expireListings
+};
@@ -0,0 +1,256 @@
+// In-process inverted index for listing search. This is the default search
+// backend; any other backend (Algolia, Meilisearch, Typesense, ...) can be
+// plugged into the search service by implementing the same methods:
+//
+//   upsert(listing)          add or replace a listing
+//   remove(listingId)        drop a listing
+//   replaceAll(listings)     rebuild from scratch
+//   search(query, options)   -> { hits: [{ id, score }], total, facets }
+//   needsRebuild()           true when the backend should be reloaded from Firestore
+
+// Relative weight of each searchable field
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  category: 1.5,
+  description: 1
+};
+
+// Score multipliers for inexact matches
+const PREFIX_MATCH_WEIGHT = 0.75;
+const FUZZY_MATCH_WEIGHT = 0.5;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with', 'your', 'our', 'we', 'you'
+]);
+
+export const PRICE_FACET_RANGES = [
+  { key: '0-50', min: 0, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-250', min: 100, max: 250 },
+  { key: '250-500', min: 250, max: 500 },
+  { key: '500+', min: 500, max: Infinity }
+];
+
+export const RATING_FACET_THRESHOLDS = [4, 3, 2, 1];
+
+// Lowercase, strip accents and split into searchable terms
+export const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+
+// Typos allowed for a term of a given length
+const maxTypos = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+// Damerau-Levenshtein (optimal string alignment) distance, giving up once it
+// exceeds `limit`
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > limit) return limit + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Fields kept alongside the index for filtering and facets
+const toFacetFields = (listing) => ({
+  status: listing.status,
+  category: listing.category,
+  providerId: listing.providerId,
+  price: listing.pricing?.amount ?? null,
+  rating: listing.statistics?.rating ?? 0
+});
+
+const matchesFilters = (doc, filters) => {
+  if (filters.status && doc.status !== filters.status) return false;
+  if (filters.category && doc.category !== filters.category) return false;
+  if (filters.providerId && doc.providerId !== filters.providerId) return false;
+  if (filters.minPrice !== undefined && !(doc.price >= filters.minPrice)) return false;
+  if (filters.maxPrice !== undefined && !(doc.price <= filters.maxPrice)) return false;
+  if (filters.minRating !== undefined && !(doc.rating >= filters.minRating)) return false;
+  return true;
+};
+
+const buildFacets = (docs) => {
+  const category = {};
+  const price = Object.fromEntries(PRICE_FACET_RANGES.map(range => [range.key, 0]));
+  const rating = Object.fromEntries(RATING_FACET_THRESHOLDS.map(threshold => [`${threshold}+`, 0]));
+
+  docs.forEach(doc => {
+    if (doc.category) {
+      category[doc.category] = (category[doc.category] || 0) + 1;
+    }
+
+    const priceRange = PRICE_FACET_RANGES.find(range => doc.price >= range.min && doc.price < range.max);
+    if (priceRange) {
+      price[priceRange.key] += 1;
+    }
+
+    RATING_FACET_THRESHOLDS
+      .filter(threshold => doc.rating >= threshold)
+      .forEach(threshold => { rating[`${threshold}+`] += 1; });
+  });
+
+  return { category, price, rating };
+};
+
+export class InMemorySearchIndex {
+  constructor({ maxAgeMs = 5 * 60 * 1000 } = {}) {
+    this.name = 'memory';
+    // Other server instances write listings too, so the index is rebuilt from
+    // Firestore once it is older than maxAgeMs
+    this.maxAgeMs = maxAgeMs;
+    this.builtAt = null;
+    this.documents = new Map(); // listingId -> facet fields and indexed terms
+    this.postings = new Map();  // term -> Map(listingId -> weighted term frequency)
+  }
+
+  needsRebuild(now = Date.now()) {
+    return this.builtAt === null || now - this.builtAt > this.maxAgeMs;
+  }
+
+  upsert(listing) {
+    this.remove(listing.id);
+
+    const terms = new Map();
+    const addField = (text, weight) => {
+      tokenize(text).forEach(term => {
+        terms.set(term, (terms.get(term) || 0) + weight);
+      });
+    };
+
+    addField(listing.title, FIELD_WEIGHTS.title);
+    addField((listing.tags || []).join(' '), FIELD_WEIGHTS.tags);
+    addField(String(listing.category || '').replace(/_/g, ' '), FIELD_WEIGHTS.category);
+    addField(listing.description, FIELD_WEIGHTS.description);
+
+    terms.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(listing.id, weight);
+    });
+
+    this.documents.set(listing.id, { ...toFacetFields(listing), terms: [...terms.keys()] });
+  }
+
+  remove(listingId) {
+    const doc = this.documents.get(listingId);
+    if (!doc) return;
+
+    doc.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting?.delete(listingId);
+      if (posting?.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.documents.delete(listingId);
+  }
+
+  replaceAll(listings) {
+    this.documents.clear();
+    this.postings.clear();
+    listings.forEach(listing => this.upsert(listing));
+    this.builtAt = Date.now();
+  }
+
+  // Index terms matching a query term: exact, prefix (the term being typed)
+  // or within the allowed number of typos
+  expandTerm(queryTerm, allowPrefix) {
+    const matches = new Map();
+    const typoLimit = maxTypos(queryTerm);
+
+    this.postings.forEach((_, term) => {
+      if (term === queryTerm) {
+        matches.set(term, 1);
+      } else if (allowPrefix && term.startsWith(queryTerm)) {
+        matches.set(term, PREFIX_MATCH_WEIGHT);
+      } else if (typoLimit > 0 && editDistance(queryTerm, term, typoLimit) <= typoLimit) {
+        matches.set(term, FUZZY_MATCH_WEIGHT);
+      }
+    });
+
+    return matches;
+  }
+
+  // Every query term has to match; listings are ranked by the sum of
+  // idf-weighted field scores of the matching terms
+  search(query, { filters = {}, limit = 20, offset = 0 } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return { hits: [], total: 0, facets: buildFacets([]) };
+    }
+
+    const totalDocuments = this.documents.size;
+    let scores = null;
+
+    queryTerms.forEach((queryTerm, index) => {
+      const termScores = new Map();
+      const isLastTerm = index === queryTerms.length - 1;
+
+      this.expandTerm(queryTerm, isLastTerm).forEach((matchWeight, term) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (totalDocuments - posting.size + 0.5) / (posting.size + 0.5));
+
+        posting.forEach((fieldWeight, listingId) => {
+          const score = idf * fieldWeight * matchWeight;
+          // A typo'd term can match several index terms; keep the best one
+          termScores.set(listingId, Math.max(termScores.get(listingId) || 0, score));
+        });
+      });
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, listingId) => {
+          if (termScores.has(listingId)) {
+            combined.set(listingId, score + termScores.get(listingId));
+          }
+        });
+        scores = combined;
+      }
+    });
+
+    const matched = [...scores.entries()]
+      .filter(([listingId]) => matchesFilters(this.documents.get(listingId), filters))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    return {
+      hits: matched.slice(offset, offset + limit).map(([id, score]) => ({ id, score: Math.round(score * 1000) / 1000 })),
+      total: matched.length,
+      facets: buildFacets(matched.map(([listingId]) => this.documents.get(listingId)))
+    };
+  }
+}
+
+export default InMemorySearchIndex;
@@ -0,0 +1,91 @@
+// Search service: listing search through a pluggable index backend
+import 'dotenv/config';
+import { adminDb } from '../config/firebase-admin.js';
+import { InMemorySearchIndex } from './searchIndex.js';
+
+const COLLECTION_NAME = 'listings';
+
+class SearchService {
+  constructor() {
+    this.backend = null;
+    this.rebuilding = null;
+  }
+
+  // Search backend, the in-process index unless another one has been set
+  getBackend() {
+    if (!this.backend) {
+      const maxAgeMs = parseInt(process.env.SEARCH_INDEX_MAX_AGE_MS, 10);
+      this.backend = new InMemorySearchIndex(isNaN(maxAgeMs) ? {} : { maxAgeMs });
+    }
+    return this.backend;
+  }
+
+  // Swap in another backend (see searchIndex.js for the interface)
+  setBackend(backend) {
+    this.backend = backend;
+    this.rebuilding = null;
+  }
+
+  // Reload the backend from Firestore when it asks for it. Concurrent
+  // searches share a single rebuild.
+  async ensureIndex() {
+    const backend = this.getBackend();
+    if (!backend.needsRebuild?.()) {
+      return backend;
+    }
+
+    if (!this.rebuilding) {
+      this.rebuilding = (async () => {
+        const snapshot = await adminDb.collection(COLLECTION_NAME).get();
+        await backend.replaceAll(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      })().finally(() => {
+        this.rebuilding = null;
+      });
+    }
+
+    await this.rebuilding;
+    return backend;
+  }
+
+  // Keep the index in sync with listing writes. Failures are logged rather
+  // than thrown so a search outage never blocks saving a listing.
+  async indexListing(listing) {
+    try {
+      await this.getBackend().upsert(listing);
+    } catch (error) {
+      console.error('Error indexing listing:', error);
+    }
+  }
+
+  async removeListing(listingId) {
+    try {
+      await this.getBackend().remove(listingId);
+    } catch (error) {
+      console.error('Error removing listing from search index:', error);
+    }
+  }
+
+  // Relevance-ranked listings for a query with facet counts. Hits are
+  // hydrated from Firestore so results always reflect the stored listing.
+  async searchListings(query, { filters = {}, limit = 20, offset = 0 } = {}) {
+    try {
+      const backend = await this.ensureIndex();
+      const { hits, total, facets } = await backend.search(query, { filters, limit, offset });
+
+      const docs = hits.length > 0
+        ? await adminDb.getAll(...hits.map(hit => adminDb.collection(COLLECTION_NAME).doc(hit.id)))
+        : [];
+
+      const listings = docs
+        .map((doc, index) => (doc.exists ? { id: doc.id, ...doc.data(), relevance: hits[index].score } : null))
+        .filter(Boolean);
+
+      return { listings, total, facets, limit, offset };
+    } catch (error) {
+      console.error('Error searching listings:', error);
+      throw new Error(`Failed to search listings: ${error.message}`);
+    }
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,422 @@
+// Handlers for Stripe webhook events, grouped by the part of the app they
+// update. Each handler receives the event's data object and throws when the
+// event could not be applied, so the webhook pipeline can record the failure
+// and the event can be retried or replayed.
+import stripeService from './stripeService.js';
+import orderService from './orderService.js';
+import payoutService from './payoutService.js';
+import disputeService from './disputeService.js';
+import providerPlanService from './providerPlanService.js';
+import entitlementService from './entitlementService.js';
+import firestoreService from './firestoreService.js';
+import planCatalogService from './planCatalogService.js';
+import promoCodeService from './promoCodeService.js';
+import { fromMinorUnits } from '../models/Money.js';
+
+// Webhook updates are made by the system, not by the paying customer
+const WEBHOOK_ACTOR_ID = 'stripe-webhook';
+const WEBHOOK_ACTOR_ROLE = 'system';
+
+// -----------------------------
+// Provider plans
+// -----------------------------
+
+const activatePlan = async (metadata, paymentData) => {
+  const { userId, planName, planType } = metadata;
+  if (!userId || !planName || !planType) {
+    return { skipped: 'Missing plan metadata' };
+  }
+
+  const result = await providerPlanService.activateProviderPlan(userId, planName, planType, paymentData);
+  if (!result.success) {
+    throw new Error(`Plan activation failed: ${result.error}`);
+  }
+  await entitlementService.syncListingsWithPlan(userId);
+
+  return { providerId: userId, planName, planType };
+};
+
+// Invoices moved their subscription id under `parent` in newer API versions
+const getInvoiceSubscriptionId = (invoice) => {
+  return invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+};
+
+// The provider and plan a subscription pays for. The plan comes from the
+// subscribed price, so changes made outside the app (e.g. in the billing
+// portal) are picked up; the subscription metadata is the fallback.
+const getSubscriptionPlan = async (subscription) => {
+  const price = subscription.items?.data?.[0]?.price;
+  let { planName, planType } = price?.metadata || {};
+
+  if ((!planName || !planType) && price?.id) {
+    const catalogPlan = await planCatalogService.findPlanByPriceId(price.id);
+    planName = catalogPlan?.planName;
+    planType = catalogPlan?.planType;
+  }
+
+  return {
+    userId: subscription.metadata?.userId,
+    planName: planName || subscription.metadata?.planName,
+    planType: planType || subscription.metadata?.planType,
+    stripeSubscriptionId: subscription.id,
+    stripePriceId: price?.id || null,
+    currency: subscription.currency || null,
+    currentPeriodEnd: stripeService.getSubscriptionPeriodEnd(subscription),
+    trialEndsAt: stripeService.getSubscriptionTrialEnd(subscription)
+  };
+};
+
+const retrieveSubscriptionPlan = async (subscriptionId) => {
+  const subscriptionResult = await stripeService.retrieveSubscription(subscriptionId);
+  if (!subscriptionResult.success) {
+    throw new Error(`Could not retrieve subscription: ${subscriptionResult.error}`);
+  }
+  return await getSubscriptionPlan(subscriptionResult.subscription);
+};
+
+const planCheckoutCompleted = async (session) => {
+  const paymentData = {
+    stripeSessionId: session.id,
+    stripePaymentIntentId: session.payment_intent,
+    stripeCustomerId: session.customer
+  };
+
+  if (session.subscription) {
+    const subscriptionPlan = await retrieveSubscriptionPlan(session.subscription);
+    Object.assign(paymentData, {
+      stripeSubscriptionId: subscriptionPlan.stripeSubscriptionId,
+      stripePriceId: subscriptionPlan.stripePriceId,
+      currency: subscriptionPlan.currency,
+      currentPeriodEnd: subscriptionPlan.currentPeriodEnd,
+      trialEndsAt: subscriptionPlan.trialEndsAt
+    });
+  }
+
+  const { promoCode } = session.metadata || {};
+  if (promoCode) {
+    paymentData.promoCode = promoCode;
+  }
+
+  const result = await activatePlan(session.metadata || {}, paymentData);
+
+  // Each completed checkout event is processed once, so this counts each
+  // redemption once
+  if (promoCode && !result.skipped) {
+    await promoCodeService.recordPlanRedemption(promoCode);
+  }
+
+  return result;
+};
+
+const planPaymentSucceeded = async (paymentIntent) => {
+  return await activatePlan(paymentIntent.metadata || {}, {
+    stripePaymentIntentId: paymentIntent.id,
+    stripeCustomerId: paymentIntent.customer
+  });
+};
+
+// Subscription renewal. The first invoice is handled by the checkout and
+// proration invoices by the upgrade, so only billing-cycle invoices renew.
+const planInvoicePaid = async (invoice) => {
+  const subscriptionId = getInvoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return { skipped: 'Invoice is not for a subscription' };
+  }
+  if (invoice.billing_reason && invoice.billing_reason !== 'subscription_cycle') {
+    return { skipped: `Invoice billing reason is ${invoice.billing_reason}` };
+  }
+
+  const { userId, planName, planType, ...renewalData } = await retrieveSubscriptionPlan(subscriptionId);
+  if (!userId || !planName || !planType) {
+    return { skipped: 'Missing plan metadata' };
+  }
+
+  const result = await providerPlanService.renewPlan(userId, planName, planType, renewalData);
+  if (!result.success) {
+    throw new Error(`Plan renewal failed: ${result.error}`);
+  }
+  await entitlementService.syncListingsWithPlan(userId);
+
+  return { providerId: userId, planName, planType };
+};
+
+// A renewal payment failed: the plan enters its grace period
+const planInvoicePaymentFailed = async (invoice) => {
+  const subscriptionId = getInvoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return { skipped: 'Invoice is not for a subscription' };
+  }
+
+  const { userId } = await retrieveSubscriptionPlan(subscriptionId);
+  if (!userId) {
+    return { skipped: 'Missing plan metadata' };
+  }
+
+  const result = await providerPlanService.markPlanPastDue(userId);
+  if (!result.success) {
+    if (result.error === 'Plan not found' || result.error.startsWith('Plan is ')) {
+      return { skipped: result.error };
+    }
+    throw new Error(`Could not mark plan past due: ${result.error}`);
+  }
+
+  return { providerId: userId, gracePeriodEndsAt: result.gracePeriodEndsAt };
+};
+
+// Record the subscription status, and switch plans when the subscription was
+// moved to another plan's price
+const planSubscriptionUpdated = async (subscription) => {
+  const { userId, planName, planType, ...paymentData } = await getSubscriptionPlan(subscription);
+  if (!userId) {
+    return { skipped: 'Missing plan metadata' };
+  }
+
+  await firestoreService.updateDocument('users', userId, {
+    'providerInfo.subscriptionStatus': subscription.status
+  });
+
+  const planResult = await providerPlanService.getProviderPlan(userId);
+  const currentPlan = planResult.success ? planResult.plan : null;
+  const planChanged = planName && planType && ['active', 'trialing'].includes(subscription.status) &&
+    (currentPlan?.planName !== planName || currentPlan?.planType !== planType);
+
+  if (planChanged) {
+    await activatePlan({ userId, planName, planType }, {
+      ...paymentData,
+      stripeCustomerId: subscription.customer
+    });
+  }
+
+  return { providerId: userId, subscriptionStatus: subscription.status, planChanged: Boolean(planChanged) };
+};
+
+const planSubscriptionDeleted = async (subscription) => {
+  const { userId } = subscription.metadata || {};
+  if (!userId) {
+    return { skipped: 'Missing plan metadata' };
+  }
+
+  // Stripe has already cancelled the subscription
+  const result = await providerPlanService.cancelProviderPlan(userId, { cancelSubscription: false });
+  if (!result.success) {
+    throw new Error(`Plan cancellation failed: ${result.error}`);
+  }
+  await entitlementService.syncListingsWithPlan(userId);
+
+  return { providerId: userId };
+};
+
+export const planEventHandlers = {
+  'checkout.session.completed': planCheckoutCompleted,
+  'payment_intent.succeeded': planPaymentSucceeded,
+  'invoice.payment_succeeded': planInvoicePaid,
+  'invoice.payment_failed': planInvoicePaymentFailed,
+  'customer.subscription.updated': planSubscriptionUpdated,
+  'customer.subscription.deleted': planSubscriptionDeleted
+};
+
+// -----------------------------
+// Orders
+// -----------------------------
+
+// Convert a Stripe refund object into an order refund record
+const toRefundRecord = (refund) => ({
+  stripeRefundId: refund.id,
+  ...(refund.payment_intent && { stripePaymentIntentId: refund.payment_intent }),
+  amount: fromMinorUnits(refund.amount, refund.currency),
+  currency: refund.currency,
+  status: refund.status,
+  reason: refund.metadata?.reason || refund.reason || '',
+  requestedBy: refund.metadata?.requestedBy || WEBHOOK_ACTOR_ID,
+  role: WEBHOOK_ACTOR_ROLE,
+  createdAt: refund.created ? new Date(refund.created * 1000) : new Date()
+});
+
+// Order paid for by a payment intent, or null when the payment was not for
+// an order (plan purchases share the same charge events)
+const findOrderByPaymentIntent = async (paymentIntentId) => {
+  try {
+    return await orderService.getOrderByPaymentIntentId(paymentIntentId);
+  } catch (error) {
+    if (error.message.includes('Order not found')) return null;
+    throw error;
+  }
+};
+
+// Deposit and milestone payments carry the milestone id in their metadata
+const orderCheckoutCompleted = async (session) => {
+  const { orderId, milestoneId } = session.metadata;
+
+  await orderService.markOrderPaid(orderId, {
+    stripePaymentIntentId: session.payment_intent || undefined,
+    stripeCheckoutSessionId: session.id,
+    milestoneId
+  }, `Payment received via checkout session ${session.id}`);
+
+  return { orderId, ...(milestoneId && { milestoneId }) };
+};
+
+const orderPaymentSucceeded = async (paymentIntent) => {
+  const { orderId, milestoneId } = paymentIntent.metadata;
+
+  // A captured card hold on an emergency booking
+  if (paymentIntent.capture_method === 'manual') {
+    await orderService.recordCapture(orderId, paymentIntent);
+    return { orderId, captured: true };
+  }
+
+  await orderService.markOrderPaid(orderId, {
+    stripePaymentIntentId: paymentIntent.id,
+    milestoneId
+  }, `Payment received via payment intent ${paymentIntent.id}`);
+
+  return { orderId, ...(milestoneId && { milestoneId }) };
+};
+
+const orderPaymentFailed = async (paymentIntent) => {
+  const { orderId } = paymentIntent.metadata;
+
+  await orderService.markPaymentFailed(orderId);
+
+  return { orderId };
+};
+
+// The customer confirmed the card hold on an emergency booking
+const orderPaymentAuthorized = async (paymentIntent) => {
+  const { orderId } = paymentIntent.metadata;
+
+  if (paymentIntent.status !== 'requires_capture') {
+    return { skipped: `Payment intent is ${paymentIntent.status}` };
+  }
+
+  await orderService.recordAuthorization(orderId, paymentIntent);
+
+  return { orderId };
+};
+
+// A card hold released, either by us or because it lapsed
+const orderPaymentCanceled = async (paymentIntent) => {
+  const { orderId } = paymentIntent.metadata;
+
+  await orderService.recordAuthorizationCancelled(orderId, paymentIntent);
+
+  return { orderId };
+};
+
+// A charge being refunded, including refunds issued from the Stripe dashboard
+const orderChargeRefunded = async (charge) => {
+  if (!charge.payment_intent) {
+    return { skipped: 'Charge has no payment intent' };
+  }
+
+  const order = await findOrderByPaymentIntent(charge.payment_intent);
+  if (!order) {
+    return { skipped: 'No order for payment intent' };
+  }
+
+  // Newer API versions no longer embed the refund list in the charge
+  let refunds = charge.refunds?.data;
+  if (!refunds) {
+    const result = await stripeService.listRefunds(charge.payment_intent);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    refunds = result.refunds.data;
+  }
+
+  for (const refund of refunds) {
+    await orderService.applyRefund(order.id, toRefundRecord(refund));
+  }
+
+  return { orderId: order.id, refunds: refunds.length };
+};
+
+// A refund changing status (e.g. pending -> succeeded or failed)
+const orderRefundUpdated = async (refund) => {
+  if (!refund.payment_intent) {
+    return { skipped: 'Refund has no payment intent' };
+  }
+
+  const order = await findOrderByPaymentIntent(refund.payment_intent);
+  if (!order) {
+    return { skipped: 'No order for payment intent' };
+  }
+
+  await orderService.applyRefund(order.id, toRefundRecord(refund));
+
+  return { orderId: order.id, refundStatus: refund.status };
+};
+
+// Order a disputed charge was for, from its payment intent's metadata.
+// Payments made before the metadata was set are matched by their stored
+// payment intent instead.
+const findDisputedOrderId = async (dispute) => {
+  if (!dispute.payment_intent) {
+    return null;
+  }
+
+  const result = await stripeService.retrievePaymentIntent(dispute.payment_intent);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  const { metadata = {} } = result.paymentIntent;
+  if (metadata.type === 'order_payment' && metadata.orderId) {
+    return metadata.orderId;
+  }
+
+  const order = await findOrderByPaymentIntent(dispute.payment_intent);
+  return order?.id || null;
+};
+
+// A dispute opened, changing status or closed on an order payment
+const orderDisputeChanged = async (dispute) => {
+  const orderId = await findDisputedOrderId(dispute);
+  if (!orderId) {
+    return { skipped: 'No order for disputed payment' };
+  }
+
+  const record = await disputeService.recordDispute(orderId, dispute);
+
+  return { orderId, disputeStatus: record.status };
+};
+
+export const orderEventHandlers = {
+  'checkout.session.completed': orderCheckoutCompleted,
+  'payment_intent.succeeded': orderPaymentSucceeded,
+  'payment_intent.payment_failed': orderPaymentFailed,
+  'payment_intent.amount_capturable_updated': orderPaymentAuthorized,
+  'payment_intent.canceled': orderPaymentCanceled,
+  'charge.refunded': orderChargeRefunded,
+  'charge.refund.updated': orderRefundUpdated,
+  'charge.dispute.created': orderDisputeChanged,
+  'charge.dispute.updated': orderDisputeChanged,
+  'charge.dispute.closed': orderDisputeChanged
+};
+
+// -----------------------------
+// Stripe Connect accounts
+// -----------------------------
+
+// A provider's connected account changing onboarding state
+const connectAccountUpdated = async (account) => {
+  const result = await payoutService.syncConnectAccount(account);
+  if (!result.success) {
+    // Accounts created outside the app have no provider to update
+    if (result.error.includes('Provider not found')) {
+      return { skipped: result.error };
+    }
+    throw new Error(result.error);
+  }
+
+  return { providerId: result.providerId };
+};
+
+export const connectEventHandlers = {
+  'account.updated': connectAccountUpdated
+};
+
+export default {
+  planEventHandlers,
+  orderEventHandlers,
+  connectEventHandlers
+};
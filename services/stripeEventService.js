@@ -0,0 +1,209 @@
+// Stripe webhook pipeline. Events from every webhook endpoint are stored in
+// `stripeEvents` keyed by event id, processed at most once, and their outcome
+// recorded so failed events can be inspected and replayed.
+import { adminDb } from '../config/firebase-admin.js';
+import admin from '../config/firebase-admin.js';
+import stripeService from './stripeService.js';
+import { planEventHandlers, orderEventHandlers, connectEventHandlers } from './stripeEventHandlers.js';
+import { paginateQuery } from './paginationService.js';
+
+const COLLECTION_NAME = 'stripeEvents';
+
+// How long an event may stay in `processing` before a redelivery may take it over
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const STRIPE_EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+};
+
+const EVENT_HANDLERS = {
+  plan: planEventHandlers,
+  order: orderEventHandlers,
+  connect: connectEventHandlers
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+};
+
+// Firestore rejects undefined values, so results are stored as plain JSON
+const toStorable = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Which part of the app an event belongs to. Checkout sessions and payment
+// intents say so in their metadata; other events are routed by type.
+export const resolveEventTarget = (event) => {
+  const metadata = event.data?.object?.metadata || {};
+
+  if (metadata.type === 'order_payment') return 'order';
+  if (metadata.userId && metadata.planName) return 'plan';
+
+  if (event.type.startsWith('charge.')) return 'order';
+  if (event.type.startsWith('account.')) return 'connect';
+  if (event.type.startsWith('invoice.') || event.type.startsWith('customer.subscription.')) return 'plan';
+
+  return null;
+};
+
+class StripeEventService {
+  // Verify a webhook payload against its signature
+  constructEvent(payload, signature) {
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      throw new Error('Webhook secret not configured');
+    }
+
+    const result = stripeService.constructWebhookEvent(payload, signature, webhookSecret);
+    if (!result.success) {
+      throw new Error(`Invalid signature: ${result.error}`);
+    }
+
+    return result.event;
+  }
+
+  // Store an event and mark it as processing. Returns the reason instead when
+  // the event was already handled or another delivery is processing it.
+  async claimEvent(event, { replay = false } = {}) {
+    const eventRef = adminDb.collection(COLLECTION_NAME).doc(event.id);
+
+    return await adminDb.runTransaction(async (transaction) => {
+      const doc = await transaction.get(eventRef);
+      const existing = doc.exists ? doc.data() : null;
+      const now = new Date();
+
+      if (existing) {
+        if ([STRIPE_EVENT_STATUS.PROCESSED, STRIPE_EVENT_STATUS.IGNORED].includes(existing.status)) {
+          return { claimed: false, reason: existing.status };
+        }
+        if (existing.status === STRIPE_EVENT_STATUS.PROCESSING &&
+            now - toDate(existing.processingStartedAt) < PROCESSING_TIMEOUT_MS) {
+          return { claimed: false, reason: existing.status };
+        }
+      }
+
+      transaction.set(eventRef, {
+        type: event.type,
+        target: resolveEventTarget(event),
+        livemode: Boolean(event.livemode),
+        stripeCreatedAt: event.created ? new Date(event.created * 1000) : null,
+        // Kept as a string: Stripe objects can exceed Firestore's nesting rules
+        payload: JSON.stringify(event),
+        status: STRIPE_EVENT_STATUS.PROCESSING,
+        attempts: admin.firestore.FieldValue.increment(1),
+        processingStartedAt: now,
+        lastReplayedAt: replay ? now : (existing?.lastReplayedAt || null),
+        receivedAt: existing?.receivedAt || now,
+        updatedAt: now
+      }, { merge: true });
+
+      return { claimed: true };
+    });
+  }
+
+  async recordOutcome(eventId, outcome) {
+    await adminDb.collection(COLLECTION_NAME).doc(eventId).update({
+      ...outcome,
+      updatedAt: new Date()
+    });
+  }
+
+  // Process an event once. Returns { status }, where status is the recorded
+  // outcome or 'duplicate' when the event was skipped.
+  async processEvent(event, { replay = false } = {}) {
+    const claim = await this.claimEvent(event, { replay });
+    if (!claim.claimed) {
+      return { status: 'duplicate', previousStatus: claim.reason };
+    }
+
+    const target = resolveEventTarget(event);
+    const handler = EVENT_HANDLERS[target]?.[event.type];
+
+    if (!handler) {
+      await this.recordOutcome(event.id, {
+        status: STRIPE_EVENT_STATUS.IGNORED,
+        processedAt: new Date(),
+        error: null
+      });
+      return { status: STRIPE_EVENT_STATUS.IGNORED };
+    }
+
+    try {
+      const result = await handler(event.data.object, event);
+      await this.recordOutcome(event.id, {
+        status: STRIPE_EVENT_STATUS.PROCESSED,
+        result: toStorable(result),
+        processedAt: new Date(),
+        error: null
+      });
+      return { status: STRIPE_EVENT_STATUS.PROCESSED, result };
+    } catch (error) {
+      console.error(`Error processing Stripe event ${event.id} (${event.type}):`, error);
+      await this.recordOutcome(event.id, {
+        status: STRIPE_EVENT_STATUS.FAILED,
+        error: error.message,
+        failedAt: new Date()
+      });
+      return { status: STRIPE_EVENT_STATUS.FAILED, error: error.message };
+    }
+  }
+
+  async getEvent(eventId) {
+    const doc = await adminDb.collection(COLLECTION_NAME).doc(eventId).get();
+    if (!doc.exists) {
+      throw new Error('Stripe event not found');
+    }
+
+    const { payload, ...record } = doc.data();
+    return { id: doc.id, ...record, event: JSON.parse(payload) };
+  }
+
+  // Stored events, newest first, without their payloads
+  async getEvents({ status, type, limit = 20, cursor } = {}) {
+    let query = adminDb.collection(COLLECTION_NAME);
+    if (status) query = query.where('status', '==', status);
+    if (type) query = query.where('type', '==', type);
+
+    const result = await paginateQuery(query, {
+      orderBy: [['receivedAt', 'desc']],
+      limit,
+      cursor
+    });
+
+    return {
+      events: result.items.map(({ payload, ...record }) => record),
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore
+    };
+  }
+
+  // Process a failed event again from its stored payload
+  async replayEvent(eventId) {
+    const record = await this.getEvent(eventId);
+    if (record.status !== STRIPE_EVENT_STATUS.FAILED) {
+      throw new Error(`Only failed events can be replayed (event is ${record.status})`);
+    }
+
+    return { id: eventId, ...(await this.processEvent(record.event, { replay: true })) };
+  }
+
+  // Replay failed events, oldest first
+  async replayFailedEvents({ limit = 50 } = {}) {
+    const snapshot = await adminDb.collection(COLLECTION_NAME)
+      .where('status', '==', STRIPE_EVENT_STATUS.FAILED)
+      .orderBy('receivedAt', 'asc')
+      .limit(limit)
+      .get();
+
+    const results = [];
+    for (const doc of snapshot.docs) {
+      results.push({ id: doc.id, ...(await this.processEvent(JSON.parse(doc.data().payload), { replay: true })) });
+    }
+
+    return results;
+  }
+}
+
+export default new StripeEventService();
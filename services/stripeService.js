@@ -1,5 +1,5 @@
 import Stripe from 'stripe';
-import { PLAN_CONFIG, getPlanPrice } from '../models/ProviderPlan.js';
+import { toMinorUnits } from '../models/Money.js';
 
 // Initialize Stripe lazily
 let stripe = null;
@@ -33,7 +33,10 @@ export const createCustomer = async (email, name, metadata = {}) => {
 };
 
 // Create payment intent for one-time payment
-export const createPaymentIntent = async (amount, currency, customerId, metadata = {}) => {
+// Options: `captureMethod: 'manual'` places a hold that is captured later;
+// `setupFutureUsage` saves the card for later off-session payments;
+// `paymentMethodId` with `offSession` charges a saved card straight away.
+export const createPaymentIntent = async (amount, currency, customerId, metadata = {}, options = {}) => {
   const stripeInstance = getStripeInstance();
   if (!stripeInstance) {
     return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
@@ -41,13 +44,18 @@ export const createPaymentIntent = async (amount, currency, customerId, metadata
   
   try {
     const paymentIntent = await stripeInstance.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
+      amount: toMinorUnits(amount, currency),
       currency,
       customer: customerId,
       metadata,
       automatic_payment_methods: {
         enabled: true,
+        ...(options.offSession && { allow_redirects: 'never' })
       },
+      ...(options.captureMethod && { capture_method: options.captureMethod }),
+      ...(options.setupFutureUsage && { setup_future_usage: options.setupFutureUsage }),
+      ...(options.paymentMethodId && { payment_method: options.paymentMethodId }),
+      ...(options.offSession && { off_session: true, confirm: true })
     });
     return { success: true, paymentIntent };
   } catch (error) {
@@ -79,6 +87,19 @@ export const createSubscription = async (customerId, priceId, metadata = {}) =>
   }
 };
 
+// End of a subscription's current billing period. Newer API versions report
+// it per subscription item rather than on the subscription.
+export const getSubscriptionPeriodEnd = (subscription) => {
+  const periodEnd = subscription?.items?.data?.[0]?.current_period_end ?? subscription?.current_period_end;
+  return periodEnd ? new Date(periodEnd * 1000) : null;
+};
+
+// End of a subscription's free trial, or null when it is not trialing
+export const getSubscriptionTrialEnd = (subscription) => {
+  if (subscription?.status !== 'trialing' || !subscription.trial_end) return null;
+  return new Date(subscription.trial_end * 1000);
+};
+
 // Create checkout session for order payment
 export const createOrderCheckoutSession = async (sessionData) => {
   const stripeInstance = getStripeInstance();
@@ -95,45 +116,58 @@ export const createOrderCheckoutSession = async (sessionData) => {
   }
 };
 
-// Create checkout session for subscription plans
-export const createCheckoutSession = async (customerId, planName, planType, successUrl, cancelUrl, metadata = {}) => {
+// Expire an open checkout session so it can no longer be paid
+export const expireCheckoutSession = async (sessionId) => {
   const stripeInstance = getStripeInstance();
   if (!stripeInstance) {
     return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
   }
   
   try {
-    const price = getPlanPrice(planName, planType);
-    
-    if (price === 0) {
-      return { success: false, error: 'Free plans do not require payment' };
-    }
+    const session = await stripeInstance.checkout.sessions.expire(sessionId);
+    return { success: true, session };
+  } catch (error) {
+    console.error('Error expiring checkout session:', error);
+    return { success: false, error: error.message };
+  }
+};
 
+// Create checkout session for a plan subscription. Monthly and yearly plans
+// are both billed as subscriptions against a catalog Price; the plan metadata
+// is copied onto the subscription so renewals can be traced back to it.
+// Options: `trialDays` starts the subscription with a free trial,
+// `couponId` applies a promo code's Stripe coupon, and `taxRateIds` or
+// `automaticTax` (Stripe Tax) add tax to every invoice.
+export const createCheckoutSession = async (customerId, priceId, successUrl, cancelUrl, metadata = {}, options = {}) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
     const session = await stripeInstance.checkout.sessions.create({
       customer: customerId,
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price_data: {
-            currency: 'usd',
-            product_data: {
-              name: `${PLAN_CONFIG[planName].name} Plan (${planType})`,
-              description: `Access to ${PLAN_CONFIG[planName].name} features for ${planType === 'monthly' ? '1 month' : '1 year'}`,
-            },
-            unit_amount: Math.round(price * 100), // Convert to cents
-            recurring: planType === 'monthly' ? { interval: 'month' } : { interval: 'year' },
-          },
-          quantity: 1,
-        },
-      ],
-      mode: planType === 'monthly' ? 'subscription' : 'payment',
+      line_items: [{
+        price: priceId,
+        quantity: 1,
+        ...(options.taxRateIds?.length > 0 && { tax_rates: options.taxRateIds })
+      }],
+      mode: 'subscription',
+      ...(options.automaticTax && {
+        automatic_tax: { enabled: true },
+        billing_address_collection: 'required',
+        customer_update: { address: 'auto' }
+      }),
+      subscription_data: {
+        metadata,
+        ...(options.trialDays > 0 && { trial_period_days: options.trialDays })
+      },
+      ...(options.couponId && { discounts: [{ coupon: options.couponId }] }),
+      ...(options.currency && { currency: options.currency.toLowerCase() }),
       success_url: successUrl,
       cancel_url: cancelUrl,
-      metadata: {
-        planName,
-        planType,
-        ...metadata
-      },
+      metadata
     });
 
     return { success: true, session };
@@ -143,6 +177,111 @@ export const createCheckoutSession = async (customerId, planName, planType, succ
   }
 };
 
+// Create a coupon (used to mirror promo codes for plan subscriptions)
+export const createCoupon = async (couponData) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const coupon = await stripeInstance.coupons.create(couponData);
+    return { success: true, coupon };
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Delete a coupon. Subscriptions that already use it keep their discount.
+export const deleteCoupon = async (couponId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const deleted = await stripeInstance.coupons.del(couponId);
+    return { success: true, deleted };
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Retrieve a product, or null when it does not exist
+export const retrieveProduct = async (productId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const product = await stripeInstance.products.retrieve(productId);
+    return { success: true, product };
+  } catch (error) {
+    if (error.code === 'resource_missing') {
+      return { success: true, product: null };
+    }
+    console.error('Error retrieving product:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create a product (pass `id` to choose the product id)
+export const createProduct = async (productData) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const product = await stripeInstance.products.create(productData);
+    return { success: true, product };
+  } catch (error) {
+    console.error('Error creating product:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Find active prices by lookup key
+export const listPricesByLookupKeys = async (lookupKeys) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const prices = await stripeInstance.prices.list({
+      lookup_keys: lookupKeys,
+      active: true,
+      limit: 100,
+      expand: ['data.currency_options']
+    });
+    return { success: true, prices: prices.data };
+  } catch (error) {
+    console.error('Error listing prices:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create a price. With `transfer_lookup_key` the lookup key moves from the
+// price that held it, so lookups switch to the new amount immediately.
+export const createPrice = async (priceData) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const price = await stripeInstance.prices.create(priceData);
+    return { success: true, price };
+  } catch (error) {
+    console.error('Error creating price:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Retrieve payment intent
 export const retrievePaymentIntent = async (paymentIntentId) => {
   const stripeInstance = getStripeInstance();
@@ -159,6 +298,43 @@ export const retrievePaymentIntent = async (paymentIntentId) => {
   }
 };
 
+// Capture a payment intent placed with manual capture. `amount` (in major
+// units of currency) captures part of the hold and releases the rest.
+export const capturePaymentIntent = async (paymentIntentId, amount = null, currency = 'usd') => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const paymentIntent = await stripeInstance.paymentIntents.capture(paymentIntentId, {
+      ...(amount !== null && { amount_to_capture: toMinorUnits(amount, currency) })
+    });
+    return { success: true, paymentIntent };
+  } catch (error) {
+    console.error('Error capturing payment intent:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Cancel a payment intent, releasing any hold on the card
+export const cancelPaymentIntent = async (paymentIntentId, reason = 'requested_by_customer') => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const paymentIntent = await stripeInstance.paymentIntents.cancel(paymentIntentId, {
+      cancellation_reason: reason
+    });
+    return { success: true, paymentIntent };
+  } catch (error) {
+    console.error('Error cancelling payment intent:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Retrieve subscription
 export const retrieveSubscription = async (subscriptionId) => {
   const stripeInstance = getStripeInstance();
@@ -207,8 +383,9 @@ export const cancelSubscription = async (subscriptionId) => {
   }
 };
 
-// Update subscription
-export const updateSubscription = async (subscriptionId, newPriceId) => {
+// Move a subscription to a new price, prorating the difference. Prorations
+// are invoiced right away so an upgrade is paid for when it takes effect.
+export const updateSubscription = async (subscriptionId, newPriceId, metadata = {}) => {
   const stripeInstance = getStripeInstance();
   if (!stripeInstance) {
     return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
@@ -221,7 +398,8 @@ export const updateSubscription = async (subscriptionId, newPriceId) => {
         id: subscription.items.data[0].id,
         price: newPriceId,
       }],
-      proration_behavior: 'create_prorations',
+      proration_behavior: 'always_invoice',
+      metadata
     });
     return { success: true, subscription: updatedSubscription };
   } catch (error) {
@@ -230,6 +408,194 @@ export const updateSubscription = async (subscriptionId, newPriceId) => {
   }
 };
 
+// Refund a payment intent, fully or partially (amount in major units of currency)
+export const createRefund = async (paymentIntentId, amount = null, metadata = {}, currency = 'usd') => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const refundData = {
+      payment_intent: paymentIntentId,
+      metadata
+    };
+    
+    if (amount !== null) {
+      refundData.amount = toMinorUnits(amount, currency);
+    }
+    
+    const refund = await stripeInstance.refunds.create(refundData);
+    return { success: true, refund };
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// List refunds issued against a payment intent
+export const listRefunds = async (paymentIntentId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const refunds = await stripeInstance.refunds.list({
+      payment_intent: paymentIntentId,
+      limit: 100
+    });
+    return { success: true, refunds };
+  } catch (error) {
+    console.error('Error listing refunds:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Upload a file to Stripe, e.g. a photo to attach to dispute evidence.
+// `type` is the file's MIME type, such as multer's file.mimetype.
+export const uploadFile = async (data, name, type = 'application/octet-stream', purpose = 'dispute_evidence') => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const file = await stripeInstance.files.create({
+      purpose,
+      file: { data, name, type }
+    });
+    return { success: true, file };
+  } catch (error) {
+    console.error('Error uploading file:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Update a dispute's evidence. With `submit`, the evidence is sent to the
+// card network and can no longer be changed.
+export const updateDispute = async (disputeId, evidence, submit = false) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const dispute = await stripeInstance.disputes.update(disputeId, { evidence, submit });
+    return { success: true, dispute };
+  } catch (error) {
+    console.error('Error updating dispute:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create an Express connected account for a provider
+export const createConnectAccount = async (email, metadata = {}) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const account = await stripeInstance.accounts.create({
+      type: 'express',
+      email,
+      metadata,
+      capabilities: {
+        card_payments: { requested: true },
+        transfers: { requested: true }
+      }
+    });
+    return { success: true, account };
+  } catch (error) {
+    console.error('Error creating connected account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Create an onboarding link for a connected account
+export const createAccountLink = async (accountId, refreshUrl, returnUrl) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const accountLink = await stripeInstance.accountLinks.create({
+      account: accountId,
+      refresh_url: refreshUrl,
+      return_url: returnUrl,
+      type: 'account_onboarding'
+    });
+    return { success: true, accountLink };
+  } catch (error) {
+    console.error('Error creating account link:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Retrieve connected account
+export const retrieveAccount = async (accountId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const account = await stripeInstance.accounts.retrieve(accountId);
+    return { success: true, account };
+  } catch (error) {
+    console.error('Error retrieving account:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Transfer funds from the platform to a connected account (amount in major units)
+export const createTransfer = async (amount, currency, destination, metadata = {}, options = {}) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const transfer = await stripeInstance.transfers.create({
+      amount: toMinorUnits(amount, currency),
+      currency,
+      destination,
+      metadata,
+      ...(options.transferGroup && { transfer_group: options.transferGroup }),
+      ...(options.sourceTransaction && { source_transaction: options.sourceTransaction })
+    }, {
+      ...(options.idempotencyKey && { idempotencyKey: options.idempotencyKey })
+    });
+    return { success: true, transfer };
+  } catch (error) {
+    console.error('Error creating transfer:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Take part of a transfer back from the connected account (amount in major units)
+export const createTransferReversal = async (transferId, amount, currency, metadata = {}, options = {}) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+  
+  try {
+    const reversal = await stripeInstance.transfers.createReversal(transferId, {
+      amount: toMinorUnits(amount, currency),
+      metadata
+    }, {
+      ...(options.idempotencyKey && { idempotencyKey: options.idempotencyKey })
+    });
+    return { success: true, reversal };
+  } catch (error) {
+    console.error('Error creating transfer reversal:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 // Create webhook endpoint
 export const constructWebhookEvent = (payload, signature, secret) => {
   const stripeInstance = getStripeInstance();
@@ -281,7 +647,7 @@ export const getCustomerPaymentMethods = async (customerId) => {
 };
 
 // Create setup intent for saving payment method
-export const createSetupIntent = async (customerId) => {
+export const createSetupIntent = async (customerId, metadata = {}) => {
   const stripeInstance = getStripeInstance();
   if (!stripeInstance) {
     return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
@@ -291,6 +657,8 @@ export const createSetupIntent = async (customerId) => {
     const setupIntent = await stripeInstance.setupIntents.create({
       customer: customerId,
       payment_method_types: ['card'],
+      usage: 'off_session',
+      metadata
     });
     return { success: true, setupIntent };
   } catch (error) {
@@ -299,19 +667,212 @@ export const createSetupIntent = async (customerId) => {
   }
 };
 
+// Retrieve a customer (used for their default payment method)
+export const retrieveCustomer = async (customerId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const customer = await stripeInstance.customers.retrieve(customerId);
+    return { success: true, customer };
+  } catch (error) {
+    console.error('Error retrieving customer:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Open a Stripe billing portal session for a customer
+export const createBillingPortalSession = async (customerId, returnUrl) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const session = await stripeInstance.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl,
+      ...(process.env.STRIPE_PORTAL_CONFIGURATION_ID && {
+        configuration: process.env.STRIPE_PORTAL_CONFIGURATION_ID
+      })
+    });
+    return { success: true, session };
+  } catch (error) {
+    console.error('Error creating billing portal session:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// List a customer's invoices, newest first
+export const listInvoices = async (customerId, { limit = 10, startingAfter } = {}) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const invoices = await stripeInstance.invoices.list({
+      customer: customerId,
+      limit,
+      ...(startingAfter && { starting_after: startingAfter })
+    });
+    return { success: true, invoices };
+  } catch (error) {
+    console.error('Error listing invoices:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Retrieve a payment method
+export const retrievePaymentMethod = async (paymentMethodId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const paymentMethod = await stripeInstance.paymentMethods.retrieve(paymentMethodId);
+    return { success: true, paymentMethod };
+  } catch (error) {
+    console.error('Error retrieving payment method:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Make a payment method the customer's default for invoices. A subscription
+// that has its own default payment method is moved to the new one as well.
+export const setDefaultPaymentMethod = async (customerId, paymentMethodId, subscriptionId = null) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const customer = await stripeInstance.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId }
+    });
+    if (subscriptionId) {
+      await stripeInstance.subscriptions.update(subscriptionId, {
+        default_payment_method: paymentMethodId
+      });
+    }
+    return { success: true, customer };
+  } catch (error) {
+    console.error('Error setting default payment method:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Detach a payment method from its customer
+export const detachPaymentMethod = async (paymentMethodId) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const paymentMethod = await stripeInstance.paymentMethods.detach(paymentMethodId);
+    return { success: true, paymentMethod };
+  } catch (error) {
+    console.error('Error detaching payment method:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Calculate tax for an amount with Stripe Tax
+export const createTaxCalculation = async (calculationData) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const calculation = await stripeInstance.tax.calculations.create(calculationData);
+    return { success: true, calculation };
+  } catch (error) {
+    console.error('Error calculating tax:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// List active tax rates
+export const listTaxRates = async () => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const taxRates = [];
+    for await (const taxRate of stripeInstance.taxRates.list({ active: true, limit: 100 })) {
+      taxRates.push(taxRate);
+    }
+    return { success: true, taxRates };
+  } catch (error) {
+    console.error('Error listing tax rates:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const createTaxRate = async (taxRateData) => {
+  const stripeInstance = getStripeInstance();
+  if (!stripeInstance) {
+    return { success: false, error: 'Stripe is not configured. Please set STRIPE_SECRET_KEY environment variable.' };
+  }
+
+  try {
+    const taxRate = await stripeInstance.taxRates.create(taxRateData);
+    return { success: true, taxRate };
+  } catch (error) {
+    console.error('Error creating tax rate:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
   createCustomer,
   createPaymentIntent,
+  getSubscriptionPeriodEnd,
+  getSubscriptionTrialEnd,
   createSubscription,
   createCheckoutSession,
+  createCoupon,
+  deleteCoupon,
   createOrderCheckoutSession,
+  expireCheckoutSession,
+  retrieveProduct,
+  createProduct,
+  listPricesByLookupKeys,
+  createPrice,
   retrievePaymentIntent,
+  capturePaymentIntent,
+  cancelPaymentIntent,
   retrieveSubscription,
   retrieveSession,
   cancelSubscription,
   updateSubscription,
+  createRefund,
+  listRefunds,
+  uploadFile,
+  updateDispute,
+  createConnectAccount,
+  createAccountLink,
+  retrieveAccount,
+  createTransfer,
+  createTransferReversal,
   constructWebhookEvent,
   handleSuccessfulPayment,
   getCustomerPaymentMethods,
-  createSetupIntent
+  createSetupIntent,
+  retrieveCustomer,
+  createBillingPortalSession,
+  listInvoices,
+  retrievePaymentMethod,
+  setDefaultPaymentMethod,
+  detachPaymentMethod,
+  createTaxCalculation,
+  listTaxRates,
+  createTaxRate
 };
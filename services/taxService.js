@@ -0,0 +1,295 @@
+// Tax service: sales tax for orders and plan purchases through a pluggable
+// tax provider. The static provider uses the rate table in config/tax.js;
+// the Stripe provider uses Stripe Tax.
+import { TAX_RATES, getTaxConfig } from '../config/tax.js';
+import stripeService from './stripeService.js';
+import { roundMoney, toMinorUnits, fromMinorUnits } from '../models/Money.js';
+
+const roundRate = (rate) => Math.round(rate * 1000) / 1000;
+
+const US_STATES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+]);
+const CA_PROVINCES = new Set(['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']);
+
+// Country names accepted at the end of a free-text address. "CA" is left
+// out since it usually means California there.
+const COUNTRY_NAMES = {
+  us: 'US',
+  usa: 'US',
+  'united states': 'US',
+  'united states of america': 'US',
+  canada: 'CA'
+};
+
+const normalizeCountry = (country) => {
+  const value = String(country || '').trim();
+  if (!value) return null;
+  if (COUNTRY_NAMES[value.toLowerCase()]) return COUNTRY_NAMES[value.toLowerCase()];
+  return /^[A-Za-z]{2}$/.test(value) ? value.toUpperCase() : null;
+};
+
+const inferCountry = (state) => {
+  if (US_STATES.has(state)) return 'US';
+  if (CA_PROVINCES.has(state)) return 'CA';
+  return null;
+};
+
+// Structured address for tax purposes from a profile address object
+// ({ street, city, state, zipCode, country }) or a free-text address such as
+// "123 Main St, Austin, TX 78701". Returns null when nothing is given.
+export const parseTaxAddress = (address) => {
+  if (!address) return null;
+
+  if (typeof address === 'object') {
+    const state = address.state ? String(address.state).trim().toUpperCase() : null;
+    return {
+      line1: address.street || null,
+      city: address.city || null,
+      state,
+      postalCode: address.zipCode || null,
+      country: normalizeCountry(address.country) || inferCountry(state)
+    };
+  }
+
+  const parts = String(address).split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  let country = null;
+  if (parts.length > 1 && COUNTRY_NAMES[parts[parts.length - 1].toLowerCase()]) {
+    country = COUNTRY_NAMES[parts.pop().toLowerCase()];
+  }
+
+  // Last part: "TX", "TX 78701" or "ON M5V 2T6"
+  const match = parts.length > 1 ? parts[parts.length - 1].match(/^([A-Za-z]{2})(?:\s+([A-Za-z0-9 -]{3,10}))?$/) : null;
+  const state = match ? match[1].toUpperCase() : null;
+
+  return {
+    line1: parts.length > 2 ? parts[0] : null,
+    city: match ? parts[parts.length - 2] : null,
+    state,
+    postalCode: match?.[2] || null,
+    country: country || inferCountry(state)
+  };
+};
+
+const getRegion = (address) => {
+  if (!address?.country) return null;
+  return address.state ? `${address.country}-${address.state}` : address.country;
+};
+
+const noTax = (providerName, region = null) => ({
+  provider: providerName,
+  region,
+  rate: 0,
+  amount: 0,
+  breakdown: []
+});
+
+// Taxes that apply in a region according to the rate table
+const getStaticTaxComponents = (address) => {
+  const region = getRegion(address);
+  const components = (address?.state && TAX_RATES[region]) || TAX_RATES[address?.country] || null;
+  if (components) {
+    return { region, components };
+  }
+
+  const { defaultRatePercent } = getTaxConfig();
+  return {
+    region,
+    components: defaultRatePercent > 0 ? [{ name: 'Sales tax', rate: defaultRatePercent }] : []
+  };
+};
+
+export const staticTaxProvider = {
+  name: 'static',
+  // Stripe tax rate ids by region and tax, cached for the process lifetime
+  taxRateIds: new Map(),
+
+  async calculate({ amount, currency, address }) {
+    const { region, components } = getStaticTaxComponents(address);
+    const breakdown = components.map(component => ({
+      name: component.name,
+      rate: component.rate,
+      amount: roundMoney(amount * component.rate / 100, currency),
+      jurisdiction: region
+    }));
+
+    return {
+      provider: this.name,
+      region,
+      rate: roundRate(components.reduce((sum, component) => sum + component.rate, 0)),
+      amount: roundMoney(breakdown.reduce((sum, line) => sum + line.amount, 0), currency),
+      breakdown
+    };
+  },
+
+  // Stripe tax rates for the region, created the first time they are needed,
+  // so subscription invoices charge the same taxes
+  async getSubscriptionTax(address) {
+    const { region, components } = getStaticTaxComponents(address);
+    if (components.length === 0) return {};
+
+    const taxRateIds = [];
+
+    for (const component of components) {
+      const key = `${region || 'default'}:${component.name}:${component.rate}`;
+      if (!this.taxRateIds.has(key)) {
+        const existing = await stripeService.listTaxRates();
+        if (!existing.success) {
+          throw new Error(existing.error);
+        }
+        let taxRate = existing.taxRates.find(rate => rate.metadata?.taxKey === key);
+
+        if (!taxRate) {
+          const created = await stripeService.createTaxRate({
+            display_name: component.name,
+            percentage: component.rate,
+            inclusive: false,
+            ...(address?.country && { country: address.country }),
+            ...(address?.state && { state: address.state }),
+            ...(region && { jurisdiction: region }),
+            metadata: { taxKey: key }
+          });
+          if (!created.success) {
+            throw new Error(created.error);
+          }
+          taxRate = created.taxRate;
+        }
+        this.taxRateIds.set(key, taxRate.id);
+      }
+      taxRateIds.push(this.taxRateIds.get(key));
+    }
+
+    return { taxRateIds };
+  }
+};
+
+// 'sales_tax' -> 'Sales tax', 'gst' -> 'GST'
+const formatTaxType = (taxType) => {
+  if (!taxType) return 'Tax';
+  if (taxType.length <= 3) return taxType.toUpperCase();
+  const words = taxType.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+export const stripeTaxProvider = {
+  name: 'stripe',
+
+  async calculate({ amount, currency, address, reference }) {
+    if (!address?.country) {
+      throw new Error('Validation error: A service address with a state and country is required to calculate tax');
+    }
+
+    const { stripeTaxCode } = getTaxConfig();
+    const result = await stripeService.createTaxCalculation({
+      currency: currency.toLowerCase(),
+      line_items: [{
+        amount: toMinorUnits(amount, currency),
+        reference: reference || 'service',
+        tax_behavior: 'exclusive',
+        ...(stripeTaxCode && { tax_code: stripeTaxCode })
+      }],
+      customer_details: {
+        address: {
+          line1: address.line1 || undefined,
+          city: address.city || undefined,
+          state: address.state || undefined,
+          postal_code: address.postalCode || undefined,
+          country: address.country
+        },
+        address_source: 'shipping'
+      }
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { calculation } = result;
+    const breakdown = (calculation.tax_breakdown || [])
+      .filter(line => line.amount > 0)
+      .map(line => ({
+        name: formatTaxType(line.tax_rate_details?.tax_type),
+        rate: parseFloat(line.tax_rate_details?.percentage_decimal || 0),
+        amount: fromMinorUnits(line.amount, currency),
+        jurisdiction: [line.tax_rate_details?.country, line.tax_rate_details?.state].filter(Boolean).join('-') || null
+      }));
+
+    return {
+      provider: this.name,
+      region: getRegion(address),
+      rate: roundRate(breakdown.reduce((sum, line) => sum + line.rate, 0)),
+      amount: fromMinorUnits(calculation.tax_amount_exclusive, currency),
+      breakdown,
+      calculationId: calculation.id
+    };
+  },
+
+  // Stripe Tax works out subscription taxes from the customer's address
+  async getSubscriptionTax() {
+    return { automaticTax: true };
+  }
+};
+
+const TAX_PROVIDERS = {
+  [staticTaxProvider.name]: staticTaxProvider,
+  [stripeTaxProvider.name]: stripeTaxProvider
+};
+
+class TaxService {
+  constructor() {
+    this.provider = null;
+  }
+
+  // Tax provider selected by TAX_PROVIDER (defaults to the static rate table)
+  getProvider() {
+    if (!this.provider) {
+      const { provider } = getTaxConfig();
+      if (!TAX_PROVIDERS[provider]) {
+        throw new Error(`Unknown tax provider: ${provider}`);
+      }
+      this.provider = TAX_PROVIDERS[provider];
+    }
+    return this.provider;
+  }
+
+  // Swap in another provider (any object with async calculate() and
+  // getSubscriptionTax() methods)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Tax on an amount for a service at an address. `address` may be a profile
+  // address object or free text. Returns the total and its breakdown.
+  async calculateTax({ amount, currency = 'USD', address, reference }) {
+    const provider = this.getProvider();
+    const taxAddress = parseTaxAddress(address);
+
+    if (!(amount > 0)) {
+      return { ...noTax(provider.name, getRegion(taxAddress)), address: taxAddress };
+    }
+
+    try {
+      const tax = await provider.calculate({ amount, currency, address: taxAddress, reference });
+      return { ...tax, address: taxAddress };
+    } catch (error) {
+      console.error('Error calculating tax:', error);
+      throw new Error(`Failed to calculate tax: ${error.message}`);
+    }
+  }
+
+  // Checkout options that make a plan subscription charge tax for the
+  // provider's address: { taxRateIds } or { automaticTax }
+  async getSubscriptionTax(address) {
+    try {
+      return await this.getProvider().getSubscriptionTax(parseTaxAddress(address));
+    } catch (error) {
+      console.error('Error getting subscription tax:', error);
+      throw new Error(`Failed to get subscription tax: ${error.message}`);
+    }
+  }
+}
+
+export default new TaxService();
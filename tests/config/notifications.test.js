@@ -0,0 +1,21 @@
+import { getNotificationConfig, assertNotificationConfig } from '../../config/notifications.js';
+
+describe('assertNotificationConfig', () => {
+  const config = (emailTransport, smsTransport) => ({ ...getNotificationConfig(), emailTransport, smsTransport });
+
+  it('allows the console transports outside production', () => {
+    expect(() => assertNotificationConfig(config('console', 'console'), 'development')).not.toThrow();
+    expect(() => assertNotificationConfig(config('file', 'console'), undefined)).not.toThrow();
+  });
+
+  it('refuses to run production on development transports', () => {
+    expect(() => assertNotificationConfig(config('console', 'twilio'), 'production'))
+      .toThrow("Notifications are not configured for production: EMAIL_TRANSPORT is 'console'");
+    expect(() => assertNotificationConfig(config('sendgrid', 'file'), 'production'))
+      .toThrow("SMS_TRANSPORT is 'file'");
+  });
+
+  it('accepts real transports in production', () => {
+    expect(() => assertNotificationConfig(config('smtp', 'twilio'), 'production')).not.toThrow();
+  });
+});
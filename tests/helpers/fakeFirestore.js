@@ -0,0 +1,470 @@
+// In-memory stand-in for the parts of Firestore the services use, so they
+// can be tested without a Firebase project. Batches apply their writes in
+// order. Transactions do too, and like Firestore they run again when a
+// document they read was written by someone else before they committed.
+import crypto from 'crypto';
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+}
+
+class FieldValueSentinel {
+  constructor(apply) {
+    this.apply = apply;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel(() => new Date()),
+  delete: () => new FieldValueSentinel(() => undefined),
+  increment: (n) => new FieldValueSentinel(current => (current || 0) + n),
+  arrayUnion: (...items) => new FieldValueSentinel(current => [
+    ...(current || []),
+    ...items.filter(item => !(current || []).some(existing => isEqual(existing, item)))
+  ]),
+  arrayRemove: (...items) => new FieldValueSentinel(current =>
+    (current || []).filter(existing => !items.some(item => isEqual(existing, item))))
+};
+
+const AggregateField = {
+  count: () => ({ aggregateType: 'count' }),
+  sum: (field) => ({ aggregateType: 'sum', field })
+};
+
+const DOCUMENT_ID = '__name__';
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+const comparable = (value) => {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const isEqual = (a, b) => JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+
+const compare = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+const getField = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
+
+const resolve = (value, current) => {
+  if (value instanceof FieldValueSentinel) return value.apply(current);
+  if (Array.isArray(value)) return value.map(item => resolve(item));
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, current?.[key])]));
+  }
+  return value;
+};
+
+const setField = (data, field, value) => {
+  const keys = field.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, data);
+  const resolved = resolve(value, parent[last]);
+  if (resolved === undefined) {
+    delete parent[last];
+  } else {
+    parent[last] = resolved;
+  }
+};
+
+// structuredClone would hand back Dates from outside the test's realm
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Timestamp) return new Timestamp(value.toMillis());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.snapshotData = data;
+  }
+
+  data() {
+    return this.exists ? clone(this.snapshotData) : undefined;
+  }
+
+  get(field) {
+    return field === DOCUMENT_ID ? this.id : getField(this.snapshotData, field);
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(db, path, options = {}) {
+    this.db = db;
+    this.path = path;
+    this.filters = options.filters || [];
+    this.orders = options.orders || [];
+    this.limitCount = options.limitCount ?? null;
+    this.offsetCount = options.offsetCount || 0;
+    this.cursor = options.cursor || null;
+    this.startAtValues = options.startAtValues || null;
+    this.endAtValues = options.endAtValues || null;
+  }
+
+  with(options) {
+    return new Query(this.db, this.path, {
+      filters: this.filters,
+      orders: this.orders,
+      limitCount: this.limitCount,
+      offsetCount: this.offsetCount,
+      cursor: this.cursor,
+      startAtValues: this.startAtValues,
+      endAtValues: this.endAtValues,
+      ...options
+    });
+  }
+
+  where(field, op, value) {
+    return this.with({ filters: [...this.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.with({ orders: [...this.orders, { field, direction }] });
+  }
+
+  limit(limitCount) {
+    return this.with({ limitCount });
+  }
+
+  offset(offsetCount) {
+    return this.with({ offsetCount });
+  }
+
+  // Field masks only save bandwidth, so documents are returned whole
+  select() {
+    return this;
+  }
+
+  startAfter(...values) {
+    const cursor = values[0] instanceof DocumentSnapshot
+      ? this.orders.map(({ field }) => values[0].get(field))
+      : values;
+    return this.with({ cursor });
+  }
+
+  startAt(...startAtValues) {
+    return this.with({ startAtValues });
+  }
+
+  endAt(...endAtValues) {
+    return this.with({ endAtValues });
+  }
+
+  count() {
+    return this.aggregate({ count: AggregateField.count() });
+  }
+
+  // Sums skip documents where the field is missing or not a number
+  aggregate(fields) {
+    return {
+      get: async () => {
+        const docs = this.run();
+        const data = Object.fromEntries(Object.entries(fields).map(([alias, { aggregateType, field }]) => [
+          alias,
+          aggregateType === 'count'
+            ? docs.length
+            : docs.reduce((sum, doc) => sum + (typeof doc.get(field) === 'number' ? doc.get(field) : 0), 0)
+        ]));
+        return { data: () => data };
+      }
+    };
+  }
+
+  matches(snapshot) {
+    return this.filters.every(({ field, op, value }) => {
+      const actual = snapshot.get(field);
+      switch (op) {
+        case '==': return isEqual(actual, value);
+        case '!=': return actual !== undefined && !isEqual(actual, value);
+        case '<': return actual !== undefined && compare(actual, value) < 0;
+        case '<=': return actual !== undefined && compare(actual, value) <= 0;
+        case '>': return actual !== undefined && compare(actual, value) > 0;
+        case '>=': return actual !== undefined && compare(actual, value) >= 0;
+        case 'in': return value.some(item => isEqual(actual, item));
+        case 'not-in': return actual !== undefined && !value.some(item => isEqual(actual, item));
+        case 'array-contains': return Array.isArray(actual) && actual.some(item => isEqual(item, value));
+        case 'array-contains-any': return Array.isArray(actual) && actual.some(item => value.some(v => isEqual(item, v)));
+        default: throw new Error(`Unsupported operator: ${op}`);
+      }
+    });
+  }
+
+  compareDocs(a, b) {
+    for (const { field, direction } of this.orders) {
+      const result = compare(a.get(field), b.get(field));
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  }
+
+  // Position of a document relative to cursor values in the query's order:
+  // negative before, 0 at, positive after
+  positionOf(snapshot, values) {
+    for (let i = 0; i < values.length; i++) {
+      const { field, direction } = this.orders[i];
+      const result = compare(snapshot.get(field), values[i]);
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  }
+
+  run() {
+    let docs = this.db.listDocuments(this.path)
+      .map(ref => new DocumentSnapshot(ref, this.db.read(ref.path)))
+      .filter(snapshot => this.matches(snapshot));
+
+    if (this.orders.length) {
+      docs.sort((a, b) => this.compareDocs(a, b));
+      // Like Firestore, ordering by a field leaves out documents without it
+      docs = docs.filter(doc => this.orders.every(({ field }) => doc.get(field) !== undefined));
+    }
+    if (this.cursor) docs = docs.filter(doc => this.positionOf(doc, this.cursor) > 0);
+    if (this.startAtValues) docs = docs.filter(doc => this.positionOf(doc, this.startAtValues) >= 0);
+    if (this.endAtValues) docs = docs.filter(doc => this.positionOf(doc, this.endAtValues) <= 0);
+    docs = docs.slice(this.offsetCount);
+    if (this.limitCount !== null) docs = docs.slice(0, this.limitCount);
+    return docs;
+  }
+
+  async get() {
+    return new QuerySnapshot(this.run());
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = crypto.randomUUID().replace(/-/g, '').slice(0, 20)) {
+    return new DocumentReference(this.db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this.db.read(this.path));
+  }
+
+  async set(data, options = {}) {
+    this.db.write(this.path, data, options);
+  }
+
+  async create(data) {
+    if (this.db.read(this.path) !== undefined) {
+      throw new Error(`Document already exists: ${this.path}`);
+    }
+    this.db.write(this.path, data);
+  }
+
+  async update(data) {
+    if (this.db.read(this.path) === undefined) {
+      throw new Error(`No document to update: ${this.path}`);
+    }
+    this.db.write(this.path, data, { update: true });
+  }
+
+  async delete() {
+    this.db.remove(this.path);
+  }
+}
+
+// Writes are applied synchronously on commit, so no other caller can see a
+// half-committed batch
+class WriteBatch {
+  constructor() {
+    this.writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this.writes.push(() => ref.db.write(ref.path, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push(() => {
+      if (ref.db.read(ref.path) === undefined) throw new Error(`No document to update: ${ref.path}`);
+      ref.db.write(ref.path, data, { update: true });
+    });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push(() => ref.db.remove(ref.path));
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push(() => {
+      if (ref.db.read(ref.path) !== undefined) throw new Error(`Document already exists: ${ref.path}`);
+      ref.db.write(ref.path, data);
+    });
+    return this;
+  }
+
+  async commit() {
+    this.writes.forEach(write => write());
+  }
+}
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+export class FakeFirestore {
+  constructor() {
+    this.documents = new Map();
+    // Write count per document path, to detect contention in transactions
+    this.versions = new Map();
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch();
+  }
+
+  async runTransaction(updateFunction) {
+    for (let attempt = 1; attempt <= MAX_TRANSACTION_ATTEMPTS; attempt++) {
+      const readVersions = new Map();
+      const transaction = new WriteBatch();
+      transaction.get = async (refOrQuery) => {
+        const snapshot = await refOrQuery.get();
+        (snapshot.docs || [snapshot]).forEach(doc => {
+          if (!readVersions.has(doc.ref.path)) readVersions.set(doc.ref.path, this.versions.get(doc.ref.path) || 0);
+        });
+        return snapshot;
+      };
+
+      const result = await updateFunction(transaction);
+      const contended = [...readVersions].some(([path, version]) => (this.versions.get(path) || 0) !== version);
+      if (!contended) {
+        await transaction.commit();
+        return result;
+      }
+    }
+    throw new Error('Transaction aborted: too much contention');
+  }
+
+  read(path) {
+    const data = this.documents.get(path);
+    return data === undefined ? undefined : clone(data);
+  }
+
+  write(path, data, { merge = false, update = false } = {}) {
+    this.versions.set(path, (this.versions.get(path) || 0) + 1);
+    const existing = this.documents.get(path);
+    if (update || merge) {
+      const next = clone(existing || {});
+      Object.entries(data).forEach(([field, value]) => {
+        if (update) {
+          setField(next, field, value);
+        } else if (value && typeof value === 'object' && value.constructor === Object) {
+          next[field] = { ...(next[field] || {}), ...resolve(value, next[field]) };
+        } else {
+          setField(next, field, value);
+        }
+      });
+      this.documents.set(path, next);
+    } else {
+      this.documents.set(path, resolve(data));
+    }
+  }
+
+  remove(path) {
+    this.versions.set(path, (this.versions.get(path) || 0) + 1);
+    this.documents.delete(path);
+  }
+
+  // Documents directly inside a collection path
+  listDocuments(collectionPath) {
+    const depth = collectionPath.split('/').length + 1;
+    return [...this.documents.keys()]
+      .filter(path => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+      .map(path => new DocumentReference(this, path));
+  }
+
+  // Store documents directly: { 'orders/order-1': { ... } }
+  seed(documents) {
+    Object.entries(documents).forEach(([path, data]) => this.documents.set(path, clone(data)));
+  }
+
+  getData(path) {
+    return this.read(path);
+  }
+}
+
+// The `admin` namespace pieces the services read off firebase-admin
+export const firestoreNamespace = { FieldValue, FieldPath, Timestamp, AggregateField };
@@ -0,0 +1,39 @@
+// Replace config/firebase-admin.js with an in-memory Firestore. Call before
+// importing any module that uses Firebase, then import it dynamically:
+//
+//   const db = mockFirebaseAdmin();
+//   const { default: orderService } = await import('../../services/orderService.js');
+import { jest } from '@jest/globals';
+import { fileURLToPath } from 'url';
+import { FakeFirestore, firestoreNamespace } from './fakeFirestore.js';
+
+const FIREBASE_ADMIN_PATH = fileURLToPath(new URL('../../config/firebase-admin.js', import.meta.url));
+
+// Storage files are not kept; signed URLs point at the file's path
+const fakeStorage = {
+  bucket: () => ({
+    file: (path) => ({
+      save: async () => {},
+      delete: async () => {},
+      getSignedUrl: async () => [`https://storage.example.com/${path}`]
+    })
+  })
+};
+
+export const mockFirebaseAdmin = () => {
+  const db = new FakeFirestore();
+  const admin = {
+    firestore: Object.assign(() => db, firestoreNamespace)
+  };
+
+  jest.unstable_mockModule(FIREBASE_ADMIN_PATH, () => ({
+    default: admin,
+    adminDb: db,
+    adminAuth: {},
+    adminStorage: fakeStorage,
+    adminMessaging: {},
+    gcsBucket: {}
+  }));
+
+  return db;
+};
@@ -0,0 +1,34 @@
+import { getCurrencyDecimals, roundMoney, toMinorUnits, fromMinorUnits, normalizeCurrency } from '../../models/Money.js';
+
+describe('minor units', () => {
+  it('knows how many decimals a currency has', () => {
+    expect(getCurrencyDecimals('usd')).toBe(2);
+    expect(getCurrencyDecimals('JPY')).toBe(0);
+    expect(getCurrencyDecimals('KWD')).toBe(3);
+    expect(normalizeCurrency(undefined)).toBe('USD');
+  });
+
+  it('converts major units to Stripe amounts', () => {
+    expect(toMinorUnits(12.5, 'USD')).toBe(1250);
+    expect(toMinorUnits(19.99, 'EUR')).toBe(1999);
+    expect(toMinorUnits(1200, 'JPY')).toBe(1200);
+    expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+  });
+
+  it('rounds three-decimal amounts to a multiple of ten', () => {
+    expect(toMinorUnits(1.234, 'KWD')).toBe(1230);
+    expect(toMinorUnits(1.235, 'KWD')).toBe(1240);
+  });
+
+  it('converts Stripe amounts back to major units', () => {
+    expect(fromMinorUnits(1250, 'USD')).toBe(12.5);
+    expect(fromMinorUnits(1200, 'JPY')).toBe(1200);
+    expect(fromMinorUnits(1230, 'KWD')).toBe(1.23);
+    expect(fromMinorUnits(undefined)).toBe(0);
+  });
+
+  it('rounds amounts to the currency\'s smallest unit', () => {
+    expect(roundMoney(10.005 * 3, 'USD')).toBe(30.02);
+    expect(roundMoney(99.6, 'JPY')).toBe(100);
+  });
+});
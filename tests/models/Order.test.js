@@ -0,0 +1,141 @@
+import {
+  ORDER_STATUS,
+  ORDER_ACTOR_ROLES,
+  assertStatusTransition,
+  getAllowedStatusTransitions,
+  normalizeOrderActorRole,
+  calculateCancellationRefund,
+  getRefundableAmount,
+  getPaymentStatus,
+  getOrderEdits
+} from '../../models/Order.js';
+
+describe('order status transitions', () => {
+  it('lets providers confirm and start orders but not customers', () => {
+    expect(() => assertStatusTransition(ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_ACTOR_ROLES.PROVIDER)).not.toThrow();
+    expect(() => assertStatusTransition(ORDER_STATUS.CONFIRMED, ORDER_STATUS.IN_PROGRESS, ORDER_ACTOR_ROLES.PROVIDER)).not.toThrow();
+    expect(() => assertStatusTransition(ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_ACTOR_ROLES.CUSTOMER))
+      .toThrow('Unauthorized: customer cannot move order from pending to confirmed');
+  });
+
+  it('rejects moves the table does not list', () => {
+    expect(() => assertStatusTransition(ORDER_STATUS.PENDING, ORDER_STATUS.COMPLETED, ORDER_ACTOR_ROLES.ADMIN))
+      .toThrow('Invalid status transition: cannot move order from pending to completed');
+    expect(() => assertStatusTransition(ORDER_STATUS.REFUNDED, ORDER_STATUS.PENDING, ORDER_ACTOR_ROLES.ADMIN))
+      .toThrow('Invalid status transition');
+  });
+
+  it('rejects staying in the same status and unknown statuses', () => {
+    expect(() => assertStatusTransition(ORDER_STATUS.CONFIRMED, ORDER_STATUS.CONFIRMED, ORDER_ACTOR_ROLES.ADMIN))
+      .toThrow('Invalid status transition: order is already confirmed');
+    expect(() => assertStatusTransition(ORDER_STATUS.PENDING, 'shipped', ORDER_ACTOR_ROLES.ADMIN))
+      .toThrow('Invalid status. Must be one of');
+  });
+
+  it('only lets customers cancel before the job starts', () => {
+    expect(getAllowedStatusTransitions(ORDER_STATUS.PENDING, ORDER_ACTOR_ROLES.CUSTOMER)).toEqual([ORDER_STATUS.CANCELLED]);
+    expect(getAllowedStatusTransitions(ORDER_STATUS.CONFIRMED, ORDER_ACTOR_ROLES.CUSTOMER)).toEqual([ORDER_STATUS.CANCELLED]);
+    expect(getAllowedStatusTransitions(ORDER_STATUS.IN_PROGRESS, ORDER_ACTOR_ROLES.CUSTOMER)).toEqual([]);
+  });
+
+  it('leaves refunds to admins and the system', () => {
+    expect(getAllowedStatusTransitions(ORDER_STATUS.COMPLETED, ORDER_ACTOR_ROLES.PROVIDER)).toEqual([]);
+    expect(getAllowedStatusTransitions(ORDER_STATUS.COMPLETED, ORDER_ACTOR_ROLES.SYSTEM)).toEqual([ORDER_STATUS.REFUNDED]);
+  });
+
+  it('maps client users onto the customer role', () => {
+    expect(normalizeOrderActorRole('client')).toBe(ORDER_ACTOR_ROLES.CUSTOMER);
+    expect(normalizeOrderActorRole('provider')).toBe(ORDER_ACTOR_ROLES.PROVIDER);
+    expect(normalizeOrderActorRole('hacker')).toBeNull();
+  });
+});
+
+describe('cancellation refunds', () => {
+  const now = new Date('2030-06-01T12:00:00');
+  const paidOrder = (scheduledTime, extra = {}) => ({
+    status: ORDER_STATUS.CONFIRMED,
+    paymentStatus: 'paid',
+    bookingDetails: { scheduledDate: '2030-06-03', scheduledTime },
+    pricing: { totalAmount: 150, currency: 'USD' },
+    ...extra
+  });
+
+  it('refunds customers in full at least 48 hours before the service', () => {
+    expect(calculateCancellationRefund(paidOrder('12:00'), ORDER_ACTOR_ROLES.CUSTOMER, now))
+      .toEqual({ refundPercent: 100, refundAmount: 150 });
+  });
+
+  it('refunds customers half between 24 and 48 hours before', () => {
+    expect(calculateCancellationRefund(paidOrder('11:59'), ORDER_ACTOR_ROLES.CUSTOMER, now))
+      .toEqual({ refundPercent: 50, refundAmount: 75 });
+  });
+
+  it('refunds customers nothing inside 24 hours or after the start', () => {
+    const order = paidOrder('10:00', { bookingDetails: { scheduledDate: '2030-06-02', scheduledTime: '10:00' } });
+    expect(calculateCancellationRefund(order, ORDER_ACTOR_ROLES.CUSTOMER, now)).toEqual({ refundPercent: 0, refundAmount: 0 });
+    expect(calculateCancellationRefund(order, ORDER_ACTOR_ROLES.CUSTOMER, new Date('2030-06-05T00:00:00')))
+      .toEqual({ refundPercent: 0, refundAmount: 0 });
+  });
+
+  it('refunds everything when the provider or an admin cancels', () => {
+    const order = paidOrder('10:00', { bookingDetails: { scheduledDate: '2030-06-01', scheduledTime: '13:00' } });
+    expect(calculateCancellationRefund(order, ORDER_ACTOR_ROLES.PROVIDER, now).refundAmount).toBe(150);
+    expect(calculateCancellationRefund(order, ORDER_ACTOR_ROLES.ADMIN, now).refundAmount).toBe(150);
+  });
+
+  it('only refunds what has not been refunded already', () => {
+    const order = paidOrder('12:00', { paymentStatus: 'partially_refunded', refundedAmount: 50 });
+    expect(calculateCancellationRefund(order, ORDER_ACTOR_ROLES.CUSTOMER, now).refundAmount).toBe(100);
+  });
+
+  it('refunds nothing on unpaid orders', () => {
+    expect(calculateCancellationRefund(paidOrder('12:00', { paymentStatus: 'pending' }), ORDER_ACTOR_ROLES.PROVIDER, now).refundAmount).toBe(0);
+  });
+});
+
+describe('payment status', () => {
+  const order = { paymentStatus: 'paid', pricing: { totalAmount: 200, currency: 'USD' } };
+
+  it('follows refunds', () => {
+    expect(getPaymentStatus({ ...order, refundedAmount: 50 })).toBe('partially_refunded');
+    expect(getPaymentStatus({ ...order, refundedAmount: 200 })).toBe('refunded');
+    expect(getRefundableAmount({ ...order, paymentStatus: 'partially_refunded', refundedAmount: 50 })).toBe(150);
+  });
+
+  it('is partially paid until every milestone is paid', () => {
+    const milestones = [{ id: 'deposit', amount: 50 }, { id: 'balance', amount: 150 }];
+    expect(getPaymentStatus({ ...order, paymentMilestones: milestones, paidAmount: 50 })).toBe('partially_paid');
+    expect(getPaymentStatus({ ...order, paymentMilestones: milestones, paidAmount: 200 })).toBe('paid');
+  });
+
+  it('stays disputed until the dispute is won', () => {
+    expect(getPaymentStatus({ ...order, dispute: { status: 'needs_response' } })).toBe('disputed');
+    expect(getPaymentStatus({ ...order, dispute: { status: 'won' } })).toBe('paid');
+  });
+});
+
+describe('getOrderEdits', () => {
+  const order = { status: ORDER_STATUS.PENDING, bookingDetails: { notes: 'Gate code 1234', duration: 2 } };
+
+  it('returns the booking notes and instructions', () => {
+    expect(getOrderEdits(order, { status: ORDER_STATUS.PENDING, bookingDetails: { notes: '', specialInstructions: 'Ring twice' } }))
+      .toEqual({ notes: '', specialInstructions: 'Ring twice' });
+  });
+
+  it('rejects changes to pricing and the parties', () => {
+    expect(() => getOrderEdits(order, { pricing: { totalAmount: 1 } })).toThrow('Validation error: pricing cannot be changed');
+    expect(() => getOrderEdits(order, { providerId: 'provider-2' })).toThrow('Validation error: providerId cannot be changed');
+    expect(() => getOrderEdits(order, { paymentStatus: 'paid' })).toThrow('Validation error: paymentStatus cannot be changed');
+  });
+
+  it('rejects changes to the schedule', () => {
+    expect(() => getOrderEdits(order, { bookingDetails: { duration: 8 } }))
+      .toThrow('Validation error: bookingDetails.duration cannot be changed');
+    expect(() => getOrderEdits(order, { bookingDetails: { notes: 'x', scheduledDate: '2030-01-01' } }))
+      .toThrow('Validation error: bookingDetails.scheduledDate cannot be changed');
+  });
+
+  it('validates the edited fields', () => {
+    expect(() => getOrderEdits(order, { bookingDetails: { notes: 42 } })).toThrow('Validation error: "notes" must be a string');
+  });
+});
@@ -0,0 +1,53 @@
+import { createScheduleExceptionDocument, exceptionCoversDate } from '../../models/ScheduleException.js';
+
+describe('createScheduleExceptionDocument', () => {
+  it('defaults the end date to the start date', () => {
+    const exception = createScheduleExceptionDocument({ type: 'blackout', startDate: '2030-12-25' }, 'provider-1');
+    expect(exception).toMatchObject({ endDate: '2030-12-25', providerId: 'provider-1' });
+  });
+
+  it('accepts single-digit hours', () => {
+    const exception = createScheduleExceptionDocument({
+      type: 'extra_hours', startDate: '2030-12-24', startTime: '9:00', endTime: '10:00'
+    }, 'provider-1');
+    expect(exception).toMatchObject({ startTime: '9:00', endTime: '10:00' });
+  });
+
+  it('compares times by the clock, not as strings', () => {
+    expect(() => createScheduleExceptionDocument({
+      type: 'blackout', startDate: '2030-12-24', startTime: '10:00', endTime: '9:30'
+    }, 'provider-1')).toThrow('End time must be after start time');
+    expect(() => createScheduleExceptionDocument({
+      type: 'blackout', startDate: '2030-12-24', startTime: '14:00', endTime: '14:00'
+    }, 'provider-1')).toThrow('End time must be after start time');
+  });
+
+  it('rejects ranges that end before they start', () => {
+    expect(() => createScheduleExceptionDocument({
+      type: 'vacation', startDate: '2030-08-10', endDate: '2030-08-01'
+    }, 'provider-1')).toThrow('End date must not be before start date');
+  });
+
+  it('requires times for extra hours and forbids them on vacations', () => {
+    expect(() => createScheduleExceptionDocument({ type: 'extra_hours', startDate: '2030-08-01' }, 'provider-1'))
+      .toThrow('Start time is required for extra hours');
+    expect(() => createScheduleExceptionDocument({
+      type: 'vacation', startDate: '2030-08-01', startTime: '9:00', endTime: '12:00'
+    }, 'provider-1')).toThrow('Vacations block whole days and cannot have times');
+  });
+});
+
+describe('exceptionCoversDate', () => {
+  const vacation = { startDate: '2030-08-01', endDate: '2030-08-10' };
+
+  it('includes both ends of the range', () => {
+    expect(exceptionCoversDate(vacation, '2030-08-01')).toBe(true);
+    expect(exceptionCoversDate(vacation, '2030-08-10')).toBe(true);
+    expect(exceptionCoversDate(vacation, '2030-08-11')).toBe(false);
+  });
+
+  it('treats a missing end date as a single day', () => {
+    expect(exceptionCoversDate({ startDate: '2030-08-01' }, '2030-08-01')).toBe(true);
+    expect(exceptionCoversDate({ startDate: '2030-08-01' }, '2030-08-02')).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { handleStripeWebhook } = await import('../../routes/webhooks.js');
+const { default: stripeEventService } = await import('../../services/stripeEventService.js');
+const { default: orderService } = await import('../../services/orderService.js');
+
+const event = {
+  id: 'evt_1',
+  type: 'payment_intent.payment_failed',
+  created: 1900000000,
+  data: { object: { id: 'pi_1', metadata: { type: 'order_payment', orderId: 'order-1' } } }
+};
+
+const request = () => ({ body: Buffer.from('{}'), headers: { 'stripe-signature': 'sig' } });
+
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const deliver = async () => {
+  const res = response();
+  await handleStripeWebhook(request(), res);
+  return res;
+};
+
+let markPaymentFailed;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(stripeEventService, 'constructEvent').mockReturnValue(event);
+  markPaymentFailed = jest.spyOn(orderService, 'markPaymentFailed').mockResolvedValue({ id: 'order-1' });
+  db.documents.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('handleStripeWebhook', () => {
+  it('acknowledges a processed event and its redeliveries', async () => {
+    expect((await deliver()).body).toEqual({ received: true, status: 'processed' });
+
+    const redelivery = await deliver();
+    expect(redelivery.statusCode).toBe(200);
+    expect(redelivery.body).toEqual({ received: true, status: 'duplicate' });
+    expect(markPaymentFailed).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks Stripe to retry while another delivery is processing the event', async () => {
+    db.seed({ 'stripeEvents/evt_1': { status: 'processing', processingStartedAt: new Date(), attempts: 1 } });
+
+    const res = await deliver();
+    expect(res.statusCode).toBe(409);
+    expect(markPaymentFailed).not.toHaveBeenCalled();
+  });
+
+  it('answers a failed event with 500 and processes the retry', async () => {
+    markPaymentFailed.mockRejectedValueOnce(new Error('Order not found'));
+
+    const failed = await deliver();
+    expect(failed.statusCode).toBe(500);
+    expect(failed.body).toMatchObject({ received: true, status: 'failed' });
+
+    const retry = await deliver();
+    expect(retry.statusCode).toBe(200);
+    expect(retry.body).toEqual({ received: true, status: 'processed' });
+    expect(db.getData('stripeEvents/evt_1')).toMatchObject({ status: 'processed', attempts: 2 });
+  });
+
+  it('rejects a payload with a bad signature', async () => {
+    stripeEventService.constructEvent.mockImplementation(() => {
+      throw new Error('Invalid signature: No signatures found');
+    });
+
+    const res = await deliver();
+    expect(res.statusCode).toBe(400);
+    expect(db.documents.size).toBe(0);
+  });
+});
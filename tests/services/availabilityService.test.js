@@ -0,0 +1,192 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: availabilityService, PENDING_BOOKING_HOLD_MINUTES } = await import('../../services/availabilityService.js');
+const { default: orderService } = await import('../../services/orderService.js');
+const { default: stripeService } = await import('../../services/stripeService.js');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const formatDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// A Monday at least a week out, so advance booking rules never get in the way
+const nextMonday = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + 7 + ((8 - date.getDay()) % 7));
+  return date;
+};
+
+const at = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const date = new Date(day);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const monday = nextMonday();
+const mondayKey = formatDate(monday);
+
+const listing = {
+  providerId: 'provider-1',
+  title: 'Emergency plumbing',
+  category: 'plumbing',
+  description: 'Leaks, bursts and blocked drains',
+  status: 'active',
+  pricing: { type: 'fixed', amount: 100, currency: 'USD' },
+  availability: { timeSlots: [{ day: 'monday', startTime: '9:00', endTime: '12:00', available: true }] },
+  requirements: { advanceBooking: 24 },
+  location: { coverage: 'Newark, NJ', serviceRadius: 25 }
+};
+
+const provider = { userType: 'provider', email: 'provider@example.com', fullName: 'Pat Provider' };
+
+const order = (status, start, extra = {}) => ({
+  status,
+  paymentStatus: 'pending',
+  createdAt: new Date(),
+  bookingDetails: { scheduledDate: formatDate(start), scheduledTime: `${start.getHours()}:${String(start.getMinutes()).padStart(2, '0')}`, duration: 1 },
+  ...extra
+});
+
+const startTimes = (days) => days[0].slots.map(slot => slot.startTime);
+
+describe('AvailabilityService.computeSlots', () => {
+  it('offers half-hourly starts that fit the listing hours', () => {
+    const days = availabilityService.computeSlots(listing, provider, [], monday, monday, 1);
+    expect(days).toEqual([expect.objectContaining({ date: mondayKey })]);
+    expect(startTimes(days)).toEqual(['09:00', '09:30', '10:00', '10:30', '11:00']);
+  });
+
+  it('falls back to the provider\'s weekly hours', () => {
+    const { availability, ...noSlots } = listing;
+    const weekly = { availability: { monday: { available: true, start: '14:00', end: '16:00' } } };
+    expect(startTimes(availabilityService.computeSlots(noSlots, weekly, [], monday, monday, 1))).toEqual(['14:00', '14:30', '15:00']);
+  });
+
+  it('leaves out slots that overlap a booked order', () => {
+    const orders = [order('confirmed', at(monday, '10:00'))];
+    expect(startTimes(availabilityService.computeSlots(listing, provider, orders, monday, monday, 1))).toEqual(['09:00', '11:00']);
+  });
+
+  it('ignores cancelled orders', () => {
+    const orders = [order('cancelled', at(monday, '10:00'))];
+    expect(startTimes(availabilityService.computeSlots(listing, provider, orders, monday, monday, 1))).toHaveLength(5);
+  });
+
+  it('respects the advance booking window', () => {
+    const now = at(monday, '09:00');
+    now.setDate(now.getDate() - 1);
+    now.setMinutes(now.getMinutes() + 30);
+    expect(startTimes(availabilityService.computeSlots(listing, provider, [], monday, monday, 1, now))).toEqual(['09:30', '10:00', '10:30', '11:00']);
+  });
+
+  it('applies schedule exceptions, letting blackouts win over extra hours', () => {
+    const exceptions = [
+      { type: 'extra_hours', startDate: mondayKey, endDate: mondayKey, startTime: '12:00', endTime: '14:00' },
+      { type: 'blackout', startDate: mondayKey, endDate: mondayKey, startTime: '9:00', endTime: '10:30' }
+    ];
+    expect(startTimes(availabilityService.computeSlots(listing, provider, [], monday, monday, 1, new Date(), exceptions)))
+      .toEqual(['10:30', '11:00', '11:30', '12:00', '12:30', '13:00']);
+  });
+
+  it('offers nothing on a vacation day', () => {
+    const exceptions = [{ type: 'vacation', startDate: mondayKey, endDate: mondayKey }];
+    expect(startTimes(availabilityService.computeSlots(listing, provider, [], monday, monday, 1, new Date(), exceptions))).toEqual([]);
+  });
+});
+
+describe('AvailabilityService.getBookedIntervals', () => {
+  const start = at(monday, '10:00');
+  const now = new Date();
+
+  it('counts confirmed and in-progress orders', () => {
+    expect(availabilityService.getBookedIntervals([order('confirmed', start), order('in_progress', start)], now)).toHaveLength(2);
+  });
+
+  it('holds an unpaid pending order\'s slot for a while after booking', () => {
+    const fresh = order('pending', start, { createdAt: now });
+    const stale = order('pending', start, { createdAt: new Date(now.getTime() - (PENDING_BOOKING_HOLD_MINUTES + 1) * MS_PER_MINUTE) });
+    expect(availabilityService.getBookedIntervals([fresh], now)).toHaveLength(1);
+    expect(availabilityService.getBookedIntervals([stale], now)).toHaveLength(0);
+  });
+
+  it('keeps the slot of a pending order that is paid or authorized', () => {
+    const longAgo = new Date(now.getTime() - 24 * 60 * MS_PER_MINUTE);
+    const orders = ['paid', 'partially_paid', 'authorized'].map(paymentStatus =>
+      order('pending', start, { createdAt: longAgo, paymentStatus }));
+    expect(availabilityService.getBookedIntervals(orders, now)).toHaveLength(3);
+  });
+});
+
+describe('double booking', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.seed({
+      'listings/listing-1': listing,
+      'users/provider-1': provider,
+      'users/customer-1': { userType: 'client', email: 'one@example.com', fullName: 'Customer One' },
+      'users/customer-2': { userType: 'client', email: 'two@example.com', fullName: 'Customer Two' }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const booking = {
+    listingId: 'listing-1',
+    bookingDetails: { scheduledDate: mondayKey, scheduledTime: '10:00', duration: 1, address: '1 Main St, Newark, NJ' }
+  };
+
+  it('does not let a second customer book a slot another customer is about to pay for', async () => {
+    const first = await orderService.createOrder(booking, 'customer-1');
+    expect(first.status).toBe('pending');
+
+    await expect(orderService.createOrder(booking, 'customer-2')).rejects.toThrow('Slot unavailable');
+    await expect(orderService.createOrder({
+      ...booking,
+      bookingDetails: { ...booking.bookingDetails, scheduledTime: '10:30' }
+    }, 'customer-2')).rejects.toThrow('Slot unavailable');
+
+    const orders = await db.collection('orders').where('providerId', '==', 'provider-1').get();
+    expect(orders.size).toBe(1);
+  });
+
+  it('frees the slot once an unpaid order\'s hold runs out', async () => {
+    const orders = await db.collection('orders').where('providerId', '==', 'provider-1').get();
+    const expired = new Date(Date.now() - (PENDING_BOOKING_HOLD_MINUTES + 1) * MS_PER_MINUTE);
+    await orders.docs[0].ref.update({ createdAt: expired });
+
+    const second = await orderService.createOrder(booking, 'customer-2');
+    expect(second.customerId).toBe('customer-2');
+  });
+
+  it('refunds a payment that arrives after the slot went to someone else', async () => {
+    const createRefund = jest.spyOn(stripeService, 'createRefund').mockResolvedValue({
+      success: true,
+      refund: { id: 're_1', currency: 'usd', status: 'succeeded' }
+    });
+    const orders = await db.collection('orders').where('customerId', '==', 'customer-1').get();
+    const lapsedOrderId = orders.docs[0].id;
+
+    await expect(orderService.createPaymentSession(lapsedOrderId, 'customer-1')).rejects.toThrow('Slot unavailable');
+
+    // The customer had opened checkout before the hold ran out
+    const result = await orderService.markOrderPaid(lapsedOrderId, { stripePaymentIntentId: 'pi_late' });
+
+    const lapsedOrder = db.getData(`orders/${lapsedOrderId}`);
+    expect(createRefund).toHaveBeenCalledWith('pi_late', lapsedOrder.pricing.totalAmount,
+      expect.objectContaining({ orderId: lapsedOrderId }), 'USD');
+    expect(result.status).toBe('refunded');
+    expect(lapsedOrder).toMatchObject({
+      status: 'refunded',
+      paymentStatus: 'refunded',
+      cancellation: expect.objectContaining({ cancelledBy: 'system', refundPercent: 100 })
+    });
+    const confirmed = await db.collection('orders').where('status', '==', 'confirmed').get();
+    expect(confirmed.size).toBe(0);
+  });
+});
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: disputeService } = await import('../../services/disputeService.js');
+const { default: payoutService } = await import('../../services/payoutService.js');
+const { default: notificationService } = await import('../../services/notificationService.js');
+
+const completedOrder = {
+  customerId: 'customer-1',
+  providerId: 'provider-1',
+  status: 'completed',
+  paymentStatus: 'paid',
+  paidAmount: 105,
+  stripePaymentIntentId: 'pi_1',
+  pricing: { totalAmount: 105, currency: 'USD' },
+  payout: { status: 'pending', commissionPercent: 10, platformFee: 10.5, providerAmount: 94.5 }
+};
+
+const stripeDispute = (status, extra = {}) => ({
+  id: 'dp_1',
+  charge: 'ch_1',
+  payment_intent: 'pi_1',
+  status,
+  reason: 'fraudulent',
+  amount: 10500,
+  currency: 'usd',
+  created: 1900000000,
+  evidence_details: { due_by: 1900864000 },
+  ...extra
+});
+
+let notifyUser;
+let reversePaidPayout;
+let releaseOrderPayout;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  notifyUser = jest.spyOn(notificationService, 'notifyUser').mockResolvedValue();
+  jest.spyOn(notificationService, 'notifyAdmins').mockResolvedValue();
+  reversePaidPayout = jest.spyOn(payoutService, 'reversePaidPayout').mockResolvedValue({ success: true });
+  releaseOrderPayout = jest.spyOn(payoutService, 'releaseOrderPayout').mockResolvedValue({ success: true });
+  db.documents.clear();
+  db.seed({ 'orders/order-1': completedOrder });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DisputeService.recordDispute', () => {
+  it('holds the payment as disputed while the dispute is open', async () => {
+    const record = await disputeService.recordDispute('order-1', stripeDispute('needs_response'));
+
+    expect(record).toMatchObject({
+      stripeDisputeId: 'dp_1',
+      stripeChargeId: 'ch_1',
+      status: 'needs_response',
+      amount: 105,
+      currency: 'USD',
+      evidenceDueBy: new Date(1900864000 * 1000)
+    });
+    expect(db.getData('orders/order-1')).toMatchObject({
+      paymentStatus: 'disputed',
+      payout: expect.objectContaining({ status: 'pending' })
+    });
+    expect(notifyUser).toHaveBeenCalledWith('provider-1', 'dispute_update', expect.objectContaining({ orderId: 'order-1' }));
+  });
+
+  it('voids a payout that was not transferred when the dispute is lost', async () => {
+    await disputeService.recordDispute('order-1', stripeDispute('needs_response'));
+    await disputeService.recordDispute('order-1', stripeDispute('lost'));
+
+    expect(db.getData('orders/order-1')).toMatchObject({
+      paymentStatus: 'disputed',
+      dispute: expect.objectContaining({ status: 'lost', closedAt: expect.any(Date) }),
+      payout: expect.objectContaining({ status: 'void' })
+    });
+    expect(reversePaidPayout).toHaveBeenCalledWith('order-1', 'Lost dispute');
+  });
+
+  it('reverses a payout the provider was already paid when the dispute is lost', async () => {
+    db.seed({ 'orders/order-1': { ...completedOrder, payout: { ...completedOrder.payout, status: 'paid', stripeTransferId: 'tr_1' } } });
+
+    await disputeService.recordDispute('order-1', stripeDispute('lost'));
+
+    expect(db.getData('orders/order-1').payout.status).toBe('paid');
+    expect(reversePaidPayout).toHaveBeenCalledTimes(1);
+    expect(reversePaidPayout).toHaveBeenCalledWith('order-1', 'Lost dispute');
+  });
+
+  it('restores the payment and releases the payout when the dispute is won', async () => {
+    await disputeService.recordDispute('order-1', stripeDispute('under_review'));
+    await disputeService.recordDispute('order-1', stripeDispute('won'));
+
+    expect(db.getData('orders/order-1')).toMatchObject({
+      paymentStatus: 'paid',
+      payout: expect.objectContaining({ status: 'pending' })
+    });
+    expect(releaseOrderPayout).toHaveBeenCalledWith('order-1');
+    expect(reversePaidPayout).not.toHaveBeenCalled();
+  });
+
+  it('keeps a decided dispute decided when older events arrive late', async () => {
+    await disputeService.recordDispute('order-1', stripeDispute('lost'));
+    notifyUser.mockClear();
+
+    const record = await disputeService.recordDispute('order-1', stripeDispute('under_review'));
+    await disputeService.recordDispute('order-1', stripeDispute('lost'));
+
+    expect(record.status).toBe('lost');
+    expect(db.getData('orders/order-1').dispute.status).toBe('lost');
+    expect(notifyUser).not.toHaveBeenCalled();
+    expect(reversePaidPayout).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a new dispute on the same order over a decided one', async () => {
+    await disputeService.recordDispute('order-1', stripeDispute('won'));
+
+    const record = await disputeService.recordDispute('order-1', stripeDispute('needs_response', { id: 'dp_2' }));
+
+    expect(record).toMatchObject({ stripeDisputeId: 'dp_2', status: 'needs_response' });
+    expect(db.getData('orders/order-1').paymentStatus).toBe('disputed');
+  });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: entitlementService } = await import('../../services/entitlementService.js');
+const { default: providerPlanService } = await import('../../services/providerPlanService.js');
+
+// Free plan: 5 listings
+const seedListings = (statuses) => {
+  db.seed(Object.fromEntries(statuses.map(([status, extra], i) => [
+    `listings/listing-${i + 1}`,
+    { providerId: 'provider-1', status, ...extra }
+  ])));
+};
+
+beforeEach(() => {
+  jest.spyOn(providerPlanService, 'getProviderPlan').mockResolvedValue({ success: false, error: 'Plan not found' });
+  db.documents.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('EntitlementService listing limit', () => {
+  it('does not count listings the plan switched off towards new listings', async () => {
+    seedListings([
+      ['active'], ['active'], ['active'], ['active'],
+      ['inactive', { deactivatedReason: 'plan_limit' }],
+      ['inactive', { deactivatedReason: 'plan_limit' }],
+      ['draft']
+    ]);
+
+    await expect(entitlementService.assertCanCreateListing('provider-1')).resolves.toBeUndefined();
+    await expect(entitlementService.assertCanActivateListing('provider-1', 'listing-5')).resolves.toBeUndefined();
+  });
+
+  it('applies the same count when creating and activating listings', async () => {
+    seedListings([['active'], ['active'], ['active'], ['active'], ['active'], ['draft']]);
+
+    const createError = await entitlementService.assertCanCreateListing('provider-1').catch(error => error);
+    const activateError = await entitlementService.assertCanActivateListing('provider-1', 'listing-6').catch(error => error);
+
+    for (const error of [createError, activateError]) {
+      expect(error.message).toBe('Plan limit reached: the Free plan allows 5 active listings');
+      expect(error).toMatchObject({ status: 402, code: 'PLAN_LIMIT_LISTINGS', upgrade: expect.objectContaining({ limit: 5, used: 5 }) });
+    }
+  });
+
+  it('lets an active listing be saved as active again at the limit', async () => {
+    seedListings([['active'], ['active'], ['active'], ['active'], ['active']]);
+
+    await expect(entitlementService.assertCanActivateListing('provider-1', 'listing-1')).resolves.toBeUndefined();
+  });
+});
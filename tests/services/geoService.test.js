@@ -0,0 +1,43 @@
+import { encodeGeohash, distanceBetween, geohashQueryBounds } from '../../services/geoService.js';
+
+const NEW_YORK = { lat: 40.7128, lng: -74.006 };
+const NEWARK = { lat: 40.7357, lng: -74.1724 };
+const BOSTON = { lat: 42.3601, lng: -71.0589 };
+
+describe('encodeGeohash', () => {
+  it('encodes a known point', () => {
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+  });
+
+  it('truncates to the requested precision', () => {
+    expect(encodeGeohash(NEW_YORK.lat, NEW_YORK.lng, 5)).toBe(encodeGeohash(NEW_YORK.lat, NEW_YORK.lng).slice(0, 5));
+  });
+});
+
+describe('distanceBetween', () => {
+  it('is zero for the same point', () => {
+    expect(distanceBetween(NEW_YORK, NEW_YORK)).toBe(0);
+  });
+
+  it('returns great-circle distances in miles', () => {
+    expect(distanceBetween(NEW_YORK, BOSTON)).toBeCloseTo(190, -1);
+    expect(distanceBetween(NEW_YORK, NEWARK)).toBeCloseTo(distanceBetween(NEWARK, NEW_YORK), 10);
+  });
+});
+
+describe('geohashQueryBounds', () => {
+  const inBounds = (bounds, point) => {
+    const hash = encodeGeohash(point.lat, point.lng);
+    return bounds.some(([start, end]) => hash >= start && hash <= end);
+  };
+
+  it('covers points inside the radius', () => {
+    const bounds = geohashQueryBounds(NEW_YORK, 15);
+    expect(inBounds(bounds, NEWARK)).toBe(true);
+    expect(inBounds(bounds, NEW_YORK)).toBe(true);
+  });
+
+  it('leaves out points far beyond the radius', () => {
+    expect(inBounds(geohashQueryBounds(NEW_YORK, 15), BOSTON)).toBe(false);
+  });
+});
@@ -0,0 +1,41 @@
+import { jest } from '@jest/globals';
+import geocodingService, { stubGeocoder } from '../../services/geocodingService.js';
+
+describe('stubGeocoder', () => {
+  it('parses "lat,lng" strings', async () => {
+    expect(await stubGeocoder.geocode(' 40.5, -73.25 ')).toEqual({ lat: 40.5, lng: -73.25 });
+  });
+
+  it('rejects coordinates out of range', async () => {
+    expect(await stubGeocoder.geocode('91,0')).toBeNull();
+  });
+
+  it('knows a few places regardless of case', async () => {
+    expect(await stubGeocoder.geocode('Boston, MA')).toEqual({ lat: 42.3601, lng: -71.0589 });
+    expect(await stubGeocoder.geocode('Atlantis')).toBeNull();
+  });
+});
+
+describe('GeocodingService', () => {
+  afterEach(() => {
+    geocodingService.setGeocoder(stubGeocoder);
+    jest.restoreAllMocks();
+  });
+
+  it('uses the offline stub by default', async () => {
+    expect(geocodingService.getGeocoder().name).toBe('stub');
+  });
+
+  it('returns null for blank addresses without calling the geocoder', async () => {
+    const geocode = jest.fn();
+    geocodingService.setGeocoder({ geocode });
+    expect(await geocodingService.geocode('  ')).toBeNull();
+    expect(geocode).not.toHaveBeenCalled();
+  });
+
+  it('wraps geocoder errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    geocodingService.setGeocoder({ geocode: async () => { throw new Error('quota exceeded'); } });
+    await expect(geocodingService.geocode('Boston, MA')).rejects.toThrow('Failed to geocode address: quota exceeded');
+  });
+});
@@ -0,0 +1,57 @@
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: listingService } = await import('../../services/listingService.js');
+const { encodeGeohash } = await import('../../services/geoService.js');
+
+const listingAt = (coverage, coordinates, serviceRadius, extra = {}) => ({
+  providerId: 'provider-1',
+  title: `Plumbing in ${coverage}`,
+  category: 'plumbing',
+  status: 'active',
+  featured: false,
+  location: { coverage, coordinates, serviceRadius, geohash: encodeGeohash(coordinates.lat, coordinates.lng) },
+  ...extra
+});
+
+describe('ListingService.resolveLocation', () => {
+  it('geocodes the coverage with the offline stub', async () => {
+    const location = await listingService.resolveLocation({ coverage: 'Newark, NJ', serviceRadius: 10 });
+    expect(location.coordinates).toEqual({ lat: 40.7357, lng: -74.1724 });
+    expect(location.geohash).toBe(encodeGeohash(40.7357, -74.1724));
+  });
+
+  it('keeps the previous coordinates while the coverage is unchanged', async () => {
+    const previous = { coverage: 'Somewhere', coordinates: { lat: 1, lng: 2 } };
+    const location = await listingService.resolveLocation({ coverage: 'Somewhere' }, previous);
+    expect(location.coordinates).toEqual({ lat: 1, lng: 2 });
+  });
+
+  it('saves locations it cannot resolve without coordinates', async () => {
+    const location = await listingService.resolveLocation({ coverage: 'Atlantis' });
+    expect(location).toMatchObject({ coordinates: null, geohash: null });
+  });
+});
+
+describe('ListingService.getListingsNear', () => {
+  beforeAll(() => {
+    db.seed({
+      'listings/manhattan': listingAt('New York, NY', { lat: 40.7128, lng: -74.006 }, 5),
+      'listings/newark': listingAt('Newark, NJ', { lat: 40.7357, lng: -74.1724 }, 25),
+      'listings/newark-small': listingAt('Newark, NJ', { lat: 40.7357, lng: -74.1724 }, 2),
+      'listings/boston': listingAt('Boston, MA', { lat: 42.3601, lng: -71.0589 }, 500),
+      'listings/draft': listingAt('New York, NY', { lat: 40.7128, lng: -74.006 }, 5, { status: 'draft' })
+    });
+  });
+
+  it('returns listings whose service radius covers the point, nearest first', async () => {
+    const result = await listingService.getListingsNear({ lat: 40.7128, lng: -74.006, radius: 50, status: 'active', limit: 20, offset: 0 });
+    expect(result.listings.map(listing => listing.id)).toEqual(['manhattan', 'newark']);
+    expect(result.listings[1].distance).toBeGreaterThan(8);
+  });
+
+  it('caps the search at the requested radius', async () => {
+    const result = await listingService.getListingsNear({ lat: 40.7128, lng: -74.006, radius: 1, limit: 20, offset: 0 });
+    expect(result.listings.map(listing => listing.id).sort()).toEqual(['draft', 'manhattan']);
+  });
+});
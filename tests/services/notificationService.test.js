@@ -0,0 +1,88 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: notificationService } = await import('../../services/notificationService.js');
+const { createConsoleTransport } = await import('../../services/notificationTransports.js');
+
+const order = {
+  orderNumber: 'PNL-1',
+  customerId: 'customer-1',
+  serviceDetails: { title: 'Boiler repair' },
+  bookingDetails: { scheduledDate: '2030-06-03', scheduledTime: '10:00' }
+};
+
+let log;
+
+beforeEach(() => {
+  db.documents.clear();
+  log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  notificationService.setTransport('email', createConsoleTransport('email'));
+  notificationService.setTransport('sms', createConsoleTransport('sms'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('NotificationService.notifyUser', () => {
+  it('stores the notification and emails it through the console transport', async () => {
+    db.seed({ 'users/customer-1': { email: 'casey@example.com', fullName: 'Casey' } });
+
+    const results = await notificationService.notifyUser('customer-1', 'order_confirmed', { order, orderId: 'order-1' });
+
+    expect(results).toEqual({ inApp: 'sent', email: 'sent', sms: 'skipped', push: 'skipped' });
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('[email] to casey@example.com: Booking confirmed: Boiler repair'));
+
+    const { notifications } = await notificationService.getNotifications('customer-1');
+    expect(notifications).toEqual([expect.objectContaining({ type: 'order_confirmed', read: false, data: { orderId: 'order-1' } })]);
+    expect(await notificationService.getUnreadCount('customer-1')).toBe(1);
+  });
+
+  it('texts users who opted in to SMS', async () => {
+    db.seed({ 'users/customer-1': { email: 'casey@example.com', phoneNumber: '+15555550100', preferences: { smsUpdates: true } } });
+
+    const results = await notificationService.notifyUser('customer-1', 'order_confirmed', { order, orderId: 'order-1' });
+
+    expect(results.sms).toBe('sent');
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('[sms] to +15555550100: Panic List: booking PNL-1 is confirmed'));
+  });
+
+  it('keeps to the inbox when notifications are turned off', async () => {
+    db.seed({ 'users/customer-1': { email: 'casey@example.com', preferences: { notifications: false } } });
+
+    const results = await notificationService.notifyUser('customer-1', 'order_confirmed', { order, orderId: 'order-1' });
+
+    expect(results).toEqual({ inApp: 'sent', email: 'skipped', sms: 'skipped', push: 'skipped' });
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  it('reports a failed send without throwing', async () => {
+    db.seed({ 'users/customer-1': { email: 'casey@example.com' } });
+    notificationService.setTransport('email', { send: async () => { throw new Error('SMTP down'); } });
+
+    const results = await notificationService.notifyUser('customer-1', 'order_confirmed', { order, orderId: 'order-1' });
+
+    expect(results).toMatchObject({ inApp: 'sent', email: 'failed' });
+  });
+});
+
+describe('NotificationService read state', () => {
+  it('marks notifications read one at a time or all at once', async () => {
+    db.seed({
+      'notifications/a': { userId: 'customer-1', type: 'order_confirmed', read: false, createdAt: new Date(1) },
+      'notifications/b': { userId: 'customer-1', type: 'new_message', read: false, createdAt: new Date(2) },
+      'notifications/c': { userId: 'customer-2', type: 'new_message', read: false, createdAt: new Date(3) }
+    });
+
+    await notificationService.setRead('a', 'customer-1', true);
+    expect(await notificationService.getUnreadCount('customer-1')).toBe(1);
+
+    await expect(notificationService.setRead('c', 'customer-1', true)).rejects.toThrow('Notification not found');
+
+    expect(await notificationService.markAllRead('customer-1')).toBe(1);
+    expect(await notificationService.getUnreadCount('customer-1')).toBe(0);
+    expect(await notificationService.getUnreadCount('customer-2')).toBe(1);
+  });
+});
@@ -0,0 +1,173 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: orderMessageService } = await import('../../services/orderMessageService.js');
+const { default: notificationService } = await import('../../services/notificationService.js');
+
+const order = { customerId: 'customer-1', providerId: 'provider-1', status: 'confirmed' };
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Messages sent in the same millisecond would share a timestamp
+const tick = () => jest.setSystemTime(new Date(Date.now() + MS_PER_MINUTE));
+
+const send = async (userId, userType, message, threadId) => {
+  const sent = await orderMessageService.sendMessage('order-1', { message, ...(threadId && { threadId }) }, [], userId, userType);
+  tick();
+  return sent;
+};
+
+const messaging = () => db.getData('orders/order-1').messaging;
+
+const storedMessages = () => db.collection('orders/order-1/messages').orderBy('createdAt').get()
+  .then(snapshot => snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+
+let notifyUsers;
+let notifyAdmins;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2030-06-03T10:00:00Z') });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  notifyUsers = jest.spyOn(notificationService, 'notifyUsers').mockResolvedValue();
+  notifyAdmins = jest.spyOn(notificationService, 'notifyAdmins').mockResolvedValue();
+  db.documents.clear();
+  db.seed({ 'orders/order-1': order });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('OrderMessageService unread counts', () => {
+  it('counts a message as unread for everyone but its sender', async () => {
+    await send('customer-1', 'client', 'Is 10am still good?');
+    await send('customer-1', 'client', 'The gate code is 1234');
+
+    expect(messaging()).toMatchObject({ messageCount: 2, unread: { 'customer-1': 0, 'provider-1': 2 } });
+    expect(await orderMessageService.getUnreadCount('order-1', 'provider-1', 'provider')).toBe(2);
+    expect(notifyUsers).toHaveBeenCalledWith(['provider-1'], 'new_message', expect.objectContaining({ orderId: 'order-1' }));
+  });
+
+  it('stamps read receipts on the messages the reader had not read yet', async () => {
+    await send('customer-1', 'client', 'Is 10am still good?');
+    await send('customer-1', 'client', 'The gate code is 1234');
+
+    expect(await orderMessageService.markRead('order-1', 'provider-1', 'provider')).toBe(2);
+    expect(messaging().unread['provider-1']).toBe(0);
+    expect((await storedMessages()).map(message => message.readBy)).toEqual([
+      { 'provider-1': expect.any(Date) },
+      { 'provider-1': expect.any(Date) }
+    ]);
+
+    tick();
+    expect(await orderMessageService.markRead('order-1', 'provider-1', 'provider')).toBe(0);
+
+    await send('provider-1', 'provider', 'Yes, see you then');
+    await send('customer-1', 'client', 'Great');
+    expect(await orderMessageService.markRead('order-1', 'provider-1', 'provider')).toBe(1);
+    const [, , reply, last] = await storedMessages();
+    expect(reply.readBy).toEqual({});
+    expect(last.readBy).toEqual({ 'provider-1': expect.any(Date) });
+  });
+
+  it('reads a conversation longer than one batch', async () => {
+    const start = Date.now() - 2000 * MS_PER_MINUTE;
+    db.seed(Object.fromEntries(Array.from({ length: 1201 }, (_, i) => [
+      `orders/order-1/messages/message-${i}`,
+      { senderId: 'customer-1', senderType: 'customer', message: `Message ${i}`, threadId: null, readBy: {}, createdAt: new Date(start + i * MS_PER_MINUTE) }
+    ])));
+    const batch = jest.spyOn(db, 'batch');
+
+    expect(await orderMessageService.markRead('order-1', 'provider-1', 'provider')).toBe(1201);
+    expect(batch).toHaveBeenCalledTimes(3);
+    expect((await storedMessages()).every(message => message.readBy['provider-1'])).toBe(true);
+  });
+
+  it('keeps other users out of the conversation', async () => {
+    await expect(orderMessageService.sendMessage('order-1', { message: 'Hi' }, [], 'customer-2', 'client'))
+      .rejects.toThrow('Unauthorized: You can only message about your own orders');
+    await expect(orderMessageService.markRead('order-1', 'provider-2', 'provider'))
+      .rejects.toThrow('Unauthorized: You can only message about orders for your services');
+  });
+});
+
+describe('OrderMessageService threads', () => {
+  it('keeps replies under the top-level message', async () => {
+    const question = await send('customer-1', 'client', 'Do you bring parts?');
+    const answer = await send('provider-1', 'provider', 'Usually, which tap is it?', question.id);
+    const followUp = await send('customer-1', 'client', 'The kitchen one', answer.id);
+
+    expect(answer.threadId).toBe(question.id);
+    expect(followUp.threadId).toBe(question.id);
+    expect(db.getData(`orders/order-1/messages/${question.id}`)).toMatchObject({ replyCount: 2, lastReplyAt: expect.any(Date) });
+
+    const topLevel = await orderMessageService.getMessages('order-1', 'customer-1', 'client');
+    expect(topLevel.messages.map(message => message.id)).toEqual([question.id]);
+    const thread = await orderMessageService.getMessages('order-1', 'customer-1', 'client', { threadId: question.id });
+    expect(thread.messages.map(message => message.id)).toEqual([followUp.id, answer.id]);
+  });
+
+  it('rejects a reply to a message that does not exist', async () => {
+    await expect(send('customer-1', 'client', 'Hello?', 'missing'))
+      .rejects.toThrow('Thread not found');
+    expect(await storedMessages()).toEqual([]);
+  });
+
+  it('needs text or an attachment', async () => {
+    await expect(send('customer-1', 'client', '  ')).rejects.toThrow('Validation error: A message needs text or an attachment');
+  });
+
+  it('hands out attachments as signed links', async () => {
+    const file = { originalname: 'leak.jpg', mimetype: 'image/jpeg', size: 3, buffer: Buffer.from('jpg') };
+
+    const sent = await orderMessageService.sendMessage('order-1', {}, [file], 'customer-1', 'client');
+
+    expect(sent.attachments).toEqual([{
+      id: expect.any(String),
+      name: 'leak.jpg',
+      contentType: 'image/jpeg',
+      size: 3,
+      url: expect.stringMatching(new RegExp(`^https://storage.example.com/orders/order-1/messages/${sent.id}/.+\\.jpg$`))
+    }]);
+    expect(db.getData(`orders/order-1/messages/${sent.id}`).attachments[0].path).toMatch(/\.jpg$/);
+  });
+});
+
+describe('OrderMessageService escalation', () => {
+  it('brings support into the conversation until an admin resolves it', async () => {
+    await send('customer-1', 'client', 'Nobody turned up');
+
+    const escalation = await orderMessageService.escalate('order-1', { reason: 'Provider did not arrive' }, 'customer-1', 'client');
+    tick();
+
+    expect(escalation).toMatchObject({ status: 'open', escalatedBy: 'customer-1', role: 'customer' });
+    expect(notifyAdmins).toHaveBeenCalledWith('support_escalation', expect.objectContaining({ orderId: 'order-1', escalation }));
+    expect(messaging().unread).toEqual({ 'customer-1': 0, 'provider-1': 2, admin: 1 });
+    const [, event] = await storedMessages();
+    expect(event).toMatchObject({ senderType: 'system', message: 'The customer asked support to help: Provider did not arrive' });
+
+    await send('admin-1', 'admin', 'Looking into it');
+    expect(messaging().unread).toEqual({ 'customer-1': 1, 'provider-1': 3, admin: 0 });
+
+    const resolved = await orderMessageService.resolveEscalation('order-1', 'admin-1', 'admin');
+    tick();
+    expect(resolved).toMatchObject({ status: 'resolved', resolvedBy: 'admin-1' });
+
+    await send('customer-1', 'client', 'Thanks');
+    expect(messaging().unread.admin).toBe(0);
+  });
+
+  it('only lets the customer or provider escalate, once at a time', async () => {
+    await orderMessageService.escalate('order-1', { reason: 'Price dispute' }, 'provider-1', 'provider');
+
+    await expect(orderMessageService.escalate('order-1', { reason: 'Again' }, 'customer-1', 'client'))
+      .rejects.toThrow('Conversation is already escalated to support');
+    await expect(orderMessageService.escalate('order-1', { reason: 'Checking' }, 'admin-1', 'admin'))
+      .rejects.toThrow('Unauthorized: Only the customer or provider can escalate to support');
+    await expect(orderMessageService.resolveEscalation('order-1', 'provider-1', 'provider'))
+      .rejects.toThrow('Unauthorized: Only admins can resolve escalations');
+  });
+});
@@ -0,0 +1,425 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: orderService } = await import('../../services/orderService.js');
+const { default: stripeService } = await import('../../services/stripeService.js');
+const { default: payoutService } = await import('../../services/payoutService.js');
+const { default: notificationService } = await import('../../services/notificationService.js');
+
+const baseOrder = {
+  customerId: 'customer-1',
+  providerId: 'provider-1',
+  listingId: 'listing-1',
+  status: 'pending',
+  paymentStatus: 'pending',
+  bookingDetails: { scheduledDate: '2030-06-03', scheduledTime: '10:00', address: '1 Main St', notes: 'Gate code 1234' },
+  pricing: { baseAmount: 100, discounts: 0, fees: 5, taxes: 0, totalAmount: 105, currency: 'USD' },
+  statusHistory: []
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.documents.clear();
+  db.seed({ 'orders/order-1': baseOrder });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('OrderService.updateOrderStatus', () => {
+  it('records who made each transition', async () => {
+    await orderService.updateOrderStatus('order-1', 'confirmed', 'provider-1', 'provider', 'Booked in');
+    await orderService.updateOrderStatus('order-1', 'in_progress', 'provider-1', 'provider');
+
+    const order = db.getData('orders/order-1');
+    expect(order.status).toBe('in_progress');
+    expect(order.actualStartTime).toBeInstanceOf(Date);
+    expect(order.statusHistory).toEqual([
+      expect.objectContaining({ from: 'pending', to: 'confirmed', actorId: 'provider-1', role: 'provider', reason: 'Booked in' }),
+      expect.objectContaining({ from: 'confirmed', to: 'in_progress', actorId: 'provider-1', role: 'provider', reason: '' })
+    ]);
+  });
+
+  it('rejects transitions outside the table without writing', async () => {
+    await expect(orderService.updateOrderStatus('order-1', 'completed', 'provider-1', 'provider'))
+      .rejects.toThrow('Invalid status transition');
+    expect(db.getData('orders/order-1')).toMatchObject({ status: 'pending', statusHistory: [] });
+  });
+
+  it('only lets the order\'s own parties move it', async () => {
+    await expect(orderService.updateOrderStatus('order-1', 'cancelled', 'customer-2', 'client'))
+      .rejects.toThrow('Unauthorized: You can only update your own orders');
+    await expect(orderService.updateOrderStatus('order-1', 'confirmed', 'provider-2', 'provider'))
+      .rejects.toThrow('Unauthorized: You can only update orders for your services');
+  });
+});
+
+describe('OrderService.updatePaymentStatus', () => {
+  it('is for admins only', async () => {
+    for (const [userId, userType] of [['customer-1', 'client'], ['provider-1', 'provider']]) {
+      await expect(orderService.updatePaymentStatus('order-1', 'paid', userId, userType))
+        .rejects.toThrow('Unauthorized: Only admins can set the payment status');
+    }
+    expect(db.getData('orders/order-1').paymentStatus).toBe('pending');
+  });
+
+  it('lets admins override it', async () => {
+    const order = await orderService.updatePaymentStatus('order-1', 'paid', 'admin-1', 'admin');
+    expect(order.paymentStatus).toBe('paid');
+    expect(db.getData('orders/order-1').paymentStatus).toBe('paid');
+  });
+});
+
+describe('OrderService.updateOrder', () => {
+  it('saves booking notes without touching the rest of the order', async () => {
+    const order = await orderService.updateOrder('order-1', { bookingDetails: { notes: 'Side door' } }, 'customer-1', 'client');
+    expect(order.bookingDetails).toMatchObject({ notes: 'Side door', address: '1 Main St' });
+    expect(db.getData('orders/order-1')).toMatchObject({
+      bookingDetails: { ...baseOrder.bookingDetails, notes: 'Side door' },
+      pricing: baseOrder.pricing
+    });
+  });
+
+  it('does not let a customer rewrite the price before paying', async () => {
+    await expect(orderService.updateOrder('order-1', { pricing: { ...baseOrder.pricing, totalAmount: 1 } }, 'customer-1', 'client'))
+      .rejects.toThrow('Validation error: pricing cannot be changed');
+    expect(db.getData('orders/order-1').pricing.totalAmount).toBe(105);
+  });
+});
+
+describe('payment after cancellation', () => {
+  it('closes the order\'s open checkouts when it is cancelled', async () => {
+    jest.spyOn(stripeService, 'createOrderCheckoutSession')
+      .mockResolvedValue({ success: true, session: { id: 'cs_open', url: 'https://checkout.stripe.com/c/cs_open' } });
+    const expireCheckoutSession = jest.spyOn(stripeService, 'expireCheckoutSession')
+      .mockResolvedValue({ success: true, session: { id: 'cs_open', status: 'expired' } });
+    db.seed({
+      'listings/listing-1': {
+        providerId: 'provider-1',
+        availability: { timeSlots: [{ day: 'monday', startTime: '9:00', endTime: '12:00', available: true }] }
+      },
+      'users/provider-1': { userType: 'provider' },
+      'orders/order-1': { ...baseOrder, serviceDetails: { title: 'Emergency plumbing' }, createdAt: new Date() }
+    });
+
+    await orderService.createPaymentSession('order-1', 'customer-1');
+    expect(stripeService.createOrderCheckoutSession).toHaveBeenCalledWith(expect.objectContaining({
+      expires_at: expect.any(Number)
+    }));
+
+    await orderService.cancelStalePendingOrders(new Date(Date.now() + 1000));
+    expect(expireCheckoutSession).toHaveBeenCalledWith('cs_open');
+    expect(db.getData('orders/order-1').status).toBe('cancelled');
+  });
+
+  it('refunds a payment that still comes in for a cancelled order', async () => {
+    const createRefund = jest.spyOn(stripeService, 'createRefund')
+      .mockResolvedValue({ success: true, refund: { id: 're_1', currency: 'usd', status: 'succeeded' } });
+    db.seed({ 'orders/order-1': { ...baseOrder, status: 'cancelled' } });
+
+    const order = await orderService.markOrderPaid('order-1', { stripePaymentIntentId: 'pi_1', stripeCheckoutSessionId: 'cs_1' });
+
+    expect(createRefund).toHaveBeenCalledWith('pi_1', 105, expect.objectContaining({ orderId: 'order-1' }), 'USD');
+    expect(order.status).toBe('refunded');
+    expect(db.getData('orders/order-1')).toMatchObject({
+      status: 'refunded',
+      paymentStatus: 'refunded',
+      refundedAmount: 105,
+      payout: expect.objectContaining({ status: 'void' })
+    });
+  });
+
+  it('keeps the payment for an admin to refund when Stripe refuses', async () => {
+    jest.spyOn(stripeService, 'createRefund').mockResolvedValue({ success: false, error: 'Charge already refunded' });
+    db.seed({ 'orders/order-1': { ...baseOrder, status: 'cancelled' } });
+
+    const order = await orderService.markOrderPaid('order-1', { stripePaymentIntentId: 'pi_1' });
+    expect(order).toMatchObject({ status: 'cancelled', paymentStatus: 'paid', refundError: expect.stringContaining('Charge already refunded') });
+  });
+});
+
+describe('milestone payments', () => {
+  const milestoneOrder = {
+    ...baseOrder,
+    createdAt: new Date(),
+    paymentMilestones: [
+      { id: 'deposit', name: 'Deposit', percent: 20, dueOn: 'booking', amount: 21, status: 'due' },
+      { id: 'final', name: 'Final payment', percent: 80, dueOn: 'completed', amount: 84, status: 'scheduled' }
+    ]
+  };
+
+  beforeEach(() => {
+    db.seed({
+      'listings/listing-1': {
+        providerId: 'provider-1',
+        availability: { timeSlots: [{ day: 'monday', startTime: '9:00', endTime: '12:00', available: true }] }
+      },
+      'users/provider-1': { userType: 'provider' },
+      'orders/order-1': milestoneOrder
+    });
+  });
+
+  it('confirms the booking on the deposit, leaving the order partially paid', async () => {
+    const order = await orderService.markOrderPaid('order-1', { stripePaymentIntentId: 'pi_deposit', milestoneId: 'deposit' });
+
+    expect(order.status).toBe('confirmed');
+    expect(db.getData('orders/order-1')).toMatchObject({
+      paymentStatus: 'partially_paid',
+      paidAmount: 21,
+      stripePaymentIntentIds: ['pi_deposit'],
+      paymentMilestones: [
+        expect.objectContaining({ id: 'deposit', status: 'paid', stripePaymentIntentId: 'pi_deposit' }),
+        expect.objectContaining({ id: 'final', status: 'scheduled' })
+      ],
+      payout: { status: 'pending', ...payoutService.calculatePayoutSplit(21, 0, 'USD') }
+    });
+    expect(db.getData('orders/order-1').paidAt).toBeUndefined();
+  });
+
+  it('counts a milestone reported twice once', async () => {
+    await orderService.markOrderPaid('order-1', { stripeCheckoutSessionId: 'cs_deposit', milestoneId: 'deposit' });
+    await orderService.markOrderPaid('order-1', { stripePaymentIntentId: 'pi_deposit', milestoneId: 'deposit' });
+
+    const order = db.getData('orders/order-1');
+    expect(order.paidAmount).toBe(21);
+    expect(order.paymentMilestones[0]).toMatchObject({ stripeCheckoutSessionId: 'cs_deposit', stripePaymentIntentId: 'pi_deposit' });
+  });
+
+  it('marks the order paid and releases the payout on the final payment of a finished job', async () => {
+    const releaseOrderPayout = jest.spyOn(payoutService, 'releaseOrderPayout').mockResolvedValue({ success: true });
+    db.seed({
+      'orders/order-1': {
+        ...milestoneOrder,
+        status: 'completed',
+        paymentStatus: 'partially_paid',
+        paidAmount: 21,
+        paymentMilestones: [
+          { ...milestoneOrder.paymentMilestones[0], status: 'paid', stripePaymentIntentId: 'pi_deposit' },
+          { ...milestoneOrder.paymentMilestones[1], status: 'due' }
+        ],
+        payout: { status: 'pending', ...payoutService.calculatePayoutSplit(21, 0, 'USD') }
+      }
+    });
+
+    await orderService.markOrderPaid('order-1', { stripePaymentIntentId: 'pi_final', milestoneId: 'final' });
+
+    expect(releaseOrderPayout).toHaveBeenCalledWith('order-1');
+    expect(db.getData('orders/order-1')).toMatchObject({
+      paymentStatus: 'paid',
+      paidAmount: 105,
+      paidAt: expect.any(Date),
+      stripePaymentIntentIds: ['pi_final'],
+      payout: { status: 'pending', ...payoutService.calculatePayoutSplit(105, 0, 'USD') }
+    });
+  });
+
+  it('rejects a payment for a milestone the order does not have', async () => {
+    await expect(orderService.markOrderPaid('order-1', { milestoneId: 'milestone_9' }))
+      .rejects.toThrow('Payment milestone not found: milestone_9');
+    expect(db.getData('orders/order-1').paidAmount).toBeUndefined();
+  });
+});
+
+describe('emergency card holds', () => {
+  const authorizedAt = new Date();
+  const emergencyOrder = {
+    ...baseOrder,
+    status: 'in_progress',
+    paymentStatus: 'authorized',
+    bookingDetails: { ...baseOrder.bookingDetails, emergency: true },
+    authorization: {
+      status: 'authorized',
+      stripePaymentIntentId: 'pi_hold',
+      amount: 105,
+      callOutFee: 40,
+      authorizedAt,
+      expiresAt: new Date(authorizedAt.getTime() + 6 * 24 * 60 * 60 * 1000)
+    }
+  };
+
+  let capturePaymentIntent;
+  let releaseOrderPayout;
+
+  beforeEach(() => {
+    capturePaymentIntent = jest.spyOn(stripeService, 'capturePaymentIntent')
+      .mockImplementation(async (paymentIntentId, amount) => ({
+        success: true,
+        paymentIntent: { id: paymentIntentId, amount_received: Math.round((amount ?? 105) * 100) }
+      }));
+    releaseOrderPayout = jest.spyOn(payoutService, 'releaseOrderPayout').mockResolvedValue({ success: true });
+    db.seed({ 'orders/order-1': emergencyOrder });
+  });
+
+  it('captures the whole hold when the job is completed', async () => {
+    await orderService.updateOrderStatus('order-1', 'completed', 'provider-1', 'provider');
+
+    expect(capturePaymentIntent).toHaveBeenCalledWith('pi_hold', null, 'usd');
+    expect(releaseOrderPayout).toHaveBeenCalledWith('order-1');
+    expect(db.getData('orders/order-1')).toMatchObject({
+      status: 'completed',
+      paymentStatus: 'paid',
+      paidAmount: 105,
+      authorization: expect.objectContaining({ status: 'captured', capturedAmount: 105 }),
+      payout: { status: 'pending', ...payoutService.calculatePayoutSplit(105, 0, 'USD') }
+    });
+  });
+
+  it('charges only the call-out fee when the customer cancels', async () => {
+    db.seed({ 'orders/order-1': { ...emergencyOrder, status: 'confirmed' } });
+
+    await orderService.cancelOrder('order-1', { reason: 'Fixed it myself' }, 'customer-1', 'client');
+
+    expect(capturePaymentIntent).toHaveBeenCalledWith('pi_hold', 40, 'usd');
+    expect(releaseOrderPayout).toHaveBeenCalledWith('order-1');
+    expect(db.getData('orders/order-1')).toMatchObject({
+      status: 'cancelled',
+      paymentStatus: 'paid',
+      paidAmount: 40,
+      cancellation: expect.objectContaining({ cancelledBy: 'customer', callOutFee: 40 }),
+      authorization: expect.objectContaining({ status: 'captured', capturedAmount: 40 }),
+      payout: { status: 'pending', ...payoutService.calculatePayoutSplit(40, 0, 'USD') }
+    });
+  });
+
+  it('records a capture reported again by the webhook once', async () => {
+    await orderService.captureAuthorizedPayment('order-1', 40);
+    const notifyUser = jest.spyOn(notificationService, 'notifyUser');
+
+    await orderService.recordCapture('order-1', { id: 'pi_hold', amount_received: 4000 });
+
+    expect(notifyUser).not.toHaveBeenCalled();
+    expect(db.getData('orders/order-1').paidAmount).toBe(40);
+  });
+
+  it('releases the hold without charging when the provider cancels', async () => {
+    const cancelPaymentIntent = jest.spyOn(stripeService, 'cancelPaymentIntent').mockResolvedValue({ success: true });
+    db.seed({ 'orders/order-1': { ...emergencyOrder, status: 'confirmed' } });
+
+    await orderService.cancelOrder('order-1', { reason: 'Van broke down' }, 'provider-1', 'provider');
+
+    expect(capturePaymentIntent).not.toHaveBeenCalled();
+    expect(cancelPaymentIntent).toHaveBeenCalledWith('pi_hold');
+    expect(db.getData('orders/order-1')).toMatchObject({
+      paymentStatus: 'pending',
+      authorization: expect.objectContaining({ status: 'cancelled' })
+    });
+  });
+});
+
+describe('OrderService.renewExpiringAuthorizations', () => {
+  const expiresAt = new Date(Date.now() + 12 * 60 * 60 * 1000);
+  const heldOrder = {
+    ...baseOrder,
+    status: 'confirmed',
+    paymentStatus: 'authorized',
+    bookingDetails: { ...baseOrder.bookingDetails, emergency: true },
+    authorization: { status: 'authorized', stripePaymentIntentId: 'pi_hold', amount: 105, callOutFee: 40, expiresAt }
+  };
+
+  let createPaymentIntent;
+  let cancelPaymentIntent;
+
+  beforeEach(() => {
+    jest.spyOn(stripeService, 'retrievePaymentIntent').mockResolvedValue({
+      success: true,
+      paymentIntent: { id: 'pi_hold', customer: 'cus_1', payment_method: 'pm_1' }
+    });
+    createPaymentIntent = jest.spyOn(stripeService, 'createPaymentIntent')
+      .mockResolvedValue({ success: true, paymentIntent: { id: 'pi_renewed', status: 'requires_capture' } });
+    cancelPaymentIntent = jest.spyOn(stripeService, 'cancelPaymentIntent').mockResolvedValue({ success: true });
+    db.seed({ 'orders/order-1': heldOrder });
+  });
+
+  it('places a new hold on the saved card before releasing the old one', async () => {
+    const result = await orderService.renewExpiringAuthorizations(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+    expect(result).toEqual({ renewed: ['order-1'], failed: [] });
+    expect(createPaymentIntent).toHaveBeenCalledWith(105, 'usd', 'cus_1',
+      { orderId: 'order-1', customerId: 'customer-1', type: 'order_payment' },
+      { captureMethod: 'manual', paymentMethodId: 'pm_1', offSession: true });
+    expect(cancelPaymentIntent).toHaveBeenCalledWith('pi_hold', 'duplicate');
+
+    const { authorization, stripePaymentIntentIds } = db.getData('orders/order-1');
+    expect(authorization).toMatchObject({ status: 'authorized', stripePaymentIntentId: 'pi_renewed', amount: 105, callOutFee: 40 });
+    expect(authorization.expiresAt.getTime()).toBeGreaterThan(expiresAt.getTime());
+    expect(stripePaymentIntentIds).toEqual(['pi_renewed']);
+  });
+
+  it('leaves holds that lapse after the cutoff', async () => {
+    const result = await orderService.renewExpiringAuthorizations(new Date());
+
+    expect(result).toEqual({ renewed: [], failed: [] });
+    expect(createPaymentIntent).not.toHaveBeenCalled();
+  });
+
+  it('keeps the old hold and asks the customer once when the card is declined', async () => {
+    createPaymentIntent.mockResolvedValue({ success: true, paymentIntent: { id: 'pi_declined', status: 'requires_action' } });
+    const notifyUser = jest.spyOn(notificationService, 'notifyUser').mockResolvedValue();
+    const cutoff = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const result = await orderService.renewExpiringAuthorizations(cutoff);
+    await orderService.renewExpiringAuthorizations(cutoff);
+
+    expect(result.failed).toEqual([{ orderId: 'order-1', error: 'Card could not be authorized (requires_action)' }]);
+    expect(cancelPaymentIntent).toHaveBeenCalledWith('pi_declined', 'abandoned');
+    expect(cancelPaymentIntent).not.toHaveBeenCalledWith('pi_hold', expect.anything());
+    expect(notifyUser).toHaveBeenCalledTimes(1);
+    expect(db.getData('orders/order-1').authorization).toMatchObject({
+      stripePaymentIntentId: 'pi_hold',
+      reauthorizationError: 'Card could not be authorized (requires_action)'
+    });
+  });
+});
+
+describe('OrderService.getOrderStatistics', () => {
+  beforeEach(() => {
+    const orders = {};
+    for (let i = 0; i < 130; i++) {
+      const currency = i % 2 ? 'EUR' : 'USD';
+      orders[`orders/paid-${i}`] = {
+        ...baseOrder,
+        providerId: i < 10 ? 'provider-2' : 'provider-1',
+        status: 'confirmed',
+        paymentStatus: 'paid',
+        pricing: { ...baseOrder.pricing, totalAmount: 10, currency },
+        createdAt: new Date(Date.UTC(2030, 0, 1, 0, i))
+      };
+    }
+    orders['orders/deposit-paid'] = {
+      ...baseOrder,
+      status: 'confirmed',
+      paymentStatus: 'partially_paid',
+      paidAmount: 30,
+      pricing: { ...baseOrder.pricing, totalAmount: 100 }
+    };
+    db.seed(orders);
+  });
+
+  it('totals revenue per currency across every order', async () => {
+    const stats = await orderService.getOrderStatistics({ limit: 5 });
+    expect(stats.total).toBe(132);
+    expect(stats.byStatus).toMatchObject({ pending: 1, confirmed: 131 });
+    expect(stats.byPaymentStatus).toMatchObject({ pending: 1, paid: 130, partially_paid: 1 });
+    expect(stats.revenueByCurrency).toEqual({
+      USD: { revenue: 680, paidOrders: 66, averageOrderValue: 10.3 },
+      EUR: { revenue: 650, paidOrders: 65, averageOrderValue: 10 }
+    });
+  });
+
+  it('applies the order filters', async () => {
+    const stats = await orderService.getOrderStatistics({ providerId: 'provider-2', paymentStatus: 'paid' });
+    expect(stats.total).toBe(10);
+    expect(stats.byPaymentStatus).toMatchObject({ paid: 10, pending: 0, partially_paid: 0 });
+    expect(stats.revenueByCurrency).toEqual({
+      USD: { revenue: 50, paidOrders: 5, averageOrderValue: 10 },
+      EUR: { revenue: 50, paidOrders: 5, averageOrderValue: 10 }
+    });
+  });
+
+  it('rejects unknown filter values', async () => {
+    await expect(orderService.getOrderStatistics({ status: 'lost' })).rejects.toThrow('Invalid filters');
+  });
+});
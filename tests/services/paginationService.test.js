@@ -0,0 +1,74 @@
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { encodeCursor, decodeCursor, paginateQuery, countQuery } = await import('../../services/paginationService.js');
+
+const ORDER_BY = [['createdAt', 'desc']];
+
+describe('cursors', () => {
+  const doc = { id: 'listing-7', get: (field) => ({ createdAt: new Date(1700000000000), title: 'Roofing' })[field] };
+
+  it('round-trip the sort values and document ID', () => {
+    const values = decodeCursor(encodeCursor(ORDER_BY, doc), ORDER_BY);
+    expect(values).toEqual([new Date(1700000000000), 'listing-7']);
+    expect(values[0]).toBeInstanceOf(Date);
+  });
+
+  it('keep plain values as they are', () => {
+    const orderBy = [['title', 'asc']];
+    expect(decodeCursor(encodeCursor(orderBy, doc), orderBy)).toEqual(['Roofing', 'listing-7']);
+  });
+
+  it('only work with the sort order they were issued for', () => {
+    const cursor = encodeCursor(ORDER_BY, doc);
+    expect(() => decodeCursor(cursor, [['createdAt', 'asc']])).toThrow('Invalid cursor: does not match the requested sort order');
+  });
+
+  it('reject garbage', () => {
+    expect(() => decodeCursor('not a cursor', ORDER_BY)).toThrow('Invalid cursor');
+  });
+});
+
+describe('paginateQuery', () => {
+  beforeAll(() => {
+    // Two documents share a timestamp so the ID tie-breaker matters
+    const createdAt = [5, 4, 4, 3, 2, 1];
+    db.seed(Object.fromEntries(createdAt.map((minute, i) => [
+      `feedback/item-${i}`,
+      { createdAt: new Date(Date.UTC(2030, 0, 1, 0, minute)), rating: i % 2 ? 5 : 3 }
+    ])));
+  });
+
+  const readAll = async (query, limit) => {
+    const ids = [];
+    let cursor = null;
+    do {
+      const page = await paginateQuery(query, { orderBy: ORDER_BY, limit, cursor });
+      ids.push(...page.items.map(item => item.id));
+      expect(page.hasMore).toBe(page.nextCursor !== null);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return ids;
+  };
+
+  it('walks every document once, in order', async () => {
+    expect(await readAll(db.collection('feedback'), 2)).toEqual(['item-0', 'item-2', 'item-1', 'item-3', 'item-4', 'item-5']);
+  });
+
+  it('ends without an extra empty page', async () => {
+    const page = await paginateQuery(db.collection('feedback'), { orderBy: ORDER_BY, limit: 6 });
+    expect(page).toMatchObject({ hasMore: false, nextCursor: null });
+    expect(page.items).toHaveLength(6);
+  });
+
+  it('still supports offsets', async () => {
+    const page = await paginateQuery(db.collection('feedback'), { orderBy: ORDER_BY, limit: 2, offset: 4 });
+    expect(page.items.map(item => item.id)).toEqual(['item-4', 'item-5']);
+  });
+
+  it('pages through filtered queries and counts them', async () => {
+    const query = db.collection('feedback').where('rating', '==', 5);
+    expect(await readAll(query, 1)).toEqual(['item-1', 'item-3', 'item-5']);
+    expect(await countQuery(query)).toBe(3);
+  });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: payoutService } = await import('../../services/payoutService.js');
+const { default: stripeService } = await import('../../services/stripeService.js');
+
+const completedOrder = {
+  customerId: 'customer-1',
+  providerId: 'provider-1',
+  status: 'completed',
+  paymentStatus: 'paid',
+  paidAmount: 100,
+  stripePaymentIntentId: 'pi_1',
+  pricing: { totalAmount: 100, currency: 'USD' },
+  payout: { status: 'pending', commissionPercent: 10, platformFee: 10, providerAmount: 90 }
+};
+
+const onboardedProvider = {
+  userType: 'provider',
+  stripeAccountId: 'acct_1',
+  stripeConnectStatus: { payoutsEnabled: true }
+};
+
+let createTransfer;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(stripeService, 'retrievePaymentIntent').mockResolvedValue({
+    success: true,
+    paymentIntent: { id: 'pi_1', latest_charge: 'ch_1' }
+  });
+  createTransfer = jest.spyOn(stripeService, 'createTransfer')
+    .mockImplementation(async () => ({ success: true, transfer: { id: 'tr_1' } }));
+  db.documents.clear();
+  db.seed({ 'orders/order-1': completedOrder, 'users/provider-1': onboardedProvider });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('releaseOrderPayout', () => {
+  it('transfers the provider\'s share once, keyed by the order', async () => {
+    const result = await payoutService.releaseOrderPayout('order-1');
+
+    expect(result.success).toBe(true);
+    expect(createTransfer).toHaveBeenCalledWith(90, 'usd', 'acct_1', { orderId: 'order-1', providerId: 'provider-1' }, {
+      transferGroup: 'order-1',
+      sourceTransaction: 'ch_1',
+      idempotencyKey: 'payout-order-1'
+    });
+    expect(db.getData('orders/order-1').payout).toMatchObject({ status: 'paid', stripeTransferId: 'tr_1', providerAmount: 90 });
+  });
+
+  it('pays once when several releases run at the same time', async () => {
+    db.seed({ 'orders/order-1': { ...completedOrder, payout: { ...completedOrder.payout, status: 'available' } } });
+
+    const results = await Promise.all([
+      payoutService.releaseOrderPayout('order-1'),
+      payoutService.releaseOrderPayout('order-1'),
+      payoutService.releaseAvailablePayouts('provider-1')
+    ]);
+
+    expect(results.every(result => result.success)).toBe(true);
+    expect(createTransfer).toHaveBeenCalledTimes(1);
+    expect(db.getData('orders/order-1').payout.status).toBe('paid');
+  });
+
+  it('leaves a payout that is already being transferred alone', async () => {
+    db.seed({ 'orders/order-1': { ...completedOrder, payout: { ...completedOrder.payout, status: 'processing' } } });
+
+    await payoutService.releaseOrderPayout('order-1');
+    expect(createTransfer).not.toHaveBeenCalled();
+    expect((await payoutService.voidOrderPayout('order-1')).payout.status).toBe('processing');
+  });
+
+  it('parks the payout until the provider can receive it', async () => {
+    db.seed({ 'users/provider-1': { userType: 'provider' } });
+
+    await payoutService.releaseOrderPayout('order-1');
+    expect(createTransfer).not.toHaveBeenCalled();
+    expect(db.getData('orders/order-1').payout.status).toBe('available');
+  });
+
+  it('makes the payout available again when the transfer fails', async () => {
+    createTransfer.mockResolvedValue({ success: false, error: 'Insufficient funds' });
+
+    const result = await payoutService.releaseOrderPayout('order-1');
+    expect(result).toEqual({ success: false, error: 'Insufficient funds' });
+    expect(db.getData('orders/order-1').payout.status).toBe('available');
+  });
+});
+
+describe('getProviderEarnings', () => {
+  it('counts payouts in transfer separately', async () => {
+    db.seed({ 'orders/order-1': { ...completedOrder, payout: { ...completedOrder.payout, status: 'processing' } } });
+
+    const { earnings } = await payoutService.getProviderEarnings('provider-1');
+    expect(earnings.balances).toEqual({ pending: 0, available: 0, processing: 90, paid: 0 });
+  });
+});
+
+describe('reversePaidPayout', () => {
+  const paidOrder = {
+    ...completedOrder,
+    payout: { ...completedOrder.payout, status: 'paid', stripeTransferId: 'tr_1', paidAt: new Date() }
+  };
+
+  let createTransferReversal;
+
+  beforeEach(() => {
+    let count = 0;
+    createTransferReversal = jest.spyOn(stripeService, 'createTransferReversal')
+      .mockImplementation(async () => ({ success: true, reversal: { id: `trr_${++count}` } }));
+  });
+
+  it('takes back the provider\'s share of a later refund', async () => {
+    db.seed({ 'orders/order-1': { ...paidOrder, paymentStatus: 'partially_refunded', refundedAmount: 40 } });
+
+    const result = await payoutService.reversePaidPayout('order-1', 'Refund');
+
+    expect(result.success).toBe(true);
+    expect(createTransferReversal).toHaveBeenCalledWith('tr_1', 36, 'usd',
+      { orderId: 'order-1', providerId: 'provider-1', reason: 'Refund' },
+      { idempotencyKey: 'payout-reversal-order-1-3600' });
+    expect(db.getData('orders/order-1').payout).toMatchObject({
+      status: 'paid',
+      reversedAmount: 36,
+      reversals: [expect.objectContaining({ stripeReversalId: 'trr_1', amount: 36 })]
+    });
+  });
+
+  it('only reverses what has not been reversed yet', async () => {
+    db.seed({ 'orders/order-1': { ...paidOrder, refundedAmount: 40 } });
+    await payoutService.reversePaidPayout('order-1');
+    await payoutService.reversePaidPayout('order-1');
+    expect(createTransferReversal).toHaveBeenCalledTimes(1);
+
+    await db.doc('orders/order-1').update({ refundedAmount: 50 });
+    await Promise.all([payoutService.reversePaidPayout('order-1'), payoutService.reversePaidPayout('order-1')]);
+    expect(createTransferReversal).toHaveBeenCalledTimes(2);
+    expect(createTransferReversal).toHaveBeenLastCalledWith('tr_1', 9, 'usd', expect.any(Object),
+      { idempotencyKey: 'payout-reversal-order-1-4500' });
+    expect(db.getData('orders/order-1').payout.reversedAmount).toBe(45);
+  });
+
+  it('takes back the share of a lost dispute', async () => {
+    db.seed({
+      'orders/order-1': {
+        ...paidOrder,
+        paymentStatus: 'disputed',
+        dispute: { stripeDisputeId: 'dp_1', status: 'lost', amount: 100, currency: 'USD' }
+      }
+    });
+
+    await payoutService.reversePaidPayout('order-1', 'Lost dispute');
+    expect(createTransferReversal).toHaveBeenCalledWith('tr_1', 90, 'usd', expect.any(Object), expect.any(Object));
+  });
+
+  it('leaves payouts that were never transferred to be recalculated on release', async () => {
+    db.seed({ 'orders/order-1': { ...completedOrder, refundedAmount: 40 } });
+
+    await payoutService.reversePaidPayout('order-1');
+    expect(createTransferReversal).not.toHaveBeenCalled();
+  });
+
+  it('releases its claim when Stripe rejects the reversal', async () => {
+    createTransferReversal.mockResolvedValue({ success: false, error: 'Insufficient funds in account' });
+    db.seed({ 'orders/order-1': { ...paidOrder, refundedAmount: 40 } });
+
+    const result = await payoutService.reversePaidPayout('order-1');
+    expect(result).toEqual({ success: false, error: 'Insufficient funds in account' });
+    expect(db.getData('orders/order-1').payout.reversedAmount).toBe(0);
+  });
+
+  it('reverses a refund recorded while the payout was being transferred', async () => {
+    createTransfer.mockImplementation(async () => {
+      await db.doc('orders/order-1').update({ refundedAmount: 100, paymentStatus: 'refunded' });
+      return { success: true, transfer: { id: 'tr_1' } };
+    });
+
+    const result = await payoutService.releaseOrderPayout('order-1');
+    expect(createTransferReversal).toHaveBeenCalledWith('tr_1', 90, 'usd', expect.any(Object), expect.any(Object));
+    expect(result.payout).toMatchObject({ status: 'paid', reversedAmount: 90 });
+  });
+});
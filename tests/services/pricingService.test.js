@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: pricingService } = await import('../../services/pricingService.js');
+
+const config = { serviceFeePercent: 10, serviceFeeFixed: 1, discountPercent: 0, priceTolerance: 0.01 };
+
+const listing = (pricing, extra = {}) => ({
+  providerId: 'provider-1',
+  title: 'Deep clean',
+  category: 'cleaning',
+  status: 'active',
+  pricing: { currency: 'USD', ...pricing },
+  ...extra
+});
+
+describe('PricingService.calculateBaseAmount', () => {
+  it('prices fixed, hourly and per square foot listings', () => {
+    expect(pricingService.calculateBaseAmount(listing({ type: 'fixed', amount: 80 }))).toBe(80);
+    expect(pricingService.calculateBaseAmount(listing({ type: 'hourly', amount: 45 }), { duration: 2.5 })).toBe(112.5);
+    expect(pricingService.calculateBaseAmount(listing({ type: 'per_square_foot', amount: 0.15 }), { quantity: 1001 })).toBe(150.15);
+  });
+
+  it('needs the duration or area the price depends on', () => {
+    expect(() => pricingService.calculateBaseAmount(listing({ type: 'hourly', amount: 45 }), {}))
+      .toThrow('Booking duration (hours) is required');
+    expect(() => pricingService.calculateBaseAmount(listing({ type: 'per_square_foot', amount: 0.15 }), {}))
+      .toThrow('Booking quantity (square feet) is required');
+  });
+
+  it('applies the listing minimum', () => {
+    expect(pricingService.calculateBaseAmount(listing({ type: 'hourly', amount: 30 }, { requirements: { minimumOrder: 50 } }), { duration: 1 })).toBe(50);
+  });
+
+  it('refuses listings that are priced on quote', () => {
+    expect(() => pricingService.calculateBaseAmount(listing({ type: 'custom', amount: 0 })))
+      .toThrow('cannot be booked online');
+  });
+});
+
+describe('PricingService.calculatePricing', () => {
+  it('adds fees and taxes on the discounted amount', () => {
+    expect(pricingService.calculatePricing(100, 'USD', { ...config, discountPercent: 10 }, { taxes: 7.2 })).toEqual({
+      baseAmount: 100,
+      discounts: 10,
+      fees: 10,
+      taxes: 7.2,
+      totalAmount: 107.2,
+      currency: 'USD'
+    });
+  });
+
+  it('rounds to the currency\'s minor unit', () => {
+    expect(pricingService.calculatePricing(1000, 'JPY', { ...config, serviceFeePercent: 3.33 }).fees).toBe(34);
+  });
+});
+
+describe('PricingService.assertPriceMatches', () => {
+  it('accepts a matching or missing client total', () => {
+    expect(() => pricingService.assertPriceMatches({ totalAmount: 107.2 }, { totalAmount: 107.2, currency: 'USD' })).not.toThrow();
+    expect(() => pricingService.assertPriceMatches(undefined, { totalAmount: 107.2, currency: 'USD' })).not.toThrow();
+  });
+
+  it('rejects a client total that differs from the quote', () => {
+    expect(() => pricingService.assertPriceMatches({ totalAmount: 1 }, { totalAmount: 107.2, currency: 'USD' }))
+      .toThrow('Price mismatch: expected total of 107.2 USD, received 1');
+  });
+});
+
+describe('PricingService.quoteOrder', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.seed({
+      'listings/hourly': listing({ type: 'hourly', amount: 40 }),
+      'listings/draft': listing({ type: 'fixed', amount: 40 }, { status: 'draft' })
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prices the order from the listing, ignoring client pricing', async () => {
+    const quote = await pricingService.quoteOrder({
+      listingId: 'hourly',
+      bookingDetails: { duration: 3, address: '1 Main St' },
+      pricing: { totalAmount: 1 }
+    });
+    expect(quote.providerId).toBe('provider-1');
+    expect(quote.pricing).toMatchObject({ baseAmount: 120, totalAmount: 120, currency: 'USD' });
+    expect(quote.serviceDetails.pricing).toMatchObject({ type: 'hourly', amount: 40 });
+  });
+
+  it('does not quote listings that are not active', async () => {
+    await expect(pricingService.quoteOrder({ listingId: 'draft', bookingDetails: {} }))
+      .rejects.toThrow('Listing is not available for booking');
+  });
+});
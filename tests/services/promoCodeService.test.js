@@ -0,0 +1,105 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: promoCodeService } = await import('../../services/promoCodeService.js');
+const { default: stripeService } = await import('../../services/stripeService.js');
+
+const expiresAt = new Date('2031-01-01T00:00:00Z');
+
+let createCoupon;
+let deleteCoupon;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  createCoupon = jest.spyOn(stripeService, 'createCoupon')
+    .mockImplementation(async (couponData) => ({ success: true, coupon: { id: couponData.id } }));
+  deleteCoupon = jest.spyOn(stripeService, 'deleteCoupon')
+    .mockResolvedValue({ success: true, deleted: { deleted: true } });
+  db.documents.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PromoCodeService Stripe coupons', () => {
+  it('gives the coupon the code\'s redemption limit and expiry', async () => {
+    await promoCodeService.createPromoCode({
+      code: 'SPRING',
+      discountType: 'percent',
+      percentOff: 20,
+      scopes: ['plans'],
+      maxRedemptions: 50,
+      expiresAt: expiresAt.toISOString()
+    }, 'admin-1');
+
+    expect(createCoupon).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'paniclist_promo_SPRING',
+      percent_off: 20,
+      max_redemptions: 50,
+      redeem_by: expiresAt.getTime() / 1000
+    }));
+    expect(db.getData('promoCodes/SPRING').stripeCouponId).toBe('paniclist_promo_SPRING');
+  });
+
+  it('leaves the limits off a coupon for an unlimited code', async () => {
+    await promoCodeService.createPromoCode({ code: 'ALWAYS', discountType: 'percent', percentOff: 5, scopes: ['plans'] }, 'admin-1');
+
+    const couponData = createCoupon.mock.calls[0][0];
+    expect(couponData).not.toHaveProperty('max_redemptions');
+    expect(couponData).not.toHaveProperty('redeem_by');
+  });
+
+  it('replaces the coupon when the limits change, keeping what was redeemed', async () => {
+    db.seed({
+      'promoCodes/SPRING': {
+        code: 'SPRING',
+        discountType: 'percent',
+        percentOff: 20,
+        currency: 'usd',
+        scopes: ['plans'],
+        plans: [],
+        duration: 'once',
+        maxRedemptions: 50,
+        timesRedeemed: 45,
+        expiresAt: null,
+        active: true,
+        stripeCouponId: 'paniclist_promo_SPRING'
+      }
+    });
+
+    const updated = await promoCodeService.updatePromoCode('SPRING', { maxRedemptions: 60, expiresAt: expiresAt.toISOString() });
+
+    expect(createCoupon).toHaveBeenCalledWith(expect.objectContaining({
+      id: expect.stringMatching(/^paniclist_promo_SPRING_/),
+      max_redemptions: 15,
+      redeem_by: expiresAt.getTime() / 1000
+    }));
+    expect(deleteCoupon).toHaveBeenCalledWith('paniclist_promo_SPRING');
+    expect(updated.stripeCouponId).toBe(createCoupon.mock.calls[0][0].id);
+  });
+
+  it('drops the coupon of a deactivated code', async () => {
+    db.seed({
+      'promoCodes/SPRING': { code: 'SPRING', scopes: ['plans'], active: true, stripeCouponId: 'paniclist_promo_SPRING' }
+    });
+
+    const updated = await promoCodeService.deactivatePromoCode('SPRING');
+
+    expect(createCoupon).not.toHaveBeenCalled();
+    expect(deleteCoupon).toHaveBeenCalledWith('paniclist_promo_SPRING');
+    expect(updated).toMatchObject({ active: false, stripeCouponId: null });
+  });
+
+  it('keeps the code unchanged when Stripe will not delete the old coupon', async () => {
+    deleteCoupon.mockResolvedValue({ success: false, error: 'No such coupon' });
+    db.seed({
+      'promoCodes/SPRING': { code: 'SPRING', scopes: ['plans'], active: true, stripeCouponId: 'paniclist_promo_SPRING' }
+    });
+
+    await expect(promoCodeService.deactivatePromoCode('SPRING')).rejects.toThrow('Could not delete Stripe coupon');
+    expect(db.getData('promoCodes/SPRING')).toMatchObject({ active: true, stripeCouponId: 'paniclist_promo_SPRING' });
+  });
+});
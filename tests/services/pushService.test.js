@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: pushService } = await import('../../services/pushService.js');
+const { default: notificationService } = await import('../../services/notificationService.js');
+const { createConsoleTransport } = await import('../../services/notificationTransports.js');
+
+const webSubscription = {
+  endpoint: 'https://push.example.com/send/abc',
+  keys: { p256dh: 'public-key', auth: 'auth-secret' }
+};
+
+// Records what it sends; tokens starting with 'dead' are rejected for good
+const createRecordingTransport = () => ({
+  sent: [],
+  async send(device, message) {
+    if (device.token?.startsWith('dead')) {
+      throw Object.assign(new Error('Token not registered'), { code: 'gone' });
+    }
+    if (device.token?.startsWith('flaky')) {
+      throw new Error('Service unavailable');
+    }
+    this.sent.push({ device, message });
+    return { id: 'message-1' };
+  },
+  isInvalidToken: (error) => error.code === 'gone'
+});
+
+let fcm;
+let web;
+
+beforeEach(() => {
+  db.documents.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  fcm = createRecordingTransport();
+  web = createRecordingTransport();
+  pushService.setTransport('fcm', fcm);
+  pushService.setTransport('web', web);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PushService.registerDevice', () => {
+  it('registers FCM and Web Push devices', async () => {
+    const phone = await pushService.registerDevice('user-1', { type: 'fcm', token: 'token-1', platform: 'ios' });
+    const browser = await pushService.registerDevice('user-1', { type: 'web', subscription: webSubscription });
+
+    expect(phone).toMatchObject({ type: 'fcm', platform: 'ios' });
+    expect(browser).toMatchObject({ type: 'web', platform: 'web' });
+    expect(await pushService.getDevices('user-1')).toHaveLength(2);
+  });
+
+  it('moves a device to the account that registers it last', async () => {
+    const first = await pushService.registerDevice('user-1', { type: 'fcm', token: 'shared' });
+    const second = await pushService.registerDevice('user-2', { type: 'fcm', token: 'shared' });
+
+    expect(second.id).toBe(first.id);
+    expect(await pushService.getDevices('user-1')).toEqual([]);
+    expect(await pushService.getDevices('user-2')).toHaveLength(1);
+  });
+
+  it('validates the device', async () => {
+    await expect(pushService.registerDevice('user-1', { type: 'web', token: 'token-1' }))
+      .rejects.toThrow('Validation error');
+  });
+
+  it('only removes the user\'s own devices', async () => {
+    const device = await pushService.registerDevice('user-1', { type: 'fcm', token: 'token-1' });
+    await expect(pushService.removeDevice(device.id, 'user-2')).rejects.toThrow('Device not found');
+    await pushService.removeDevice(device.id, 'user-1');
+    expect(await pushService.getDevices('user-1')).toEqual([]);
+  });
+});
+
+describe('PushService.sendToUser', () => {
+  it('sends to every device through its transport', async () => {
+    await pushService.registerDevice('user-1', { type: 'fcm', token: 'token-1' });
+    await pushService.registerDevice('user-1', { type: 'web', subscription: webSubscription });
+
+    const result = await pushService.sendToUser('user-1', { title: 'Hi', body: 'There', data: {} });
+
+    expect(result).toEqual({ devices: 2, sent: 2, failed: 0, pruned: 0 });
+    expect(fcm.sent[0].device.token).toBe('token-1');
+    expect(web.sent[0].device.subscription.endpoint).toBe(webSubscription.endpoint);
+  });
+
+  it('forgets devices whose token is gone and counts other failures', async () => {
+    await pushService.registerDevice('user-1', { type: 'fcm', token: 'dead-token' });
+    await pushService.registerDevice('user-1', { type: 'fcm', token: 'flaky-token' });
+
+    const result = await pushService.sendToUser('user-1', { title: 'Hi', body: 'There', data: {} });
+
+    expect(result).toEqual({ devices: 2, sent: 0, failed: 1, pruned: 1 });
+    expect((await pushService.getDevices('user-1')).length).toBe(1);
+  });
+});
+
+describe('push notifications', () => {
+  it('pushes order updates to the user\'s devices', async () => {
+    notificationService.setTransport('email', createConsoleTransport('email'));
+    db.seed({ 'users/user-1': { email: 'casey@example.com' } });
+    await pushService.registerDevice('user-1', { type: 'fcm', token: 'token-1' });
+
+    const results = await notificationService.notifyUser('user-1', 'order_confirmed', {
+      orderId: 'order-1',
+      order: { orderNumber: 'PNL-1', serviceDetails: { title: 'Boiler repair' }, bookingDetails: { scheduledDate: '2030-06-03' } }
+    });
+
+    expect(results.push).toBe('sent');
+    expect(fcm.sent[0].message).toMatchObject({
+      title: expect.any(String),
+      data: { type: 'order_confirmed', orderId: 'order-1' }
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { InMemorySearchIndex, tokenize, editDistance } from '../../services/searchIndex.js';
+
+const listings = [
+  {
+    id: 'plumbing-1',
+    providerId: 'provider-1',
+    title: 'Emergency plumbing repair',
+    category: 'plumbing',
+    tags: ['leaks', 'drains', 'tap'],
+    description: 'Burst pipes fixed day and night',
+    status: 'active',
+    pricing: { amount: 80 },
+    statistics: { rating: 4.6 }
+  },
+  {
+    id: 'electrical-1',
+    providerId: 'provider-2',
+    title: 'Electrical wiring and repairs',
+    category: 'electrical',
+    description: 'Fuse boxes, sockets and lighting',
+    status: 'active',
+    pricing: { amount: 150 },
+    statistics: { rating: 3.5 }
+  },
+  {
+    id: 'plumbing-2',
+    providerId: 'provider-1',
+    title: 'Drain cleaning',
+    category: 'plumbing',
+    description: 'Blocked drains and toilets',
+    status: 'inactive',
+    pricing: { amount: 45 },
+    statistics: { rating: 2.2 }
+  },
+  {
+    id: 'locksmith-1',
+    providerId: 'provider-3',
+    title: 'Locksmith lockout service',
+    category: 'locksmith',
+    status: 'active',
+    pricing: { amount: 600 }
+  }
+];
+
+const buildIndex = () => {
+  const index = new InMemorySearchIndex();
+  index.replaceAll(listings);
+  return index;
+};
+
+const hitIds = (result) => result.hits.map(hit => hit.id);
+
+describe('tokenize', () => {
+  it('lowercases, strips accents and splits on punctuation', () => {
+    expect(tokenize('Café  Plumbing & the Repairs! A/C')).toEqual(['cafe', 'plumbing', 'repairs']);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize('a of the')).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('plumbing', 'plumbing')).toBe(0);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+  });
+
+  it('counts a swap of neighbouring letters as one edit', () => {
+    expect(editDistance('repiars', 'repairs')).toBe(1);
+  });
+
+  it('stops once the distance exceeds the limit', () => {
+    expect(editDistance('abc', 'abcdef', 1)).toBe(2);
+    expect(editDistance('rpeiars', 'repairs', 1)).toBe(2);
+  });
+});
+
+describe('InMemorySearchIndex.search', () => {
+  it('ranks title matches above category matches', () => {
+    expect(hitIds(buildIndex().search('plumbing'))).toEqual(['plumbing-1', 'plumbing-2']);
+  });
+
+  it('allows one typo in medium terms and two in long ones', () => {
+    const index = buildIndex();
+    expect(hitIds(index.search('plumbign'))).toEqual(['plumbing-1', 'plumbing-2']);
+    expect(hitIds(index.search('lcoksmiht'))).toEqual(['locksmith-1']);
+    expect(index.search('rpeiars').total).toBe(0);
+  });
+
+  it('does not correct short terms', () => {
+    const index = buildIndex();
+    expect(hitIds(index.search('tap'))).toEqual(['plumbing-1']);
+    expect(index.search('tip').total).toBe(0);
+  });
+
+  it('matches the last term as a prefix, scored below an exact match', () => {
+    const index = buildIndex();
+    expect(hitIds(index.search('emerg'))).toEqual(['plumbing-1']);
+    expect(index.search('emerg plumbing').total).toBe(0);
+    expect(index.search('emerg').hits[0].score).toBeLessThan(index.search('emergency').hits[0].score);
+  });
+
+  it('only returns listings matching every term', () => {
+    const index = buildIndex();
+    expect(hitIds(index.search('repair'))).toEqual(['plumbing-1', 'electrical-1']);
+    expect(hitIds(index.search('plumbing repair'))).toEqual(['plumbing-1']);
+    expect(index.search('plumbing electrical').total).toBe(0);
+  });
+
+  it('applies filters', () => {
+    const index = buildIndex();
+    expect(hitIds(index.search('plumbing', { filters: { status: 'active' } }))).toEqual(['plumbing-1']);
+    expect(hitIds(index.search('repair', { filters: { category: 'electrical' } }))).toEqual(['electrical-1']);
+    expect(hitIds(index.search('repair', { filters: { minPrice: 100, maxPrice: 200 } }))).toEqual(['electrical-1']);
+    expect(hitIds(index.search('repair', { filters: { minRating: 4 } }))).toEqual(['plumbing-1']);
+    expect(hitIds(index.search('service', { filters: { providerId: 'provider-1' } }))).toEqual([]);
+  });
+
+  it('counts facets over the filtered matches', () => {
+    const index = buildIndex();
+    expect(index.search('repair').facets).toEqual({
+      category: { plumbing: 1, electrical: 1 },
+      price: { '0-50': 0, '50-100': 1, '100-250': 1, '250-500': 0, '500+': 0 },
+      rating: { '4+': 1, '3+': 2, '2+': 2, '1+': 2 }
+    });
+    expect(index.search('repair', { filters: { category: 'plumbing' } }).facets.category).toEqual({ plumbing: 1 });
+  });
+
+  it('pages through the hits', () => {
+    const index = buildIndex();
+    const result = index.search('plumbing', { limit: 1, offset: 1 });
+    expect(hitIds(result)).toEqual(['plumbing-2']);
+    expect(result.total).toBe(2);
+  });
+
+  it('reindexes updated and removed listings', () => {
+    const index = buildIndex();
+    index.upsert({ ...listings[3], title: 'Key cutting' });
+    expect(index.search('lockout').total).toBe(0);
+    expect(hitIds(index.search('key'))).toEqual(['locksmith-1']);
+
+    index.remove('locksmith-1');
+    expect(index.search('key').total).toBe(0);
+  });
+
+  it('returns nothing for a query without searchable terms', () => {
+    expect(buildIndex().search('the').hits).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+mockFirebaseAdmin();
+const { planEventHandlers, orderEventHandlers, connectEventHandlers } = await import('../../services/stripeEventHandlers.js');
+const { default: orderService } = await import('../../services/orderService.js');
+const { default: disputeService } = await import('../../services/disputeService.js');
+const { default: payoutService } = await import('../../services/payoutService.js');
+const { default: providerPlanService } = await import('../../services/providerPlanService.js');
+const { default: entitlementService } = await import('../../services/entitlementService.js');
+const { default: promoCodeService } = await import('../../services/promoCodeService.js');
+const { default: stripeService } = await import('../../services/stripeService.js');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('order event handlers', () => {
+  it('marks a deposit paid with its milestone', async () => {
+    const markOrderPaid = jest.spyOn(orderService, 'markOrderPaid').mockResolvedValue({});
+
+    const result = await orderEventHandlers['checkout.session.completed']({
+      id: 'cs_1',
+      payment_intent: 'pi_1',
+      metadata: { type: 'order_payment', orderId: 'order-1', milestoneId: 'deposit' }
+    });
+
+    expect(markOrderPaid).toHaveBeenCalledWith('order-1', {
+      stripePaymentIntentId: 'pi_1',
+      stripeCheckoutSessionId: 'cs_1',
+      milestoneId: 'deposit'
+    }, 'Payment received via checkout session cs_1');
+    expect(result).toEqual({ orderId: 'order-1', milestoneId: 'deposit' });
+  });
+
+  it('records a captured card hold instead of a new payment', async () => {
+    const recordCapture = jest.spyOn(orderService, 'recordCapture').mockResolvedValue({});
+    const markOrderPaid = jest.spyOn(orderService, 'markOrderPaid');
+    const paymentIntent = { id: 'pi_1', capture_method: 'manual', metadata: { orderId: 'order-1' } };
+
+    await orderEventHandlers['payment_intent.succeeded'](paymentIntent);
+
+    expect(recordCapture).toHaveBeenCalledWith('order-1', paymentIntent);
+    expect(markOrderPaid).not.toHaveBeenCalled();
+  });
+
+  it('applies each refund of a refunded charge in the order\'s currency units', async () => {
+    jest.spyOn(orderService, 'getOrderByPaymentIntentId').mockResolvedValue({ id: 'order-1' });
+    const applyRefund = jest.spyOn(orderService, 'applyRefund').mockResolvedValue({});
+
+    const result = await orderEventHandlers['charge.refunded']({
+      payment_intent: 'pi_1',
+      refunds: {
+        data: [
+          { id: 're_1', amount: 2500, currency: 'usd', status: 'succeeded', metadata: { reason: 'Late arrival' } },
+          { id: 're_2', amount: 1000, currency: 'usd', status: 'pending' }
+        ]
+      }
+    });
+
+    expect(result).toEqual({ orderId: 'order-1', refunds: 2 });
+    expect(applyRefund).toHaveBeenNthCalledWith(1, 'order-1', expect.objectContaining({
+      stripeRefundId: 're_1',
+      amount: 25,
+      reason: 'Late arrival',
+      requestedBy: 'stripe-webhook',
+      role: 'system'
+    }));
+    expect(applyRefund).toHaveBeenNthCalledWith(2, 'order-1', expect.objectContaining({ stripeRefundId: 're_2', status: 'pending' }));
+  });
+
+  it('skips refunds of charges that were not for an order', async () => {
+    jest.spyOn(orderService, 'getOrderByPaymentIntentId').mockRejectedValue(new Error('Failed to get order: Order not found'));
+    const applyRefund = jest.spyOn(orderService, 'applyRefund');
+
+    const result = await orderEventHandlers['charge.refunded']({ payment_intent: 'pi_plan', refunds: { data: [] } });
+
+    expect(result).toEqual({ skipped: 'No order for payment intent' });
+    expect(applyRefund).not.toHaveBeenCalled();
+  });
+
+  it('finds a disputed order from the payment intent\'s metadata', async () => {
+    jest.spyOn(stripeService, 'retrievePaymentIntent').mockResolvedValue({
+      success: true,
+      paymentIntent: { id: 'pi_1', metadata: { type: 'order_payment', orderId: 'order-1' } }
+    });
+    const recordDispute = jest.spyOn(disputeService, 'recordDispute').mockResolvedValue({ status: 'needs_response' });
+    const dispute = { id: 'dp_1', payment_intent: 'pi_1', status: 'needs_response' };
+
+    const result = await orderEventHandlers['charge.dispute.created'](dispute);
+
+    expect(recordDispute).toHaveBeenCalledWith('order-1', dispute);
+    expect(result).toEqual({ orderId: 'order-1', disputeStatus: 'needs_response' });
+  });
+
+  it('fails when Stripe cannot say which payment was disputed', async () => {
+    jest.spyOn(stripeService, 'retrievePaymentIntent').mockResolvedValue({ success: false, error: 'Stripe unavailable' });
+
+    await expect(orderEventHandlers['charge.dispute.updated']({ id: 'dp_1', payment_intent: 'pi_1' }))
+      .rejects.toThrow('Stripe unavailable');
+  });
+});
+
+describe('plan event handlers', () => {
+  it('activates a purchased plan and counts its promo code', async () => {
+    const activateProviderPlan = jest.spyOn(providerPlanService, 'activateProviderPlan').mockResolvedValue({ success: true });
+    const syncListingsWithPlan = jest.spyOn(entitlementService, 'syncListingsWithPlan').mockResolvedValue();
+    const recordPlanRedemption = jest.spyOn(promoCodeService, 'recordPlanRedemption').mockResolvedValue();
+
+    await planEventHandlers['checkout.session.completed']({
+      id: 'cs_1',
+      payment_intent: 'pi_1',
+      customer: 'cus_1',
+      metadata: { userId: 'provider-1', planName: 'pro', planType: 'monthly', promoCode: 'SPRING' }
+    });
+
+    expect(activateProviderPlan).toHaveBeenCalledWith('provider-1', 'pro', 'monthly', {
+      stripeSessionId: 'cs_1',
+      stripePaymentIntentId: 'pi_1',
+      stripeCustomerId: 'cus_1',
+      promoCode: 'SPRING'
+    });
+    expect(syncListingsWithPlan).toHaveBeenCalledWith('provider-1');
+    expect(recordPlanRedemption).toHaveBeenCalledWith('SPRING');
+  });
+
+  it('throws when the plan cannot be activated, so the event is retried', async () => {
+    jest.spyOn(providerPlanService, 'activateProviderPlan').mockResolvedValue({ success: false, error: 'Plan not found' });
+
+    await expect(planEventHandlers['payment_intent.succeeded']({
+      id: 'pi_1',
+      metadata: { userId: 'provider-1', planName: 'pro', planType: 'monthly' }
+    })).rejects.toThrow('Plan activation failed: Plan not found');
+  });
+
+  it('only renews on billing-cycle invoices', async () => {
+    const renewPlan = jest.spyOn(providerPlanService, 'renewPlan');
+
+    const result = await planEventHandlers['invoice.payment_succeeded']({ subscription: 'sub_1', billing_reason: 'subscription_create' });
+
+    expect(result).toEqual({ skipped: 'Invoice billing reason is subscription_create' });
+    expect(renewPlan).not.toHaveBeenCalled();
+  });
+});
+
+describe('connect event handlers', () => {
+  it('skips accounts without a provider', async () => {
+    jest.spyOn(payoutService, 'syncConnectAccount').mockResolvedValue({ success: false, error: 'Provider not found for account' });
+
+    expect(await connectEventHandlers['account.updated']({ id: 'acct_1' })).toEqual({ skipped: 'Provider not found for account' });
+  });
+
+  it('throws on other sync failures', async () => {
+    jest.spyOn(payoutService, 'syncConnectAccount').mockResolvedValue({ success: false, error: 'Firestore unavailable' });
+
+    await expect(connectEventHandlers['account.updated']({ id: 'acct_1' })).rejects.toThrow('Firestore unavailable');
+  });
+});
@@ -0,0 +1,145 @@
+import { jest } from '@jest/globals';
+import { mockFirebaseAdmin } from '../helpers/mockFirebase.js';
+
+const db = mockFirebaseAdmin();
+const { default: stripeEventService, resolveEventTarget } = await import('../../services/stripeEventService.js');
+const { default: orderService } = await import('../../services/orderService.js');
+const { default: providerPlanService } = await import('../../services/providerPlanService.js');
+const { default: entitlementService } = await import('../../services/entitlementService.js');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const stripeEvent = (type, object, id = 'evt_1') => ({
+  id,
+  type,
+  created: 1900000000,
+  livemode: false,
+  data: { object }
+});
+
+const orderCheckout = stripeEvent('checkout.session.completed', {
+  id: 'cs_1',
+  payment_intent: 'pi_1',
+  metadata: { type: 'order_payment', orderId: 'order-1' }
+});
+
+let markOrderPaid;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  markOrderPaid = jest.spyOn(orderService, 'markOrderPaid').mockResolvedValue({ id: 'order-1' });
+  db.documents.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveEventTarget', () => {
+  it('routes checkout sessions and payment intents by their metadata', () => {
+    expect(resolveEventTarget(orderCheckout)).toBe('order');
+    expect(resolveEventTarget(stripeEvent('payment_intent.succeeded', {
+      metadata: { userId: 'provider-1', planName: 'pro', planType: 'monthly' }
+    }))).toBe('plan');
+  });
+
+  it('routes other events by type', () => {
+    expect(resolveEventTarget(stripeEvent('charge.refunded', {}))).toBe('order');
+    expect(resolveEventTarget(stripeEvent('charge.dispute.created', {}))).toBe('order');
+    expect(resolveEventTarget(stripeEvent('account.updated', {}))).toBe('connect');
+    expect(resolveEventTarget(stripeEvent('invoice.payment_failed', {}))).toBe('plan');
+    expect(resolveEventTarget(stripeEvent('customer.subscription.deleted', {}))).toBe('plan');
+    expect(resolveEventTarget(stripeEvent('product.created', {}))).toBeNull();
+  });
+});
+
+describe('StripeEventService.processEvent', () => {
+  it('hands the event to the handler of its target', async () => {
+    const activateProviderPlan = jest.spyOn(providerPlanService, 'activateProviderPlan').mockResolvedValue({ success: true });
+    jest.spyOn(entitlementService, 'syncListingsWithPlan').mockResolvedValue();
+
+    await stripeEventService.processEvent(orderCheckout);
+    await stripeEventService.processEvent(stripeEvent('checkout.session.completed', {
+      id: 'cs_2',
+      payment_intent: 'pi_2',
+      metadata: { userId: 'provider-1', planName: 'pro', planType: 'monthly' }
+    }, 'evt_2'));
+
+    expect(markOrderPaid).toHaveBeenCalledTimes(1);
+    expect(markOrderPaid).toHaveBeenCalledWith('order-1', expect.objectContaining({ stripeCheckoutSessionId: 'cs_1' }), expect.any(String));
+    expect(activateProviderPlan).toHaveBeenCalledTimes(1);
+    expect(activateProviderPlan).toHaveBeenCalledWith('provider-1', 'pro', 'monthly', expect.objectContaining({ stripeSessionId: 'cs_2' }));
+    expect(db.getData('stripeEvents/evt_1')).toMatchObject({ target: 'order', status: 'processed', result: { orderId: 'order-1' } });
+    expect(db.getData('stripeEvents/evt_2')).toMatchObject({ target: 'plan', status: 'processed' });
+  });
+
+  it('records events nothing handles as ignored', async () => {
+    const outcome = await stripeEventService.processEvent(stripeEvent('product.created', { id: 'prod_1' }));
+
+    expect(outcome).toEqual({ status: 'ignored' });
+    expect(db.getData('stripeEvents/evt_1')).toMatchObject({ status: 'ignored', target: null });
+  });
+
+  it('processes a redelivered event once', async () => {
+    expect((await stripeEventService.processEvent(orderCheckout)).status).toBe('processed');
+    expect(await stripeEventService.processEvent(orderCheckout)).toEqual({ status: 'duplicate', previousStatus: 'processed' });
+
+    expect(markOrderPaid).toHaveBeenCalledTimes(1);
+    expect(db.getData('stripeEvents/evt_1').attempts).toBe(1);
+  });
+
+  it('skips an event another delivery is processing', async () => {
+    db.seed({ 'stripeEvents/evt_1': { status: 'processing', processingStartedAt: new Date(), attempts: 1 } });
+
+    expect(await stripeEventService.processEvent(orderCheckout)).toEqual({ status: 'duplicate', previousStatus: 'processing' });
+    expect(markOrderPaid).not.toHaveBeenCalled();
+  });
+
+  it('takes over an event whose processing stalled', async () => {
+    db.seed({
+      'stripeEvents/evt_1': { status: 'processing', processingStartedAt: new Date(Date.now() - 10 * MS_PER_MINUTE), attempts: 1 }
+    });
+
+    expect((await stripeEventService.processEvent(orderCheckout)).status).toBe('processed');
+    expect(db.getData('stripeEvents/evt_1').attempts).toBe(2);
+  });
+
+  it('records a failed handler so the event can be replayed', async () => {
+    markOrderPaid.mockRejectedValueOnce(new Error('Order not found'));
+
+    expect(await stripeEventService.processEvent(orderCheckout)).toEqual({ status: 'failed', error: 'Order not found' });
+    expect(db.getData('stripeEvents/evt_1')).toMatchObject({ status: 'failed', error: 'Order not found' });
+
+    const replayed = await stripeEventService.replayEvent('evt_1');
+
+    expect(replayed).toMatchObject({ id: 'evt_1', status: 'processed' });
+    expect(markOrderPaid).toHaveBeenCalledTimes(2);
+    expect(db.getData('stripeEvents/evt_1')).toMatchObject({
+      status: 'processed',
+      error: null,
+      attempts: 2,
+      lastReplayedAt: expect.any(Date)
+    });
+  });
+});
+
+describe('StripeEventService replays', () => {
+  it('only replays failed events', async () => {
+    await stripeEventService.processEvent(orderCheckout);
+
+    await expect(stripeEventService.replayEvent('evt_1')).rejects.toThrow('Only failed events can be replayed (event is processed)');
+    await expect(stripeEventService.replayEvent('evt_missing')).rejects.toThrow('Stripe event not found');
+  });
+
+  it('replays every failed event', async () => {
+    markOrderPaid.mockRejectedValueOnce(new Error('Order not found'));
+    await stripeEventService.processEvent(orderCheckout);
+    await stripeEventService.processEvent({ ...orderCheckout, id: 'evt_2' });
+
+    const results = await stripeEventService.replayFailedEvents();
+
+    expect(results).toEqual([expect.objectContaining({ id: 'evt_1', status: 'processed' })]);
+    expect(db.getData('stripeEvents/evt_2').attempts).toBe(1);
+  });
+});